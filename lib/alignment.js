@@ -0,0 +1,133 @@
+// 読み上げ位置の同期（文・単語の境界に<mark>を挿入し、タイムポイントから本文の位置と再生時刻の対応表を作る）
+const { splitSentences } = require('./text-chunker');
+const { escapeSsml, ssmlToPlainText } = require('./ssml');
+const { getAudioDuration } = require('./audio-format');
+
+// 対応表の細かさ（wordは文の境界も含む）
+const TIMEPOINT_GRANULARITIES = ['sentence', 'word'];
+
+// 日本語の単語境界はIntl.Segmenterで求める（英単語なども同じ規則で区切られる）
+const wordSegmenter = new Intl.Segmenter('ja', { granularity: 'word' });
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * プレーンテキストのチャンクを文・単語の先頭に<mark>を入れたSSMLに変換する
+ * @param {string} chunk
+ * @param {string} granularity - 'sentence' または 'word'
+ * @returns {{ssml: string, marks: {name: string, type: string, start: number, end: number}[]}}
+ *   start・endはチャンク内の文字オフセット
+ */
+const buildMarkedSsml = (chunk, granularity) => {
+    const parts = [];
+    const marks = [];
+    let offset = 0;
+
+    const addMark = (type, start, end) => {
+        const name = `${type[0]}${marks.length}`;
+        marks.push({ name, type, start, end });
+        parts.push(`<mark name="${name}"/>`);
+    };
+
+    for (const sentence of splitSentences(chunk)) {
+        const leading = sentence.length - sentence.trimStart().length;
+        const body = sentence.trim();
+
+        if (!body) {
+            parts.push(escapeSsml(sentence));
+            offset += sentence.length;
+            continue;
+        }
+
+        parts.push(escapeSsml(sentence.substring(0, leading)));
+        const sentenceStart = offset + leading;
+        addMark('sentence', sentenceStart, sentenceStart + body.length);
+
+        if (granularity === 'word') {
+            for (const { segment, index, isWordLike } of wordSegmenter.segment(sentence.substring(leading))) {
+                if (isWordLike) addMark('word', sentenceStart + index, sentenceStart + index + segment.length);
+                parts.push(escapeSsml(segment));
+            }
+        } else {
+            parts.push(escapeSsml(sentence.substring(leading)));
+        }
+
+        offset += sentence.length;
+    }
+
+    return { ssml: `<speak>${parts.join('')}</speak>`, marks };
+};
+
+/**
+ * チャンクごとのタイムポイントから、連結後の音声での文・単語の開始・終了時刻を求める
+ * @param {Object} options
+ * @param {string} options.text - 合成したテキスト（オフセットの基準）
+ * @param {string} options.granularity
+ * @param {string[]} options.chunks - textを分割したチャンク（順番どおり）
+ * @param {{markName: string, timeSeconds: number}[][]} options.timepoints - チャンクごとのタイムポイント
+ * @param {Buffer[]} options.audioParts - チャンクごとの音声
+ * @param {string} options.audioEncoding
+ * @returns {{granularity: string, sentences: Object[], words: Object[]}}
+ *   各要素は { start, end, startTime, endTime }（start・endはtext内の文字オフセット）
+ */
+const buildAlignment = ({ text, granularity, chunks, timepoints, audioParts, audioEncoding }) => {
+    const alignment = { granularity, sentences: [], words: [] };
+    let searchFrom = 0;
+    let chunkStartTime = 0;
+
+    for (let i = 0; i < chunks.length; i++) {
+        // チャンクは前後の空白を除いたtextの部分文字列なので、先頭から順に位置を求められる
+        const chunkOffset = text.indexOf(chunks[i], searchFrom);
+        searchFrom = chunkOffset + chunks[i].length;
+
+        const chunkEndTime = chunkStartTime + getAudioDuration(audioParts[i], audioEncoding);
+        const times = new Map((timepoints[i] || []).map(point => [point.markName, point.timeSeconds]));
+        const { marks } = buildMarkedSsml(chunks[i], granularity);
+
+        for (const type of ['sentence', 'word']) {
+            // タイムポイントが返らなかった<mark>は除き、次の開始時刻（なければチャンクの終わり）を終了時刻とする
+            const timed = marks.filter(mark => mark.type === type && times.has(mark.name));
+            timed.forEach((mark, index) => {
+                alignment[`${type}s`].push({
+                    start: chunkOffset + mark.start,
+                    end: chunkOffset + mark.end,
+                    startTime: round(chunkStartTime + times.get(mark.name)),
+                    endTime: round(index + 1 < timed.length ? chunkStartTime + times.get(timed[index + 1].name) : chunkEndTime)
+                });
+            });
+        }
+
+        chunkStartTime = chunkEndTime;
+    }
+
+    return alignment;
+};
+
+/**
+ * チャンクごとの本文と再生時刻（タイムポイントを指定しなかった場合の字幕に使う）
+ * @param {string[]} chunks
+ * @param {string} inputType - SSMLのチャンクはタグを除いた本文にする
+ * @param {Buffer[]} audioParts - チャンクごとの音声
+ * @param {string} audioEncoding
+ * @returns {{text: string, startTime: number, endTime: number}[]}
+ */
+const timeSegments = (chunks, inputType, audioParts, audioEncoding) => {
+    let startTime = 0;
+    return chunks.map((chunk, index) => {
+        const endTime = startTime + getAudioDuration(audioParts[index], audioEncoding);
+        const segment = {
+            text: inputType === 'ssml' ? ssmlToPlainText(chunk) : chunk,
+            startTime: round(startTime),
+            endTime: round(endTime)
+        };
+        startTime = endTime;
+        return segment;
+    });
+};
+
+module.exports = {
+    TIMEPOINT_GRANULARITIES,
+    buildMarkedSsml,
+    buildAlignment,
+    timeSegments
+};
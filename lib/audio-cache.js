@@ -0,0 +1,178 @@
+// 合成済み音声のコンテンツアドレス型ディスクキャッシュ（容量上限つきLRU）
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 既定の容量上限（500MB）
+const DEFAULT_CACHE_MAX_BYTES = 500 * 1024 * 1024;
+
+// キーの順序に依存しないJSON文字列化（同じ設定は常に同じハッシュになる）
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+// 空白・改行・Unicode表現の揺れを吸収
+const normalizeInput = (text) => {
+    return text
+        .normalize('NFC')
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+};
+
+/**
+ * キャッシュ利用状況をX-TTS-Cacheヘッダーの値に変換する
+ * @param {number} cacheHits - キャッシュから返したチャンク数
+ * @param {number} chunkCount - 全チャンク数
+ * @returns {string} HIT（全チャンク）・PARTIAL（一部）・MISS
+ */
+const getCacheStatus = (cacheHits, chunkCount) => {
+    if (cacheHits === 0) return 'MISS';
+    return cacheHits >= chunkCount ? 'HIT' : 'PARTIAL';
+};
+
+class AudioCache {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - キャッシュの保存先
+     * @param {number} [options.maxBytes] - 容量上限（超えた分は最終利用が古いものから削除）
+     */
+    constructor({ dir, maxBytes = DEFAULT_CACHE_MAX_BYTES }) {
+        this.dir = dir;
+        this.maxBytes = maxBytes;
+        // Mapの挿入順を利用順として扱う（先頭が最も古い）
+        this.entries = new Map();
+        this.totalBytes = 0;
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+    }
+
+    // 既存のキャッシュファイルを最終利用日時の順に読み込む
+    async init() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const found = [];
+
+        for (const prefix of await fs.promises.readdir(this.dir)) {
+            const prefixDir = path.join(this.dir, prefix);
+            const stat = await fs.promises.stat(prefixDir);
+            if (!stat.isDirectory()) continue;
+
+            for (const name of await fs.promises.readdir(prefixDir)) {
+                if (!name.endsWith('.bin')) continue;
+                const fileStat = await fs.promises.stat(path.join(prefixDir, name));
+                found.push({ key: name.slice(0, -4), size: fileStat.size, lastAccess: fileStat.mtimeMs });
+            }
+        }
+
+        found.sort((a, b) => a.lastAccess - b.lastAccess);
+        for (const entry of found) {
+            this.entries.set(entry.key, { size: entry.size });
+            this.totalBytes += entry.size;
+        }
+
+        await this.evict();
+    }
+
+    /**
+     * 入力・音声・audioConfig・プロバイダー名からキャッシュキーを生成する
+     * @param {Object} request - input, voice, audioConfig, provider を含むリクエスト
+     * @returns {string}
+     */
+    keyFor({ input, voice, audioConfig, provider }) {
+        const normalizedInput = input.ssml !== undefined
+            ? { ssml: normalizeInput(input.ssml) }
+            : { text: normalizeInput(input.text) };
+
+        return crypto.createHash('sha256')
+            .update(stableStringify({ input: normalizedInput, voice, audioConfig, provider }))
+            .digest('hex');
+    }
+
+    filePath(key) {
+        return path.join(this.dir, key.substring(0, 2), `${key}.bin`);
+    }
+
+    async get(key) {
+        if (!this.entries.has(key)) {
+            this.stats.misses++;
+            return null;
+        }
+
+        try {
+            const audio = await fs.promises.readFile(this.filePath(key));
+
+            // 利用順を更新（再起動後も順序を保てるよう更新日時も変える）
+            const entry = this.entries.get(key);
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            const now = new Date();
+            fs.promises.utimes(this.filePath(key), now, now).catch(() => {});
+
+            this.stats.hits++;
+            return audio;
+        } catch (error) {
+            // ファイルが外部から削除された場合
+            this.forget(key);
+            this.stats.misses++;
+            return null;
+        }
+    }
+
+    async set(key, audio) {
+        if (audio.length > this.maxBytes) return;
+
+        const file = this.filePath(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, audio);
+        await fs.promises.rename(`${file}.tmp`, file);
+
+        this.forget(key);
+        this.entries.set(key, { size: audio.length });
+        this.totalBytes += audio.length;
+
+        await this.evict();
+    }
+
+    forget(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        this.entries.delete(key);
+        this.totalBytes -= entry.size;
+    }
+
+    // 容量上限を超えた分を最終利用が古いものから削除
+    async evict() {
+        for (const key of this.entries.keys()) {
+            if (this.totalBytes <= this.maxBytes) break;
+
+            this.forget(key);
+            this.stats.evictions++;
+            await fs.promises.rm(this.filePath(key), { force: true });
+        }
+    }
+
+    getStats() {
+        return {
+            entries: this.entries.size,
+            totalBytes: this.totalBytes,
+            maxBytes: this.maxBytes,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_CACHE_MAX_BYTES,
+    getCacheStatus,
+    AudioCache
+};
@@ -0,0 +1,141 @@
+// audioConfig（ピッチ・音量・サンプルレート・デバイスプロファイル）の検証と組み立て
+const { getAudioFormat } = require('./audio-format');
+
+// デバイスプロファイルの短縮名とGoogleのeffectsProfileIdの対応
+// https://cloud.google.com/text-to-speech/docs/audio-profiles
+const EFFECTS_PROFILES = {
+    headphones: 'headphone-class-device',
+    phone: 'handset-class-device',
+    wearable: 'wearable-class-device',
+    'small-speaker': 'small-bluetooth-speaker-class-device',
+    'medium-speaker': 'medium-bluetooth-speaker-class-device',
+    home: 'large-home-entertainment-class-device',
+    car: 'large-automotive-class-device',
+    telephony: 'telephony-class-application',
+    none: null
+};
+
+// リスナーの多くがヘッドホンで聴くため既定値はheadphones
+const DEFAULT_EFFECTS_PROFILE = 'headphones';
+
+const PITCH_RANGE = { min: -20, max: 20 };
+const VOLUME_GAIN_RANGE = { min: -96, max: 16 };
+
+const SAMPLE_RATES = [8000, 11025, 16000, 22050, 24000, 32000, 44100, 48000];
+
+// Opusは対応するサンプルレートが限られる
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+// 短縮名・effectsProfileIdのどちらでも受け付けて短縮名を返す（constructorなどのプロトタイプのキーは受け付けない）
+const resolveEffectsProfile = (profile) => {
+    if (typeof profile !== 'string') return null;
+    if (Object.prototype.hasOwnProperty.call(EFFECTS_PROFILES, profile)) return profile;
+    return Object.keys(EFFECTS_PROFILES).find(key => EFFECTS_PROFILES[key] === profile) || null;
+};
+
+// 入力値検証（戻り値は他のバリデーターと同じ { valid, error } 形式）
+const audioConfigValidators = {
+    pitch: (pitch) => {
+        const value = parseFloat(pitch);
+        if (isNaN(value) || value < PITCH_RANGE.min || value > PITCH_RANGE.max) {
+            return { valid: false, error: `ピッチは${PITCH_RANGE.min}から${PITCH_RANGE.max}の範囲で指定してください` };
+        }
+
+        return { valid: true };
+    },
+
+    volumeGainDb: (volumeGainDb) => {
+        const value = parseFloat(volumeGainDb);
+        if (isNaN(value) || value < VOLUME_GAIN_RANGE.min || value > VOLUME_GAIN_RANGE.max) {
+            return { valid: false, error: `音量は${VOLUME_GAIN_RANGE.min}から${VOLUME_GAIN_RANGE.max}dBの範囲で指定してください` };
+        }
+
+        return { valid: true };
+    },
+
+    sampleRateHertz: (sampleRateHertz, format = 'mp3') => {
+        const value = parseInt(sampleRateHertz, 10);
+        const audioFormat = getAudioFormat(format);
+        const allowed = audioFormat && audioFormat.audioEncoding === 'OGG_OPUS' ? OPUS_SAMPLE_RATES : SAMPLE_RATES;
+
+        if (!allowed.includes(value)) {
+            return { valid: false, error: `サンプルレートは ${allowed.join(', ')} のいずれかを指定してください` };
+        }
+
+        return { valid: true };
+    },
+
+    effectsProfile: (effectsProfile) => {
+        if (!resolveEffectsProfile(effectsProfile)) {
+            return { valid: false, error: `デバイスプロファイルは ${Object.keys(EFFECTS_PROFILES).join(', ')} のいずれかを指定してください` };
+        }
+
+        return { valid: true };
+    }
+};
+
+/**
+ * 指定されたaudioConfigの項目をまとめて検証する（未指定の項目は既定値を使うため検証しない）
+ * @param {Object} params - { pitch, volumeGainDb, sampleRateHertz, effectsProfile }
+ * @param {string} [format]
+ * @returns {{valid: boolean, error?: string}}
+ */
+const validateAudioConfig = (params, format = 'mp3') => {
+    for (const key of Object.keys(audioConfigValidators)) {
+        if (params[key] === undefined || params[key] === null || params[key] === '') continue;
+
+        const result = audioConfigValidators[key](params[key], format);
+        if (!result.valid) return result;
+    }
+
+    return { valid: true };
+};
+
+/**
+ * Google Cloud Text-to-SpeechのaudioConfigを組み立てる
+ * @param {Object} audioFormat - getAudioFormat() の戻り値
+ * @param {Object} params - { speed, pitch, volumeGainDb, sampleRateHertz, effectsProfile }
+ * @returns {Object}
+ * @throws {TypeError} speed が数値でない場合
+ */
+const buildAudioConfig = (audioFormat, params = {}) => {
+    const {
+        speed = 1.0,
+        pitch = 0,
+        volumeGainDb = 0,
+        sampleRateHertz = audioFormat.defaultSampleRateHertz,
+        effectsProfile = DEFAULT_EFFECTS_PROFILE
+    } = params;
+
+    const speakingRate = parseFloat(speed);
+    if (isNaN(speakingRate)) {
+        throw new TypeError(`速度が数値ではありません: ${speed}`);
+    }
+
+    const profileId = EFFECTS_PROFILES[resolveEffectsProfile(effectsProfile || DEFAULT_EFFECTS_PROFILE)];
+
+    const audioConfig = {
+        audioEncoding: audioFormat.audioEncoding,
+        speakingRate,
+        pitch: parseFloat(pitch) || 0,
+        volumeGainDb: parseFloat(volumeGainDb) || 0,
+        sampleRateHertz: parseInt(sampleRateHertz, 10) || audioFormat.defaultSampleRateHertz
+    };
+
+    if (profileId) {
+        audioConfig.effectsProfileId = [profileId];
+    }
+
+    return audioConfig;
+};
+
+module.exports = {
+    EFFECTS_PROFILES,
+    DEFAULT_EFFECTS_PROFILE,
+    PITCH_RANGE,
+    VOLUME_GAIN_RANGE,
+    SAMPLE_RATES,
+    audioConfigValidators,
+    validateAudioConfig,
+    buildAudioConfig
+};
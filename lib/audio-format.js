@@ -0,0 +1,313 @@
+// 出力音声フォーマットの定義と結合ユーティリティ
+const { concatOggOpus } = require('./ogg');
+
+// format パラメータとGoogle Cloud Text-to-Speechのエンコーディングの対応
+const AUDIO_FORMATS = {
+    mp3: {
+        audioEncoding: 'MP3',
+        contentType: 'audio/mpeg',
+        extension: 'mp3',
+        defaultSampleRateHertz: 24000
+    },
+    ogg: {
+        audioEncoding: 'OGG_OPUS',
+        contentType: 'audio/ogg',
+        extension: 'ogg',
+        defaultSampleRateHertz: 48000
+    },
+    wav: {
+        audioEncoding: 'LINEAR16',
+        contentType: 'audio/wav',
+        extension: 'wav',
+        defaultSampleRateHertz: 24000
+    },
+    mulaw: {
+        audioEncoding: 'MULAW',
+        contentType: 'audio/wav',
+        extension: 'wav',
+        defaultSampleRateHertz: 8000
+    }
+};
+
+// 別名での指定も受け付ける
+const FORMAT_ALIASES = {
+    opus: 'ogg',
+    ogg_opus: 'ogg',
+    linear16: 'wav',
+    ulaw: 'mulaw'
+};
+
+// WAVのフォーマットコード
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_MULAW = 7;
+
+// format パラメータを正規化してフォーマット定義を返す（未対応の場合はnull）
+const getAudioFormat = (format = 'mp3') => {
+    if (typeof format !== 'string') return null;
+
+    const key = format.toLowerCase();
+    const name = FORMAT_ALIASES[key] || key;
+    return AUDIO_FORMATS[name] ? { name, ...AUDIO_FORMATS[name] } : null;
+};
+
+// エンコーディング名からフォーマット定義を返す
+const getAudioFormatByEncoding = (audioEncoding) => {
+    const name = Object.keys(AUDIO_FORMATS).find(key => AUDIO_FORMATS[key].audioEncoding === audioEncoding);
+    return name ? { name, ...AUDIO_FORMATS[name] } : null;
+};
+
+// MP3先頭のID3v2タグを除去（連結時に途中へタグが混入しないようにする）
+const stripId3v2 = (buffer) => {
+    if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+        return buffer;
+    }
+
+    // タグサイズは7bit×4バイトのsynchsafe整数
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    const hasFooter = (buffer[5] & 0x10) !== 0;
+    return buffer.subarray(10 + size + (hasFooter ? 10 : 0));
+};
+
+// MP3フレーム列を1つの連続したMP3に結合
+const concatMp3 = (buffers) => {
+    return Buffer.concat(buffers.map((buffer, index) => (index === 0 ? buffer : stripId3v2(buffer))));
+};
+
+/**
+ * WAVヘッダー（44バイト）を生成する
+ * @param {Object} options
+ * @param {number} options.dataLength - PCMデータのバイト数
+ * @param {number} options.sampleRate
+ * @param {number} [options.channels]
+ * @param {number} [options.bitsPerSample]
+ * @param {number} [options.formatCode] - 1: PCM, 7: μ-law
+ * @returns {Buffer}
+ */
+const createWavHeader = ({ dataLength, sampleRate, channels = 1, bitsPerSample = 16, formatCode = WAV_FORMAT_PCM }) => {
+    const header = Buffer.alloc(44);
+    const blockAlign = channels * bitsPerSample / 8;
+
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataLength, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(formatCode, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataLength, 40);
+
+    return header;
+};
+
+/**
+ * WAVファイルからサンプルデータを取り出す（ヘッダーがなければそのまま返す）
+ * @param {Buffer} buffer
+ * @returns {{data: Buffer, sampleRate: number|null, channels: number|null, bitsPerSample: number|null}}
+ */
+const extractWavData = (buffer) => {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        return { data: buffer, sampleRate: null, channels: null, bitsPerSample: null };
+    }
+
+    let offset = 12;
+    let format = {};
+
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            format = {
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bitsPerSample: buffer.readUInt16LE(body + 14)
+            };
+        } else if (chunkId === 'data') {
+            // ストリーミング出力ではサイズが未確定（0や最大値）の場合があるため残り全体を使う
+            const end = chunkSize > 0 && body + chunkSize <= buffer.length ? body + chunkSize : buffer.length;
+            return { data: buffer.subarray(body, end), sampleRate: null, channels: null, bitsPerSample: null, ...format };
+        }
+
+        offset = body + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('WAVデータにdataチャンクが見つかりません');
+};
+
+// G.711 μ-law エンコード
+const encodeMulawSample = (sample) => {
+    const BIAS = 0x84;
+    const sign = sample < 0 ? 0x80 : 0;
+    let magnitude = Math.min(Math.abs(sample), 32635) + BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+    return ~(sign | (exponent << 4) | mantissa) & 0xff;
+};
+
+// PCM（またはμ-law）データをWAVとして包む
+const wrapWav = (data, { sampleRate, audioEncoding = 'LINEAR16', channels = 1 }) => {
+    const isMulaw = audioEncoding === 'MULAW';
+    const header = createWavHeader({
+        dataLength: data.length,
+        sampleRate,
+        channels,
+        bitsPerSample: isMulaw ? 8 : 16,
+        formatCode: isMulaw ? WAV_FORMAT_MULAW : WAV_FORMAT_PCM
+    });
+    return Buffer.concat([header, data]);
+};
+
+/**
+ * チャンクごとに合成された音声を1つのファイルに結合する
+ * @param {Buffer[]} buffers
+ * @param {Object} audioConfig - リクエストのaudioConfig（audioEncoding, sampleRateHertz）
+ * @returns {Buffer}
+ */
+const concatAudio = (buffers, { audioEncoding = 'MP3', sampleRateHertz } = {}) => {
+    switch (audioEncoding) {
+        case 'LINEAR16':
+        case 'MULAW': {
+            // 各チャンクのWAVヘッダーを外してサンプルを連結し、正しい長さのヘッダーを付け直す
+            const parts = buffers.map(extractWavData);
+            const sampleRate = sampleRateHertz || parts[0].sampleRate || getAudioFormatByEncoding(audioEncoding).defaultSampleRateHertz;
+            return wrapWav(Buffer.concat(parts.map(part => part.data)), { sampleRate, audioEncoding });
+        }
+        case 'OGG_OPUS':
+            // グラニュール位置が連続する1つの論理ストリームにまとめる
+            return concatOggOpus(buffers);
+        default:
+            return concatMp3(buffers);
+    }
+};
+
+// MP3のビットレート表（kbps。Layer IIIのみ）
+const MP3_BITRATES = {
+    mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const MP3_SAMPLE_RATES = {
+    3: [44100, 48000, 32000], // MPEG-1
+    2: [22050, 24000, 16000], // MPEG-2
+    0: [11025, 12000, 8000] // MPEG-2.5
+};
+
+// MP3のフレームを順にたどって再生時間を求める
+const getMp3Duration = (buffer) => {
+    const audio = stripId3v2(buffer);
+    let offset = 0;
+    let seconds = 0;
+
+    while (offset + 4 <= audio.length) {
+        const version = (audio[offset + 1] >> 3) & 0x3;
+        const layer = (audio[offset + 1] >> 1) & 0x3;
+        const bitrateIndex = audio[offset + 2] >> 4;
+        const rateIndex = (audio[offset + 2] >> 2) & 0x3;
+
+        // フレーム同期が取れない場合（途中のID3タグなど）は1バイトずつ読み進める
+        if (audio[offset] !== 0xff || (audio[offset + 1] & 0xe0) !== 0xe0 || version === 1 || layer !== 1 ||
+            bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+            offset++;
+            continue;
+        }
+
+        const isMpeg1 = version === 3;
+        const bitrate = (isMpeg1 ? MP3_BITRATES.mpeg1 : MP3_BITRATES.mpeg2)[bitrateIndex] * 1000;
+        const sampleRate = MP3_SAMPLE_RATES[version][rateIndex];
+        const padding = (audio[offset + 2] >> 1) & 0x1;
+        const samplesPerFrame = isMpeg1 ? 1152 : 576;
+
+        seconds += samplesPerFrame / sampleRate;
+        offset += Math.floor(samplesPerFrame / 8 * bitrate / sampleRate) + padding;
+    }
+
+    return seconds;
+};
+
+// Ogg Opusの論理ストリームごとに最終グラニュール位置からプリスキップを引いて合計する（連結ストリーム対応）
+const getOggOpusDuration = (buffer) => {
+    const streams = [];
+    const current = new Map();
+    let offset = 0;
+
+    while (offset + 27 <= buffer.length && buffer.toString('ascii', offset, offset + 4) === 'OggS') {
+        const granulePosition = Number(buffer.readBigUInt64LE(offset + 6));
+        const serial = buffer.readUInt32LE(offset + 14);
+        const segmentCount = buffer[offset + 26];
+        let bodyLength = 0;
+        for (let i = 0; i < segmentCount; i++) {
+            bodyLength += buffer[offset + 27 + i];
+        }
+        const body = offset + 27 + segmentCount;
+
+        // 先頭ページ（BOS）ごとに新しいストリームとして数える
+        if ((buffer[offset + 5] & 0x02) || !current.has(serial)) {
+            const isOpusHead = buffer.toString('ascii', body, body + 8) === 'OpusHead';
+            const stream = { preSkip: isOpusHead ? buffer.readUInt16LE(body + 10) : 0, granulePosition: 0 };
+            streams.push(stream);
+            current.set(serial, stream);
+        }
+        // -1（ページ内でパケットが完結しない）は無視する
+        const stream = current.get(serial);
+        if (granulePosition >= 0 && granulePosition < Number.MAX_SAFE_INTEGER) {
+            stream.granulePosition = Math.max(stream.granulePosition, granulePosition);
+        }
+
+        offset = body + bodyLength;
+    }
+
+    let samples = 0;
+    for (const stream of streams) {
+        samples += Math.max(0, stream.granulePosition - stream.preSkip);
+    }
+    // Opusのグラニュール位置は常に48kHz単位
+    return samples / 48000;
+};
+
+/**
+ * 音声データの再生時間を求める
+ * @param {Buffer} buffer
+ * @param {string} [audioEncoding]
+ * @returns {number} 秒
+ */
+const getAudioDuration = (buffer, audioEncoding = 'MP3') => {
+    switch (audioEncoding) {
+        case 'LINEAR16':
+        case 'MULAW': {
+            const { data, sampleRate, channels, bitsPerSample } = extractWavData(buffer);
+            const defaultFormat = getAudioFormatByEncoding(audioEncoding);
+            const bytesPerSecond = (sampleRate || defaultFormat.defaultSampleRateHertz) *
+                (channels || 1) * (bitsPerSample || (audioEncoding === 'MULAW' ? 8 : 16)) / 8;
+            return data.length / bytesPerSecond;
+        }
+        case 'OGG_OPUS':
+            return getOggOpusDuration(buffer);
+        default:
+            return getMp3Duration(buffer);
+    }
+};
+
+module.exports = {
+    AUDIO_FORMATS,
+    getAudioFormat,
+    getAudioFormatByEncoding,
+    stripId3v2,
+    concatMp3,
+    createWavHeader,
+    extractWavData,
+    wrapWav,
+    encodeMulawSample,
+    concatAudio,
+    getAudioDuration
+};
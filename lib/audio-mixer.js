@@ -0,0 +1,145 @@
+// エピソードテンプレートのミックス（イントロ・アウトロを前後に付け、話している間は下げたBGMを重ねる）
+const { extractWavData } = require('./audio-format');
+const { runFfmpeg } = require('./ffmpeg');
+
+// 話しているとみなすレベル（10msごとの実効値、dBFS）
+const SPEECH_THRESHOLD_DB = -45;
+const ENVELOPE_WINDOW_SECONDS = 0.01;
+
+// BGMを下げるのにかける時間（話し始めの少し前から下げる）と、話し終わってから戻すのにかける時間
+const DUCK_ATTACK_SECONDS = 0.08;
+const DUCK_RELEASE_SECONDS = 0.6;
+
+const FULL_SCALE = 32768;
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+const toInt16Array = (buffer) => new Int16Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length - (buffer.length % 2)));
+
+const isPcmWav = (buffer) => {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') return false;
+    try {
+        return extractWavData(buffer).bitsPerSample === 16;
+    } catch (error) {
+        return false;
+    }
+};
+
+// 複数チャンネルを平均してモノラルにし、線形補間でサンプルレートを合わせる
+const convertPcm = (samples, { channels, fromRate, toRate }) => {
+    const frames = Math.floor(samples.length / channels);
+    const mono = new Float32Array(frames);
+    for (let i = 0; i < frames; i++) {
+        let sum = 0;
+        for (let c = 0; c < channels; c++) {
+            sum += samples[i * channels + c];
+        }
+        mono[i] = sum / channels;
+    }
+
+    const length = Math.floor(frames * toRate / fromRate);
+    const output = new Int16Array(length);
+    const ratio = fromRate / toRate;
+    for (let i = 0; i < length; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, frames - 1);
+        output[i] = Math.round(mono[index] + (mono[next] - mono[index]) * (position - index));
+    }
+    return output;
+};
+
+/**
+ * 素材の音声を指定のサンプルレートのモノラル16bit PCMにする
+ * 16bit PCMのWAVはサーバー内で変換し、それ以外（MP3・Ogg など）はffmpegでデコードする
+ * @param {Buffer} buffer
+ * @param {number} sampleRate
+ * @param {Object} [options]
+ * @param {string} [options.ffmpegPath]
+ * @returns {Promise<Int16Array>}
+ */
+const decodeAudio = async (buffer, sampleRate, { ffmpegPath } = {}) => {
+    if (isPcmWav(buffer)) {
+        const { data, sampleRate: fromRate, channels } = extractWavData(buffer);
+        return convertPcm(toInt16Array(data), { channels: channels || 1, fromRate: fromRate || sampleRate, toRate: sampleRate });
+    }
+
+    const pcm = await runFfmpeg(buffer, ['-i', 'pipe:0', '-f', 's16le', '-ac', '1', '-ar', String(sampleRate), 'pipe:1'], ffmpegPath);
+    return toInt16Array(pcm);
+};
+
+// 10msごとに話しているかどうか
+const detectSpeech = (samples, sampleRate) => {
+    const windowLength = Math.max(1, Math.round(ENVELOPE_WINDOW_SECONDS * sampleRate));
+    const threshold = dbToGain(SPEECH_THRESHOLD_DB) * FULL_SCALE;
+    const flags = new Uint8Array(Math.ceil(samples.length / windowLength));
+
+    for (let w = 0; w < flags.length; w++) {
+        const start = w * windowLength;
+        const end = Math.min(samples.length, start + windowLength);
+        let sum = 0;
+        for (let i = start; i < end; i++) {
+            sum += samples[i] * samples[i];
+        }
+        flags[w] = sum / (end - start) > threshold * threshold ? 1 : 0;
+    }
+    return { flags, windowLength };
+};
+
+/**
+ * 音声をテンプレートに沿ってミックスする
+ * イントロ → 間 → 本編 → 間 → アウトロ の順に並べ、BGMはイントロの後からアウトロの前まで繰り返して重ねる
+ * @param {Int16Array} speech - 本編の音声
+ * @param {number} sampleRate
+ * @param {Object} template - resolve() で取り出したテンプレート（bedVolumeDb, duckDb, fadeInMs, fadeOutMs, gapMs）
+ * @param {{intro: Int16Array|null, outro: Int16Array|null, bed: Int16Array|null}} sources - decodeAudio() でデコードした素材
+ * @returns {{samples: Int16Array, speechStart: number}} speechStart は本編の開始位置（サンプル数）
+ */
+const mixEpisode = (speech, sampleRate, template, { intro = null, outro = null, bed = null }) => {
+    const toSamples = (ms) => Math.round(ms / 1000 * sampleRate);
+    const gap = toSamples(template.gapMs);
+
+    const speechStart = intro ? intro.length + gap : 0;
+    const speechEnd = speechStart + speech.length;
+    const outroStart = outro ? speechEnd + gap : speechEnd;
+    const output = new Int16Array(outroStart + (outro ? outro.length : 0));
+
+    if (intro) output.set(intro, 0);
+    output.set(speech, speechStart);
+    if (outro) output.set(outro, outroStart);
+
+    if (!bed || bed.length === 0) {
+        return { samples: output, speechStart };
+    }
+
+    const bedStart = intro ? intro.length : 0;
+    const bedEnd = outroStart;
+    const bedGain = dbToGain(template.bedVolumeDb);
+    const duckGain = dbToGain(template.duckDb);
+    const fadeIn = Math.max(1, toSamples(template.fadeInMs));
+    const fadeOut = Math.max(1, toSamples(template.fadeOutMs));
+    const attack = 1 - Math.exp(-1 / (DUCK_ATTACK_SECONDS * sampleRate / 5));
+    const release = 1 - Math.exp(-1 / (DUCK_RELEASE_SECONDS * sampleRate / 5));
+    const lookahead = Math.round(DUCK_ATTACK_SECONDS * sampleRate);
+    const { flags, windowLength } = detectSpeech(speech, sampleRate);
+
+    let gain = 1;
+    for (let i = bedStart; i < bedEnd; i++) {
+        // 話し始める少し前から下げ始め、話し終わったらゆっくり戻す
+        const position = i + lookahead - speechStart;
+        const speaking = position >= 0 && position < speech.length && flags[Math.floor(position / windowLength)] === 1;
+        const target = speaking ? duckGain : 1;
+        gain += (target - gain) * (target < gain ? attack : release);
+
+        const fade = Math.min(1, (i - bedStart) / fadeIn, (bedEnd - i) / fadeOut);
+        const value = output[i] + bed[(i - bedStart) % bed.length] * bedGain * gain * fade;
+        output[i] = Math.max(-FULL_SCALE, Math.min(FULL_SCALE - 1, Math.round(value)));
+    }
+
+    return { samples: output, speechStart };
+};
+
+module.exports = {
+    decodeAudio,
+    mixEpisode
+};
@@ -0,0 +1,276 @@
+// 合成後の音声の後処理（先頭・末尾の無音の除去、ラウドネスの正規化、エピソードテンプレートのミックス）
+// プロバイダーからLINEAR16で受け取ったPCMを処理し、指定の形式にエンコードし直す
+const fs = require('fs').promises;
+const { extractWavData, wrapWav, encodeMulawSample } = require('./audio-format');
+const { measureLoudness, measurePeak, findSilenceBounds, applyGain } = require('./loudness');
+const { decodeAudio, mixEpisode } = require('./audio-mixer');
+const { getFfmpegPath, isFfmpegAvailable, runFfmpeg } = require('./ffmpeg');
+
+// 既定値（ポッドキャストで一般的な -16 LUFS にそろえ、話し始めの前と話し終わりの後に250msの余白を残す）
+const DEFAULT_POST_PROCESSING = {
+    trimSilence: true,
+    silenceThresholdDb: -50,
+    paddingMs: 250,
+    targetLufs: -16,
+    maxPeakDb: -1
+};
+
+const LIMITS = {
+    silenceThresholdDb: [-90, -20],
+    paddingMs: [0, 2000],
+    targetLufs: [-40, -5],
+    maxPeakDb: [-9, 0]
+};
+
+// MP3・Ogg Opusはローカルのffmpegでエンコードする（PCMは標準入力から渡す）
+const FFMPEG_ENCODERS = {
+    MP3: ['-c:a', 'libmp3lame', '-b:a', '64k', '-id3v2_version', '0', '-write_xing', '0', '-f', 'mp3'],
+    OGG_OPUS: ['-c:a', 'libopus', '-b:a', '48k', '-ar', '48000', '-f', 'ogg']
+};
+
+const round = (value, digits = 1) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+/**
+ * 後処理の指定を検証する（true は既定値で無音の除去とラウドネスの正規化を行う）
+ * @param {boolean|Object} [value] - { trimSilence, silenceThresholdDb, paddingMs, targetLufs, maxPeakDb }
+ *   targetLufs に null または false を指定するとラウドネスは変えない
+ * @returns {{valid: boolean, error?: string, postProcessing?: Object|null}}
+ */
+const parsePostProcessing = (value) => {
+    if (value === undefined || value === null || value === false || value === '') {
+        return { valid: true, postProcessing: null };
+    }
+    if (value !== true && (typeof value !== 'object' || Array.isArray(value))) {
+        return { valid: false, error: 'postProcessing には true または { trimSilence, targetLufs, ... } を指定してください' };
+    }
+
+    const options = { ...DEFAULT_POST_PROCESSING, ...(value === true ? {} : value) };
+    if (typeof options.trimSilence !== 'boolean') {
+        return { valid: false, error: 'postProcessing.trimSilence は true または false を指定してください' };
+    }
+
+    const postProcessing = { trimSilence: options.trimSilence };
+    for (const [key, [min, max]] of Object.entries(LIMITS)) {
+        if (key === 'targetLufs' && (options.targetLufs === null || options.targetLufs === false)) {
+            postProcessing.targetLufs = null;
+            continue;
+        }
+        const number = parseFloat(options[key]);
+        if (isNaN(number) || number < min || number > max) {
+            return { valid: false, error: `postProcessing.${key} は${min}から${max}の範囲で指定してください` };
+        }
+        postProcessing[key] = number;
+    }
+
+    if (!postProcessing.trimSilence && postProcessing.targetLufs === null) {
+        return { valid: false, error: 'postProcessing では無音の除去かラウドネスの正規化の少なくとも一方を指定してください' };
+    }
+
+    return { valid: true, postProcessing };
+};
+
+/**
+ * 後処理・テンプレートのミックスにffmpegが必要な場合は、合成を始める前にffmpegを実行できるか確認する
+ * MP3・Ogg Opusへのエンコードと、WAV以外の素材のデコードにffmpegを使う
+ * @param {string} audioEncoding - 出力のエンコーディング
+ * @param {Object} [options]
+ * @param {Object|null} [options.postProcessing] - parsePostProcessing() の postProcessing
+ * @param {Object|null} [options.template] - EpisodeTemplateStore#resolve() のテンプレート
+ * @param {string} [options.ffmpegPath]
+ * @returns {{valid: boolean, error?: string, status?: number}} ffmpegが見つからない場合は status 503
+ */
+const checkFfmpegRequirement = (audioEncoding, { postProcessing = null, template = null, ffmpegPath = getFfmpegPath() } = {}) => {
+    const encodes = Boolean((postProcessing || template) && FFMPEG_ENCODERS[audioEncoding]);
+    const decodes = Boolean(template && Object.values(template.assets).some(asset => asset && !/\.wav$/i.test(asset.file)));
+    if ((!encodes && !decodes) || isFfmpegAvailable(ffmpegPath)) {
+        return { valid: true };
+    }
+
+    const usage = encodes
+        ? '音量と無音の調整・テンプレートのミックスをMP3・OGGで出力するには'
+        : 'テンプレートのWAV以外の素材をミックスするには';
+    return {
+        valid: false,
+        status: 503,
+        error: `${usage}ffmpegが必要ですが、サーバーで見つかりません（${ffmpegPath}）。` +
+            `${encodes ? 'WAVで出力するか、' : ''}ffmpegをインストールするか TTS_FFMPEG_PATH を指定してください`
+    };
+};
+
+/**
+ * 後処理またはテンプレートのミックスをする場合は、指定の形式と同じサンプルレートのLINEAR16で合成するリクエストにする
+ * @param {Object} baseRequest - input以外のリクエスト設定
+ * @param {Object|null} processing - parsePostProcessing() の postProcessing、またはテンプレート
+ * @returns {Object}
+ */
+const toProcessingRequest = (baseRequest, processing) => {
+    if (!processing || baseRequest.audioConfig.audioEncoding === 'LINEAR16') return baseRequest;
+
+    return {
+        ...baseRequest,
+        audioConfig: { ...baseRequest.audioConfig, audioEncoding: 'LINEAR16' }
+    };
+};
+
+/**
+ * 処理したPCMを指定のエンコーディングの音声にする
+ * @param {Int16Array} samples
+ * @param {Object} audioConfig - 出力するaudioConfig（audioEncoding, sampleRateHertz）
+ * @param {Object} [options]
+ * @param {string} [options.ffmpegPath]
+ * @returns {Promise<Buffer>}
+ */
+const encodePcm = async (samples, { audioEncoding, sampleRateHertz }, { ffmpegPath = getFfmpegPath() } = {}) => {
+    const pcm = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+    switch (audioEncoding) {
+        case 'LINEAR16':
+            return wrapWav(pcm, { sampleRate: sampleRateHertz });
+        case 'MULAW':
+            return wrapWav(Buffer.from(Uint8Array.from(samples, encodeMulawSample)), { sampleRate: sampleRateHertz, audioEncoding });
+        default:
+            if (!FFMPEG_ENCODERS[audioEncoding]) {
+                throw new Error(`未対応のエンコーディングです: ${audioEncoding}`);
+            }
+            return runFfmpeg(pcm, [
+                '-f', 's16le', '-ar', String(sampleRateHertz), '-ac', '1', '-i', 'pipe:0',
+                ...FFMPEG_ENCODERS[audioEncoding], 'pipe:1'
+            ], ffmpegPath);
+    }
+};
+
+// テンプレートの素材を読み込み、本編と同じサンプルレートのPCMにする
+const loadTemplateSources = async (template, sampleRate, options) => {
+    const sources = {};
+    for (const role of ['intro', 'outro', 'bed']) {
+        const asset = template.assets[role];
+        if (!asset) {
+            sources[role] = null;
+            continue;
+        }
+
+        let buffer;
+        try {
+            buffer = await fs.readFile(asset.file);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`テンプレート「${template.name}」の素材「${asset.name}」が見つかりません`);
+            }
+            throw error;
+        }
+        sources[role] = await decodeAudio(buffer, sampleRate, options);
+    }
+    return sources;
+};
+
+/**
+ * LINEAR16のWAVの無音を除き、テンプレートのイントロ・アウトロ・BGMをミックスし、
+ * ラウドネスをそろえてから指定の形式にエンコードする
+ * @param {Buffer} wav - toProcessingRequest() のリクエストで合成・結合した音声
+ * @param {Object|null} postProcessing - parsePostProcessing() の postProcessing
+ * @param {Object} audioConfig - 出力するaudioConfig（audioEncoding, sampleRateHertz）
+ * @param {Object} [options]
+ * @param {Object} [options.template] - EpisodeTemplateStore#resolve() のテンプレート
+ * @param {string} [options.ffmpegPath]
+ * @returns {Promise<{audioContent: Buffer, report: Object}>}
+ *   report の trimmedStartSeconds は先頭から除いた長さ、speechStartSeconds はミックス後の本編の開始位置
+ *   （チャプターなどの時刻をずらすのに使う）
+ */
+const postProcessAudio = async (wav, postProcessing, audioConfig, { template = null, ...options } = {}) => {
+    const { data, sampleRate: wavSampleRate } = extractWavData(wav);
+    const sampleRate = wavSampleRate || audioConfig.sampleRateHertz;
+    let samples = new Int16Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.length - (data.length % 2)));
+
+    const report = {
+        trimmedStartSeconds: 0,
+        trimmedEndSeconds: 0,
+        inputLufs: null,
+        outputLufs: null,
+        gainDb: 0,
+        peakLimited: false,
+        speechStartSeconds: 0,
+        speechDurationSeconds: 0,
+        durationSeconds: 0,
+        template: null
+    };
+
+    if (postProcessing && postProcessing.trimSilence) {
+        const { start, end } = findSilenceBounds(samples, sampleRate, {
+            thresholdDb: postProcessing.silenceThresholdDb,
+            paddingMs: postProcessing.paddingMs
+        });
+        report.trimmedStartSeconds = round(start / sampleRate, 3);
+        report.trimmedEndSeconds = round((samples.length - end) / sampleRate, 3);
+        samples = samples.slice(start, end);
+    }
+
+    report.speechDurationSeconds = round(samples.length / sampleRate, 3);
+
+    if (template) {
+        const sources = await loadTemplateSources(template, sampleRate, options);
+        const mixed = mixEpisode(samples, sampleRate, template, sources);
+        samples = mixed.samples;
+        report.speechStartSeconds = round(mixed.speechStart / sampleRate, 3);
+        report.template = { id: template.id, name: template.name };
+    }
+
+    // テンプレートを使う場合はジングルを含むエピソード全体のラウドネスをそろえる
+    if (postProcessing && postProcessing.targetLufs !== null) {
+        const inputLufs = measureLoudness(samples, sampleRate);
+        // 無音のみの音声は増幅しない
+        if (isFinite(inputLufs)) {
+            // クリップしないよう、ピークが上限を超える分だけゲインを下げる
+            const peakDb = measurePeak(samples);
+            const gainDb = Math.min(postProcessing.targetLufs - inputLufs, postProcessing.maxPeakDb - peakDb);
+            samples = applyGain(samples, gainDb);
+            report.inputLufs = round(inputLufs);
+            report.outputLufs = round(measureLoudness(samples, sampleRate));
+            report.gainDb = round(gainDb, 2);
+            report.peakLimited = gainDb < postProcessing.targetLufs - inputLufs;
+        }
+    }
+
+    report.durationSeconds = round(samples.length / sampleRate, 3);
+
+    return {
+        audioContent: await encodePcm(samples, { ...audioConfig, sampleRateHertz: sampleRate }, options),
+        report
+    };
+};
+
+// 除いた先頭の無音の分だけ時刻を前にずらして本編の長さに収め、イントロの分だけ後ろにずらす
+const shiftTime = (seconds, { trimmedStartSeconds, speechStartSeconds, speechDurationSeconds }) => {
+    const speechTime = Math.min(speechDurationSeconds, Math.max(0, seconds - trimmedStartSeconds));
+    return Math.round((speechStartSeconds + speechTime) * 1000) / 1000;
+};
+
+/**
+ * 後処理の結果に合わせてチャプター・読み上げ位置・字幕の区間の時刻をずらす
+ * @param {Object} timings - { chapters, alignment, segments }（synthesizeLongText() の戻り値と同じ形）
+ * @param {Object} report - postProcessAudio() の report
+ * @returns {{chapters: Object[], alignment: Object|null, segments: Object[]}}
+ */
+const shiftTimings = ({ chapters = [], alignment = null, segments = [] }, report) => {
+    const shift = (item) => ({
+        ...item,
+        startTime: shiftTime(item.startTime, report),
+        endTime: shiftTime(item.endTime, report)
+    });
+
+    return {
+        chapters: chapters.map(shift),
+        alignment: alignment
+            ? { ...alignment, sentences: alignment.sentences.map(shift), words: alignment.words.map(shift) }
+            : null,
+        segments: segments.map(shift)
+    };
+};
+
+module.exports = {
+    DEFAULT_POST_PROCESSING,
+    parsePostProcessing,
+    checkFfmpegRequirement,
+    toProcessingRequest,
+    encodePcm,
+    postProcessAudio,
+    shiftTimings
+};
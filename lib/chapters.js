@@ -0,0 +1,132 @@
+// 見出しからのチャプター作成（見出しの位置でチャンクを区切り、連結後の音声での開始時刻を求める）
+const { getAudioDuration } = require('./audio-format');
+
+// Markdownの見出し（ATX形式: "## 見出し"）
+const ATX_HEADING_PATTERN = /^ {0,3}#{1,6}[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$/;
+
+// 受け付ける見出しの数と長さ
+const MAX_HEADINGS = 500;
+const MAX_HEADING_LENGTH = 200;
+
+// 最初の見出しより前の部分（タイトル・リードなど）のチャプター名
+const DEFAULT_INTRO_TITLE = 'はじめに';
+
+// Podcasting 2.0 チャプターファイルの形式バージョン
+const CHAPTERS_JSON_VERSION = '1.2.0';
+
+const normalizeHeading = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * テキストから見出しを探し、チャプターの開始位置（文字オフセット）を返す
+ * Markdownの見出しは記号を除いて読み上げるため、書き換えたテキストも返す
+ * @param {string} text - プレーンテキスト（SSMLは対象外）
+ * @param {Object} [options]
+ * @param {string[]} [options.headings] - 見出しとして扱う行（記事の読み込み結果など。出現順）
+ * @param {string} [options.introTitle] - 最初の見出しより前の部分のチャプター名
+ * @returns {{text: string, chapters: {title: string, offset: number}[]}}
+ */
+const findChapters = (text, { headings = [], introTitle } = {}) => {
+    const expected = (Array.isArray(headings) ? headings : [])
+        .filter(heading => typeof heading === 'string' && heading.trim())
+        .slice(0, MAX_HEADINGS)
+        .map(heading => normalizeHeading(heading).substring(0, MAX_HEADING_LENGTH));
+
+    const lines = text.split('\n');
+    const chapters = [];
+    let offset = 0;
+    let next = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+        const atx = ATX_HEADING_PATTERN.exec(lines[i]);
+        if (atx) {
+            lines[i] = atx[1];
+            chapters.push({ title: normalizeHeading(atx[1]).substring(0, MAX_HEADING_LENGTH), offset });
+        } else if (next < expected.length && normalizeHeading(lines[i]).substring(0, MAX_HEADING_LENGTH) === expected[next]) {
+            // 指定された見出しは順番に照合する（同じ文言の段落が後に出てきても誤検出しない）
+            chapters.push({ title: expected[next], offset });
+            next++;
+        }
+        offset += lines[i].length + 1;
+    }
+
+    if (chapters.length === 0) {
+        return { text, chapters };
+    }
+
+    if (text.substring(0, chapters[0].offset).trim()) {
+        chapters.unshift({ title: (introTitle && introTitle.trim()) || DEFAULT_INTRO_TITLE, offset: 0 });
+    }
+
+    return { text: lines.join('\n'), chapters };
+};
+
+/**
+ * チャプターの開始位置でテキストを区切ってからチャンクに分割する
+ * @param {string} text
+ * @param {{offset: number}[]} chapters
+ * @param {Function} splitSection - 区間をチャンクの配列に分割する関数
+ * @returns {{chunks: string[], chapterStarts: number[]}} chapterStartsは各チャプターの最初のチャンク番号
+ */
+const splitAtChapters = (text, chapters, splitSection) => {
+    const boundaries = [...chapters.map(chapter => chapter.offset), text.length];
+    const chunks = splitSection(text.substring(0, boundaries[0]));
+    const chapterStarts = [];
+
+    for (let i = 0; i < chapters.length; i++) {
+        chapterStarts.push(chunks.length);
+        chunks.push(...splitSection(text.substring(boundaries[i], boundaries[i + 1])));
+    }
+
+    return { chunks, chapterStarts };
+};
+
+/**
+ * チャンクごとの音声の長さから各チャプターの開始・終了時刻（秒）を求める
+ * @param {{title: string}[]} chapters
+ * @param {number[]} chapterStarts - splitAtChapters() の戻り値
+ * @param {Buffer[]} audioParts - チャンクごとの音声
+ * @param {string} audioEncoding - 'MP3' など
+ * @returns {{title: string, startTime: number, endTime: number}[]}
+ */
+const timeChapters = (chapters, chapterStarts, audioParts, audioEncoding) => {
+    const chunkStartTimes = [0];
+    for (const part of audioParts) {
+        chunkStartTimes.push(chunkStartTimes[chunkStartTimes.length - 1] + getAudioDuration(part, audioEncoding));
+    }
+
+    const round = (seconds) => Math.round(seconds * 1000) / 1000;
+    const totalDuration = chunkStartTimes[chunkStartTimes.length - 1];
+
+    return chapters.map((chapter, index) => ({
+        title: chapter.title,
+        startTime: round(chunkStartTimes[chapterStarts[index]]),
+        endTime: round(index + 1 < chapters.length ? chunkStartTimes[chapterStarts[index + 1]] : totalDuration)
+    }));
+};
+
+/**
+ * Podcasting 2.0 のチャプターファイル（application/json+chapters）
+ * @param {{title: string, startTime: number, endTime: number}[]} chapters
+ * @param {Object} [options]
+ * @param {string} [options.title] - エピソード名
+ * @returns {Object}
+ */
+const toChaptersJson = (chapters, { title } = {}) => ({
+    version: CHAPTERS_JSON_VERSION,
+    title: title || undefined,
+    chapters: chapters.map(chapter => ({
+        startTime: chapter.startTime,
+        endTime: chapter.endTime,
+        title: chapter.title
+    }))
+});
+
+module.exports = {
+    MAX_HEADINGS,
+    MAX_HEADING_LENGTH,
+    DEFAULT_INTRO_TITLE,
+    findChapters,
+    splitAtChapters,
+    timeChapters,
+    toChaptersJson
+};
@@ -0,0 +1,128 @@
+// CSVの読み書き（RFC 4180: ダブルクォート内の改行・カンマ・""に対応）
+
+// 表計算ソフトが数式として扱う先頭の文字（書き出し時は ' を付けて文字列として扱わせる）
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * CSVを行の配列に変換する（行ごとに開始行の番号を付ける）
+ * @param {string} text
+ * @returns {{cells: string[], line: number}[]} line はダブルクォート内の改行も数えたファイル上の行番号（1始まり）
+ */
+const readCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    // 先頭のBOMは除去
+    const source = text.charCodeAt(0) === 0xfeff ? text.substring(1) : text;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ cells: row, line: rowLine });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ cells: row, line: rowLine });
+    }
+
+    // 空行は除外
+    return rows.filter(({ cells }) => cells.some(cell => cell !== ''));
+};
+
+/**
+ * CSVを行の配列に変換する
+ * @param {string} text
+ * @returns {string[][]}
+ */
+const parseCsvRows = (text) => readCsvRows(text).map(row => row.cells);
+
+/**
+ * 1行目を見出しとしてCSVを行の配列に変換する
+ * @param {string} text
+ * @returns {{record: Object, line: number}[]} line は行の開始位置のファイル上の行番号（エラーの表示に使う）
+ */
+const parseCsvRecords = (text) => {
+    const [header, ...rows] = readCsvRows(text);
+    if (!header) return [];
+
+    const keys = header.cells.map(key => key.trim());
+    return rows.map(({ cells, line }) => ({
+        record: Object.fromEntries(keys.map((key, index) => [key, cells[index] !== undefined ? cells[index] : ''])),
+        line
+    }));
+};
+
+/**
+ * 1行目を見出しとしてCSVをオブジェクトの配列に変換する
+ * @param {string} text
+ * @returns {Object[]}
+ */
+const parseCsv = (text) => parseCsvRecords(text).map(row => row.record);
+
+// 数式として扱われる文字で始まる値は ' を付け、カンマ・ダブルクォート・改行を含む値はダブルクォートで囲む
+const escapeCsvField = (value) => {
+    const raw = value === null || value === undefined ? '' : String(value);
+    const text = FORMULA_PREFIX_PATTERN.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * stringifyCsv() が数式の対策で付けた ' を外す
+ * 読み込んだ値は変えないため、自身で書き出したCSVを読み込む場合だけ使う
+ * @param {string} cell
+ * @returns {string}
+ */
+const unescapeCsvFormula = (cell) => (cell[0] === "'" && FORMULA_PREFIX_PATTERN.test(cell.substring(1)) ? cell.substring(1) : cell);
+
+/**
+ * オブジェクトの配列をCSVに変換する（Excelで文字化けしないようBOMを付ける）
+ * @param {string[]} keys - 見出しと列の順番
+ * @param {Object[]} records
+ * @returns {string}
+ */
+const stringifyCsv = (keys, records) => {
+    const lines = [keys, ...records.map(record => keys.map(key => record[key]))]
+        .map(cells => cells.map(escapeCsvField).join(','));
+    return `\ufeff${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+    parseCsvRows,
+    parseCsvRecords,
+    parseCsv,
+    stringifyCsv,
+    unescapeCsvFormula
+};
@@ -0,0 +1,166 @@
+// 複数話者の台本（「話者名: セリフ」の行）の解析と話者ごとの音声設定
+const { escapeSsml } = require('./ssml');
+const { PITCH_RANGE } = require('./audio-config');
+const { selectLexiconEntries } = require('./lexicon');
+
+const MAX_SPEAKERS = 10;
+const MAX_SPEAKER_NAME_LENGTH = 30;
+
+// セリフの間の無音（ミリ秒）
+const DEFAULT_GAP_MS = 500;
+const GAP_RANGE = { min: 0, max: 5000 };
+
+const VOICE_PATTERN = /^[a-z]{2,3}-[A-Z]{2}-[\w-]+$/;
+
+// 行頭の「話者名:」（全角のコロンも可）。数字だけの名前は時刻（10:30）などと区別するため話者にしない
+const SPEAKER_LINE_PATTERN = new RegExp(`^\\s*([^\\s:：][^:：]{0,${MAX_SPEAKER_NAME_LENGTH - 1}}?)\\s*[:：]\\s*(.*)$`);
+const NUMERIC_NAME_PATTERN = /^[\d\s]+$/;
+
+/**
+ * 台本をセリフに分ける（話者名のない行は直前のセリフの続きとして読む）
+ * @param {string} script
+ * @returns {{valid: boolean, error?: string, line?: number, lines?: {speaker: string, text: string}[]}}
+ */
+const parseDialogueScript = (script) => {
+    const lines = [];
+    let current = null;
+
+    const rows = script.replace(/\r\n?/g, '\n').split('\n');
+    for (let i = 0; i < rows.length; i++) {
+        const row = rows[i].trim();
+        if (!row) continue;
+
+        const match = row.match(SPEAKER_LINE_PATTERN);
+        if (match && !NUMERIC_NAME_PATTERN.test(match[1])) {
+            current = { speaker: match[1].trim(), text: match[2].trim() };
+            lines.push(current);
+        } else if (current) {
+            current.text = current.text ? `${current.text}\n${row}` : row;
+        } else {
+            return { valid: false, error: `${i + 1}行目: 台本の最初の行は「話者名: セリフ」の形式で入力してください`, line: i + 1 };
+        }
+    }
+
+    return { valid: true, lines: lines.filter(line => line.text) };
+};
+
+// 話者ごとの設定（voice・speed・pitch。省略した項目はリクエスト全体の設定を使う）
+const parseSpeakerSettings = (name, value, { voice, allowedVoices }) => {
+    if (value === undefined || value === null) {
+        return { valid: true, settings: { voice, speed: null, pitch: null } };
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return { valid: false, error: `話者「${name}」の設定はオブジェクトで指定してください` };
+    }
+
+    const speakerVoice = value.voice === undefined || value.voice === null || value.voice === '' ? voice : value.voice;
+    if (typeof speakerVoice !== 'string' || !VOICE_PATTERN.test(speakerVoice) ||
+        (allowedVoices && !allowedVoices.includes(speakerVoice))) {
+        return { valid: false, error: `話者「${name}」に無効な音声タイプが指定されています` };
+    }
+
+    let speed = null;
+    if (value.speed !== undefined && value.speed !== null && value.speed !== '') {
+        speed = parseFloat(value.speed);
+        if (isNaN(speed) || speed < 0.25 || speed > 4.0) {
+            return { valid: false, error: `話者「${name}」の速度は0.25から4.0の範囲で指定してください` };
+        }
+    }
+
+    let pitch = null;
+    if (value.pitch !== undefined && value.pitch !== null && value.pitch !== '') {
+        pitch = parseFloat(value.pitch);
+        if (isNaN(pitch) || pitch < PITCH_RANGE.min || pitch > PITCH_RANGE.max) {
+            return { valid: false, error: `話者「${name}」のピッチは${PITCH_RANGE.min}から${PITCH_RANGE.max}の範囲で指定してください` };
+        }
+    }
+
+    return { valid: true, settings: { voice: speakerVoice, speed, pitch } };
+};
+
+/**
+ * 台本と話者の設定を検証し、セリフごとの音声設定に正規化する
+ * @param {string} script - タグを除いた台本
+ * @param {Object} [value] - { speakers: { 話者名: { voice, speed, pitch } }, gapMs }
+ * @param {Object} [options] - { voice, allowedVoices }（話者の設定がない場合はこの音声で読む）
+ * @returns {{valid: boolean, error?: string, line?: number, dialogue?: {lines: Object[], gapMs: number}, transcript?: string}}
+ */
+const parseDialogueInput = (script, value = {}, { voice, allowedVoices } = {}) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return { valid: false, error: 'dialogue には話者の設定をオブジェクトで指定してください' };
+    }
+
+    const { speakers = {}, gapMs = DEFAULT_GAP_MS } = value;
+    if (speakers === null || typeof speakers !== 'object' || Array.isArray(speakers)) {
+        return { valid: false, error: 'dialogue.speakers には話者名ごとの設定をオブジェクトで指定してください' };
+    }
+
+    const gap = parseInt(gapMs, 10);
+    if (isNaN(gap) || gap < GAP_RANGE.min || gap > GAP_RANGE.max) {
+        return { valid: false, error: `dialogue.gapMs は${GAP_RANGE.min}から${GAP_RANGE.max}の範囲で指定してください` };
+    }
+
+    const scriptValidation = parseDialogueScript(script);
+    if (!scriptValidation.valid) return scriptValidation;
+    if (scriptValidation.lines.length === 0) {
+        return { valid: false, error: '台本に読み上げるセリフがありません' };
+    }
+
+    // 台本に登場しない話者の設定は無視する
+    const settingsBySpeaker = new Map();
+    for (const { speaker } of scriptValidation.lines) {
+        if (settingsBySpeaker.has(speaker)) continue;
+        if (settingsBySpeaker.size >= MAX_SPEAKERS) {
+            return { valid: false, error: `話者は${MAX_SPEAKERS}人までです` };
+        }
+
+        const own = Object.prototype.hasOwnProperty.call(speakers, speaker) ? speakers[speaker] : undefined;
+        const settingsValidation = parseSpeakerSettings(speaker, own, { voice, allowedVoices });
+        if (!settingsValidation.valid) return settingsValidation;
+        settingsBySpeaker.set(speaker, settingsValidation.settings);
+    }
+
+    const lines = scriptValidation.lines.map(line => ({ ...line, ...settingsBySpeaker.get(line.speaker) }));
+    return {
+        valid: true,
+        dialogue: { lines, gapMs: gap },
+        transcript: lines.map(line => `${line.speaker}: ${line.text}`).join('\n')
+    };
+};
+
+/**
+ * 1つのセリフを合成するSSML（次のセリフとの間は末尾の<break>で空ける）
+ * @param {{text: string}} line
+ * @param {number} gapMs - 最後のセリフは0
+ * @returns {string}
+ */
+const buildDialogueLineSsml = (line, gapMs) => {
+    const gap = gapMs > 0 ? `<break time="${gapMs}ms"/>` : '';
+    return `<speak>${escapeSsml(line.text)}${gap}</speak>`;
+};
+
+/**
+ * 台本のいずれかのセリフに適用される読みの辞書の項目（話者ごとに音声の言語が異なるため）
+ * @param {Object[]} entries
+ * @param {{lines: {voice: string, text: string}[]}} dialogue
+ * @returns {Object[]}
+ */
+const selectDialogueLexicon = (entries, dialogue) => {
+    const selected = new Map();
+    for (const line of dialogue.lines) {
+        for (const entry of selectLexiconEntries(entries, line.voice.substring(0, 5), line.text)) {
+            selected.set(entry.id, entry);
+        }
+    }
+    return [...selected.values()];
+};
+
+module.exports = {
+    MAX_SPEAKERS,
+    DEFAULT_GAP_MS,
+    GAP_RANGE,
+    parseDialogueScript,
+    parseDialogueInput,
+    buildDialogueLineSsml,
+    selectDialogueLexicon
+};
@@ -0,0 +1,119 @@
+// ポッドキャストとして公開したエピソードの一覧（DATA_DIR/episodes に音声とともに永続化）
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getAudioFormat, getAudioDuration } = require('./audio-format');
+
+// ポッドキャストアプリが確実に再生できる形式のみ公開する
+const PUBLISHABLE_FORMATS = ['mp3'];
+
+class EpisodeCatalog {
+    /**
+     * @param {Object} options
+     * @param {string} options.dataDir
+     */
+    constructor({ dataDir }) {
+        this.episodesDir = path.join(dataDir, 'episodes');
+        this.catalogFile = path.join(this.episodesDir, 'episodes.json');
+        this.episodes = new Map();
+        this.writing = Promise.resolve();
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.episodesDir, { recursive: true });
+
+        try {
+            const episodes = JSON.parse(await fs.promises.readFile(this.catalogFile, 'utf8'));
+            for (const episode of episodes) {
+                this.episodes.set(episode.id, episode);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('エピソード一覧の読み込みに失敗:', error.message);
+            }
+        }
+    }
+
+    audioFile(episode) {
+        return path.join(this.episodesDir, `${episode.id}.${getAudioFormat(episode.format).extension}`);
+    }
+
+    // 一覧の保存は順番に行い、常に最新の状態を書き込む
+    save() {
+        this.writing = this.writing
+            .catch(() => {})
+            .then(async () => {
+                const data = JSON.stringify([...this.episodes.values()], null, 2);
+                await fs.promises.writeFile(`${this.catalogFile}.tmp`, data);
+                await fs.promises.rename(`${this.catalogFile}.tmp`, this.catalogFile);
+            });
+        return this.writing;
+    }
+
+    /**
+     * 音声ファイルをエピソードとして公開する
+     * @param {Object} options
+     * @param {string} options.audioPath - 公開する音声ファイル（コピーして保存する）
+     * @param {string} options.format - 'mp3' など
+     * @param {Object} options.metadata - { title, description, author, publishedAt, link }
+     * @param {Object[]} [options.chapters] - チャプターの開始・終了時刻
+     * @param {string} [options.voice]
+     * @param {string} [options.jobId]
+     * @returns {Promise<Object>}
+     */
+    async publish({ audioPath, format, metadata, chapters = [], voice = null, jobId = null }) {
+        const audioFormat = getAudioFormat(format);
+        if (!audioFormat || !PUBLISHABLE_FORMATS.includes(audioFormat.name)) {
+            throw new Error('ポッドキャストとして公開できるのはMP3のみです');
+        }
+
+        const audio = await fs.promises.readFile(audioPath);
+        const now = new Date().toISOString();
+        const episode = {
+            id: crypto.randomUUID(),
+            title: metadata.title,
+            description: metadata.description || '',
+            author: metadata.author || '',
+            link: metadata.link || null,
+            publishedAt: metadata.publishedAt || now,
+            createdAt: now,
+            format: audioFormat.name,
+            contentType: audioFormat.contentType,
+            size: audio.length,
+            duration: Math.round(getAudioDuration(audio, audioFormat.audioEncoding)),
+            chapters,
+            voice,
+            jobId
+        };
+
+        await fs.promises.writeFile(this.audioFile(episode), audio);
+        this.episodes.set(episode.id, episode);
+        await this.save();
+
+        return episode;
+    }
+
+    get(id) {
+        return this.episodes.get(id) || null;
+    }
+
+    // 公開日の新しい順
+    list() {
+        return [...this.episodes.values()].sort((a, b) => b.publishedAt.localeCompare(a.publishedAt));
+    }
+
+    async remove(id) {
+        const episode = this.episodes.get(id);
+        if (!episode) return false;
+
+        this.episodes.delete(id);
+        await this.save();
+        await fs.promises.rm(this.audioFile(episode), { force: true });
+        return true;
+    }
+}
+
+module.exports = {
+    PUBLISHABLE_FORMATS,
+    EpisodeCatalog
+};
@@ -0,0 +1,311 @@
+// エピソードテンプレート（イントロ・アウトロ・BGMの素材と、BGMの音量・フェードの設定をDATA_DIR/templates に永続化する）
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getAudioDuration } = require('./audio-format');
+
+// 素材として受け付ける形式（先頭のバイト列で判定する）
+const ASSET_FORMATS = {
+    wav: { extension: 'wav', contentType: 'audio/wav', audioEncoding: 'LINEAR16' },
+    mp3: { extension: 'mp3', contentType: 'audio/mpeg', audioEncoding: 'MP3' },
+    ogg: { extension: 'ogg', contentType: 'audio/ogg', audioEncoding: 'OGG_OPUS' }
+};
+
+const ASSET_ROLES = ['intro', 'outro', 'bed'];
+
+// 素材の最大の長さ（秒）
+const MAX_ASSET_SECONDS = 600;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_TEMPLATES = 100;
+const MAX_ASSETS = 200;
+
+// 数値の設定の範囲と既定値（BGMは -20dB で流し、話している間はさらに12dB下げる）
+const TEMPLATE_SETTINGS = {
+    bedVolumeDb: { min: -60, max: 0, default: -20 },
+    duckDb: { min: -40, max: 0, default: -12 },
+    fadeInMs: { min: 0, max: 10000, default: 2000 },
+    fadeOutMs: { min: 0, max: 10000, default: 3000 },
+    gapMs: { min: 0, max: 5000, default: 500 }
+};
+
+/**
+ * 素材の形式を判定する
+ * @param {Buffer} buffer
+ * @returns {string|null} 'wav' | 'mp3' | 'ogg'
+ */
+const detectAssetFormat = (buffer) => {
+    if (buffer.length < 12) return null;
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+    if (buffer.toString('ascii', 0, 4) === 'OggS') return 'ogg';
+    if (buffer.toString('latin1', 0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return 'mp3';
+    return null;
+};
+
+/**
+ * 素材の長さ（秒）を求める
+ * @param {Buffer} buffer
+ * @param {string} format - detectAssetFormat() の形式
+ * @returns {number}
+ */
+const getAssetDuration = (buffer, format) => getAudioDuration(buffer, ASSET_FORMATS[format].audioEncoding);
+
+const parseName = (value, label) => {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH || /[\r\n]/.test(name)) {
+        return { valid: false, error: `${label}は改行を含まない${MAX_NAME_LENGTH}文字以内で入力してください` };
+    }
+    return { valid: true, name };
+};
+
+/**
+ * 素材名を検証する
+ * @param {string} value
+ * @returns {{valid: boolean, error?: string, name?: string}}
+ */
+const parseAssetName = (value) => parseName(value, '素材名（name）');
+
+/**
+ * テンプレートを検証する
+ * @param {Object} body - { name, introAssetId, outroAssetId, bedAssetId, bedVolumeDb, duckDb, fadeInMs, fadeOutMs, gapMs }
+ * @param {EpisodeTemplateStore} store - 素材の存在の確認に使う
+ * @returns {{valid: boolean, error?: string, template?: Object}}
+ */
+const parseEpisodeTemplate = (body = {}, store) => {
+    const nameValidation = parseName(body.name, 'テンプレート名（name）');
+    if (!nameValidation.valid) return nameValidation;
+
+    const template = { name: nameValidation.name };
+    for (const role of ASSET_ROLES) {
+        const key = `${role}AssetId`;
+        const id = body[key] === undefined || body[key] === null || body[key] === '' ? null : body[key];
+        if (id !== null && (typeof id !== 'string' || !store.getAsset(id))) {
+            return { valid: false, error: `${key} の素材が見つかりません` };
+        }
+        template[key] = id;
+    }
+    if (!ASSET_ROLES.some(role => template[`${role}AssetId`])) {
+        return { valid: false, error: 'イントロ・アウトロ・BGMの素材の少なくとも1つを指定してください' };
+    }
+
+    for (const [key, { min, max, default: defaultValue }] of Object.entries(TEMPLATE_SETTINGS)) {
+        const value = body[key] === undefined || body[key] === null || body[key] === '' ? defaultValue : parseFloat(body[key]);
+        if (isNaN(value) || value < min || value > max) {
+            return { valid: false, error: `${key} は${min}から${max}の範囲で指定してください` };
+        }
+        template[key] = value;
+    }
+
+    return { valid: true, template };
+};
+
+/**
+ * 合成リクエストのテンプレートの指定を検証する
+ * @param {string} [value] - テンプレートID
+ * @param {EpisodeTemplateStore|null} store
+ * @returns {{valid: boolean, error?: string, template?: Object|null}} template は resolve() のテンプレート
+ */
+const parseTemplateSelection = (value, store) => {
+    if (value === undefined || value === null || value === '') {
+        return { valid: true, template: null };
+    }
+    if (!store) {
+        return { valid: false, error: 'エピソードテンプレートは利用できません' };
+    }
+    const template = typeof value === 'string' ? store.resolve(value) : null;
+    if (!template) {
+        return { valid: false, error: 'テンプレートが見つかりません' };
+    }
+    return { valid: true, template };
+};
+
+class EpisodeTemplateStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.dataDir
+     */
+    constructor({ dataDir }) {
+        this.templatesDir = path.join(dataDir, 'templates');
+        this.assetsDir = path.join(this.templatesDir, 'assets');
+        this.storeFile = path.join(this.templatesDir, 'templates.json');
+        this.assets = new Map();
+        this.templates = new Map();
+        this.writing = Promise.resolve();
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.assetsDir, { recursive: true });
+
+        try {
+            const { assets = [], templates = [] } = JSON.parse(await fs.promises.readFile(this.storeFile, 'utf8'));
+            for (const asset of assets) {
+                this.assets.set(asset.id, asset);
+            }
+            for (const template of templates) {
+                this.templates.set(template.id, template);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('エピソードテンプレートの読み込みに失敗:', error.message);
+            }
+        }
+    }
+
+    // 一覧の保存は順番に行い、常に最新の状態を書き込む
+    save() {
+        this.writing = this.writing
+            .catch(() => {})
+            .then(async () => {
+                const data = JSON.stringify({ assets: [...this.assets.values()], templates: [...this.templates.values()] }, null, 2);
+                await fs.promises.writeFile(`${this.storeFile}.tmp`, data);
+                await fs.promises.rename(`${this.storeFile}.tmp`, this.storeFile);
+            });
+        return this.writing;
+    }
+
+    assetFile(asset) {
+        return path.join(this.assetsDir, `${asset.id}.${ASSET_FORMATS[asset.format].extension}`);
+    }
+
+    // 登録の新しい順
+    listAssets() {
+        return [...this.assets.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    getAsset(id) {
+        return this.assets.get(id) || null;
+    }
+
+    /**
+     * 素材を登録する
+     * @param {Object} options
+     * @param {string} options.name
+     * @param {Buffer} options.data
+     * @param {string} options.format - detectAssetFormat() の形式
+     * @param {number} options.duration - 秒
+     * @returns {Promise<Object|null>} 登録数の上限に達している場合はnull
+     */
+    async addAsset({ name, data, format, duration }) {
+        if (this.assets.size >= MAX_ASSETS) return null;
+
+        const asset = {
+            id: crypto.randomUUID(),
+            name,
+            format,
+            contentType: ASSET_FORMATS[format].contentType,
+            size: data.length,
+            duration: Math.round(duration * 10) / 10,
+            createdAt: new Date().toISOString()
+        };
+
+        await fs.promises.writeFile(`${this.assetFile(asset)}.tmp`, data);
+        await fs.promises.rename(`${this.assetFile(asset)}.tmp`, this.assetFile(asset));
+        this.assets.set(asset.id, asset);
+        await this.save();
+
+        return asset;
+    }
+
+    /**
+     * テンプレートで使われていない素材を削除する
+     * @returns {Promise<{removed: boolean, usedBy?: Object[]}|null>} 該当する素材がなければnull
+     */
+    async removeAsset(id) {
+        const asset = this.assets.get(id);
+        if (!asset) return null;
+
+        const usedBy = this.listTemplates()
+            .filter(template => ASSET_ROLES.some(role => template[`${role}AssetId`] === id))
+            .map(({ id: templateId, name }) => ({ id: templateId, name }));
+        if (usedBy.length > 0) {
+            return { removed: false, usedBy };
+        }
+
+        this.assets.delete(id);
+        await this.save();
+        await fs.promises.rm(this.assetFile(asset), { force: true });
+        return { removed: true };
+    }
+
+    // 名前順
+    listTemplates() {
+        return [...this.templates.values()].sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+    }
+
+    getTemplate(id) {
+        return this.templates.get(id) || null;
+    }
+
+    /**
+     * @param {Object} fields - parseEpisodeTemplate() の template
+     * @returns {Promise<Object|null>} 登録数の上限に達している場合はnull
+     */
+    async addTemplate(fields) {
+        if (this.templates.size >= MAX_TEMPLATES) return null;
+
+        const now = new Date().toISOString();
+        const template = { id: crypto.randomUUID(), ...fields, createdAt: now, updatedAt: now };
+        this.templates.set(template.id, template);
+        await this.save();
+        return template;
+    }
+
+    /**
+     * @param {string} id
+     * @param {Object} fields - parseEpisodeTemplate() の template
+     * @returns {Promise<Object|null>} 該当するテンプレートがなければnull
+     */
+    async updateTemplate(id, fields) {
+        const current = this.templates.get(id);
+        if (!current) return null;
+
+        const template = { ...current, ...fields, updatedAt: new Date().toISOString() };
+        this.templates.set(id, template);
+        await this.save();
+        return template;
+    }
+
+    async removeTemplate(id) {
+        if (!this.templates.has(id)) return false;
+
+        this.templates.delete(id);
+        await this.save();
+        return true;
+    }
+
+    /**
+     * 合成に使うテンプレート（素材のファイルの場所を含む）
+     * ジョブに保存し、登録後にテンプレートが変更されても同じ設定でミックスする
+     * @param {string} id
+     * @returns {Object|null} { id, name, bedVolumeDb, duckDb, fadeInMs, fadeOutMs, gapMs, assets: { intro, outro, bed } }
+     */
+    resolve(id) {
+        const template = this.templates.get(id);
+        if (!template) return null;
+
+        const assets = {};
+        for (const role of ASSET_ROLES) {
+            const asset = this.assets.get(template[`${role}AssetId`]);
+            assets[role] = asset ? { id: asset.id, name: asset.name, duration: asset.duration, file: this.assetFile(asset) } : null;
+        }
+
+        const settings = {};
+        for (const key of Object.keys(TEMPLATE_SETTINGS)) {
+            settings[key] = template[key];
+        }
+
+        return { id: template.id, name: template.name, ...settings, assets };
+    }
+}
+
+module.exports = {
+    ASSET_FORMATS,
+    MAX_ASSET_SECONDS,
+    TEMPLATE_SETTINGS,
+    detectAssetFormat,
+    getAssetDuration,
+    parseAssetName,
+    parseEpisodeTemplate,
+    parseTemplateSelection,
+    EpisodeTemplateStore
+};
@@ -0,0 +1,92 @@
+// 合成前の見積もり（課金対象の文字数・チャンク数・音声の長さ・料金）
+const { ssmlToPlainText } = require('./ssml');
+const { splitInputAtChapters, splitDialogue, splitLanguageRuns } = require('./synthesizer');
+const { estimateCost, roundUsd, DEFAULT_PRICING } = require('./pricing');
+
+// 1秒あたりに読み上げる文字数の目安（日本語と英数字で大きく異なる）
+const CJK_CHARS_PER_SECOND = 7;
+const LATIN_CHARS_PER_SECOND = 14;
+
+/**
+ * 無音の下限を設けない読み上げ時間（モックの音声の長さやタイムポイントにも使う）
+ * @param {string} source - テキストまたはSSML
+ * @param {number} [speakingRate]
+ * @returns {number} 秒
+ */
+const estimateSpeechSeconds = (source, speakingRate = 1.0) => {
+    // SSMLの<break time="...">は指定どおりの無音として加算
+    let breakSeconds = 0;
+    for (const match of source.matchAll(/<break\b[^>]*\btime\s*=\s*["'](\d+(?:\.\d+)?)(ms|s)["']/gi)) {
+        breakSeconds += parseFloat(match[1]) / (match[2].toLowerCase() === 'ms' ? 1000 : 1);
+    }
+
+    const text = source.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+    const cjkCount = (text.match(/[\u3000-\u30ff\u3400-\u9fff\uff00-\uffef]/g) || []).length;
+    const speechSeconds = cjkCount / CJK_CHARS_PER_SECOND + (text.length - cjkCount) / LATIN_CHARS_PER_SECOND;
+
+    return speechSeconds / (speakingRate || 1.0) + breakSeconds;
+};
+
+// 課金対象の文字数（SSMLのタグは数えない。サロゲートペアの絵文字なども1文字とする）
+const countBillableCharacters = (chunk, inputType) => {
+    return [...(inputType === 'ssml' ? ssmlToPlainText(chunk) : chunk)].length;
+};
+
+/**
+ * 合成する前に、実際の合成と同じ分割でチャンク数・文字数・音声の長さ・料金を見積もる
+ * @param {Object} params - parseSynthesisParams() の params
+ * @param {Object} baseRequest - buildSynthesisRequest() の戻り値
+ * @param {Object} [options]
+ * @param {Object[]} [options.lexicon] - 適用する読みの辞書の項目（分割の大きさに影響する）
+ * @param {Object} [options.pricing] - 種類ごとの100万文字あたりの料金
+ * @returns {{billableCharacters: number, chunkCount: number, durationSeconds: number, costUsd: number|null, tiers: Object[]}}
+ */
+const estimateSynthesis = (params, baseRequest, { lexicon = [], pricing = DEFAULT_PRICING } = {}) => {
+    let split = params.dialogue
+        ? splitDialogue(params.dialogue, baseRequest, { lexicon })
+        : splitInputAtChapters(params.input, params.inputType, params.chapters, { timepoints: params.timepoints, lexicon });
+    if (params.languageSwitch) {
+        split = splitLanguageRuns(split, baseRequest, params.languageSwitch, lexicon);
+    }
+    const { chunks, requests = null } = split;
+    const chunkInputType = requests ? 'ssml' : params.inputType;
+
+    // 音声の種類（料金の区分）ごとに文字数を集計する
+    const tiers = new Map();
+    let durationSeconds = 0;
+    chunks.forEach((chunk, index) => {
+        const request = requests ? requests[index] : baseRequest;
+        const cost = estimateCost(countBillableCharacters(chunk, chunkInputType), request.voice.name, pricing);
+        const tier = tiers.get(cost.type);
+        if (tier) {
+            tier.characters += cost.characters;
+            tier.usd = tier.usd === null ? null : roundUsd(tier.usd + cost.usd);
+        } else {
+            tiers.set(cost.type, cost);
+        }
+        durationSeconds += estimateSpeechSeconds(chunk, request.audioConfig.speakingRate);
+    });
+
+    // テンプレートのイントロ・アウトロとその前後の間も音声の長さに含める
+    if (params.template) {
+        for (const asset of [params.template.assets.intro, params.template.assets.outro]) {
+            if (asset) durationSeconds += asset.duration + params.template.gapMs / 1000;
+        }
+    }
+
+    const tierList = [...tiers.values()];
+    return {
+        billableCharacters: tierList.reduce((sum, tier) => sum + tier.characters, 0),
+        chunkCount: chunks.length,
+        durationSeconds: Math.round(durationSeconds * 10) / 10,
+        // 料金表にない種類の音声が含まれる場合は合計を出さない
+        costUsd: tierList.some(tier => tier.usd === null) ? null : roundUsd(tierList.reduce((sum, tier) => sum + tier.usd, 0)),
+        tiers: tierList
+    };
+};
+
+module.exports = {
+    estimateSpeechSeconds,
+    countBillableCharacters,
+    estimateSynthesis
+};
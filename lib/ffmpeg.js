@@ -0,0 +1,69 @@
+// ローカルのffmpegでの音声の変換（MP3・Ogg Opusのエンコードと、素材の音声のデコード）
+const { spawn, spawnSync } = require('child_process');
+
+// 見つからなかったffmpegを再確認するまでの間隔（インストール後は再起動しなくても使えるようにする）
+const RECHECK_INTERVAL_MS = 60 * 1000;
+
+// パスごとの確認結果（見つかった場合は true、見つからなかった場合は確認した時刻）
+const availability = new Map();
+
+/**
+ * ffmpegのパス（環境変数 TTS_FFMPEG_PATH、未指定の場合はPATH上の ffmpeg）
+ * @param {Object} [env]
+ * @returns {string}
+ */
+const getFfmpegPath = (env = process.env) => env.TTS_FFMPEG_PATH || 'ffmpeg';
+
+/**
+ * ffmpegを実行できるかどうか（合成を始める前の検証に使う）
+ * @param {string} [ffmpegPath]
+ * @returns {boolean}
+ */
+const isFfmpegAvailable = (ffmpegPath = getFfmpegPath()) => {
+    const checked = availability.get(ffmpegPath);
+    if (checked === true) return true;
+    if (checked !== undefined && Date.now() - checked < RECHECK_INTERVAL_MS) return false;
+
+    const result = spawnSync(ffmpegPath, ['-version'], { stdio: 'ignore', timeout: 5000 });
+    const available = !result.error && result.status === 0;
+    availability.set(ffmpegPath, available || Date.now());
+    return available;
+};
+
+/**
+ * 標準入力にデータを渡してffmpegを実行し、標準出力を返す
+ * @param {Buffer} input
+ * @param {string[]} args - 入力・出力の引数（入力は pipe:0、出力は pipe:1）
+ * @param {string} [ffmpegPath]
+ * @returns {Promise<Buffer>}
+ */
+const runFfmpeg = (input, args, ffmpegPath = getFfmpegPath()) => new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, ['-hide_banner', '-loglevel', 'error', ...args]);
+    const output = [];
+    const errors = [];
+
+    child.stdout.on('data', chunk => output.push(chunk));
+    child.stderr.on('data', chunk => errors.push(chunk));
+    // ffmpegが先に終了した場合の書き込みエラーは終了コードで扱う
+    child.stdin.on('error', () => {});
+    child.on('error', error => {
+        reject(error.code === 'ENOENT'
+            ? new Error(`ffmpegが見つかりません（${ffmpegPath}）。ffmpegをインストールするか TTS_FFMPEG_PATH を指定してください`)
+            : error);
+    });
+    child.on('close', code => {
+        if (code === 0) {
+            resolve(Buffer.concat(output));
+        } else {
+            reject(new Error(`ffmpegでの変換に失敗しました: ${Buffer.concat(errors).toString('utf8').trim() || `終了コード ${code}`}`));
+        }
+    });
+
+    child.stdin.end(input);
+});
+
+module.exports = {
+    getFfmpegPath,
+    isFfmpegAvailable,
+    runFfmpeg
+};
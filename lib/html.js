@@ -0,0 +1,206 @@
+// 記事HTML読み込み用の簡易HTMLパーサー（壊れたHTMLでも例外を出さずに木構造へ変換する）
+
+// 閉じタグを持たない要素
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// 中身をHTMLとして解釈しない要素
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript']);
+
+// 開始タグが現れると暗黙に閉じられる要素（例: <p>の中で次の<p>が始まる）
+const IMPLIED_END = {
+    p: new Set(['p', 'div', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'figure', 'table', 'hr']),
+    li: new Set(['li']),
+    option: new Set(['option'])
+};
+
+// ブロック要素（テキスト化するときに改行を入れる）
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'dt', 'dd', 'figure', 'figcaption', 'footer',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table',
+    'tr', 'ul'
+]);
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', ensp: ' ', emsp: ' ', thinsp: ' ',
+    hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«',
+    raquo: '»', middot: '·', bull: '•', copy: '©', reg: '®', trade: '™', times: '×', divide: '÷', deg: '°',
+    yen: '¥', euro: '€', pound: '£', shy: ''
+};
+
+const TAG_PATTERN = /<(\/?)([A-Za-z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// 文字参照をデコード
+const decodeEntities = (text) => {
+    return text.replace(/&(#\d+|#[xX][0-9a-fA-F]+|[A-Za-z]+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.substring(2), 16)
+                : parseInt(entity.substring(1), 10);
+            return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+        }
+
+        const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+        return decoded !== undefined ? decoded : match;
+    });
+};
+
+const createElement = (tag, attributes = {}, parent = null) => ({ type: 'element', tag, attributes, children: [], parent });
+
+/**
+ * HTMLを要素の木に変換する
+ * @param {string} html
+ * @returns {Object} ルート要素（tag: '#root'）
+ */
+const parseHtml = (html) => {
+    const root = createElement('#root');
+    const lowerHtml = html.toLowerCase();
+    let current = root;
+    let index = 0;
+
+    const closeTo = (tag) => {
+        for (let node = current; node !== root; node = node.parent) {
+            if (node.tag === tag) {
+                current = node.parent;
+                return;
+            }
+        }
+        // 対応する開始タグがない閉じタグは無視する
+    };
+
+    while (index < html.length) {
+        if (html.startsWith('<!--', index)) {
+            const end = html.indexOf('-->', index + 4);
+            index = end === -1 ? html.length : end + 3;
+            continue;
+        }
+
+        if (html.startsWith('<!', index) || html.startsWith('<?', index)) {
+            const end = html.indexOf('>', index);
+            index = end === -1 ? html.length : end + 1;
+            continue;
+        }
+
+        if (html[index] === '<') {
+            TAG_PATTERN.lastIndex = index;
+            const match = TAG_PATTERN.exec(html);
+
+            if (match) {
+                const [raw, closing, rawName, attributeText, selfClosing] = match;
+                const tag = rawName.toLowerCase();
+                index += raw.length;
+
+                if (closing) {
+                    closeTo(tag);
+                    continue;
+                }
+
+                const attributes = {};
+                for (const [, key, doubleQuoted, singleQuoted, unquoted] of attributeText.matchAll(ATTRIBUTE_PATTERN)) {
+                    const value = doubleQuoted !== undefined ? doubleQuoted : (singleQuoted !== undefined ? singleQuoted : unquoted);
+                    attributes[key.toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+                }
+
+                // <p>の中でブロック要素が始まった場合などは暗黙に閉じる
+                while (current !== root && IMPLIED_END[current.tag] && IMPLIED_END[current.tag].has(tag)) {
+                    current = current.parent;
+                }
+
+                const element = createElement(tag, attributes, current);
+                current.children.push(element);
+
+                if (RAW_TEXT_ELEMENTS.has(tag) && !selfClosing) {
+                    // 閉じタグまでをそのままテキストとして保持する
+                    const end = lowerHtml.indexOf(`</${tag}`, index);
+                    const content = html.substring(index, end === -1 ? html.length : end);
+                    if (content) {
+                        const text = tag === 'title' || tag === 'textarea' ? decodeEntities(content) : content;
+                        element.children.push({ type: 'text', text, parent: element });
+                    }
+                    const closeEnd = end === -1 ? -1 : html.indexOf('>', end);
+                    index = closeEnd === -1 ? html.length : closeEnd + 1;
+                } else if (!selfClosing && !VOID_ELEMENTS.has(tag)) {
+                    current = element;
+                }
+                continue;
+            }
+        }
+
+        const next = html.indexOf('<', index + 1);
+        const end = next === -1 ? html.length : next;
+        current.children.push({ type: 'text', text: decodeEntities(html.substring(index, end)), parent: current });
+        index = end;
+    }
+
+    return root;
+};
+
+const hasClass = (node, className) => {
+    return node.type === 'element' && (node.attributes.class || '').split(/\s+/).includes(className);
+};
+
+/**
+ * 条件に合う子孫要素をすべて返す（文書順）
+ * @param {Object} node
+ * @param {Function} predicate
+ * @returns {Object[]}
+ */
+const findAll = (node, predicate) => {
+    const found = [];
+    const walk = (parent) => {
+        for (const child of parent.children) {
+            if (child.type !== 'element') continue;
+            if (predicate(child)) found.push(child);
+            walk(child);
+        }
+    };
+    walk(node);
+    return found;
+};
+
+const findFirst = (node, predicate) => findAll(node, predicate)[0] || null;
+
+/**
+ * 要素のテキストを取り出す（ブロック要素と<br>は改行、その他の空白は1つにまとめる）
+ * @param {Object} node
+ * @param {Function} [skip] - trueを返した要素は読み飛ばす
+ * @returns {string}
+ */
+const getText = (node, skip = () => false) => {
+    const parts = [];
+    const walk = (current) => {
+        if (current.type === 'text') {
+            parts.push(current.text.replace(/\s+/g, ' '));
+            return;
+        }
+        if ((RAW_TEXT_ELEMENTS.has(current.tag) && current.tag !== 'title') || skip(current)) return;
+        if (current.tag === 'br') {
+            parts.push('\n');
+            return;
+        }
+
+        const isBlock = BLOCK_ELEMENTS.has(current.tag);
+        if (isBlock) parts.push('\n');
+        current.children.forEach(walk);
+        if (isBlock) parts.push('\n');
+    };
+    walk(node);
+
+    return parts.join('')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join('\n');
+};
+
+module.exports = {
+    BLOCK_ELEMENTS,
+    decodeEntities,
+    parseHtml,
+    hasClass,
+    findAll,
+    findFirst,
+    getText
+};
@@ -0,0 +1,192 @@
+// MP3へのID3v2.4タグの書き込み（タイトル・作者・掲載誌・日付・元URL・全文・カバーアート・チャプター）
+const { stripId3v2 } = require('./audio-format');
+const { ssmlToPlainText } = require('./ssml');
+
+// カバーアートとして受け付ける画像（先頭のマジックナンバーで判定）
+const COVER_ART_TYPES = {
+    'image/jpeg': [0xff, 0xd8, 0xff],
+    'image/png': [0x89, 0x50, 0x4e, 0x47]
+};
+
+// カバーアートの最大サイズ（2MB）
+const MAX_COVER_ART_BYTES = 2 * 1024 * 1024;
+
+// タイトルがない場合に本文の先頭から作るタイトルの長さ
+const FALLBACK_TITLE_LENGTH = 60;
+
+const ENCODING_UTF8 = 0x03;
+const PICTURE_TYPE_FRONT_COVER = 0x03;
+
+// CTOCの子要素数は1バイトのため、書き込めるチャプターは255件まで
+const MAX_ID3_CHAPTERS = 255;
+
+// CTOCのフラグ（最上位の目次・順序あり）
+const CTOC_TOP_LEVEL_ORDERED = 0x03;
+
+// ID3v2.4のサイズは7bit×4バイトのsynchsafe整数
+const syncsafe = (size) => Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+
+const utf8 = (text) => Buffer.from(text, 'utf8');
+
+const frame = (id, body) => Buffer.concat([Buffer.from(id, 'latin1'), syncsafe(body.length), Buffer.from([0, 0]), body]);
+
+const textFrame = (id, text) => frame(id, Buffer.concat([Buffer.from([ENCODING_UTF8]), utf8(text)]));
+
+// COMM・USLTは 言語コード + 説明（NUL終端） + 本文
+const languageTextFrame = (id, language, description, text) => frame(id, Buffer.concat([
+    Buffer.from([ENCODING_UTF8]),
+    Buffer.from(language, 'latin1'),
+    utf8(description),
+    Buffer.from([0]),
+    utf8(text)
+]));
+
+const pictureFrame = ({ mimeType, data }) => frame('APIC', Buffer.concat([
+    Buffer.from([ENCODING_UTF8]),
+    Buffer.from(mimeType, 'latin1'),
+    Buffer.from([0, PICTURE_TYPE_FRONT_COVER]),
+    utf8('Cover'),
+    Buffer.from([0]),
+    data
+]));
+
+const uint32 = (value) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value);
+    return buffer;
+};
+
+// ID3v2 Chapter Frame Addendum: CHAP（開始・終了時刻とタイトル）とCTOC（目次）
+const chapterFrames = (chapters) => {
+    const elementIds = chapters.map((chapter, index) => `chp${index}`);
+
+    const chaps = chapters.map((chapter, index) => frame('CHAP', Buffer.concat([
+        Buffer.from(`${elementIds[index]}\0`, 'latin1'),
+        uint32(Math.round(chapter.startTime * 1000)),
+        uint32(Math.round(chapter.endTime * 1000)),
+        // バイト位置は使わない
+        uint32(0xffffffff),
+        uint32(0xffffffff),
+        textFrame('TIT2', chapter.title)
+    ])));
+
+    const toc = frame('CTOC', Buffer.concat([
+        Buffer.from('toc\0', 'latin1'),
+        Buffer.from([CTOC_TOP_LEVEL_ORDERED, elementIds.length]),
+        ...elementIds.map(id => Buffer.from(`${id}\0`, 'latin1'))
+    ]));
+
+    return [toc, ...chaps];
+};
+
+/**
+ * カバーアート（data URL形式のJPEG/PNG）を検証する
+ * @param {string} dataUrl - 例: "data:image/jpeg;base64,..."
+ * @returns {{valid: boolean, error?: string, coverArt?: {mimeType: string, data: Buffer}}}
+ */
+const parseCoverArt = (dataUrl) => {
+    const match = typeof dataUrl === 'string' && /^data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(dataUrl);
+    if (!match) {
+        return { valid: false, error: 'カバーアートはJPEGまたはPNG画像のdata URLで指定してください' };
+    }
+
+    const mimeType = match[1] === 'image/jpg' ? 'image/jpeg' : match[1];
+    const signature = COVER_ART_TYPES[mimeType];
+    const data = Buffer.from(match[2], 'base64');
+
+    if (!signature || !signature.every((byte, index) => data[index] === byte)) {
+        return { valid: false, error: 'カバーアートはJPEGまたはPNG画像のみ対応しています' };
+    }
+    if (data.length > MAX_COVER_ART_BYTES) {
+        return { valid: false, error: `カバーアートは${MAX_COVER_ART_BYTES / 1024 / 1024}MB以内の画像を指定してください` };
+    }
+
+    return { valid: true, coverArt: { mimeType, data } };
+};
+
+/**
+ * ID3v2.4タグを組み立てる（値のない項目は省略）
+ * @param {Object} tags
+ * @param {string} [tags.title] - TIT2
+ * @param {string} [tags.artist] - TPE1
+ * @param {string} [tags.album] - TALB
+ * @param {string} [tags.date] - TDRC（YYYY-MM-DD）
+ * @param {string} [tags.comment] - COMM
+ * @param {string} [tags.lyrics] - USLT（全文）
+ * @param {string} [tags.language] - COMM・USLTの言語（ISO 639-2）
+ * @param {{mimeType: string, data: Buffer}} [tags.coverArt] - APIC
+ * @param {{title: string, startTime: number, endTime: number}[]} [tags.chapters] - CTOC・CHAP
+ * @returns {Buffer}
+ */
+const buildId3Tag = ({ title, artist, album, date, comment, lyrics, language = 'jpn', coverArt, chapters = [] }) => {
+    const frames = [
+        title && textFrame('TIT2', title),
+        artist && textFrame('TPE1', artist),
+        album && textFrame('TALB', album),
+        date && textFrame('TDRC', date),
+        comment && languageTextFrame('COMM', language, '', comment),
+        lyrics && languageTextFrame('USLT', language, '', lyrics),
+        coverArt && pictureFrame(coverArt),
+        ...(chapters.length > 0 ? chapterFrames(chapters.slice(0, MAX_ID3_CHAPTERS)) : [])
+    ].filter(Boolean);
+
+    const body = Buffer.concat(frames);
+    const header = Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([4, 0, 0]), syncsafe(body.length)]);
+    return Buffer.concat([header, body]);
+};
+
+/**
+ * 既存のID3v2タグを置き換えてタグを書き込む
+ * @param {Buffer} audio - MP3
+ * @param {Object} tags - buildId3Tag() と同じ
+ * @returns {Buffer}
+ */
+const writeId3Tag = (audio, tags) => Buffer.concat([buildId3Tag(tags), stripId3v2(audio)]);
+
+/**
+ * 合成パラメータと記事の情報からタグの値を決める
+ * @param {Object} options
+ * @param {string} options.input - 合成したテキストまたはSSML
+ * @param {string} options.inputType
+ * @param {string} options.voice - 言語の判定に使う音声名
+ * @param {Object} [options.metadata] - { title, author, publication, publishedAt, url }
+ * @param {{mimeType: string, data: Buffer}} [options.coverArt]
+ * @param {Object[]} [options.chapters] - timeChapters() の戻り値
+ * @returns {Object}
+ */
+const buildTagsFromMetadata = ({ input, inputType, voice, metadata = {}, coverArt = null, chapters = [] }) => {
+    const transcript = inputType === 'ssml' ? ssmlToPlainText(input) : input;
+    const firstLine = transcript.split('\n').find(line => line.trim()) || '';
+
+    return {
+        title: metadata.title || firstLine.trim().substring(0, FALLBACK_TITLE_LENGTH),
+        artist: metadata.author,
+        album: metadata.publication,
+        date: metadata.publishedAt ? metadata.publishedAt.substring(0, 10) : undefined,
+        comment: metadata.url,
+        lyrics: transcript,
+        language: voice && voice.startsWith('en-') ? 'eng' : 'jpn',
+        coverArt,
+        chapters
+    };
+};
+
+/**
+ * MP3の場合のみタグを書き込み、それ以外の形式はそのまま返す
+ * @param {Buffer} audio
+ * @param {string} format - 'mp3' など
+ * @param {Object} options - buildTagsFromMetadata() と同じ
+ * @returns {Buffer}
+ */
+const tagAudio = (audio, format, options) => {
+    return format === 'mp3' ? writeId3Tag(audio, buildTagsFromMetadata(options)) : audio;
+};
+
+module.exports = {
+    MAX_COVER_ART_BYTES,
+    parseCoverArt,
+    buildId3Tag,
+    writeId3Tag,
+    buildTagsFromMetadata,
+    tagAudio
+};
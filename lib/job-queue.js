@@ -0,0 +1,519 @@
+// 非同期音声合成ジョブのキュー（ローカルディスクに永続化し、再起動後も処理を再開する）
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const {
+    splitInputAtChapters,
+    splitDialogue,
+    splitLanguageRuns,
+    selectSynthesisLexicon,
+    synthesizeChunk,
+    synthesizeChunkWithTimepoints
+} = require('./synthesizer');
+const { timeChapters } = require('./chapters');
+const { buildAlignment, timeSegments } = require('./alignment');
+const { concatAudio, getAudioFormat } = require('./audio-format');
+const { buildSynthesisRequest } = require('./synthesis-params');
+const { toProcessingRequest, postProcessAudio, shiftTimings } = require('./audio-processing');
+const { tagAudio } = require('./id3');
+
+const JOB_STATES = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+// 完了したジョブの既定の保持期間（24時間）
+const DEFAULT_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+// 後処理・テンプレートのミックスをする場合はLINEAR16で合成し、結合してから指定の形式にエンコードする
+const buildChunkRequest = (params) => toProcessingRequest(buildSynthesisRequest(params), params.postProcessing || params.template);
+
+// 台本・言語の自動切り替えではチャンクごとに話者・言語の音声のリクエストも返す
+const splitChunks = (params, lexicon = []) => {
+    const request = buildChunkRequest(params);
+    const split = params.dialogue
+        ? splitDialogue(params.dialogue, request, { lexicon })
+        : splitInputAtChapters(params.input, params.inputType, params.chapters, { timepoints: params.timepoints, lexicon });
+    return params.languageSwitch ? splitLanguageRuns(split, request, params.languageSwitch, lexicon) : split;
+};
+
+const isActive = (job) => job.state === JOB_STATES.QUEUED || job.state === JOB_STATES.RUNNING;
+
+// 書き込み途中で終了しても壊れないよう一時ファイル経由で保存
+const writeFileAtomic = async (file, data) => {
+    await fs.promises.writeFile(`${file}.tmp`, data);
+    await fs.promises.rename(`${file}.tmp`, file);
+};
+
+class JobQueue extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.provider - 音声合成プロバイダー（lib/providers）
+     * @param {string} options.dataDir - ジョブを保存するディレクトリ
+     * @param {import('./audio-cache').AudioCache} [options.cache] - 合成済みチャンクのキャッシュ
+     * @param {import('./library').AudioLibrary} [options.library] - 完了した音声の保存先
+     * @param {import('./lexicon').Lexicon} [options.lexicon] - 合成前に適用する読みの辞書
+     * @param {number} [options.ttlMs] - 終了したジョブを保持する期間
+     */
+    constructor({ provider, dataDir, cache = null, library = null, lexicon = null, ttlMs = DEFAULT_JOB_TTL_MS }) {
+        super();
+        this.provider = provider;
+        this.cache = cache;
+        this.library = library;
+        this.lexicon = lexicon;
+        this.jobsDir = path.join(dataDir, 'jobs');
+        this.ttlMs = ttlMs;
+        this.jobs = new Map();
+        this.writes = new Map();
+        this.pending = [];
+        this.processing = false;
+    }
+
+    // 保存済みのジョブを読み込み、未完了のジョブを再開する
+    async init() {
+        await fs.promises.mkdir(this.jobsDir, { recursive: true });
+        const entries = await fs.promises.readdir(this.jobsDir, { withFileTypes: true });
+
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+
+            try {
+                const job = JSON.parse(await fs.promises.readFile(this.jobFile(entry.name), 'utf8'));
+                this.jobs.set(job.id, job);
+            } catch (error) {
+                console.warn(`ジョブ ${entry.name} の読み込みに失敗:`, error.message);
+            }
+        }
+
+        // 作成順に再キューイング（処理中だったジョブは保存済みのチャンクから再開）
+        const resumable = [...this.jobs.values()]
+            .filter(isActive)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        for (const job of resumable) {
+            job.state = JOB_STATES.QUEUED;
+            await this.save(job);
+            this.pending.push(job.id);
+        }
+
+        if (resumable.length > 0) {
+            console.log(`♻️ 未完了のジョブを${resumable.length}件再開します`);
+        }
+
+        await this.purgeExpired();
+        this.processNext();
+    }
+
+    jobDir(id) {
+        return path.join(this.jobsDir, id);
+    }
+
+    jobFile(id) {
+        return path.join(this.jobDir(id), 'job.json');
+    }
+
+    chunkFile(id, index) {
+        return path.join(this.jobDir(id), 'chunks', `${String(index).padStart(5, '0')}.bin`);
+    }
+
+    chunkTimepointsFile(id, index) {
+        return path.join(this.jobDir(id), 'chunks', `${String(index).padStart(5, '0')}.json`);
+    }
+
+    alignmentFile(id) {
+        return path.join(this.jobDir(id), 'alignment.json');
+    }
+
+    segmentsFile(id) {
+        return path.join(this.jobDir(id), 'segments.json');
+    }
+
+    coverArtFile(id) {
+        return path.join(this.jobDir(id), 'cover.bin');
+    }
+
+    audioFile(job) {
+        return path.join(this.jobDir(job.id), `audio.${getAudioFormat(job.params.format).extension}`);
+    }
+
+    // 同じジョブへの書き込みは順番に行い、常に最新の状態を保存する
+    save(job) {
+        job.updatedAt = new Date().toISOString();
+        const previous = this.writes.get(job.id) || Promise.resolve();
+        const next = previous
+            .catch(() => {})
+            .then(() => writeFileAtomic(this.jobFile(job.id), JSON.stringify(job)));
+        this.writes.set(job.id, next);
+        return next;
+    }
+
+    /**
+     * ジョブを登録する
+     * @param {Object} params - parseSynthesisParams() で正規化したパラメータ
+     * @param {Object} [metadata] - 任意の付加情報（タイトルなど）
+     * @param {Object} [options]
+     * @param {{mimeType: string, data: Buffer}} [options.coverArt] - MP3のID3タグに埋め込む画像
+     * @returns {Promise<Object>} 公開用のジョブ情報
+     */
+    async enqueue(params, metadata = {}, { coverArt = null } = {}) {
+        const now = new Date().toISOString();
+        // 登録時点の読みの辞書を保存し、再開しても同じチャンクに分割されるようにする
+        const lexicon = this.lexicon
+            ? selectSynthesisLexicon(this.lexicon.list(), {
+                languageCode: buildSynthesisRequest(params).voice.languageCode,
+                input: params.input,
+                dialogue: params.dialogue,
+                languageSwitch: params.languageSwitch
+            })
+            : [];
+        const job = {
+            id: crypto.randomUUID(),
+            state: JOB_STATES.QUEUED,
+            createdAt: now,
+            updatedAt: now,
+            params,
+            metadata,
+            lexicon,
+            progress: {
+                completedChunks: 0,
+                cachedChunks: 0,
+                totalChunks: splitChunks(params, lexicon).chunks.length
+            },
+            coverArt: coverArt ? { mimeType: coverArt.mimeType } : null,
+            error: null
+        };
+
+        await fs.promises.mkdir(path.join(this.jobDir(job.id), 'chunks'), { recursive: true });
+        if (coverArt) {
+            await writeFileAtomic(this.coverArtFile(job.id), coverArt.data);
+        }
+        await this.save(job);
+
+        this.jobs.set(job.id, job);
+        this.pending.push(job.id);
+        this.processNext();
+
+        return this.toPublic(job);
+    }
+
+    get(id) {
+        const job = this.jobs.get(id);
+        return job ? this.toPublic(job) : null;
+    }
+
+    /**
+     * エピソードテンプレートの素材を使う待機中・実行中のジョブ
+     * ジョブは登録時に解決した素材のファイルを参照するため、処理が終わるまで素材を削除させない
+     * @param {string} assetId
+     * @returns {Object[]} toPublic() のジョブ
+     */
+    findActiveByAsset(assetId) {
+        return [...this.jobs.values()]
+            .filter(job => isActive(job) && job.params.template &&
+                Object.values(job.params.template.assets).some(asset => asset && asset.id === assetId))
+            .map(job => this.toPublic(job));
+    }
+
+    // 完了したジョブの音声ファイル情報
+    getAudio(id) {
+        const job = this.jobs.get(id);
+        if (!job || job.state !== JOB_STATES.COMPLETED) return null;
+
+        const audioFormat = getAudioFormat(job.params.format);
+        return {
+            path: this.audioFile(job),
+            contentType: audioFormat.contentType,
+            extension: audioFormat.extension,
+            size: job.audio.size
+        };
+    }
+
+    /**
+     * 完了したジョブの読み上げ位置の対応表（timepoints指定時のみ）
+     * @returns {Promise<Object|null>} { text, granularity, sentences, words }
+     */
+    async getAlignment(id) {
+        const job = this.jobs.get(id);
+        if (!job || job.state !== JOB_STATES.COMPLETED || !job.params.timepoints) return null;
+
+        const alignment = JSON.parse(await fs.promises.readFile(this.alignmentFile(id), 'utf8'));
+        return { text: job.params.input, ...alignment };
+    }
+
+    /**
+     * 完了したジョブのチャンクごとの本文と再生時刻
+     * @returns {Promise<Object[]|null>} [{ text, startTime, endTime }]
+     */
+    async getSegments(id) {
+        const job = this.jobs.get(id);
+        if (!job || job.state !== JOB_STATES.COMPLETED) return null;
+
+        try {
+            return JSON.parse(await fs.promises.readFile(this.segmentsFile(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * 実行中・待機中のジョブはキャンセルし、終了済みのジョブは削除する
+     * @returns {Promise<{job: Object|null, deleted: boolean}|null>} 該当ジョブがなければnull
+     */
+    async cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        if (!isActive(job)) {
+            await this.remove(id);
+            return { job: null, deleted: true };
+        }
+
+        job.state = JOB_STATES.CANCELLED;
+        job.completedAt = new Date().toISOString();
+        this.pending = this.pending.filter(pendingId => pendingId !== id);
+        await this.save(job);
+        await fs.promises.rm(path.join(this.jobDir(id), 'chunks'), { recursive: true, force: true });
+
+        this.emit('cancelled', this.toPublic(job));
+        return { job: this.toPublic(job), deleted: false };
+    }
+
+    // 完了前にキャンセルされたジョブが書き込んだ音声などを削除
+    async removeOutputFiles(job) {
+        await Promise.all([
+            this.audioFile(job),
+            this.segmentsFile(job.id),
+            this.alignmentFile(job.id),
+            path.join(this.jobDir(job.id), 'chunks')
+        ].map(file => fs.promises.rm(file, { recursive: true, force: true })));
+    }
+
+    async remove(id) {
+        await (this.writes.get(id) || Promise.resolve()).catch(() => {});
+        this.jobs.delete(id);
+        this.writes.delete(id);
+        this.pending = this.pending.filter(pendingId => pendingId !== id);
+        await fs.promises.rm(this.jobDir(id), { recursive: true, force: true });
+    }
+
+    // 保持期間を過ぎた終了済みジョブを削除
+    async purgeExpired() {
+        const threshold = Date.now() - this.ttlMs;
+        for (const job of [...this.jobs.values()]) {
+            if (!isActive(job) && new Date(job.updatedAt).getTime() < threshold) {
+                await this.remove(job.id);
+            }
+        }
+    }
+
+    // キューを1件ずつ直列に処理する
+    async processNext() {
+        if (this.processing) return;
+
+        const id = this.pending.shift();
+        if (!id) return;
+
+        const job = this.jobs.get(id);
+        if (!job || job.state !== JOB_STATES.QUEUED) {
+            this.processNext();
+            return;
+        }
+
+        this.processing = true;
+        try {
+            await this.run(job);
+        } catch (error) {
+            console.error(`ジョブ ${job.id} の処理に失敗:`, error.message);
+            if (job.state === JOB_STATES.RUNNING) {
+                job.state = JOB_STATES.FAILED;
+                job.error = { message: error.message, code: error.code };
+                job.completedAt = new Date().toISOString();
+                await this.save(job).catch(() => {});
+                this.emit('failed', this.toPublic(job));
+            }
+        } finally {
+            this.processing = false;
+            this.processNext();
+        }
+    }
+
+    async run(job) {
+        const lexicon = job.lexicon || [];
+        const { chunks, chapterStarts, requests = null } = splitChunks(job.params, lexicon);
+        const { timepoints: granularity } = job.params;
+        const request = buildChunkRequest(job.params);
+        // 話者・言語ごとのリクエストがあるチャンクは読みの辞書を適用済みのSSML
+        const chunkInputType = requests ? 'ssml' : job.params.inputType;
+        const chunkLexicon = requests ? [] : lexicon;
+
+        job.state = JOB_STATES.RUNNING;
+        job.startedAt = job.startedAt || new Date().toISOString();
+        job.progress.totalChunks = chunks.length;
+        await this.save(job);
+
+        const audioParts = [];
+        const chunkTimepoints = [];
+        for (let i = 0; i < chunks.length; i++) {
+            // キャンセルされていれば中断
+            if (job.state !== JOB_STATES.RUNNING) return;
+
+            const file = this.chunkFile(job.id, i);
+            const timepointsFile = this.chunkTimepointsFile(job.id, i);
+            let audio;
+            let timepoints = null;
+            try {
+                // 再起動前に合成済みのチャンクは再利用する
+                audio = await fs.promises.readFile(file);
+                if (granularity) timepoints = JSON.parse(await fs.promises.readFile(timepointsFile, 'utf8'));
+            } catch (error) {
+                const result = granularity
+                    ? await synthesizeChunkWithTimepoints(this.provider, request, chunks[i], granularity, this.cache, lexicon)
+                    : await synthesizeChunk(this.provider, requests ? requests[i] : request, chunks[i], chunkInputType, this.cache, chunkLexicon);
+                if (job.state !== JOB_STATES.RUNNING) return;
+                audio = result.audioContent;
+                timepoints = result.timepoints || null;
+                if (result.cacheHit) job.progress.cachedChunks = (job.progress.cachedChunks || 0) + 1;
+                // タイムポイントを先に書き、音声ファイルがあれば両方そろっているようにする
+                if (granularity) await writeFileAtomic(timepointsFile, JSON.stringify(timepoints));
+                await writeFileAtomic(file, audio);
+            }
+
+            audioParts.push(audio);
+            chunkTimepoints.push(timepoints);
+            job.progress.completedChunks = i + 1;
+            await this.save(job);
+            this.emit('progress', this.toPublic(job));
+        }
+        if (job.state !== JOB_STATES.RUNNING) return;
+
+        // 画像はジョブ情報とは別に保存し、タグを書き込むときだけ読み込む
+        const coverArt = job.coverArt
+            ? { mimeType: job.coverArt.mimeType, data: await fs.promises.readFile(this.coverArtFile(job.id)) }
+            : null;
+        const timings = {
+            chapters: chapterStarts.length > 0
+                ? timeChapters(job.params.chapters, chapterStarts, audioParts, request.audioConfig.audioEncoding)
+                : [],
+            alignment: granularity
+                ? buildAlignment({
+                    text: job.params.input,
+                    granularity,
+                    chunks,
+                    timepoints: chunkTimepoints,
+                    audioParts,
+                    audioEncoding: request.audioConfig.audioEncoding
+                })
+                : null,
+            segments: timeSegments(chunks, chunkInputType, audioParts, request.audioConfig.audioEncoding)
+        };
+
+        // 後処理では除いた先頭の無音とイントロの分だけチャプターなどの時刻をずらす
+        let audio = concatAudio(audioParts, request.audioConfig);
+        let postProcessing = null;
+        if (job.params.postProcessing || job.params.template) {
+            ({ audioContent: audio, report: postProcessing } = await postProcessAudio(audio, job.params.postProcessing, job.params.audioConfig, {
+                template: job.params.template
+            }));
+            if (job.state !== JOB_STATES.RUNNING) return;
+        }
+        const { chapters, alignment, segments } = postProcessing ? shiftTimings(timings, postProcessing) : timings;
+        const audioContent = tagAudio(audio, job.params.format, {
+            input: job.params.input,
+            inputType: job.params.inputType,
+            voice: job.params.voice,
+            metadata: job.metadata,
+            coverArt,
+            chapters
+        });
+        await writeFileAtomic(this.audioFile(job), audioContent);
+        await writeFileAtomic(this.segmentsFile(job.id), JSON.stringify(segments));
+        if (alignment) {
+            await writeFileAtomic(this.alignmentFile(job.id), JSON.stringify(alignment));
+        }
+        // 書き込みの間にキャンセルされた場合は、完了として上書きせず書き込んだ音声を消す
+        if (job.state !== JOB_STATES.RUNNING) {
+            await this.removeOutputFiles(job);
+            return;
+        }
+        await fs.promises.rm(path.join(this.jobDir(job.id), 'chunks'), { recursive: true, force: true });
+
+        if (job.state !== JOB_STATES.RUNNING) {
+            await this.removeOutputFiles(job);
+            return;
+        }
+        job.state = JOB_STATES.COMPLETED;
+        job.completedAt = new Date().toISOString();
+        job.audio = { size: audioContent.length };
+        job.chapters = chapters;
+        job.postProcessing = postProcessing;
+
+        // ライブラリへの保存に失敗してもジョブ自体は完了として扱う
+        if (this.library) {
+            try {
+                const item = await this.library.add({
+                    audio: audioContent,
+                    input: job.params.input,
+                    inputType: job.params.inputType,
+                    voice: job.params.voice,
+                    format: job.params.format,
+                    audioConfig: job.params.audioConfig,
+                    metadata: job.metadata,
+                    chapters,
+                    alignment,
+                    segments,
+                    jobId: job.id
+                });
+                job.libraryId = item.id;
+            } catch (error) {
+                console.warn(`ジョブ ${job.id} の音声をライブラリに保存できませんでした:`, error.message);
+            }
+        }
+
+        await this.save(job);
+
+        this.emit('completed', this.toPublic(job));
+        await this.purgeExpired();
+    }
+
+    // 入力テキストなどを含まない公開用の表現
+    toPublic(job) {
+        const { completedChunks, cachedChunks = 0, totalChunks } = job.progress;
+        return {
+            id: job.id,
+            state: job.state,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            startedAt: job.startedAt || null,
+            completedAt: job.completedAt || null,
+            inputType: job.params.inputType,
+            textLength: job.params.input.length,
+            voice: job.params.voice,
+            format: job.params.format,
+            metadata: job.metadata,
+            progress: {
+                completedChunks,
+                cachedChunks,
+                totalChunks,
+                percent: totalChunks > 0 ? Math.round(completedChunks / totalChunks * 100) : 0
+            },
+            audio: job.audio || null,
+            chapters: job.chapters || [],
+            postProcessing: job.postProcessing || null,
+            template: job.params.template ? { id: job.params.template.id, name: job.params.template.name } : null,
+            timepoints: job.params.timepoints || null,
+            lexiconEntries: (job.lexicon || []).length,
+            libraryId: job.libraryId || null,
+            error: job.error ? job.error.message : null
+        };
+    }
+}
+
+module.exports = {
+    JOB_STATES,
+    JobQueue
+};
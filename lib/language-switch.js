@@ -0,0 +1,156 @@
+// 日本語と英語が混ざったテキストの言語ごとの区間への分割（区間の言語に合う音声で読み上げる）
+const { selectLexiconEntries } = require('./lexicon');
+
+// 自動で切り替える言語と、組み合わせる音声の既定値
+const SWITCH_LANGUAGES = ['ja', 'en'];
+const DEFAULT_PAIRED_VOICES = {
+    ja: 'ja-JP-Neural2-B',
+    en: 'en-US-Neural2-F'
+};
+const LANGUAGE_NAMES = {
+    ja: '日本語',
+    en: '英語'
+};
+
+// これより短い別の言語の区間（外来語・製品名など）は切り替えずに読む
+const DEFAULT_MIN_RUN_LENGTH = 12;
+const MIN_RUN_LENGTH_RANGE = { min: 1, max: 1000 };
+
+const VOICE_PATTERN = /^[a-z]{2,3}-[A-Z]{2}-[\w-]+$/;
+
+// かな・漢字・全角の記号は日本語、ラテン文字は英語（数字・半角の記号・空白はどちらでもない）
+const JAPANESE_PATTERN = /[\u3000-\u30ff\u3400-\u9fff\uf900-\ufaff\uff01-\uffef]/;
+const LATIN_PATTERN = /[A-Za-z\u00c0-\u024f]/;
+
+const classifyChar = (char) => {
+    if (JAPANESE_PATTERN.test(char)) return 'ja';
+    if (LATIN_PATTERN.test(char)) return 'en';
+    return null;
+};
+
+/**
+ * テキストを日本語・英語の区間に分ける
+ * 数字・記号・空白は直前の区間に含め、主な言語ではない短い区間は主な言語の区間にまとめる
+ * @param {string} text
+ * @param {Object} options
+ * @param {string} options.primaryLanguage - 'ja' または 'en'
+ * @param {number} [options.minRunLength] - 別の言語に切り替える区間の最小文字数（数字・記号を除く）
+ * @returns {{language: string, text: string}[]}
+ */
+const segmentLanguages = (text, { primaryLanguage, minRunLength = DEFAULT_MIN_RUN_LENGTH }) => {
+    const runs = [];
+    let current = null;
+
+    for (const char of text) {
+        const language = classifyChar(char);
+        if (!current) {
+            current = { language, text: '', length: 0 };
+            runs.push(current);
+        } else if (language && current.language === null) {
+            // 先頭の数字・記号は最初の文字の言語の区間に含める
+            current.language = language;
+        } else if (language && current.language !== language) {
+            current = { language, text: '', length: 0 };
+            runs.push(current);
+        }
+
+        current.text += char;
+        if (language) current.length++;
+    }
+
+    const merged = [];
+    for (const run of runs) {
+        const language = run.language === null || (run.language !== primaryLanguage && run.length < minRunLength)
+            ? primaryLanguage
+            : run.language;
+        const previous = merged[merged.length - 1];
+        if (previous && previous.language === language) {
+            previous.text += run.text;
+        } else {
+            merged.push({ language, text: run.text });
+        }
+    }
+
+    return merged.filter(run => run.text.trim());
+};
+
+/**
+ * 言語の自動切り替えの設定を検証する
+ * @param {Object|boolean} [value] - { pairedVoice, minRunLength }（true は既定値で有効、未指定・false は無効）
+ * @param {Object} options
+ * @param {string} options.voice - 主な言語の音声
+ * @param {string} options.inputType
+ * @param {string} [options.timepoints]
+ * @param {string[]} [options.allowedVoices]
+ * @returns {{valid: boolean, error?: string, languageSwitch?: Object|null}}
+ */
+const parseLanguageSwitch = (value, { voice, inputType, timepoints, allowedVoices }) => {
+    if (value === undefined || value === null || value === false) {
+        return { valid: true, languageSwitch: null };
+    }
+
+    const settings = value === true ? {} : value;
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        return { valid: false, error: 'languageSwitch には言語の自動切り替えの設定をオブジェクトで指定してください' };
+    }
+    if (inputType !== 'text') {
+        return { valid: false, error: '言語の自動切り替えはテキスト入力のみ対応しています' };
+    }
+    if (timepoints && timepoints !== 'none') {
+        return { valid: false, error: '言語の自動切り替えと読み上げ位置（timepoints）は同時に指定できません' };
+    }
+
+    const primaryLanguage = String(voice).substring(0, 2);
+    if (!SWITCH_LANGUAGES.includes(primaryLanguage)) {
+        return { valid: false, error: '言語の自動切り替えは日本語・英語の音声のみ対応しています' };
+    }
+    const pairedLanguage = primaryLanguage === 'ja' ? 'en' : 'ja';
+
+    const pairedVoice = settings.pairedVoice || DEFAULT_PAIRED_VOICES[pairedLanguage];
+    if (typeof pairedVoice !== 'string' || !VOICE_PATTERN.test(pairedVoice) || !pairedVoice.startsWith(`${pairedLanguage}-`) ||
+        (allowedVoices && !allowedVoices.includes(pairedVoice))) {
+        return { valid: false, error: `languageSwitch.pairedVoice には${LANGUAGE_NAMES[pairedLanguage]}の音声を指定してください` };
+    }
+
+    const minRunLength = settings.minRunLength === undefined || settings.minRunLength === null || settings.minRunLength === ''
+        ? DEFAULT_MIN_RUN_LENGTH
+        : parseInt(settings.minRunLength, 10);
+    if (isNaN(minRunLength) || minRunLength < MIN_RUN_LENGTH_RANGE.min || minRunLength > MIN_RUN_LENGTH_RANGE.max) {
+        return { valid: false, error: `languageSwitch.minRunLength は${MIN_RUN_LENGTH_RANGE.min}から${MIN_RUN_LENGTH_RANGE.max}の範囲で指定してください` };
+    }
+
+    return {
+        valid: true,
+        languageSwitch: {
+            primaryLanguage,
+            voices: { [primaryLanguage]: voice, [pairedLanguage]: pairedVoice },
+            minRunLength
+        }
+    };
+};
+
+/**
+ * 切り替える両方の言語の読みの辞書の項目
+ * @param {Object[]} entries
+ * @param {{voices: Object}} languageSwitch
+ * @param {string} text
+ * @returns {Object[]}
+ */
+const selectLanguageSwitchLexicon = (entries, languageSwitch, text) => {
+    const selected = new Map();
+    for (const voice of Object.values(languageSwitch.voices)) {
+        for (const entry of selectLexiconEntries(entries, voice.substring(0, 5), text)) {
+            selected.set(entry.id, entry);
+        }
+    }
+    return [...selected.values()];
+};
+
+module.exports = {
+    SWITCH_LANGUAGES,
+    DEFAULT_PAIRED_VOICES,
+    DEFAULT_MIN_RUN_LENGTH,
+    segmentLanguages,
+    parseLanguageSwitch,
+    selectLanguageSwitchLexicon
+};
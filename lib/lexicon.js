@@ -0,0 +1,412 @@
+// 読みの辞書（人名・難読漢字・略語などの読み方をDATA_DIR/lexicon.json に永続化し、合成前にSSMLの<sub>・<phoneme>へ書き換える）
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { tokenizeSsml, escapeSsml } = require('./ssml');
+const { parseCsvRecords, stringifyCsv, unescapeCsvFormula } = require('./csv');
+
+// 読みの表記（kana: <sub alias>で読み替える、ipa: <phoneme alphabet="ipa">で発音を指定する）
+const LEXICON_ALPHABETS = ['kana', 'ipa'];
+
+const MAX_SURFACE_LENGTH = 100;
+const MAX_READING_LENGTH = 200;
+const MAX_ENTRIES = 5000;
+
+// CSVの列（読み込み・書き出し共通）
+const CSV_COLUMNS = ['surface', 'reading', 'alphabet', 'language'];
+
+const KANA_PATTERN = /^[ぁ-ゖゝゞァ-ヺー-ヾ・ 　]+$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+// すでに読み方が指定されている要素や音声ファイルの中は書き換えない
+const PROTECTED_ELEMENTS = ['sub', 'phoneme', 'say-as', 'audio', 'desc'];
+
+// 英数字で始まる・終わる語は、前後が英数字でない場合のみ一致させる（"AI" が "MAIL" に一致しないように）
+const ALPHANUMERIC_PATTERN = /[A-Za-z0-9]/;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const decodeEntities = (text) => text.replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => XML_ENTITIES[name]);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 辞書の項目を検証する
+ * @param {Object} body - { surface, reading, alphabet, language }
+ * @returns {{valid: boolean, error?: string, entry?: {surface: string, reading: string, alphabet: string, language: string|null}}}
+ */
+const parseLexiconEntry = (body = {}) => {
+    const surface = typeof body.surface === 'string' ? body.surface.trim() : '';
+    if (!surface) {
+        return { valid: false, error: '表記（surface）を入力してください' };
+    }
+    if (surface.length > MAX_SURFACE_LENGTH || /[\r\n]/.test(surface)) {
+        return { valid: false, error: `表記は改行を含まない${MAX_SURFACE_LENGTH}文字以内で入力してください` };
+    }
+
+    const alphabet = body.alphabet === undefined || body.alphabet === null || body.alphabet === '' ? 'kana' : body.alphabet;
+    if (!LEXICON_ALPHABETS.includes(alphabet)) {
+        return { valid: false, error: `読みの表記（alphabet）は ${LEXICON_ALPHABETS.join(', ')} のいずれかを指定してください` };
+    }
+
+    const reading = typeof body.reading === 'string' ? body.reading.trim() : '';
+    if (!reading) {
+        return { valid: false, error: '読み（reading）を入力してください' };
+    }
+    if (reading.length > MAX_READING_LENGTH || /[\r\n]/.test(reading)) {
+        return { valid: false, error: `読みは改行を含まない${MAX_READING_LENGTH}文字以内で入力してください` };
+    }
+    if (alphabet === 'kana' && !KANA_PATTERN.test(reading)) {
+        return { valid: false, error: '読みはひらがなまたはカタカナで入力してください（発音記号は alphabet に ipa を指定）' };
+    }
+
+    const language = typeof body.language === 'string' && body.language.trim() ? body.language.trim() : null;
+    if (language && !LANGUAGE_PATTERN.test(language)) {
+        return { valid: false, error: '言語（language）は ja や en-US の形式で指定してください' };
+    }
+
+    return { valid: true, entry: { surface, reading, alphabet, language } };
+};
+
+// 同じ表記・言語の項目は1つだけ登録できる
+const entryKey = (entry) => `${entry.surface}\u0000${entry.language || ''}`;
+
+/**
+ * 音声の言語で使う項目のうち、本文に含まれるものを選ぶ
+ * @param {Object[]} entries
+ * @param {string} languageCode - 'ja-JP' など（languageが 'ja' の項目は 'ja-JP' にも使う）
+ * @param {string} text - 合成するテキストまたはSSML
+ * @returns {Object[]}
+ */
+const selectLexiconEntries = (entries, languageCode, text) => {
+    const code = (languageCode || '').toLowerCase();
+    return entries.filter(entry => (!entry.language || code.startsWith(entry.language.toLowerCase()))
+        && (text.includes(entry.surface) || text.includes(escapeSsml(entry.surface))));
+};
+
+// SSMLのテキスト中の表記に一致する正規表現（長い表記を優先する）
+const matcherCache = new WeakMap();
+const buildMatcher = (entries) => {
+    if (matcherCache.has(entries)) return matcherCache.get(entries);
+
+    const bySurface = new Map();
+    for (const entry of entries) {
+        // 同じ表記は言語を指定した項目を優先する
+        if (!bySurface.has(entry.surface) || entry.language) bySurface.set(entry.surface, entry);
+    }
+
+    const alternatives = [...bySurface.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map(surface => {
+            // SSMLでは引用符がエスケープされていない場合もあるため両方に一致させる
+            const body = Array.from(surface).map(char => {
+                if (char === '"') return '(?:"|&quot;)';
+                if (char === "'") return "(?:'|&apos;)";
+                return escapeRegExp(escapeSsml(char));
+            }).join('');
+            const before = ALPHANUMERIC_PATTERN.test(surface[0]) ? '(?<![A-Za-z0-9])' : '';
+            const after = ALPHANUMERIC_PATTERN.test(surface[surface.length - 1]) ? '(?![A-Za-z0-9])' : '';
+            return before + body + after;
+        });
+
+    const matcher = alternatives.length > 0
+        ? { pattern: new RegExp(alternatives.join('|'), 'g'), bySurface }
+        : null;
+    matcherCache.set(entries, matcher);
+    return matcher;
+};
+
+// 位置が実体参照（&amp; など）の途中かどうか
+const isInsideEntity = (text, index) => {
+    if (index === 0) return false;
+    const ampersand = text.lastIndexOf('&', index - 1);
+    return ampersand !== -1 && !text.substring(ampersand, index).includes(';');
+};
+
+const toReplacement = (entry, raw) => {
+    return entry.alphabet === 'ipa'
+        ? `<phoneme alphabet="ipa" ph="${escapeSsml(entry.reading)}">${raw}</phoneme>`
+        : `<sub alias="${escapeSsml(entry.reading)}">${raw}</sub>`;
+};
+
+/**
+ * 連続するテキストと<mark>の並びの中の表記を置き換える
+ * 一致した語の途中にある<mark>は除く（語の途中では時刻を取れないため）
+ */
+const rewriteRun = (parts, matcher) => {
+    const text = parts.filter(part => part.type === 'text').map(part => part.raw).join('');
+    const marks = [];
+    let length = 0;
+    for (const part of parts) {
+        if (part.type === 'text') {
+            length += part.raw.length;
+        } else {
+            marks.push({ position: length, raw: part.raw });
+        }
+    }
+
+    const matches = [];
+    matcher.pattern.lastIndex = 0;
+    let match;
+    while ((match = matcher.pattern.exec(text))) {
+        if (isInsideEntity(text, match.index)) {
+            matcher.pattern.lastIndex = match.index + 1;
+            continue;
+        }
+        matches.push({
+            start: match.index,
+            end: match.index + match[0].length,
+            replacement: toReplacement(matcher.bySurface.get(decodeEntities(match[0])), match[0])
+        });
+    }
+
+    if (matches.length === 0) {
+        return { ssml: parts.map(part => part.raw).join(''), changed: false };
+    }
+
+    let output = '';
+    const emit = (from, to) => {
+        let position = from;
+        for (const mark of marks) {
+            if (mark.position >= from && mark.position < to) {
+                output += text.substring(position, mark.position) + mark.raw;
+                position = mark.position;
+            }
+        }
+        output += text.substring(position, to);
+    };
+    const marksAt = (position) => marks.filter(mark => mark.position === position).map(mark => mark.raw).join('');
+
+    let cursor = 0;
+    for (const { start, end, replacement } of matches) {
+        emit(cursor, start);
+        output += marksAt(start) + replacement;
+        cursor = end;
+    }
+    emit(cursor, text.length);
+    output += marksAt(text.length);
+
+    return { ssml: output, changed: true };
+};
+
+/**
+ * SSMLのテキスト中の表記を<sub>・<phoneme>に置き換える
+ * @param {string} ssml - 検証済みのSSML
+ * @param {Object[]} entries
+ * @returns {string} 一致する表記がなければ元のSSML
+ */
+const applyLexiconToSsml = (ssml, entries) => {
+    const matcher = buildMatcher(entries);
+    if (!matcher) return ssml;
+
+    let output = '';
+    let run = [];
+    let protectedDepth = 0;
+    let changed = false;
+
+    const flush = () => {
+        if (run.length === 0) return;
+        const result = rewriteRun(run, matcher);
+        output += result.ssml;
+        changed = changed || result.changed;
+        run = [];
+    };
+
+    for (const token of tokenizeSsml(ssml)) {
+        if (protectedDepth === 0 && (token.type === 'text' || (token.type === 'empty' && token.name === 'mark'))) {
+            run.push(token);
+            continue;
+        }
+
+        flush();
+        if (PROTECTED_ELEMENTS.includes(token.name)) {
+            if (token.type === 'open') protectedDepth++;
+            if (token.type === 'close') protectedDepth--;
+        }
+        output += token.raw;
+    }
+    flush();
+
+    return changed ? output : ssml;
+};
+
+/**
+ * 合成リクエストの入力に読みの辞書を適用する
+ * テキスト入力は一致する表記がある場合のみSSMLに変換する
+ * @param {{text: string}|{ssml: string}} input
+ * @param {Object[]} entries - selectLexiconEntries() で選んだ項目
+ * @returns {{text: string}|{ssml: string}}
+ */
+const applyLexicon = (input, entries) => {
+    if (!entries || entries.length === 0) return input;
+
+    if (input.ssml !== undefined) {
+        return { ssml: applyLexiconToSsml(input.ssml, entries) };
+    }
+
+    const escaped = `<speak>${escapeSsml(input.text)}</speak>`;
+    const ssml = applyLexiconToSsml(escaped, entries);
+    return ssml === escaped ? input : { ssml };
+};
+
+class Lexicon {
+    /**
+     * @param {Object} options
+     * @param {string} options.dataDir
+     */
+    constructor({ dataDir }) {
+        this.dataDir = dataDir;
+        this.lexiconFile = path.join(dataDir, 'lexicon.json');
+        this.entries = new Map();
+        this.snapshot = null;
+        this.writing = Promise.resolve();
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+
+        try {
+            const entries = JSON.parse(await fs.promises.readFile(this.lexiconFile, 'utf8'));
+            for (const entry of entries) {
+                this.entries.set(entry.id, entry);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('読みの辞書の読み込みに失敗:', error.message);
+            }
+        }
+    }
+
+    // 辞書の保存は順番に行い、常に最新の状態を書き込む
+    save() {
+        this.snapshot = null;
+        this.writing = this.writing
+            .catch(() => {})
+            .then(async () => {
+                const data = JSON.stringify([...this.entries.values()], null, 2);
+                await fs.promises.writeFile(`${this.lexiconFile}.tmp`, data);
+                await fs.promises.rename(`${this.lexiconFile}.tmp`, this.lexiconFile);
+            });
+        return this.writing;
+    }
+
+    // 表記の順（変更されるまで同じ配列を返すため、置き換え用の正規表現を使い回せる）
+    list() {
+        if (!this.snapshot) {
+            this.snapshot = [...this.entries.values()].sort((a, b) => a.surface.localeCompare(b.surface, 'ja'));
+        }
+        return this.snapshot;
+    }
+
+    get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    findDuplicate(entry, excludeId = null) {
+        const key = entryKey(entry);
+        return [...this.entries.values()].find(existing => existing.id !== excludeId && entryKey(existing) === key) || null;
+    }
+
+    /**
+     * 項目を追加する
+     * @param {Object} entry - parseLexiconEntry() の entry
+     * @returns {Promise<{entry?: Object, conflict?: boolean, error?: string}>}
+     *   同じ表記・言語の項目がある場合は conflict、登録数の上限に達している場合は error
+     */
+    async add(entry) {
+        if (this.findDuplicate(entry)) return { conflict: true };
+        if (this.entries.size >= MAX_ENTRIES) {
+            return { error: `読みの辞書に登録できるのは${MAX_ENTRIES}件までです` };
+        }
+
+        const now = new Date().toISOString();
+        const created = { id: crypto.randomUUID(), ...entry, createdAt: now, updatedAt: now };
+        this.entries.set(created.id, created);
+        await this.save();
+        return { entry: created };
+    }
+
+    /**
+     * 項目を更新する
+     * @returns {Promise<{entry?: Object, conflict?: boolean}|null>} 項目がなければnull
+     */
+    async update(id, entry) {
+        const existing = this.entries.get(id);
+        if (!existing) return null;
+        if (this.findDuplicate(entry, id)) return { conflict: true };
+
+        const updated = { ...existing, ...entry, updatedAt: new Date().toISOString() };
+        this.entries.set(id, updated);
+        await this.save();
+        return { entry: updated };
+    }
+
+    async remove(id) {
+        if (!this.entries.delete(id)) return false;
+        await this.save();
+        return true;
+    }
+
+    /**
+     * CSV（surface,reading,alphabet,language の見出し付き）から読み込む
+     * 同じ表記・言語の項目は上書きする。replaceを指定すると既存の項目をすべて置き換える
+     * @param {string} csv
+     * @param {Object} [options]
+     * @param {boolean} [options.replace]
+     * @returns {Promise<{added: number, updated: number, skipped: {line: number, error: string}[]}>}
+     */
+    async importCsv(csv, { replace = false } = {}) {
+        const rows = parseCsvRecords(csv);
+        const entries = replace ? new Map() : new Map(this.entries);
+        const byKey = new Map([...entries.values()].map(entry => [entryKey(entry), entry]));
+        const result = { added: 0, updated: 0, skipped: [] };
+        const now = new Date().toISOString();
+
+        // line は行の開始位置のファイル上の行番号（ダブルクォート内の改行・空行も数える）
+        // toCsv() で書き出したCSVを読み戻せるよう、数式の対策で付けた ' を外す
+        rows.forEach(({ record, line }) => {
+            const validation = parseLexiconEntry(Object.fromEntries(
+                Object.entries(record).map(([key, value]) => [key, unescapeCsvFormula(value)])
+            ));
+            if (!validation.valid) {
+                result.skipped.push({ line, error: validation.error });
+                return;
+            }
+
+            const existing = byKey.get(entryKey(validation.entry));
+            if (existing) {
+                const updated = { ...existing, ...validation.entry, updatedAt: now };
+                entries.set(existing.id, updated);
+                byKey.set(entryKey(updated), updated);
+                result.updated++;
+                return;
+            }
+
+            if (entries.size >= MAX_ENTRIES) {
+                result.skipped.push({ line, error: `読みの辞書に登録できるのは${MAX_ENTRIES}件までです` });
+                return;
+            }
+
+            const created = { id: crypto.randomUUID(), ...validation.entry, createdAt: now, updatedAt: now };
+            entries.set(created.id, created);
+            byKey.set(entryKey(created), created);
+            result.added++;
+        });
+
+        this.entries = entries;
+        await this.save();
+        return result;
+    }
+
+    toCsv() {
+        return stringifyCsv(CSV_COLUMNS, this.list());
+    }
+}
+
+module.exports = {
+    LEXICON_ALPHABETS,
+    parseLexiconEntry,
+    selectLexiconEntries,
+    applyLexiconToSsml,
+    applyLexicon,
+    Lexicon
+};
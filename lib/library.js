@@ -0,0 +1,210 @@
+// 生成した音声のライブラリ（DATA_DIR/library に音声とメタデータを永続化）
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getAudioFormat, getAudioDuration } = require('./audio-format');
+const { ssmlToPlainText } = require('./ssml');
+
+// 一覧の1ページあたりの件数
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// タイトルがない場合に一覧で表示する本文の先頭部分
+const EXCERPT_LENGTH = 80;
+
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// SSMLのタグを除いた本文の先頭
+const getExcerpt = (input, inputType) => {
+    const text = inputType === 'ssml' ? ssmlToPlainText(input) : input;
+    return text.replace(/\s+/g, ' ').trim().substring(0, EXCERPT_LENGTH);
+};
+
+class AudioLibrary {
+    /**
+     * @param {Object} options
+     * @param {string} options.dataDir
+     */
+    constructor({ dataDir }) {
+        this.libraryDir = path.join(dataDir, 'library');
+        this.indexFile = path.join(this.libraryDir, 'library.json');
+        this.items = new Map();
+        this.writing = Promise.resolve();
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.libraryDir, { recursive: true });
+
+        try {
+            const items = JSON.parse(await fs.promises.readFile(this.indexFile, 'utf8'));
+            for (const item of items) {
+                this.items.set(item.id, item);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('ライブラリの読み込みに失敗:', error.message);
+            }
+        }
+    }
+
+    audioFile(item) {
+        return path.join(this.libraryDir, `${item.id}.${getAudioFormat(item.format).extension}`);
+    }
+
+    alignmentFile(item) {
+        return path.join(this.libraryDir, `${item.id}.alignment.json`);
+    }
+
+    segmentsFile(item) {
+        return path.join(this.libraryDir, `${item.id}.segments.json`);
+    }
+
+    // 一覧の保存は順番に行い、常に最新の状態を書き込む
+    save() {
+        this.writing = this.writing
+            .catch(() => {})
+            .then(async () => {
+                const data = JSON.stringify([...this.items.values()], null, 2);
+                await fs.promises.writeFile(`${this.indexFile}.tmp`, data);
+                await fs.promises.rename(`${this.indexFile}.tmp`, this.indexFile);
+            });
+        return this.writing;
+    }
+
+    /**
+     * 生成した音声を保存する
+     * @param {Object} options
+     * @param {Buffer} options.audio
+     * @param {string} options.input - 合成したテキストまたはSSML
+     * @param {string} options.inputType - 'text' または 'ssml'
+     * @param {string} options.voice
+     * @param {string} options.format - 'mp3' など
+     * @param {Object} options.audioConfig - 合成に使ったaudioConfig
+     * @param {Object} [options.metadata] - 記事の情報（title, subtitle, author, publishedAt, url）
+     * @param {Object[]} [options.chapters] - チャプターの開始・終了時刻
+     * @param {Object} [options.alignment] - 読み上げ位置の対応表（buildAlignment() の戻り値）
+     * @param {Object[]} [options.segments] - チャンクごとの本文と再生時刻（timeSegments() の戻り値）
+     * @param {string} [options.jobId]
+     * @returns {Promise<Object>}
+     */
+    async add({ audio, input, inputType, voice, format, audioConfig, metadata = {}, chapters = [], alignment = null, segments = null, jobId = null }) {
+        const audioFormat = getAudioFormat(format);
+        const item = {
+            id: crypto.randomUUID(),
+            title: metadata.title || null,
+            excerpt: getExcerpt(input, inputType),
+            metadata,
+            textHash: hashText(input),
+            textLength: input.length,
+            inputType,
+            voice,
+            speed: audioConfig.speakingRate,
+            pitch: audioConfig.pitch,
+            format: audioFormat.name,
+            contentType: audioFormat.contentType,
+            duration: Math.round(getAudioDuration(audio, audioFormat.audioEncoding) * 10) / 10,
+            size: audio.length,
+            chapters,
+            timepoints: alignment ? alignment.granularity : null,
+            subtitles: Boolean(alignment || segments),
+            jobId,
+            createdAt: new Date().toISOString()
+        };
+
+        await fs.promises.writeFile(this.audioFile(item), audio);
+        if (alignment) {
+            // 対応表のオフセットは合成したテキストが基準のため、本文もあわせて保存する
+            await fs.promises.writeFile(this.alignmentFile(item), JSON.stringify({ text: input, ...alignment }));
+        }
+        if (segments) {
+            await fs.promises.writeFile(this.segmentsFile(item), JSON.stringify(segments));
+        }
+        this.items.set(item.id, item);
+        await this.save();
+
+        return item;
+    }
+
+    get(id) {
+        return this.items.get(id) || null;
+    }
+
+    /**
+     * 読み上げ位置の対応表
+     * @returns {Promise<Object|null>} { text, granularity, sentences, words }
+     */
+    async getAlignment(id) {
+        const item = this.items.get(id);
+        if (!item || !item.timepoints) return null;
+        return JSON.parse(await fs.promises.readFile(this.alignmentFile(item), 'utf8'));
+    }
+
+    /**
+     * チャンクごとの本文と再生時刻（字幕の作成に使う。この機能より前に保存した音声にはない）
+     * @returns {Promise<Object[]|null>} [{ text, startTime, endTime }]
+     */
+    async getSegments(id) {
+        const item = this.items.get(id);
+        if (!item) return null;
+
+        try {
+            return JSON.parse(await fs.promises.readFile(this.segmentsFile(item), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * 条件に合う音声を新しい順に返す
+     * @param {Object} [options]
+     * @param {string} [options.q] - タイトル・本文の先頭に含まれる文字列
+     * @param {string} [options.voice]
+     * @param {string} [options.format]
+     * @param {string} [options.textHash] - 同じ本文から生成した音声
+     * @param {string} [options.from] - この日時以降に生成したもの
+     * @param {string} [options.to] - この日時より前に生成したもの
+     * @param {number} [options.page] - 1から始まるページ番号
+     * @param {number} [options.perPage]
+     * @returns {{items: Object[], total: number, page: number, perPage: number, totalPages: number}}
+     */
+    list({ q, voice, format, textHash, from, to, page = 1, perPage = DEFAULT_PAGE_SIZE } = {}) {
+        const query = q ? q.toLowerCase() : null;
+        const filtered = [...this.items.values()]
+            .filter(item => !voice || item.voice === voice)
+            .filter(item => !format || item.format === format)
+            .filter(item => !textHash || item.textHash === textHash)
+            .filter(item => !from || item.createdAt >= from)
+            .filter(item => !to || item.createdAt < to)
+            .filter(item => !query || `${item.title || ''} ${item.excerpt}`.toLowerCase().includes(query))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        const start = (page - 1) * perPage;
+        return {
+            items: filtered.slice(start, start + perPage),
+            total: filtered.length,
+            page,
+            perPage,
+            totalPages: Math.ceil(filtered.length / perPage)
+        };
+    }
+
+    async remove(id) {
+        const item = this.items.get(id);
+        if (!item) return false;
+
+        this.items.delete(id);
+        await this.save();
+        await fs.promises.rm(this.audioFile(item), { force: true });
+        await fs.promises.rm(this.alignmentFile(item), { force: true });
+        await fs.promises.rm(this.segmentsFile(item), { force: true });
+        return true;
+    }
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    hashText,
+    AudioLibrary
+};
@@ -0,0 +1,195 @@
+// 16bitリニアPCM（モノラル）のラウドネス測定・無音の除去・ゲイン調整
+// ラウドネスは ITU-R BS.1770-4 の K特性フィルターとゲーティングによる統合ラウドネス（LUFS）
+
+// 測定ブロック400ms（75%重複）を100ms単位で集計する
+const BLOCK_SECONDS = 0.4;
+const STEP_SECONDS = 0.1;
+const STEPS_PER_BLOCK = Math.round(BLOCK_SECONDS / STEP_SECONDS);
+
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+
+// 無音の判定に使う区間の長さ
+const SILENCE_WINDOW_SECONDS = 0.01;
+
+const FULL_SCALE = 32768;
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+const gainToDb = (gain) => 20 * Math.log10(gain);
+
+// 平均二乗からラウドネスを求める（-0.691 はK特性の1kHzでの利得の補正）
+const meanSquareToLufs = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+
+/**
+ * K特性フィルター（高域シェルビングとハイパスの2段の双二次フィルター）の係数をサンプルレートに合わせて求める
+ * @param {number} sampleRate
+ * @returns {{b: number[], a: number[]}[]}
+ */
+const kWeightingFilters = (sampleRate) => {
+    const shelf = (() => {
+        const f0 = 1681.974450955533;
+        const gainDb = 3.999843853973347;
+        const q = 0.7071752369554196;
+        const k = Math.tan(Math.PI * f0 / sampleRate);
+        const vh = Math.pow(10, gainDb / 20);
+        const vb = Math.pow(vh, 0.4996667741545416);
+        const a0 = 1 + k / q + k * k;
+        return {
+            b: [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+            a: [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+        };
+    })();
+
+    const highPass = (() => {
+        const f0 = 38.13547087602444;
+        const q = 0.5003270373238773;
+        const k = Math.tan(Math.PI * f0 / sampleRate);
+        const a0 = 1 + k / q + k * k;
+        return {
+            b: [1, -2, 1],
+            a: [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+        };
+    })();
+
+    return [shelf, highPass];
+};
+
+/**
+ * 統合ラウドネスを測定する（長い音声でもメモリを使わないよう、フィルター後の値は100msごとの二乗和だけを残す）
+ * @param {Int16Array} samples
+ * @param {number} sampleRate
+ * @returns {number} LUFS（無音の場合は -Infinity）
+ */
+const measureLoudness = (samples, sampleRate) => {
+    const filters = kWeightingFilters(sampleRate);
+    const state = filters.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+    const stepLength = Math.max(1, Math.round(STEP_SECONDS * sampleRate));
+    const stepSums = [];
+    let sum = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+        let value = samples[i] / FULL_SCALE;
+        for (let f = 0; f < filters.length; f++) {
+            const { b, a } = filters[f];
+            const s = state[f];
+            const output = b[0] * value + b[1] * s.x1 + b[2] * s.x2 - a[1] * s.y1 - a[2] * s.y2;
+            s.x2 = s.x1;
+            s.x1 = value;
+            s.y2 = s.y1;
+            s.y1 = output;
+            value = output;
+        }
+        sum += value * value;
+
+        if ((i + 1) % stepLength === 0) {
+            stepSums.push(sum);
+            sum = 0;
+        }
+    }
+
+    // 1ブロックに満たない短い音声は全体を1つのブロックとして測る
+    if (stepSums.length < STEPS_PER_BLOCK) {
+        const total = stepSums.reduce((acc, value) => acc + value, sum);
+        return samples.length > 0 && total > 0 ? meanSquareToLufs(total / samples.length) : -Infinity;
+    }
+
+    const blocks = [];
+    for (let i = 0; i + STEPS_PER_BLOCK <= stepSums.length; i++) {
+        let blockSum = 0;
+        for (let j = 0; j < STEPS_PER_BLOCK; j++) {
+            blockSum += stepSums[i + j];
+        }
+        blocks.push(blockSum / (stepLength * STEPS_PER_BLOCK));
+    }
+
+    const average = (values) => values.reduce((acc, value) => acc + value, 0) / values.length;
+    const aboveAbsolute = blocks.filter(meanSquare => meanSquare > 0 && meanSquareToLufs(meanSquare) > ABSOLUTE_GATE_LUFS);
+    if (aboveAbsolute.length === 0) return -Infinity;
+
+    const relativeGate = meanSquareToLufs(average(aboveAbsolute)) + RELATIVE_GATE_LU;
+    const gated = aboveAbsolute.filter(meanSquare => meanSquareToLufs(meanSquare) > relativeGate);
+    return meanSquareToLufs(average(gated));
+};
+
+/**
+ * サンプルのピーク（dBFS、無音の場合は -Infinity）
+ * @param {Int16Array} samples
+ * @returns {number}
+ */
+const measurePeak = (samples) => {
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const value = Math.abs(samples[i]);
+        if (value > peak) peak = value;
+    }
+    return peak > 0 ? gainToDb(peak / FULL_SCALE) : -Infinity;
+};
+
+/**
+ * 先頭と末尾の無音（しきい値以下の区間）の位置を求める。残す余白の分だけ内側に戻す
+ * @param {Int16Array} samples
+ * @param {number} sampleRate
+ * @param {Object} options
+ * @param {number} options.thresholdDb - 無音とみなすレベル（dBFS。10ms区間の実効値で判定）
+ * @param {number} options.paddingMs - 話し始めの前と話し終わりの後に残す無音
+ * @returns {{start: number, end: number}} 残すサンプルの範囲（すべて無音の場合は全体）
+ */
+const findSilenceBounds = (samples, sampleRate, { thresholdDb, paddingMs }) => {
+    const windowLength = Math.max(1, Math.round(SILENCE_WINDOW_SECONDS * sampleRate));
+    const threshold = dbToGain(thresholdDb) * FULL_SCALE;
+    const thresholdSquare = threshold * threshold;
+
+    const isSound = (start) => {
+        const end = Math.min(samples.length, start + windowLength);
+        let sum = 0;
+        for (let i = start; i < end; i++) {
+            sum += samples[i] * samples[i];
+        }
+        return sum / (end - start) > thresholdSquare;
+    };
+
+    let first = -1;
+    for (let start = 0; start < samples.length; start += windowLength) {
+        if (isSound(start)) {
+            first = start;
+            break;
+        }
+    }
+    if (first === -1) return { start: 0, end: samples.length };
+
+    let last = first;
+    for (let start = Math.floor((samples.length - 1) / windowLength) * windowLength; start > first; start -= windowLength) {
+        if (isSound(start)) {
+            last = start;
+            break;
+        }
+    }
+
+    const padding = Math.round(paddingMs / 1000 * sampleRate);
+    return {
+        start: Math.max(0, first - padding),
+        end: Math.min(samples.length, last + windowLength + padding)
+    };
+};
+
+/**
+ * ゲインをかけたサンプルを返す（範囲を超える値は丸める）
+ * @param {Int16Array} samples
+ * @param {number} gainDb
+ * @returns {Int16Array}
+ */
+const applyGain = (samples, gainDb) => {
+    const gain = dbToGain(gainDb);
+    const output = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        output[i] = Math.max(-FULL_SCALE, Math.min(FULL_SCALE - 1, Math.round(samples[i] * gain)));
+    }
+    return output;
+};
+
+module.exports = {
+    measureLoudness,
+    measurePeak,
+    findSilenceBounds,
+    applyGain
+};
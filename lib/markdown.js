@@ -0,0 +1,398 @@
+// Markdown入力の読み上げ（見出し・リスト・リンクなどの構造に合わせてSSMLに変換する）
+const { escapeSsml, validateSsml, ssmlToPlainText } = require('./ssml');
+const { MAX_HEADINGS, MAX_HEADING_LENGTH, DEFAULT_INTRO_TITLE } = require('./chapters');
+
+// コードブロック・表の扱い（skip: 読み飛ばす、announce: 代わりに案内の文を読む）
+const MARKDOWN_BLOCK_MODES = ['announce', 'skip'];
+
+const MAX_ANNOUNCEMENT_LENGTH = 100;
+
+// 音声の言語ごとの既定の案内
+const DEFAULT_ANNOUNCEMENTS = {
+    ja: { code: 'コードは省略します。', table: '表は省略します。' },
+    en: { code: 'Code block omitted.', table: 'Table omitted.' }
+};
+
+// 見出しの前後の間（大見出しほど長くする）
+const HEADING_BREAKS = {
+    major: { before: '1200ms', after: '800ms' },
+    minor: { before: '800ms', after: '500ms' }
+};
+
+const VOICE_PATTERN = /^[a-z]{2,3}-[A-Z]{2}-[\w-]+$/;
+const CJK_PATTERN = /[\u3000-\u30ff\u3400-\u9fff\uff00-\uffef]/;
+const SENTENCE_END_PATTERN = /[。．.!?！？]$/;
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const ATX_HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])([ \t]*\1){2,}[ \t]*$/;
+const QUOTE_PATTERN = /^ {0,3}> ?/;
+const LIST_ITEM_PATTERN = /^([ \t]*)([-*+]|\d{1,9}[.)])[ \t]+(.*)$/;
+const TABLE_DELIMITER_PATTERN = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const INDENTED_CODE_PATTERN = /^( {4}|\t)/;
+const LINK_DEFINITION_PATTERN = /^ {0,3}\[[^\]]+\]:[ \t]*\S+/;
+const SETEXT_PATTERN = /^ {0,3}(=+|-+)[ \t]*$/;
+
+const isBlank = (line) => !line.trim();
+
+// 段落を途中で終わらせる行（見出し・コード・引用・リスト・区切り線）
+const startsBlock = (line) => {
+    return FENCE_PATTERN.test(line) || ATX_HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) ||
+        QUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line);
+};
+
+// 閉じのフェンス（開きと同じ記号で同じ数以上）
+const isClosingFence = (line, fence) => {
+    const match = line.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+    return Boolean(match) && match[1][0] === fence[0] && match[1].length >= fence.length;
+};
+
+/**
+ * 行内の記法を除いて読み上げる文字列にする
+ * コード・エスケープした記号はそのまま読み、リンク・画像は文字列（代替テキスト）だけを読む
+ * @param {string} text
+ * @returns {string}
+ */
+const renderInline = (text) => {
+    const literals = [];
+    const keep = (literal) => {
+        literals.push(literal);
+        return `\u0000${literals.length - 1}\u0000`;
+    };
+
+    return text
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(code.trim()))
+        .replace(/\\([\\`*_{}[\]()#+\-.!|>~<])/g, (match, char) => keep(char))
+        .replace(/!\[([^\]]*)\]\((?:[^()]|\([^)]*\))*\)/g, '$1')
+        .replace(/!\[([^\]]*)\]\[[^\]]*\]/g, '$1')
+        .replace(/\[\^[^\]]+\]/g, '')
+        .replace(/\[([^\]]+)\]\((?:[^()]|\([^)]*\))*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+        .replace(/<(?:https?|ftp|mailto):[^>\s]*>|<[^>\s@]+@[^>\s]+>/gi, '')
+        .replace(/https?:\/\/[^\s<>()]+/g, '')
+        .replace(/<\/?[A-Za-z][^>]*>/g, '')
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+        .replace(/\*(?=\S)([^*]*?\S)\*/g, '$1')
+        .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1$2')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1')
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => literals[Number(index)])
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+// 箇条書き（- * +）と番号付き（1. 1)）の区別
+const markerKind = (marker) => (/\d/.test(marker) ? 'ordered' : 'bullet');
+
+/**
+ * リストを項目の配列にする（入れ子のリストは親の項目の後に続けて読む）
+ * @returns {{items: string[], next: number}}
+ */
+const parseList = (lines, start) => {
+    const [, baseIndent, baseMarker] = lines[start].match(LIST_ITEM_PATTERN);
+    const items = [];
+    let i = start;
+    let fence = null;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        // 項目内のコードブロックは読み飛ばす
+        if (fence) {
+            if (isClosingFence(line.trimStart(), fence)) fence = null;
+            i++;
+            continue;
+        }
+
+        if (isBlank(line)) {
+            // 空行の後も項目または字下げした行が続く場合は同じリスト
+            const next = lines[i + 1];
+            if (next !== undefined && (LIST_ITEM_PATTERN.test(next) || /^[ \t]+\S/.test(next))) {
+                i++;
+                continue;
+            }
+            break;
+        }
+
+        const fenceMatch = line.trimStart().match(FENCE_PATTERN);
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            i++;
+            continue;
+        }
+
+        const item = line.match(LIST_ITEM_PATTERN);
+        // 同じ深さで記号の種類が変わったら別のリスト
+        if (item && i > start && item[1].length <= baseIndent.length && markerKind(item[2]) !== markerKind(baseMarker)) {
+            break;
+        }
+        if (item) {
+            // タスクリストのチェックボックスは読まない
+            items.push(item[3].replace(/^\[[ xX]\][ \t]+/, ''));
+        } else if (/^[ \t]+\S/.test(line) || !startsBlock(line)) {
+            items[items.length - 1] += ` ${line.trim()}`;
+        } else {
+            break;
+        }
+        i++;
+    }
+
+    return { items: items.map(renderInline).filter(Boolean), next: i };
+};
+
+/**
+ * Markdownをブロックの配列に分解する
+ * @param {string[]} lines
+ * @returns {Object[]} { type: heading | paragraph | list | quote | code | table | rule, ... }
+ */
+const parseBlocks = (lines) => {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line) || LINK_DEFINITION_PATTERN.test(line)) {
+            i++;
+            continue;
+        }
+
+        const fenceMatch = line.match(FENCE_PATTERN);
+        if (fenceMatch) {
+            i++;
+            while (i < lines.length && !isClosingFence(lines[i], fenceMatch[1])) i++;
+            i++;
+            blocks.push({ type: 'code' });
+            continue;
+        }
+
+        const heading = line.match(ATX_HEADING_PATTERN);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: renderInline(heading[2] || '') });
+            i++;
+            continue;
+        }
+
+        if (RULE_PATTERN.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+            continue;
+        }
+
+        if (QUOTE_PATTERN.test(line)) {
+            const quoted = [];
+            while (i < lines.length && !isBlank(lines[i]) && (QUOTE_PATTERN.test(lines[i]) || !startsBlock(lines[i]))) {
+                quoted.push(lines[i].replace(QUOTE_PATTERN, ''));
+                i++;
+            }
+            blocks.push({ type: 'quote', blocks: parseBlocks(quoted) });
+            continue;
+        }
+
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const { items, next } = parseList(lines, i);
+            blocks.push({ type: 'list', items });
+            i = next;
+            continue;
+        }
+
+        if (line.includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_DELIMITER_PATTERN.test(lines[i + 1])) {
+            i += 2;
+            while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) i++;
+            blocks.push({ type: 'table' });
+            continue;
+        }
+
+        if (INDENTED_CODE_PATTERN.test(line)) {
+            while (i < lines.length && (INDENTED_CODE_PATTERN.test(lines[i]) || isBlank(lines[i]))) i++;
+            blocks.push({ type: 'code' });
+            continue;
+        }
+
+        // 段落（次の行が === / --- なら見出し）
+        const paragraph = [line];
+        let setextLevel = null;
+        i++;
+        while (i < lines.length && !isBlank(lines[i])) {
+            const setext = lines[i].match(SETEXT_PATTERN);
+            if (setext) {
+                setextLevel = setext[1][0] === '=' ? 1 : 2;
+                i++;
+                break;
+            }
+            if (startsBlock(lines[i])) break;
+            paragraph.push(lines[i]);
+            i++;
+        }
+
+        const text = renderInline(paragraph.join('\n'));
+        blocks.push(setextLevel ? { type: 'heading', level: setextLevel, text } : { type: 'paragraph', text });
+    }
+
+    return blocks;
+};
+
+// リストの項目の区切り（日本語は読点・句点、それ以外はカンマ・ピリオド）
+const withSeparator = (text, isLast) => {
+    if (SENTENCE_END_PATTERN.test(text)) return text;
+    const cjk = CJK_PATTERN.test(text);
+    if (isLast) return text + (cjk ? '。' : '.');
+    return text + (cjk ? '、' : ',');
+};
+
+// chapters を渡した場合は見出しの位置（出力の先頭からの文字数）を記録する（引用の中の見出しは記録しない）
+const renderBlocks = (blocks, options, output = [], chapters = null) => {
+    for (const block of blocks) {
+        switch (block.type) {
+            case 'heading': {
+                if (!block.text) break;
+                const breaks = block.level <= 2 ? HEADING_BREAKS.major : HEADING_BREAKS.minor;
+                const text = escapeSsml(block.text);
+                if (output.length > 0) output.push(`<break time="${breaks.before}"/>`);
+                if (chapters && chapters.length < MAX_HEADINGS) {
+                    chapters.push({ title: block.text.substring(0, MAX_HEADING_LENGTH), offset: output.join('').length });
+                }
+                output.push(`<p>${options.headingEmphasis ? `<emphasis level="strong">${text}</emphasis>` : text}</p>`);
+                output.push(`<break time="${breaks.after}"/>`);
+                break;
+            }
+            case 'paragraph':
+                if (block.text) output.push(`<p>${escapeSsml(block.text)}</p>`);
+                break;
+            case 'list':
+                if (block.items.length > 0) {
+                    const sentences = block.items.map((item, index) => `<s>${escapeSsml(withSeparator(item, index === block.items.length - 1))}</s>`);
+                    output.push(`<p>${sentences.join('')}</p>`);
+                }
+                break;
+            case 'quote': {
+                const inner = renderBlocks(block.blocks, options, []);
+                if (inner.length === 0) break;
+                output.push(options.quoteVoice ? `<voice name="${options.quoteVoice}">${inner.join('')}</voice>` : inner.join(''));
+                break;
+            }
+            case 'code':
+                if (options.codeBlocks === 'announce') output.push(`<p>${escapeSsml(options.codeAnnouncement)}</p>`);
+                break;
+            case 'table':
+                if (options.tables === 'announce') output.push(`<p>${escapeSsml(options.tableAnnouncement)}</p>`);
+                break;
+            case 'rule':
+                if (output.length > 0) output.push('<break time="1s"/>');
+                break;
+        }
+    }
+
+    return output;
+};
+
+/**
+ * Markdownの読み上げ方の設定を検証する
+ * @param {Object} [value] - { headingEmphasis, codeBlocks, codeAnnouncement, tables, tableAnnouncement, quoteVoice }
+ * @param {Object} [options]
+ * @param {string} [options.voice] - 既定の案内の言語を決める音声
+ * @param {string[]} [options.allowedVoices] - 指定時は引用の音声もこの中から選ぶ
+ * @returns {{valid: boolean, error?: string, options?: Object}}
+ */
+const parseMarkdownOptions = (value = {}, { voice = '', allowedVoices } = {}) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return { valid: false, error: 'markdown には読み上げ方の設定をオブジェクトで指定してください' };
+    }
+
+    const { headingEmphasis = true, codeBlocks = 'announce', tables = 'announce', quoteVoice = null } = value;
+
+    if (typeof headingEmphasis !== 'boolean') {
+        return { valid: false, error: 'markdown.headingEmphasis は true または false を指定してください' };
+    }
+    for (const [key, mode] of [['codeBlocks', codeBlocks], ['tables', tables]]) {
+        if (!MARKDOWN_BLOCK_MODES.includes(mode)) {
+            return { valid: false, error: `markdown.${key} は ${MARKDOWN_BLOCK_MODES.join(' または ')} を指定してください` };
+        }
+    }
+
+    const defaults = DEFAULT_ANNOUNCEMENTS[String(voice).substring(0, 2)] || DEFAULT_ANNOUNCEMENTS.ja;
+    const announcements = {};
+    for (const [key, fallback] of [['codeAnnouncement', defaults.code], ['tableAnnouncement', defaults.table]]) {
+        const announcement = value[key] === undefined || value[key] === null || value[key] === '' ? fallback : value[key];
+        if (typeof announcement !== 'string' || announcement.length > MAX_ANNOUNCEMENT_LENGTH || /[\r\n]/.test(announcement)) {
+            return { valid: false, error: `markdown.${key} は改行を含まない${MAX_ANNOUNCEMENT_LENGTH}文字以内で指定してください` };
+        }
+        announcements[key] = announcement.trim();
+    }
+
+    if (quoteVoice !== null && quoteVoice !== '' &&
+        (typeof quoteVoice !== 'string' || !VOICE_PATTERN.test(quoteVoice) || (allowedVoices && !allowedVoices.includes(quoteVoice)))) {
+        return { valid: false, error: 'markdown.quoteVoice に無効な音声タイプが指定されています' };
+    }
+
+    return {
+        valid: true,
+        options: {
+            headingEmphasis,
+            codeBlocks,
+            tables,
+            ...announcements,
+            quoteVoice: quoteVoice || null
+        }
+    };
+};
+
+/**
+ * MarkdownをSSMLに変換し、見出しの位置をチャプターとして返す
+ * @param {string} markdown
+ * @param {Object} options - parseMarkdownOptions() の options
+ * @param {Object} [chapterOptions]
+ * @param {string} [chapterOptions.introTitle] - 最初の見出しより前の部分のチャプター名
+ * @returns {{ssml: string, chapters: {title: string, offset: number}[]}} ssml は<speak>で囲まれたSSML（読み上げる内容がなければ空の<speak>）、offset はSSMLの先頭からの文字数
+ */
+const markdownToSsml = (markdown, options, { introTitle } = {}) => {
+    const source = markdown
+        .replace(/\r\n?/g, '\n')
+        .replace(/^---\n[\s\S]*?\n(?:---|\.\.\.)\n/, '')
+        .replace(/<!--[\s\S]*?-->/g, '');
+
+    const chapters = [];
+    const body = renderBlocks(parseBlocks(source.split('\n')), options, [], chapters).join('');
+    const ssml = `<speak>${body}</speak>`;
+    for (const chapter of chapters) {
+        chapter.offset += '<speak>'.length;
+    }
+
+    // 最初の見出しより前に読み上げる本文があれば、そこもチャプターにする
+    if (chapters.length > 0 && ssmlToPlainText(`${ssml.substring(0, chapters[0].offset)}</speak>`).trim()) {
+        chapters.unshift({ title: (introTitle && introTitle.trim()) || DEFAULT_INTRO_TITLE, offset: 0 });
+    }
+
+    return { ssml, chapters };
+};
+
+/**
+ * Markdown入力を検証してSSMLに変換する
+ * @param {string} markdown
+ * @param {Object} [value] - 読み上げ方の設定（parseMarkdownOptions() を参照）
+ * @param {Object} [options] - { voice, allowedVoices, introTitle }
+ * @returns {{valid: boolean, error?: string, ssml?: string, chapters?: Object[]}} chapters は見出しの位置（markdownToSsml() を参照）
+ */
+const parseMarkdownInput = (markdown, value, options = {}) => {
+    const optionsValidation = parseMarkdownOptions(value, options);
+    if (!optionsValidation.valid) return optionsValidation;
+
+    const { ssml, chapters } = markdownToSsml(markdown, optionsValidation.options, { introTitle: options.introTitle });
+    if (ssml === '<speak></speak>') {
+        return { valid: false, error: 'Markdownに読み上げる本文がありません' };
+    }
+
+    // 変換結果も通常のSSMLと同じ検証を通す
+    const ssmlValidation = validateSsml(ssml);
+    if (!ssmlValidation.valid) {
+        return { valid: false, error: 'MarkdownをSSMLに変換できませんでした' };
+    }
+
+    return { valid: true, ssml: ssmlValidation.ssml, chapters };
+};
+
+module.exports = {
+    MARKDOWN_BLOCK_MODES,
+    parseMarkdownOptions,
+    markdownToSsml,
+    parseMarkdownInput
+};
@@ -0,0 +1,191 @@
+// Oggページの読み書きと、チャンクごとのOgg Opusを1つの論理ストリームにまとめる処理
+
+// Oggページのチェックサム（多項式 0x04C11DB7）
+const OGG_CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+    let crc = index << 24;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+    return crc >>> 0;
+});
+
+// ページのフラグ
+const CONTINUED_PACKET = 0x01;
+const BEGINNING_OF_STREAM = 0x02;
+const END_OF_STREAM = 0x04;
+
+// ページ内でパケットが完結しない場合のグラニュール位置
+const NO_GRANULE_POSITION = 0xffffffffffffffffn;
+
+const oggCrc = (buffer) => {
+    let crc = 0;
+    for (const byte of buffer) {
+        crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+    }
+    return crc;
+};
+
+/**
+ * ページを組み立てる
+ * @param {Object} page
+ * @param {number[]|Buffer} page.segments - セグメントテーブル（各パケットを255バイトずつに分けた長さ）
+ * @param {Buffer} page.body
+ * @param {number} page.serial
+ * @param {number} page.sequence
+ * @param {bigint|number} page.granulePosition
+ * @param {number} page.flags
+ * @returns {Buffer}
+ */
+const writeOggPage = ({ segments, body, serial, sequence, granulePosition, flags }) => {
+    const header = Buffer.alloc(27 + segments.length);
+    header.write('OggS', 0, 'ascii');
+    header[5] = flags;
+    header.writeBigUInt64LE(BigInt.asUintN(64, BigInt(granulePosition)), 6);
+    header.writeUInt32LE(serial, 14);
+    header.writeUInt32LE(sequence, 18);
+    header[26] = segments.length;
+    Buffer.from(segments).copy(header, 27);
+
+    const page = Buffer.concat([header, body]);
+    page.writeUInt32LE(oggCrc(page), 22);
+    return page;
+};
+
+/**
+ * パケットを1ページに収める
+ * @param {Object} options
+ * @param {Buffer[]} options.packets
+ * @returns {Buffer}
+ */
+const createOggPage = ({ packets, ...page }) => {
+    const segments = [];
+    for (const packet of packets) {
+        let remaining = packet.length;
+        while (remaining >= 255) {
+            segments.push(255);
+            remaining -= 255;
+        }
+        segments.push(remaining);
+    }
+
+    return writeOggPage({ ...page, segments, body: Buffer.concat(packets) });
+};
+
+/**
+ * Oggのページを順に取り出す
+ * @param {Buffer} buffer
+ * @returns {{flags: number, granulePosition: bigint, serial: number, segments: Buffer, body: Buffer}[]}
+ */
+const readOggPages = (buffer) => {
+    const pages = [];
+    let offset = 0;
+
+    while (offset < buffer.length) {
+        if (offset + 27 > buffer.length || buffer.toString('ascii', offset, offset + 4) !== 'OggS') {
+            throw new Error('Oggのページを読み込めませんでした');
+        }
+        const segmentCount = buffer[offset + 26];
+        const segments = buffer.subarray(offset + 27, offset + 27 + segmentCount);
+        const bodyStart = offset + 27 + segmentCount;
+        const bodyEnd = bodyStart + segments.reduce((sum, length) => sum + length, 0);
+        if (bodyEnd > buffer.length) {
+            throw new Error('Oggのページが途中で切れています');
+        }
+
+        pages.push({
+            flags: buffer[offset + 5],
+            granulePosition: buffer.readBigUInt64LE(offset + 6),
+            serial: buffer.readUInt32LE(offset + 14),
+            segments,
+            body: buffer.subarray(bodyStart, bodyEnd)
+        });
+        offset = bodyEnd;
+    }
+
+    return pages;
+};
+
+// Opusパケットの長さ（48kHzのサンプル数。TOCバイトのconfigとフレーム数から求める）
+const getOpusPacketSamples = (packet) => {
+    if (packet.length === 0) return 0;
+
+    const config = packet[0] >> 3;
+    let frameSamples;
+    if (config < 12) {
+        frameSamples = [480, 960, 1920, 2880][config % 4]; // SILK: 10/20/40/60ms
+    } else if (config < 16) {
+        frameSamples = [480, 960][config % 2]; // Hybrid: 10/20ms
+    } else {
+        frameSamples = [120, 240, 480, 960][config % 4]; // CELT: 2.5/5/10/20ms
+    }
+
+    const code = packet[0] & 0x03;
+    const frames = code === 0 ? 1 : (code === 3 ? (packet[1] || 0) & 0x3f : 2);
+    return frameSamples * frames;
+};
+
+/**
+ * チャンクごとのOgg Opusを、グラニュール位置が連続する1つの論理ストリームにまとめる
+ * 2つ目以降のチャンクはヘッダー（OpusHead・OpusTags）を除き、シリアル番号とページ番号を先頭のストリームに合わせる
+ * 連結ストリーム（chained stream）はブラウザやポッドキャストアプリが最初のストリームで再生を止めるため使わない
+ * @param {Buffer[]} buffers - 同じ設定（チャンネル数・サンプルレート）で合成したOgg Opus
+ * @returns {Buffer}
+ */
+const concatOggOpus = (buffers) => {
+    if (buffers.length === 1) return buffers[0];
+
+    const output = [];
+    let serial = null;
+    let sequence = 0;
+    let base = 0n; // これまでのチャンクでデコードされるサンプル数
+
+    buffers.forEach((buffer, index) => {
+        const pages = readOggPages(buffer);
+        if (pages.length === 0 || pages[0].body.toString('ascii', 0, 8) !== 'OpusHead') {
+            throw new Error('Ogg Opusの音声ではありません');
+        }
+        if (serial === null) serial = pages[0].serial;
+
+        // パケットの境界をたどり、ヘッダーの2パケットより後の音声の長さを数える
+        let packetIndex = 0;
+        let packet = [];
+        let samples = 0n;
+        for (const page of pages) {
+            const isHeader = packetIndex < 2;
+            let position = 0;
+            for (const length of page.segments) {
+                packet.push(page.body.subarray(position, position + length));
+                position += length;
+                if (length < 255) {
+                    if (packetIndex >= 2) samples += BigInt(getOpusPacketSamples(Buffer.concat(packet)));
+                    packet = [];
+                    packetIndex++;
+                }
+            }
+
+            // ヘッダーのページは先頭のチャンクのものだけを使う
+            if (isHeader && index > 0) continue;
+
+            const isLastPage = index === buffers.length - 1 && page === pages[pages.length - 1];
+            output.push(writeOggPage({
+                segments: page.segments,
+                body: page.body,
+                serial,
+                sequence: sequence++,
+                granulePosition: isHeader || page.granulePosition === NO_GRANULE_POSITION ? page.granulePosition : base + page.granulePosition,
+                flags: (page.flags & CONTINUED_PACKET) | (output.length === 0 ? BEGINNING_OF_STREAM : 0) | (isLastPage ? END_OF_STREAM : 0)
+            }));
+        }
+
+        base += samples;
+    });
+
+    return Buffer.concat(output);
+};
+
+module.exports = {
+    oggCrc,
+    createOggPage,
+    readOggPages,
+    concatOggOpus
+};
@@ -0,0 +1,123 @@
+// ポッドキャストRSS 2.0フィード（iTunes名前空間つき）の生成
+const { getAudioFormat } = require('./audio-format');
+
+const escapeXml = (value) => {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+};
+
+// itunes:duration は HH:MM:SS 形式
+const formatDuration = (seconds) => {
+    const total = Math.max(0, Math.round(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    return [hours, minutes, secs].map(value => String(value).padStart(2, '0')).join(':');
+};
+
+// RFC 822形式の日時（例: Tue, 02 Jan 2024 09:00:00 GMT）
+const formatRfc822 = (date) => new Date(date).toUTCString();
+
+/**
+ * 環境変数から番組情報を読み込む
+ * @param {Object} [env]
+ * @returns {Object}
+ */
+const loadPodcastConfig = (env = process.env) => ({
+    title: env.PODCAST_TITLE || 'Substack記事の音声版',
+    description: env.PODCAST_DESCRIPTION || 'Substackの記事を音声で配信しています。',
+    author: env.PODCAST_AUTHOR || '',
+    email: env.PODCAST_EMAIL || '',
+    language: env.PODCAST_LANGUAGE || 'ja',
+    link: env.PODCAST_LINK || '',
+    imageUrl: env.PODCAST_IMAGE_URL || '',
+    category: env.PODCAST_CATEGORY || 'News',
+    explicit: env.PODCAST_EXPLICIT === 'true',
+    baseUrl: env.PUBLIC_BASE_URL ? env.PUBLIC_BASE_URL.replace(/\/+$/, '') : ''
+});
+
+const tag = (name, value, attributes = '') => {
+    if (value === undefined || value === null || value === '') return null;
+    return `<${name}${attributes}>${escapeXml(value)}</${name}>`;
+};
+
+/**
+ * RSSフィードを組み立てる
+ * @param {Object} options
+ * @param {Object} options.channel - loadPodcastConfig() の戻り値
+ * @param {Object[]} options.episodes - EpisodeCatalog#list() の戻り値
+ * @param {string} options.baseUrl - 音声ファイルURLの基点（例: https://example.com）
+ * @returns {string}
+ */
+const buildPodcastFeed = ({ channel, episodes, baseUrl }) => {
+    const feedUrl = `${baseUrl}/feed.xml`;
+    const explicit = channel.explicit ? 'true' : 'false';
+    // 過去の日付の記事を後から公開することもあるため、最後に公開操作をした日時にする
+    const lastBuildDate = episodes.reduce((latest, episode) => {
+        return episode.createdAt > latest ? episode.createdAt : latest;
+    }, episodes.length > 0 ? episodes[0].createdAt : new Date().toISOString());
+
+    const items = episodes.map(episode => {
+        const enclosureUrl = `${baseUrl}/podcast/episodes/${episode.id}.${getAudioFormat(episode.format).extension}`;
+        return [
+            '<item>',
+            tag('title', episode.title),
+            tag('description', episode.description || episode.title),
+            tag('link', episode.link),
+            tag('guid', episode.id, ' isPermaLink="false"'),
+            tag('pubDate', formatRfc822(episode.publishedAt)),
+            `<enclosure url="${escapeXml(enclosureUrl)}" length="${episode.size}" type="${escapeXml(episode.contentType)}"/>`,
+            tag('itunes:title', episode.title),
+            tag('itunes:author', episode.author || channel.author),
+            tag('itunes:summary', episode.description),
+            tag('itunes:duration', formatDuration(episode.duration)),
+            tag('itunes:explicit', explicit),
+            tag('itunes:episodeType', 'full'),
+            episode.chapters && episode.chapters.length > 0
+                ? `<podcast:chapters url="${escapeXml(`${baseUrl}/podcast/episodes/${episode.id}/chapters.json`)}" type="application/json+chapters"/>`
+                : null,
+            '</item>'
+        ].filter(Boolean).join('\n');
+    });
+
+    const owner = channel.author || channel.email
+        ? ['<itunes:owner>', tag('itunes:name', channel.author), tag('itunes:email', channel.email), '</itunes:owner>']
+            .filter(Boolean).join('\n')
+        : null;
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" ' +
+            'xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:atom="http://www.w3.org/2005/Atom" ' +
+            'xmlns:podcast="https://podcastindex.org/namespace/1.0">',
+        '<channel>',
+        tag('title', channel.title),
+        tag('link', channel.link || baseUrl),
+        tag('description', channel.description),
+        tag('language', channel.language),
+        `<atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+        tag('lastBuildDate', formatRfc822(lastBuildDate)),
+        tag('itunes:author', channel.author),
+        tag('itunes:summary', channel.description),
+        channel.imageUrl ? `<itunes:image href="${escapeXml(channel.imageUrl)}"/>` : null,
+        `<itunes:category text="${escapeXml(channel.category)}"/>`,
+        tag('itunes:explicit', explicit),
+        tag('itunes:type', 'episodic'),
+        owner,
+        ...items,
+        '</channel>',
+        '</rss>',
+        ''
+    ].filter(Boolean).join('\n');
+};
+
+module.exports = {
+    escapeXml,
+    formatDuration,
+    loadPodcastConfig,
+    buildPodcastFeed
+};
@@ -0,0 +1,64 @@
+// 音声合成の料金の見積もり
+const { describeVoice } = require('./voice-catalog');
+
+// 音声の種類ごとの料金（Google Cloud Text-to-Speech、100万文字あたりのUSD）
+const DEFAULT_PRICING = {
+    Standard: 4,
+    WaveNet: 16,
+    Neural2: 16,
+    News: 16,
+    Polyglot: 16,
+    Casual: 16,
+    Journey: 30,
+    'Chirp-HD': 30,
+    'Chirp3-HD': 30,
+    Studio: 160
+};
+
+const CHARACTERS_PER_UNIT = 1000000;
+
+/**
+ * 環境変数 TTS_PRICING（例: "WaveNet:4,Studio:160"）で既定の料金表を上書きする
+ * @param {Object} [env]
+ * @returns {Object} 種類ごとの100万文字あたりの料金
+ */
+const loadPricingConfig = (env = process.env) => {
+    const pricing = { ...DEFAULT_PRICING };
+    for (const item of (env.TTS_PRICING || '').split(',')) {
+        const [type, rate] = item.split(':').map(value => value.trim());
+        const value = parseFloat(rate);
+        if (!type || isNaN(value) || value < 0) continue;
+
+        // 種類の大文字・小文字の違いは既定の料金表に合わせる
+        const known = Object.keys(DEFAULT_PRICING).find(name => name.toLowerCase() === type.toLowerCase());
+        pricing[known || type] = value;
+    }
+    return pricing;
+};
+
+// 小数の誤差（0.30000000000000004 など）が出ないよう、料金は100万分の1ドル単位に丸める
+const roundUsd = (usd) => Math.round(usd * 1e6) / 1e6;
+
+/**
+ * 文字数と音声から料金を見積もる（料金表にない種類の音声は usd が null）
+ * @param {number} characters - 課金対象の文字数
+ * @param {string} voice - 音声名（例: ja-JP-Neural2-B）
+ * @param {Object} [pricing] - 種類ごとの100万文字あたりの料金
+ * @returns {{type: string, characters: number, usd: number|null}}
+ */
+const estimateCost = (characters, voice, pricing = DEFAULT_PRICING) => {
+    const { type } = describeVoice({ name: voice });
+    const rate = Object.prototype.hasOwnProperty.call(pricing, type) ? pricing[type] : null;
+    return {
+        type,
+        characters,
+        usd: rate === null ? null : roundUsd(characters * rate / CHARACTERS_PER_UNIT)
+    };
+};
+
+module.exports = {
+    DEFAULT_PRICING,
+    loadPricingConfig,
+    roundUsd,
+    estimateCost
+};
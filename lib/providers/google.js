@@ -0,0 +1,90 @@
+// Google Cloud Text-to-Speech を使う音声合成プロバイダー
+const textToSpeech = require('@google-cloud/text-to-speech');
+const { GOOGLE_MAX_INPUT_BYTES } = require('../text-chunker');
+const { AUDIO_FORMATS } = require('../audio-format');
+
+class GoogleProvider {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.client] - 既存のTextToSpeechClient（省略時は作成する）
+     * @param {Object} [options.clientOptions] - TextToSpeechClientの生成オプション
+     * @param {Object} [options.betaClient] - タイムポイント取得用のv1beta1クライアント（省略時は初回利用時に作成する）
+     */
+    constructor({ client, clientOptions, betaClient } = {}) {
+        this.name = 'google';
+        this.client = client || new textToSpeech.TextToSpeechClient(clientOptions);
+        this.clientOptions = clientOptions;
+        this.betaClient = betaClient || null;
+    }
+
+    /**
+     * 1リクエスト分の音声を合成する
+     * @param {Object} request - input, voice, audioConfig を含むリクエスト
+     * @returns {Promise<Buffer>}
+     */
+    async synthesize(request) {
+        const [response] = await this.client.synthesizeSpeech(request);
+
+        if (!response.audioContent) {
+            throw new Error('音声データの生成に失敗しました');
+        }
+
+        return Buffer.from(response.audioContent);
+    }
+
+    /**
+     * SSMLの<mark>の再生時刻とあわせて合成する（enableTimePointingはv1beta1のみ対応）
+     * @param {Object} request - input.ssml に<mark>を含むリクエスト
+     * @returns {Promise<{audioContent: Buffer, timepoints: {markName: string, timeSeconds: number}[]}>}
+     */
+    async synthesizeWithTimepoints(request) {
+        if (!this.betaClient) {
+            this.betaClient = new textToSpeech.v1beta1.TextToSpeechClient(this.clientOptions);
+        }
+
+        const [response] = await this.betaClient.synthesizeSpeech({ ...request, enableTimePointing: ['SSML_MARK'] });
+
+        if (!response.audioContent) {
+            throw new Error('音声データの生成に失敗しました');
+        }
+
+        return {
+            audioContent: Buffer.from(response.audioContent),
+            timepoints: (response.timepoints || []).map(point => ({
+                markName: point.markName,
+                timeSeconds: point.timeSeconds
+            }))
+        };
+    }
+
+    /**
+     * 利用可能な音声の一覧
+     * @param {string} [languageCode] - 指定時はその言語の音声のみ
+     * @returns {Promise<Object[]>} { name, languageCodes, ssmlGender, naturalSampleRateHertz } の配列
+     */
+    async listVoices(languageCode) {
+        const [response] = await this.client.listVoices(languageCode ? { languageCode } : {});
+
+        return response.voices.map(voice => ({
+            name: voice.name,
+            languageCodes: voice.languageCodes,
+            ssmlGender: voice.ssmlGender,
+            naturalSampleRateHertz: voice.naturalSampleRateHertz
+        }));
+    }
+
+    capabilities() {
+        return {
+            name: this.name,
+            offline: false,
+            ssml: true,
+            timepoints: true,
+            maxInputBytes: GOOGLE_MAX_INPUT_BYTES,
+            audioEncodings: Object.values(AUDIO_FORMATS).map(format => format.audioEncoding)
+        };
+    }
+}
+
+module.exports = {
+    GoogleProvider
+};
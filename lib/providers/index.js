@@ -0,0 +1,48 @@
+// 音声合成プロバイダーの選択
+// プロバイダーは synthesize(request)・listVoices(languageCode)・capabilities() を実装する
+// synthesizeWithTimepoints(request) は<mark>の再生時刻を返す（capabilities().timepoints が true の場合）
+const { GoogleProvider } = require('./google');
+const { MockProvider } = require('./mock');
+
+const PROVIDERS = {
+    google: GoogleProvider,
+    mock: MockProvider
+};
+
+const DEFAULT_PROVIDER = 'google';
+
+/**
+ * 名前からプロバイダーを生成する
+ * @param {string} [name] - 'google' または 'mock'
+ * @param {Object} [options] - プロバイダーごとの生成オプション
+ * @returns {GoogleProvider|MockProvider}
+ */
+const createProvider = (name = DEFAULT_PROVIDER, options = {}) => {
+    const Provider = PROVIDERS[(name || DEFAULT_PROVIDER).toLowerCase()];
+    if (!Provider) {
+        throw new Error(`未対応の音声合成プロバイダーです: ${name}（${Object.keys(PROVIDERS).join(', ')} のいずれかを指定してください）`);
+    }
+
+    return new Provider(options);
+};
+
+/**
+ * 環境変数（TTS_PROVIDER など）からプロバイダーを生成する
+ * @param {Object} [env]
+ * @returns {GoogleProvider|MockProvider}
+ */
+const createProviderFromEnv = (env = process.env) => {
+    return createProvider(env.TTS_PROVIDER, {
+        audio: env.TTS_MOCK_AUDIO,
+        latencyMs: parseInt(env.TTS_MOCK_LATENCY_MS || '0', 10)
+    });
+};
+
+module.exports = {
+    PROVIDERS,
+    DEFAULT_PROVIDER,
+    createProvider,
+    createProviderFromEnv,
+    GoogleProvider,
+    MockProvider
+};
@@ -0,0 +1,237 @@
+// ネットワークを使わない決定的な音声合成プロバイダー（ステージング・テスト用）
+// 同じリクエストには常に同じ音声を返し、長さは文字数と話速から見積もる
+const crypto = require('crypto');
+const { GOOGLE_MAX_INPUT_BYTES } = require('../text-chunker');
+const { AUDIO_FORMATS, getAudioFormatByEncoding, wrapWav, encodeMulawSample } = require('../audio-format');
+const { createOggPage } = require('../ogg');
+const { estimateSpeechSeconds } = require('../estimate');
+
+// 無音にならないよう最短でもこの長さにする
+const MIN_DURATION_SECONDS = 0.5;
+
+// チャンクの継ぎ目でクリックノイズが出ないようにするフェード時間
+const FADE_SECONDS = 0.01;
+
+const MOCK_VOICES = [
+    { name: 'ja-JP-Neural2-B', languageCodes: ['ja-JP'], ssmlGender: 'FEMALE', naturalSampleRateHertz: 24000 },
+    { name: 'ja-JP-Neural2-C', languageCodes: ['ja-JP'], ssmlGender: 'MALE', naturalSampleRateHertz: 24000 },
+    { name: 'ja-JP-Neural2-D', languageCodes: ['ja-JP'], ssmlGender: 'MALE', naturalSampleRateHertz: 24000 },
+    { name: 'en-US-Neural2-D', languageCodes: ['en-US'], ssmlGender: 'MALE', naturalSampleRateHertz: 24000 },
+    { name: 'en-US-Neural2-F', languageCodes: ['en-US'], ssmlGender: 'FEMALE', naturalSampleRateHertz: 24000 }
+];
+
+const hashOf = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * 読み上げにかかる時間を見積もる
+ * @param {Object} input - { text } または { ssml }
+ * @param {number} [speakingRate]
+ * @returns {number} 秒
+ */
+const estimateDurationSeconds = (input, speakingRate = 1.0) => {
+    const source = input.ssml !== undefined ? input.ssml : input.text || '';
+    return Math.max(MIN_DURATION_SECONDS, estimateSpeechSeconds(source, speakingRate));
+};
+
+/**
+ * SSMLの<mark>ごとに、それより前の部分の読み上げ時間を再生時刻とする
+ * @param {string} ssml
+ * @param {number} [speakingRate]
+ * @returns {{markName: string, timeSeconds: number}[]}
+ */
+const estimateTimepoints = (ssml, speakingRate = 1.0) => {
+    return [...ssml.matchAll(/<mark\b[^>]*\bname\s*=\s*["']([^"']*)["'][^>]*>/gi)].map(match => ({
+        markName: match[1],
+        timeSeconds: estimateSpeechSeconds(ssml.substring(0, match.index), speakingRate)
+    }));
+};
+
+// 16bitリニアPCMのサンプル列を生成（silenceの場合は全て0）
+const generatePcm = ({ durationSeconds, sampleRate, frequency, amplitude }) => {
+    const sampleCount = Math.round(durationSeconds * sampleRate);
+    const fadeSamples = Math.min(Math.round(FADE_SECONDS * sampleRate), Math.floor(sampleCount / 2));
+    const samples = new Int16Array(sampleCount);
+
+    if (amplitude === 0) return samples;
+
+    for (let i = 0; i < sampleCount; i++) {
+        const fade = Math.min(1, i / fadeSamples, (sampleCount - 1 - i) / fadeSamples);
+        samples[i] = Math.round(Math.sin(2 * Math.PI * frequency * i / sampleRate) * amplitude * fade * 32767);
+    }
+
+    return samples;
+};
+
+// MPEGバージョンごとのヘッダー値（32kbps・モノラルの無音フレームを作る）
+const MP3_SAMPLE_RATES = {
+    44100: { version: 3, rateIndex: 0 },
+    48000: { version: 3, rateIndex: 1 },
+    32000: { version: 3, rateIndex: 2 },
+    22050: { version: 2, rateIndex: 0 },
+    24000: { version: 2, rateIndex: 1 },
+    16000: { version: 2, rateIndex: 2 },
+    11025: { version: 0, rateIndex: 0 },
+    12000: { version: 0, rateIndex: 1 },
+    8000: { version: 0, rateIndex: 2 }
+};
+
+// MP3はエンコーダーを持たないため、サイド情報が全て0の無音フレームを並べる
+const createSilentMp3 = ({ durationSeconds, sampleRate }) => {
+    const { version, rateIndex } = MP3_SAMPLE_RATES[sampleRate] || MP3_SAMPLE_RATES[24000];
+    const rate = MP3_SAMPLE_RATES[sampleRate] ? sampleRate : 24000;
+    const isMpeg1 = version === 3;
+    const bitrate = 32000;
+    const bitrateIndex = isMpeg1 ? 1 : 4;
+    const samplesPerFrame = isMpeg1 ? 1152 : 576;
+    const frameLength = Math.floor((isMpeg1 ? 144 : 72) * bitrate / rate);
+
+    const frame = Buffer.alloc(frameLength);
+    frame[0] = 0xff;
+    frame[1] = 0xe0 | (version << 3) | (1 << 1) | 1; // Layer III、CRCなし
+    frame[2] = (bitrateIndex << 4) | (rateIndex << 2);
+    frame[3] = 0xc0; // モノラル
+
+    const frameCount = Math.max(1, Math.ceil(durationSeconds * rate / samplesPerFrame));
+    return Buffer.concat(Array(frameCount).fill(frame));
+};
+
+// 20msの無音Opusフレーム（CELT・フルバンド）
+const OPUS_SILENCE_PACKET = Buffer.from([0xf8, 0xff, 0xfe]);
+const OPUS_PRE_SKIP = 312;
+const OPUS_PACKETS_PER_PAGE = 50;
+
+// 無音のOgg Opusストリーム（連結できるようシリアル番号は入力ごとに変える）
+const createSilentOggOpus = ({ durationSeconds, sampleRate, serial }) => {
+    const opusHead = Buffer.alloc(19);
+    opusHead.write('OpusHead', 0, 'ascii');
+    opusHead[8] = 1; // バージョン
+    opusHead[9] = 1; // チャンネル数
+    opusHead.writeUInt16LE(OPUS_PRE_SKIP, 10);
+    opusHead.writeUInt32LE(sampleRate, 12);
+
+    const vendor = Buffer.from('substack-tts-tool mock', 'utf8');
+    const opusTags = Buffer.alloc(16 + vendor.length);
+    opusTags.write('OpusTags', 0, 'ascii');
+    opusTags.writeUInt32LE(vendor.length, 8);
+    vendor.copy(opusTags, 12);
+
+    const pages = [
+        createOggPage({ packets: [opusHead], serial, sequence: 0, granulePosition: 0, flags: 0x02 }),
+        createOggPage({ packets: [opusTags], serial, sequence: 1, granulePosition: 0, flags: 0 })
+    ];
+
+    // グラニュール位置はサンプルレートに関係なく48kHz単位
+    const packetCount = Math.max(1, Math.ceil(durationSeconds / 0.02));
+    for (let start = 0; start < packetCount; start += OPUS_PACKETS_PER_PAGE) {
+        const count = Math.min(OPUS_PACKETS_PER_PAGE, packetCount - start);
+        const isLast = start + count >= packetCount;
+        pages.push(createOggPage({
+            packets: Array(count).fill(OPUS_SILENCE_PACKET),
+            serial,
+            sequence: pages.length,
+            granulePosition: OPUS_PRE_SKIP + (start + count) * 960,
+            flags: isLast ? 0x04 : 0
+        }));
+    }
+
+    return Buffer.concat(pages);
+};
+
+class MockProvider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.audio] - 'tone'（WAV・μ-lawは正弦波）または 'silence'
+     * @param {number} [options.latencyMs] - 合成ごとに待機する時間（進捗表示の確認用）
+     */
+    constructor({ audio = 'tone', latencyMs = 0 } = {}) {
+        this.name = 'mock';
+        this.audio = audio === 'silence' ? 'silence' : 'tone';
+        this.latencyMs = latencyMs;
+    }
+
+    /**
+     * 入力の長さに見合った音声を生成する
+     * @param {Object} request - input, voice, audioConfig を含むリクエスト
+     * @returns {Promise<Buffer>}
+     */
+    async synthesize({ input, voice = {}, audioConfig = {} }) {
+        if (!input || (typeof input.text !== 'string' && typeof input.ssml !== 'string')) {
+            throw new Error('音声データの生成に失敗しました');
+        }
+
+        if (this.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        }
+
+        const audioFormat = getAudioFormatByEncoding(audioConfig.audioEncoding || 'MP3');
+        if (!audioFormat) {
+            throw new Error(`未対応のエンコーディングです: ${audioConfig.audioEncoding}`);
+        }
+
+        const sampleRate = audioConfig.sampleRateHertz || audioFormat.defaultSampleRateHertz;
+        const durationSeconds = estimateDurationSeconds(input, audioConfig.speakingRate);
+        const digest = hashOf(JSON.stringify({ input, voice: voice.name }));
+
+        switch (audioFormat.audioEncoding) {
+            case 'LINEAR16':
+            case 'MULAW': {
+                // 音声ごとに異なる高さの音にし、ピッチ（半音）と音量も反映する
+                const baseFrequency = 220 + hashOf(voice.name || '').readUInt16BE(0) % 220;
+                const samples = generatePcm({
+                    durationSeconds,
+                    sampleRate,
+                    frequency: baseFrequency * Math.pow(2, (audioConfig.pitch || 0) / 12),
+                    amplitude: this.audio === 'silence'
+                        ? 0
+                        : Math.min(1, 0.2 * Math.pow(10, (audioConfig.volumeGainDb || 0) / 20))
+                });
+
+                const data = audioFormat.audioEncoding === 'MULAW'
+                    ? Buffer.from(Uint8Array.from(samples, encodeMulawSample))
+                    : Buffer.from(samples.buffer);
+                return wrapWav(data, { sampleRate, audioEncoding: audioFormat.audioEncoding });
+            }
+            case 'OGG_OPUS':
+                return createSilentOggOpus({ durationSeconds, sampleRate, serial: digest.readUInt32LE(0) });
+            default:
+                return createSilentMp3({ durationSeconds, sampleRate });
+        }
+    }
+
+    /**
+     * 音声とあわせて<mark>の再生時刻の見積もりを返す
+     * @param {Object} request
+     * @returns {Promise<{audioContent: Buffer, timepoints: {markName: string, timeSeconds: number}[]}>}
+     */
+    async synthesizeWithTimepoints(request) {
+        const audioContent = await this.synthesize(request);
+        const ssml = request.input.ssml || '';
+        return {
+            audioContent,
+            timepoints: estimateTimepoints(ssml, (request.audioConfig || {}).speakingRate)
+        };
+    }
+
+    async listVoices(languageCode) {
+        return MOCK_VOICES
+            .filter(voice => !languageCode || voice.languageCodes.includes(languageCode))
+            .map(voice => ({ ...voice, languageCodes: [...voice.languageCodes] }));
+    }
+
+    capabilities() {
+        return {
+            name: this.name,
+            offline: true,
+            ssml: true,
+            timepoints: true,
+            maxInputBytes: GOOGLE_MAX_INPUT_BYTES,
+            audioEncodings: Object.values(AUDIO_FORMATS).map(format => format.audioEncoding)
+        };
+    }
+}
+
+module.exports = {
+    MOCK_VOICES,
+    estimateDurationSeconds,
+    MockProvider
+};
@@ -0,0 +1,118 @@
+// 音声の聴き比べAPI
+// POST /api/audition で短い文を複数の音声・速度で合成し、聞き比べ用のサンプルと料金の目安を返す
+const express = require('express');
+const { parseSynthesisParams, buildSynthesisRequest } = require('../synthesis-params');
+const { synthesizeLongText, selectSynthesisLexicon } = require('../synthesizer');
+const { getAudioFormat, getAudioDuration } = require('../audio-format');
+const { DEFAULT_PRICING, estimateCost } = require('../pricing');
+const { countBillableCharacters } = require('../estimate');
+
+// 聴き比べる文の最大文字数と、1回で合成するサンプルの最大数（音声数×速度数）
+const MAX_AUDITION_TEXT_LENGTH = 300;
+const MAX_AUDITION_SAMPLES = 12;
+
+// 文字列の配列（カンマ区切りの文字列も可）
+const toList = (value) => {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string' || typeof value === 'number') return String(value).split(',').map(item => item.trim()).filter(Boolean);
+    return [];
+};
+
+/**
+ * @param {Object} options
+ * @param {Object} options.provider - 音声合成プロバイダー
+ * @param {import('../audio-cache').AudioCache} [options.cache]
+ * @param {import('../lexicon').Lexicon} [options.lexicon] - 登録された読みを聴き比べにも適用する
+ * @param {Object} [options.pricing] - loadPricingConfig() の戻り値
+ * @param {string[]} [options.allowedVoices] - 指定時はこの音声のみ許可
+ * @returns {express.Router}
+ */
+const createAuditionRouter = ({ provider, cache = null, lexicon = null, pricing = DEFAULT_PRICING, allowedVoices }) => {
+    const router = express.Router();
+
+    router.post('/', async (req, res) => {
+        const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+        if (!text) {
+            return res.status(400).json({ error: '聴き比べる文を入力してください' });
+        }
+        if (text.length > MAX_AUDITION_TEXT_LENGTH) {
+            return res.status(400).json({ error: `聴き比べる文は${MAX_AUDITION_TEXT_LENGTH}文字以内で入力してください` });
+        }
+
+        const voices = [...new Set(toList(req.body.voices))];
+        const speeds = [...new Set(toList(req.body.speeds === undefined ? 1.0 : req.body.speeds).map(speed => parseFloat(speed)))];
+        if (voices.length === 0) {
+            return res.status(400).json({ error: 'voices に聴き比べる音声を指定してください' });
+        }
+        if (voices.length * speeds.length > MAX_AUDITION_SAMPLES) {
+            return res.status(400).json({ error: `聴き比べは音声数×速度数が${MAX_AUDITION_SAMPLES}件以内になるように指定してください` });
+        }
+
+        // 音声・速度の組み合わせごとに検証する（ピッチなどの音声パラメータはすべてのサンプルで共通）
+        const samples = [];
+        for (const voice of voices) {
+            for (const speed of speeds) {
+                const validation = parseSynthesisParams({
+                    text,
+                    voice,
+                    speed,
+                    format: 'mp3',
+                    pitch: req.body.pitch,
+                    volumeGainDb: req.body.volumeGainDb,
+                    effectsProfile: req.body.effectsProfile
+                }, { allowedVoices });
+                if (!validation.valid) {
+                    return res.status(400).json({ error: `${voice}（${speed}x）: ${validation.error}` });
+                }
+                samples.push({ voice, speed, params: validation.params });
+            }
+        }
+
+        try {
+            // サンプルは互いに独立しているため並列に合成する
+            const results = await Promise.all(samples.map(async ({ voice, speed, params }) => {
+                const request = buildSynthesisRequest(params);
+                const synthesized = await synthesizeLongText(provider, request, params.input, {
+                    cache,
+                    lexicon: lexicon
+                        ? selectSynthesisLexicon(lexicon.list(), { languageCode: request.voice.languageCode, input: params.input })
+                        : []
+                });
+                const cost = estimateCost(countBillableCharacters(params.input, 'text'), voice, pricing);
+
+                return {
+                    voice,
+                    speed,
+                    type: cost.type,
+                    characters: cost.characters,
+                    costUsd: cost.usd,
+                    // キャッシュから返したサンプルは新たに課金されない
+                    cached: synthesized.cacheHits === synthesized.chunkCount,
+                    durationSeconds: Math.round(getAudioDuration(synthesized.audioContent, 'MP3') * 100) / 100,
+                    contentType: getAudioFormat('mp3').contentType,
+                    audioContent: synthesized.audioContent.toString('base64')
+                };
+            }));
+
+            console.log('Audition:', {
+                textLength: text.length,
+                samples: results.length,
+                cached: results.filter(sample => sample.cached).length
+            });
+
+            res.set('Cache-Control', 'no-store');
+            res.json({ text, samples: results });
+        } catch (error) {
+            console.error('Audition Error:', error);
+            res.status(500).json({ error: '聴き比べ用の音声の生成に失敗しました' });
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    MAX_AUDITION_TEXT_LENGTH,
+    MAX_AUDITION_SAMPLES,
+    createAuditionRouter
+};
@@ -0,0 +1,58 @@
+// 合成前の見積もりAPI
+// POST /api/estimate で /api/synthesize と同じボディから、課金対象の文字数・チャンク数・音声の長さ・料金の目安を返す
+const express = require('express');
+const { parseSynthesisParams, buildSynthesisRequest } = require('../synthesis-params');
+const { selectSynthesisLexicon } = require('../synthesizer');
+const { estimateSynthesis } = require('../estimate');
+const { DEFAULT_PRICING } = require('../pricing');
+
+/**
+ * @param {Object} options
+ * @param {import('../lexicon').Lexicon} [options.lexicon] - 合成時と同じ分割にするため読みの辞書も考慮する
+ * @param {Object} [options.pricing] - loadPricingConfig() の戻り値
+ * @param {string[]} [options.allowedVoices] - 指定時はこの音声のみ許可
+ * @param {import('../episode-templates').EpisodeTemplateStore} [options.templates] - 選択できるエピソードテンプレート
+ * @returns {express.Router}
+ */
+const createEstimateRouter = ({ lexicon = null, pricing = DEFAULT_PRICING, allowedVoices, templates = null }) => {
+    const router = express.Router();
+
+    router.post('/', (req, res) => {
+        try {
+            const validation = parseSynthesisParams(req.body, { allowedVoices, templates });
+            if (!validation.valid) {
+                return res.status(validation.status || 400).json({
+                    error: validation.error,
+                    line: validation.line,
+                    column: validation.column
+                });
+            }
+            const { params } = validation;
+
+            const baseRequest = buildSynthesisRequest(params);
+            const estimate = estimateSynthesis(params, baseRequest, {
+                pricing,
+                lexicon: lexicon
+                    ? selectSynthesisLexicon(lexicon.list(), {
+                        languageCode: baseRequest.voice.languageCode,
+                        input: params.input,
+                        dialogue: params.dialogue,
+                        languageSwitch: params.languageSwitch
+                    })
+                    : []
+            });
+
+            res.set('Cache-Control', 'no-store');
+            res.json({ ...estimate, currency: 'USD' });
+        } catch (error) {
+            console.error('Estimate Error:', error);
+            res.status(500).json({ error: '見積もりに失敗しました' });
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    createEstimateRouter
+};
@@ -0,0 +1,217 @@
+// 記事の読み込みAPI
+// POST /api/import/substack にSubstack記事のHTMLファイルをアップロードすると、読み上げ用のテキストを返す
+// POST /api/import/substack-export にエクスポートのZIPをアップロードすると記事一覧を返し、選択した記事をジョブとして登録できる
+const express = require('express');
+const { MAX_TEXT_LENGTH } = require('../text-chunker');
+const { extractSubstackArticle } = require('../substack');
+const { readSubstackExport, SubstackExportStore } = require('../substack-export');
+const { parseSynthesisParams, parseMetadata } = require('../synthesis-params');
+const { parseCoverArt } = require('../id3');
+const { receiveFile } = require('./upload');
+
+// アップロードできるHTMLファイルの最大サイズ（5MB）
+const MAX_HTML_FILE_BYTES = 5 * 1024 * 1024;
+
+// アップロードできるエクスポートZIPの最大サイズ（200MB）
+const MAX_EXPORT_FILE_BYTES = 200 * 1024 * 1024;
+
+// 1回に登録できるジョブの数
+const MAX_POSTS_PER_REQUEST = 500;
+
+const isHtmlFile = (file) => {
+    return /\.html?$/i.test(file.originalname) || ['text/html', 'application/xhtml+xml'].includes(file.mimetype);
+};
+
+const isZipFile = (file) => {
+    return /\.zip$/i.test(file.originalname) || ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype);
+};
+
+/**
+ * @param {Object} options
+ * @param {import('../job-queue').JobQueue} options.queue - 一括読み込みした記事を登録するキュー
+ * @param {string} options.dataDir - 読み込んだエクスポートの保存先
+ * @param {string[]} [options.allowedVoices] - 指定時はこの音声のみ許可
+ * @param {import('../episode-templates').EpisodeTemplateStore} [options.templates] - 選択できるエピソードテンプレート
+ * @returns {express.Router}
+ */
+const createImportRouter = ({ queue, dataDir, allowedVoices, templates = null }) => {
+    const router = express.Router();
+    const exportStore = new SubstackExportStore({ dataDir });
+
+    router.post('/substack', receiveFile(MAX_HTML_FILE_BYTES, isHtmlFile), (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ error: 'HTMLファイル（.html）を file として送信してください' });
+        }
+
+        try {
+            const { text, ...article } = extractSubstackArticle(req.file.buffer.toString('utf8'));
+
+            if (article.blocks.length === 0) {
+                return res.status(422).json({ error: '記事の本文が見つかりませんでした' });
+            }
+
+            console.log('Article Imported:', {
+                fileName: req.file.originalname,
+                title: article.title,
+                blocks: article.blocks.length,
+                textLength: text.length
+            });
+
+            res.json({
+                article,
+                text,
+                textLength: text.length,
+                warning: text.length > MAX_TEXT_LENGTH
+                    ? `本文が${MAX_TEXT_LENGTH}文字を超えているため、一度に音声化できません`
+                    : undefined
+            });
+        } catch (error) {
+            console.error('Import Error:', error);
+            res.status(500).json({ error: '記事の読み込みに失敗しました' });
+        }
+    });
+
+    // エクスポートZIPを読み込み、記事一覧（タイトル・公開日・文字数）を返す
+    router.post('/substack-export', receiveFile(MAX_EXPORT_FILE_BYTES, isZipFile), async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ error: 'エクスポートのZIPファイル（.zip）を file として送信してください' });
+        }
+
+        try {
+            const posts = readSubstackExport(req.file.buffer);
+            if (posts.length === 0) {
+                return res.status(422).json({ error: 'エクスポートに記事が含まれていません' });
+            }
+
+            const record = await exportStore.save(posts);
+
+            console.log('Export Imported:', {
+                importId: record.id,
+                fileName: req.file.originalname,
+                posts: posts.length
+            });
+
+            res.status(201)
+                .location(`${req.baseUrl}/substack-export/${record.id}`)
+                .json({ import: exportStore.toPublic(record) });
+        } catch (error) {
+            if (error.name === 'ZipError') {
+                return res.status(400).json({ error: error.message });
+            }
+            console.error('Import Error:', error);
+            res.status(500).json({ error: 'エクスポートの読み込みに失敗しました' });
+        }
+    });
+
+    router.get('/substack-export/:id', async (req, res) => {
+        try {
+            const record = await exportStore.get(req.params.id);
+            if (!record) {
+                return res.status(404).json({ error: '読み込み結果が見つかりません。もう一度アップロードしてください' });
+            }
+
+            res.json({ import: exportStore.toPublic(record) });
+        } catch (error) {
+            console.error('Import Error:', error);
+            res.status(500).json({ error: 'エクスポートの読み込みに失敗しました' });
+        }
+    });
+
+    // 選択した記事を同じ音声設定でジョブとして登録する
+    router.post('/substack-export/:id/jobs', async (req, res) => {
+        try {
+            const record = await exportStore.get(req.params.id);
+            if (!record) {
+                return res.status(404).json({ error: '読み込み結果が見つかりません。もう一度アップロードしてください' });
+            }
+
+            const { postIds } = req.body;
+            if (!Array.isArray(postIds) || postIds.length === 0) {
+                return res.status(400).json({ error: '音声化する記事を選択してください' });
+            }
+            if (postIds.length > MAX_POSTS_PER_REQUEST) {
+                return res.status(400).json({ error: `一度に登録できる記事は${MAX_POSTS_PER_REQUEST}件までです` });
+            }
+
+            // 音声設定は全記事で共通のため、先にまとめて検証する
+            const { text, ...settings } = req.body;
+            const settingsValidation = parseSynthesisParams({ ...settings, text: '確認' }, { allowedVoices, templates });
+            if (!settingsValidation.valid) {
+                return res.status(settingsValidation.status || 400).json({ error: settingsValidation.error });
+            }
+
+            // 掲載誌名とカバーアートも全記事で共通（ID3タグに書き込む）
+            const publicationValidation = parseMetadata({ publication: settings.publication });
+            if (!publicationValidation.valid) {
+                return res.status(400).json({ error: publicationValidation.error });
+            }
+
+            let coverArt = null;
+            if (settings.coverArt) {
+                const coverArtValidation = parseCoverArt(settings.coverArt);
+                if (!coverArtValidation.valid) {
+                    return res.status(400).json({ error: coverArtValidation.error });
+                }
+                coverArt = coverArtValidation.coverArt;
+            }
+
+            const postsById = new Map(record.posts.map(post => [post.id, post]));
+            const jobs = [];
+            const skipped = [];
+
+            for (const postId of postIds) {
+                const post = postsById.get(postId);
+                if (!post) {
+                    skipped.push({ postId, error: '記事が見つかりません' });
+                    continue;
+                }
+
+                const validation = parseSynthesisParams({
+                    ...settings,
+                    text: post.text,
+                    inputType: 'text',
+                    headings: post.headings,
+                    title: post.title
+                }, { allowedVoices, templates });
+                if (!validation.valid) {
+                    skipped.push({ postId, error: post.text ? validation.error : '本文がありません' });
+                    continue;
+                }
+
+                const job = await queue.enqueue(validation.params, {
+                    title: post.title,
+                    subtitle: post.subtitle,
+                    author: post.author,
+                    publication: publicationValidation.metadata.publication,
+                    publishedAt: post.publishedAt,
+                    source: 'substack-export',
+                    postId: post.id
+                }, { coverArt });
+                jobs.push({ postId, job });
+            }
+
+            console.log('Export Jobs Queued:', {
+                importId: record.id,
+                queued: jobs.length,
+                skipped: skipped.length
+            });
+
+            res.status(jobs.length > 0 ? 202 : 400).json({
+                jobs,
+                skipped,
+                error: jobs.length > 0 ? undefined : '登録できる記事がありませんでした'
+            });
+        } catch (error) {
+            console.error('Import Error:', error);
+            res.status(500).json({ error: 'ジョブの登録に失敗しました' });
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    MAX_HTML_FILE_BYTES,
+    MAX_EXPORT_FILE_BYTES,
+    createImportRouter
+};
@@ -0,0 +1,196 @@
+// 非同期音声合成ジョブAPI
+// POST /api/jobs でジョブを登録し、GET /api/jobs/:id で進捗を確認、完了後に /audio で取得する
+const express = require('express');
+const { parseSynthesisParams, parseMetadata } = require('../synthesis-params');
+const { parseCoverArt } = require('../id3');
+const { toChaptersJson } = require('../chapters');
+const { getCacheStatus } = require('../audio-cache');
+const { SUBTITLE_FORMATS, parseSubtitleOptions, buildSubtitles } = require('../subtitles');
+
+/**
+ * @param {Object} options
+ * @param {import('../job-queue').JobQueue} options.queue
+ * @param {string[]} [options.allowedVoices] - 指定時はこの音声のみ許可
+ * @param {import('../episode-templates').EpisodeTemplateStore} [options.templates] - 選択できるエピソードテンプレート
+ * @returns {express.Router}
+ */
+const createJobsRouter = ({ queue, allowedVoices, templates = null }) => {
+    const router = express.Router();
+
+    // ジョブ登録（合成の完了を待たずにジョブIDを返す）
+    router.post('/', async (req, res) => {
+        try {
+            const validation = parseSynthesisParams(req.body, { allowedVoices, templates });
+            if (!validation.valid) {
+                return res.status(validation.status || 400).json({
+                    error: validation.error,
+                    line: validation.line,
+                    column: validation.column
+                });
+            }
+
+            // 記事の情報（ID3タグやポッドキャストとして公開する際の既定値になる）
+            const metadataValidation = parseMetadata(req.body);
+            if (!metadataValidation.valid) {
+                return res.status(400).json({ error: metadataValidation.error });
+            }
+
+            let coverArt = null;
+            if (req.body.coverArt) {
+                const coverArtValidation = parseCoverArt(req.body.coverArt);
+                if (!coverArtValidation.valid) {
+                    return res.status(400).json({ error: coverArtValidation.error });
+                }
+                coverArt = coverArtValidation.coverArt;
+            }
+
+            const job = await queue.enqueue(validation.params, metadataValidation.metadata, { coverArt });
+
+            console.log('Job Queued:', {
+                jobId: job.id,
+                textLength: job.textLength,
+                totalChunks: job.progress.totalChunks,
+                voice: job.voice,
+                format: job.format
+            });
+
+            res.status(202)
+                .location(`${req.baseUrl}/${job.id}`)
+                .json({ job });
+        } catch (error) {
+            console.error('Job Error:', error);
+            res.status(500).json({ error: 'ジョブの登録に失敗しました' });
+        }
+    });
+
+    // ジョブの状態とチャンクごとの進捗
+    router.get('/:id', (req, res) => {
+        const job = queue.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'ジョブが見つかりません' });
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.json({ job });
+    });
+
+    // 完了したジョブの音声
+    router.get('/:id/audio', (req, res) => {
+        const job = queue.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'ジョブが見つかりません' });
+        }
+
+        const audio = queue.getAudio(req.params.id);
+        if (!audio) {
+            const isFinished = job.state === 'failed' || job.state === 'cancelled';
+            return res.status(409).json({
+                error: isFinished ? 'このジョブには音声がありません' : 'ジョブはまだ完了していません',
+                state: job.state
+            });
+        }
+
+        res.set({
+            'Content-Type': audio.contentType,
+            'Content-Length': audio.size,
+            'Content-Disposition': `inline; filename="tts-audio-${job.id}.${audio.extension}"`,
+            'Cache-Control': 'private, no-cache',
+            'X-TTS-Chunk-Count': job.progress.totalChunks,
+            'X-TTS-Cache': getCacheStatus(job.progress.cachedChunks, job.progress.totalChunks),
+            'X-TTS-Cache-Hits': job.progress.cachedChunks
+        });
+        res.sendFile(audio.path);
+    });
+
+    // 完了したジョブのチャプター（Podcasting 2.0 のチャプターファイル形式）
+    router.get('/:id/chapters.json', (req, res) => {
+        const job = queue.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'ジョブが見つかりません' });
+        }
+        if (job.state !== 'completed') {
+            return res.status(409).json({ error: 'ジョブはまだ完了していません', state: job.state });
+        }
+
+        res.type('application/json+chapters');
+        res.send(JSON.stringify(toChaptersJson(job.chapters, { title: job.metadata && job.metadata.title })));
+    });
+
+    // 完了したジョブの読み上げ位置（文・単語ごとの本文の位置と再生時刻。timepoints指定時のみ）
+    router.get('/:id/alignment.json', async (req, res) => {
+        try {
+            const job = queue.get(req.params.id);
+            if (!job) {
+                return res.status(404).json({ error: 'ジョブが見つかりません' });
+            }
+            if (job.state !== 'completed') {
+                return res.status(409).json({ error: 'ジョブはまだ完了していません', state: job.state });
+            }
+
+            const alignment = await queue.getAlignment(req.params.id);
+            if (!alignment) {
+                return res.status(404).json({ error: 'このジョブには読み上げ位置の情報がありません' });
+            }
+
+            res.set('Cache-Control', 'private, no-cache');
+            res.json(alignment);
+        } catch (error) {
+            console.error('Job Error:', error);
+            res.status(500).json({ error: '読み上げ位置の情報の取得に失敗しました' });
+        }
+    });
+
+    // 完了したジョブの字幕ファイル（/subtitles.srt・/subtitles.vtt）
+    router.get('/:id/subtitles.:format', async (req, res) => {
+        try {
+            const job = queue.get(req.params.id);
+            const subtitleFormat = SUBTITLE_FORMATS[req.params.format];
+            if (!job || !subtitleFormat) {
+                return res.status(404).json({ error: 'ジョブが見つかりません' });
+            }
+            if (job.state !== 'completed') {
+                return res.status(409).json({ error: 'ジョブはまだ完了していません', state: job.state });
+            }
+
+            const validation = parseSubtitleOptions(req.query);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+
+            const [alignment, segments] = await Promise.all([queue.getAlignment(job.id), queue.getSegments(job.id)]);
+            if (!alignment && !segments) {
+                return res.status(404).json({ error: 'このジョブには字幕を作成するための情報がありません' });
+            }
+
+            res.set({
+                'Content-Type': subtitleFormat.contentType,
+                'Content-Disposition': `attachment; filename="tts-subtitles-${job.id}.${subtitleFormat.extension}"`
+            });
+            res.send(buildSubtitles({ alignment, segments }, req.params.format, validation.options));
+        } catch (error) {
+            console.error('Job Error:', error);
+            res.status(500).json({ error: '字幕の作成に失敗しました' });
+        }
+    });
+
+    // ジョブのキャンセル（終了済みのジョブは削除）
+    router.delete('/:id', async (req, res) => {
+        try {
+            const result = await queue.cancel(req.params.id);
+            if (!result) {
+                return res.status(404).json({ error: 'ジョブが見つかりません' });
+            }
+
+            res.json(result);
+        } catch (error) {
+            console.error('Job Error:', error);
+            res.status(500).json({ error: 'ジョブのキャンセルに失敗しました' });
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    createJobsRouter
+};
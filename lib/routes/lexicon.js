@@ -0,0 +1,186 @@
+// 読みの辞書API
+// GET/POST /api/lexicon で一覧・追加、/api/lexicon/:id で更新・削除、export.csv・import でCSVの書き出し・読み込み
+// POST /api/lexicon/preview で項目を適用した読み上げを試聴できる
+const express = require('express');
+const { parseLexiconEntry } = require('../lexicon');
+const { parseSynthesisParams, buildSynthesisRequest } = require('../synthesis-params');
+const { synthesizeLongText } = require('../synthesizer');
+const { getAudioFormat } = require('../audio-format');
+const { receiveFile } = require('./upload');
+
+// アップロードできるCSVファイルの最大サイズ（1MB）
+const MAX_CSV_FILE_BYTES = 1024 * 1024;
+
+// 試聴する文の最大文字数
+const MAX_PREVIEW_TEXT_LENGTH = 200;
+
+const isCsvFile = (file) => {
+    return /\.csv$/i.test(file.originalname) || ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype);
+};
+
+/**
+ * @param {Object} options
+ * @param {import('../lexicon').Lexicon} options.lexicon
+ * @param {Object} options.provider - 試聴に使う音声合成プロバイダー
+ * @param {import('../audio-cache').AudioCache} [options.cache]
+ * @param {string[]} [options.allowedVoices] - 指定時はこの音声のみ許可
+ * @returns {express.Router}
+ */
+const createLexiconRouter = ({ lexicon, provider, cache = null, allowedVoices }) => {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json({ entries: lexicon.list() });
+    });
+
+    router.get('/export.csv', (req, res) => {
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': 'attachment; filename="tts-lexicon.csv"',
+            'Cache-Control': 'no-store'
+        });
+        res.send(lexicon.toCsv());
+    });
+
+    router.post('/', async (req, res) => {
+        try {
+            const validation = parseLexiconEntry(req.body);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+
+            const { entry, conflict, error } = await lexicon.add(validation.entry);
+            if (conflict) {
+                return res.status(409).json({ error: '同じ表記・言語の項目がすでに登録されています' });
+            }
+            if (error) {
+                return res.status(409).json({ error });
+            }
+
+            res.status(201)
+                .location(`${req.baseUrl}/${entry.id}`)
+                .json({ entry });
+        } catch (error) {
+            console.error('Lexicon Error:', error);
+            res.status(500).json({ error: '読みの辞書への追加に失敗しました' });
+        }
+    });
+
+    // CSVの読み込み（?mode=replace で既存の項目をすべて置き換える）
+    router.post('/import', receiveFile(MAX_CSV_FILE_BYTES, isCsvFile), async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ error: 'CSVファイル（.csv）を file として送信してください' });
+        }
+
+        const mode = req.query.mode || 'merge';
+        if (!['merge', 'replace'].includes(mode)) {
+            return res.status(400).json({ error: 'mode は merge または replace を指定してください' });
+        }
+
+        try {
+            const result = await lexicon.importCsv(req.file.buffer.toString('utf8'), { replace: mode === 'replace' });
+
+            console.log('Lexicon Imported:', {
+                fileName: req.file.originalname,
+                mode,
+                added: result.added,
+                updated: result.updated,
+                skipped: result.skipped.length
+            });
+
+            res.json({ ...result, total: lexicon.list().length });
+        } catch (error) {
+            console.error('Lexicon Error:', error);
+            res.status(500).json({ error: '読みの辞書の読み込みに失敗しました' });
+        }
+    });
+
+    // 項目を適用した読み上げの試聴（登録前の項目も試せるよう、ボディの内容で合成する）
+    router.post('/preview', async (req, res) => {
+        try {
+            const validation = parseLexiconEntry(req.body);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+            const { entry } = validation;
+
+            const text = typeof req.body.text === 'string' && req.body.text.trim() ? req.body.text.trim() : entry.surface;
+            if (text.length > MAX_PREVIEW_TEXT_LENGTH) {
+                return res.status(400).json({ error: `試聴する文は${MAX_PREVIEW_TEXT_LENGTH}文字以内で入力してください` });
+            }
+
+            const paramsValidation = parseSynthesisParams({ text, voice: req.body.voice, speed: req.body.speed, format: 'mp3' }, { allowedVoices });
+            if (!paramsValidation.valid) {
+                return res.status(400).json({ error: paramsValidation.error });
+            }
+            const { params } = paramsValidation;
+
+            const synthesized = await synthesizeLongText(provider, buildSynthesisRequest(params), params.input, {
+                cache,
+                lexicon: [entry]
+            });
+
+            res.set({
+                'Content-Type': getAudioFormat('mp3').contentType,
+                'Content-Length': synthesized.audioContent.length,
+                'Cache-Control': 'no-cache'
+            });
+            res.send(synthesized.audioContent);
+        } catch (error) {
+            console.error('Lexicon Error:', error);
+            res.status(500).json({ error: '試聴用の音声の生成に失敗しました' });
+        }
+    });
+
+    router.get('/:id', (req, res) => {
+        const entry = lexicon.get(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: '項目が見つかりません' });
+        }
+
+        res.json({ entry });
+    });
+
+    router.put('/:id', async (req, res) => {
+        try {
+            const validation = parseLexiconEntry(req.body);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+
+            const result = await lexicon.update(req.params.id, validation.entry);
+            if (!result) {
+                return res.status(404).json({ error: '項目が見つかりません' });
+            }
+            if (result.conflict) {
+                return res.status(409).json({ error: '同じ表記・言語の項目がすでに登録されています' });
+            }
+
+            res.json({ entry: result.entry });
+        } catch (error) {
+            console.error('Lexicon Error:', error);
+            res.status(500).json({ error: '読みの辞書の更新に失敗しました' });
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            const removed = await lexicon.remove(req.params.id);
+            if (!removed) {
+                return res.status(404).json({ error: '項目が見つかりません' });
+            }
+
+            res.json({ deleted: true });
+        } catch (error) {
+            console.error('Lexicon Error:', error);
+            res.status(500).json({ error: '読みの辞書からの削除に失敗しました' });
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    createLexiconRouter
+};
@@ -0,0 +1,180 @@
+// 生成済み音声のライブラリAPI
+// GET /api/library で一覧（ページング・絞り込み）、GET /api/library/:id/audio で再生・再ダウンロード
+const express = require('express');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../library');
+const { getAudioFormat } = require('../audio-format');
+const { toChaptersJson } = require('../chapters');
+const { SUBTITLE_FORMATS, parseSubtitleOptions, buildSubtitles } = require('../subtitles');
+
+const parsePositiveInt = (value, defaultValue) => {
+    if (value === undefined || value === '') return defaultValue;
+    return /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null;
+};
+
+const parseDate = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// ダウンロード時のファイル名（タイトルがなければ既定の名前）
+const toFileName = (item) => (item.title || 'japanese-tts-audio').replace(/[\\/:*?"<>|\r\n]/g, '_');
+
+// 一覧のクエリパラメータを検証する
+const parseListQuery = (query) => {
+    const page = parsePositiveInt(query.page, 1);
+    if (page === null) {
+        return { valid: false, error: 'page は1以上の整数で指定してください' };
+    }
+
+    const perPage = parsePositiveInt(query.perPage, DEFAULT_PAGE_SIZE);
+    if (perPage === null || perPage > MAX_PAGE_SIZE) {
+        return { valid: false, error: `perPage は1から${MAX_PAGE_SIZE}の範囲で指定してください` };
+    }
+
+    const from = parseDate(query.from);
+    const to = parseDate(query.to);
+    if (from === null || to === null) {
+        return { valid: false, error: '日時の形式が正しくありません' };
+    }
+
+    if (query.format && !getAudioFormat(query.format)) {
+        return { valid: false, error: '出力形式は mp3, ogg, wav, mulaw のいずれかを指定してください' };
+    }
+
+    const asString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+    return {
+        valid: true,
+        options: {
+            q: asString(query.q),
+            voice: asString(query.voice),
+            format: query.format ? getAudioFormat(query.format).name : undefined,
+            textHash: asString(query.textHash),
+            from,
+            to,
+            page,
+            perPage
+        }
+    };
+};
+
+/**
+ * @param {Object} options
+ * @param {import('../library').AudioLibrary} options.library
+ * @returns {express.Router}
+ */
+const createLibraryRouter = ({ library }) => {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        const validation = parseListQuery(req.query);
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.json(library.list(validation.options));
+    });
+
+    router.get('/:id', (req, res) => {
+        const item = library.get(req.params.id);
+        if (!item) {
+            return res.status(404).json({ error: '音声が見つかりません' });
+        }
+
+        res.json({ item });
+    });
+
+    // ?download=1 の場合はタイトルをファイル名にして添付ファイルとして返す
+    router.get('/:id/audio', (req, res) => {
+        const item = library.get(req.params.id);
+        if (!item) {
+            return res.status(404).json({ error: '音声が見つかりません' });
+        }
+
+        const { extension } = getAudioFormat(item.format);
+        if (req.query.download) {
+            res.attachment(`${toFileName(item)}.${extension}`);
+        }
+
+        res.set({
+            'Content-Type': item.contentType,
+            'Cache-Control': 'private, max-age=86400'
+        });
+        res.sendFile(library.audioFile(item));
+    });
+
+    router.get('/:id/chapters.json', (req, res) => {
+        const item = library.get(req.params.id);
+        if (!item) {
+            return res.status(404).json({ error: '音声が見つかりません' });
+        }
+
+        res.type('application/json+chapters');
+        res.send(JSON.stringify(toChaptersJson(item.chapters || [], { title: item.title })));
+    });
+
+    router.get('/:id/alignment.json', async (req, res) => {
+        try {
+            const alignment = await library.getAlignment(req.params.id);
+            if (!alignment) {
+                return res.status(404).json({ error: '読み上げ位置の情報がありません' });
+            }
+
+            res.json(alignment);
+        } catch (error) {
+            console.error('Library Error:', error);
+            res.status(500).json({ error: '読み上げ位置の情報の取得に失敗しました' });
+        }
+    });
+
+    // 字幕ファイル（/subtitles.srt・/subtitles.vtt）。maxLineLength・maxDuration で分割の条件を指定できる
+    router.get('/:id/subtitles.:format', async (req, res) => {
+        try {
+            const item = library.get(req.params.id);
+            const subtitleFormat = SUBTITLE_FORMATS[req.params.format];
+            if (!item || !subtitleFormat) {
+                return res.status(404).json({ error: '音声が見つかりません' });
+            }
+
+            const validation = parseSubtitleOptions(req.query);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+
+            const [alignment, segments] = await Promise.all([library.getAlignment(item.id), library.getSegments(item.id)]);
+            if (!alignment && !segments) {
+                return res.status(404).json({ error: 'この音声には字幕を作成するための情報がありません' });
+            }
+
+            // attachment() が拡張子から設定するContent-Typeを、文字コード付きの形式で上書きする
+            res.attachment(`${toFileName(item)}.${subtitleFormat.extension}`);
+            res.type(subtitleFormat.contentType);
+            res.send(buildSubtitles({ alignment, segments }, req.params.format, validation.options));
+        } catch (error) {
+            console.error('Library Error:', error);
+            res.status(500).json({ error: '字幕の作成に失敗しました' });
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            const deleted = await library.remove(req.params.id);
+            if (!deleted) {
+                return res.status(404).json({ error: '音声が見つかりません' });
+            }
+
+            res.json({ deleted: true });
+        } catch (error) {
+            console.error('Library Error:', error);
+            res.status(500).json({ error: '音声の削除に失敗しました' });
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    createLibraryRouter
+};
@@ -0,0 +1,59 @@
+// 読みの正規化のプレビューAPI
+// POST /api/normalize で合成に使う前に、正規化したテキストと書き換えの一覧を返す（文字数を消費せずに確認できる）
+const express = require('express');
+const { MAX_TEXT_LENGTH } = require('../text-chunker');
+const { sanitizePlainText } = require('../synthesis-params');
+const { parseNormalization, normalizeText, MAX_PREVIEW_CHANGES } = require('../text-normalizer');
+const { countBillableCharacters } = require('../estimate');
+
+/**
+ * @returns {express.Router}
+ */
+const createNormalizeRouter = () => {
+    const router = express.Router();
+
+    router.post('/', (req, res) => {
+        const { text, voice, normalization = true } = req.body;
+        if (!text || typeof text !== 'string') {
+            return res.status(400).json({ error: 'テキストが必要です' });
+        }
+        if (text.length > MAX_TEXT_LENGTH) {
+            return res.status(400).json({ error: `テキストが長すぎます（${MAX_TEXT_LENGTH}文字以内）` });
+        }
+
+        const validation = parseNormalization(normalization, { inputType: 'text', voice });
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.error });
+        }
+        if (!validation.normalization) {
+            return res.status(400).json({ error: 'normalization に適用する規則を指定してください' });
+        }
+
+        try {
+            const source = sanitizePlainText(text);
+            const { output, changes } = normalizeText(source, validation.normalization);
+
+            res.set('Cache-Control', 'no-store');
+            res.json({
+                mode: validation.normalization.mode,
+                rules: validation.normalization.rules,
+                output,
+                changes: changes.slice(0, MAX_PREVIEW_CHANGES),
+                changeCount: changes.length,
+                characters: {
+                    before: countBillableCharacters(source, 'text'),
+                    after: countBillableCharacters(output, validation.normalization.mode)
+                }
+            });
+        } catch (error) {
+            console.error('Normalize Error:', error);
+            res.status(500).json({ error: '読みの正規化に失敗しました' });
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    createNormalizeRouter
+};
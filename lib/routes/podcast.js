@@ -0,0 +1,170 @@
+// ポッドキャスト配信
+// /api/episodes で完了したジョブの音声をエピソードとして公開・削除し、/feed.xml でRSSフィードを配信する
+const express = require('express');
+const { buildPodcastFeed } = require('../podcast-feed');
+const { PUBLISHABLE_FORMATS } = require('../episode-catalog');
+const { toChaptersJson } = require('../chapters');
+
+// 任意の文字列項目（空なら未指定扱い）
+const optionalString = (value, maxLength) => {
+    return typeof value === 'string' && value.trim() ? value.trim().substring(0, maxLength) : undefined;
+};
+
+/**
+ * エピソード管理API（/api/episodes）
+ * @param {Object} options
+ * @param {import('../episode-catalog').EpisodeCatalog} options.catalog
+ * @param {import('../job-queue').JobQueue} options.queue
+ * @returns {express.Router}
+ */
+const createEpisodesRouter = ({ catalog, queue }) => {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.json({ episodes: catalog.list() });
+    });
+
+    router.get('/:id', (req, res) => {
+        const episode = catalog.get(req.params.id);
+        if (!episode) {
+            return res.status(404).json({ error: 'エピソードが見つかりません' });
+        }
+
+        res.json({ episode });
+    });
+
+    // 完了したジョブの音声を公開する（タイトルなどは省略時にジョブのメタデータを使う）
+    router.post('/', async (req, res) => {
+        try {
+            const { jobId } = req.body;
+            const job = typeof jobId === 'string' ? queue.get(jobId) : null;
+            if (!job) {
+                return res.status(404).json({ error: 'ジョブが見つかりません' });
+            }
+
+            const audio = queue.getAudio(jobId);
+            if (!audio) {
+                return res.status(409).json({ error: 'ジョブはまだ完了していません', state: job.state });
+            }
+            if (!PUBLISHABLE_FORMATS.includes(job.format)) {
+                return res.status(400).json({ error: 'ポッドキャストとして公開できるのはMP3のみです' });
+            }
+
+            const metadata = job.metadata || {};
+            const title = optionalString(req.body.title, 200) || metadata.title;
+            if (!title) {
+                return res.status(400).json({ error: 'エピソードのタイトルが必要です' });
+            }
+
+            const publishedAt = optionalString(req.body.publishedAt, 40) || metadata.publishedAt;
+            if (publishedAt && isNaN(new Date(publishedAt).getTime())) {
+                return res.status(400).json({ error: '公開日時の形式が正しくありません' });
+            }
+
+            const episode = await catalog.publish({
+                audioPath: audio.path,
+                format: job.format,
+                voice: job.voice,
+                jobId: job.id,
+                chapters: job.chapters,
+                metadata: {
+                    title,
+                    description: optionalString(req.body.description, 4000) || metadata.subtitle,
+                    author: optionalString(req.body.author, 200) || metadata.author,
+                    link: optionalString(req.body.link, 2000) || metadata.url,
+                    publishedAt: publishedAt ? new Date(publishedAt).toISOString() : undefined
+                }
+            });
+
+            console.log('Episode Published:', {
+                episodeId: episode.id,
+                jobId: job.id,
+                title: episode.title,
+                duration: episode.duration
+            });
+
+            res.status(201)
+                .location(`${req.baseUrl}/${episode.id}`)
+                .json({ episode });
+        } catch (error) {
+            console.error('Episode Error:', error);
+            res.status(500).json({ error: 'エピソードの公開に失敗しました' });
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            const deleted = await catalog.remove(req.params.id);
+            if (!deleted) {
+                return res.status(404).json({ error: 'エピソードが見つかりません' });
+            }
+
+            res.json({ deleted: true });
+        } catch (error) {
+            console.error('Episode Error:', error);
+            res.status(500).json({ error: 'エピソードの削除に失敗しました' });
+        }
+    });
+
+    return router;
+};
+
+/**
+ * RSSフィードとエピソード音声の配信（/feed.xml, /podcast/episodes/:id.mp3）
+ * @param {Object} options
+ * @param {import('../episode-catalog').EpisodeCatalog} options.catalog
+ * @param {Object} options.channel - loadPodcastConfig() の戻り値
+ * @returns {express.Router}
+ */
+const createFeedRouter = ({ catalog, channel }) => {
+    const router = express.Router();
+
+    router.get('/feed.xml', (req, res) => {
+        // 公開URLが未設定の場合はリクエストのホストを使う
+        // Hostヘッダーは偽装できるため、その場合は共有キャッシュに保存させず、ホストごとに区別させる
+        const baseUrl = channel.baseUrl || `${req.protocol}://${req.get('host')}`;
+
+        res.set({
+            'Content-Type': 'application/rss+xml; charset=utf-8',
+            'Cache-Control': channel.baseUrl ? 'public, max-age=300' : 'private, max-age=300'
+        });
+        if (!channel.baseUrl) {
+            res.vary('Host');
+        }
+        res.send(buildPodcastFeed({ channel, episodes: catalog.list(), baseUrl }));
+    });
+
+    // <podcast:chapters> から参照するチャプターファイル
+    router.get('/podcast/episodes/:id/chapters.json', (req, res) => {
+        const episode = catalog.get(req.params.id);
+        if (!episode) {
+            return res.status(404).json({ error: 'エピソードが見つかりません' });
+        }
+
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.type('application/json+chapters');
+        res.send(JSON.stringify(toChaptersJson(episode.chapters || [], { title: episode.title })));
+    });
+
+    // ポッドキャストアプリのシーク・再開に必要なRangeリクエストはsendFileが処理する
+    router.get('/podcast/episodes/:file', (req, res) => {
+        const match = /^([0-9a-f-]{36})\.(\w+)$/.exec(req.params.file);
+        const episode = match ? catalog.get(match[1]) : null;
+        if (!episode) {
+            return res.status(404).json({ error: 'エピソードが見つかりません' });
+        }
+
+        res.set({
+            'Content-Type': episode.contentType,
+            'Cache-Control': 'public, max-age=86400'
+        });
+        res.sendFile(catalog.audioFile(episode));
+    });
+
+    return router;
+};
+
+module.exports = {
+    createEpisodesRouter,
+    createFeedRouter
+};
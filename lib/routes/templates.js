@@ -0,0 +1,209 @@
+// エピソードテンプレートAPI
+// GET /api/templates で素材とテンプレートの一覧、POST /api/templates/assets で素材のアップロード、
+// POST /api/templates と /api/templates/:id でテンプレートの追加・更新・削除
+// TTS_ADMIN_TOKEN を設定した場合、変更には X-Admin-Token ヘッダーが必要
+const crypto = require('crypto');
+const express = require('express');
+const {
+    MAX_ASSET_SECONDS,
+    detectAssetFormat,
+    getAssetDuration,
+    parseAssetName,
+    parseEpisodeTemplate
+} = require('../episode-templates');
+const { receiveFile } = require('./upload');
+
+// アップロードできる素材の最大サイズ（20MB）
+const MAX_ASSET_FILE_BYTES = 20 * 1024 * 1024;
+
+const isAudioFile = (file) => {
+    return /\.(wav|mp3|ogg|opus)$/i.test(file.originalname) || /^audio\//.test(file.mimetype);
+};
+
+const isSameToken = (expected, actual) => {
+    const a = crypto.createHash('sha256').update(expected).digest();
+    const b = crypto.createHash('sha256').update(String(actual || '')).digest();
+    return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * @param {Object} options
+ * @param {import('../episode-templates').EpisodeTemplateStore} options.store
+ * @param {string} [options.adminToken] - 指定時は変更に X-Admin-Token ヘッダーでこのトークンが必要
+ * @param {import('../job-queue').JobQueue} [options.queue] - 素材を使う処理中のジョブの確認に使う
+ * @returns {express.Router}
+ */
+const createTemplatesRouter = ({ store, adminToken = null, queue = null }) => {
+    const router = express.Router();
+
+    const requireAdmin = (req, res, next) => {
+        if (adminToken && !isSameToken(adminToken, req.get('X-Admin-Token'))) {
+            return res.status(403).json({ error: 'テンプレートの変更には管理者トークンが必要です' });
+        }
+        next();
+    };
+
+    router.get('/', (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            assets: store.listAssets(),
+            templates: store.listTemplates(),
+            adminTokenRequired: Boolean(adminToken)
+        });
+    });
+
+    router.post('/assets', requireAdmin, receiveFile(MAX_ASSET_FILE_BYTES, isAudioFile), async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ error: '音声ファイル（.wav・.mp3・.ogg）を file として送信してください' });
+        }
+
+        const format = detectAssetFormat(req.file.buffer);
+        if (!format) {
+            return res.status(400).json({ error: 'WAV・MP3・Ogg Opusの音声ファイルを指定してください' });
+        }
+
+        let duration;
+        try {
+            duration = getAssetDuration(req.file.buffer, format);
+        } catch (error) {
+            duration = 0;
+        }
+        if (!(duration > 0)) {
+            return res.status(400).json({ error: '音声ファイルを読み込めませんでした' });
+        }
+        if (duration > MAX_ASSET_SECONDS) {
+            return res.status(400).json({ error: `素材の長さは${MAX_ASSET_SECONDS}秒以内にしてください` });
+        }
+
+        // 素材名を省略した場合はファイル名を使う
+        const nameValidation = parseAssetName(req.body.name || req.file.originalname.replace(/\.[^.]+$/, ''));
+        if (!nameValidation.valid) {
+            return res.status(400).json({ error: nameValidation.error });
+        }
+
+        try {
+            const asset = await store.addAsset({ name: nameValidation.name, data: req.file.buffer, format, duration });
+            if (!asset) {
+                return res.status(409).json({ error: '登録できる素材の数の上限に達しています' });
+            }
+
+            res.status(201)
+                .location(`${req.baseUrl}/assets/${asset.id}`)
+                .json({ asset });
+        } catch (error) {
+            console.error('Template Error:', error);
+            res.status(500).json({ error: '素材の保存に失敗しました' });
+        }
+    });
+
+    // 素材の試聴
+    router.get('/assets/:id', (req, res) => {
+        const asset = store.getAsset(req.params.id);
+        if (!asset) {
+            return res.status(404).json({ error: '素材が見つかりません' });
+        }
+
+        res.set({
+            'Content-Type': asset.contentType,
+            'Cache-Control': 'no-cache'
+        });
+        res.sendFile(store.assetFile(asset));
+    });
+
+    router.delete('/assets/:id', requireAdmin, async (req, res) => {
+        try {
+            const jobs = queue && store.getAsset(req.params.id) ? queue.findActiveByAsset(req.params.id) : [];
+            if (jobs.length > 0) {
+                return res.status(409).json({
+                    error: '待機中・処理中のジョブで使われている素材は、ジョブが終わるまで削除できません',
+                    jobs: jobs.map(({ id, state }) => ({ id, state }))
+                });
+            }
+
+            const result = await store.removeAsset(req.params.id);
+            if (!result) {
+                return res.status(404).json({ error: '素材が見つかりません' });
+            }
+            if (!result.removed) {
+                return res.status(409).json({
+                    error: `テンプレート（${result.usedBy.map(template => template.name).join('、')}）で使われている素材は削除できません`,
+                    usedBy: result.usedBy
+                });
+            }
+
+            res.json({ deleted: true });
+        } catch (error) {
+            console.error('Template Error:', error);
+            res.status(500).json({ error: '素材の削除に失敗しました' });
+        }
+    });
+
+    router.post('/', requireAdmin, async (req, res) => {
+        try {
+            const validation = parseEpisodeTemplate(req.body, store);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+
+            const template = await store.addTemplate(validation.template);
+            if (!template) {
+                return res.status(409).json({ error: '登録できるテンプレートの数の上限に達しています' });
+            }
+
+            res.status(201)
+                .location(`${req.baseUrl}/${template.id}`)
+                .json({ template });
+        } catch (error) {
+            console.error('Template Error:', error);
+            res.status(500).json({ error: 'テンプレートの追加に失敗しました' });
+        }
+    });
+
+    router.get('/:id', (req, res) => {
+        const template = store.getTemplate(req.params.id);
+        if (!template) {
+            return res.status(404).json({ error: 'テンプレートが見つかりません' });
+        }
+
+        res.json({ template });
+    });
+
+    router.put('/:id', requireAdmin, async (req, res) => {
+        try {
+            const validation = parseEpisodeTemplate(req.body, store);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+
+            const template = await store.updateTemplate(req.params.id, validation.template);
+            if (!template) {
+                return res.status(404).json({ error: 'テンプレートが見つかりません' });
+            }
+
+            res.json({ template });
+        } catch (error) {
+            console.error('Template Error:', error);
+            res.status(500).json({ error: 'テンプレートの更新に失敗しました' });
+        }
+    });
+
+    router.delete('/:id', requireAdmin, async (req, res) => {
+        try {
+            const removed = await store.removeTemplate(req.params.id);
+            if (!removed) {
+                return res.status(404).json({ error: 'テンプレートが見つかりません' });
+            }
+
+            res.json({ deleted: true });
+        } catch (error) {
+            console.error('Template Error:', error);
+            res.status(500).json({ error: 'テンプレートの削除に失敗しました' });
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    createTemplatesRouter
+};
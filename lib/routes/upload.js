@@ -0,0 +1,32 @@
+// ファイルアップロードの受け付け（multer）
+const multer = require('multer');
+
+/**
+ * file フィールドで送信されたファイルを1つだけメモリに受け取る
+ * multerのエラーを他のAPIと同じ { error } 形式で返す
+ * @param {number} maxBytes
+ * @param {(file: Object) => boolean} fileFilter - falseを返したファイルは受け取らない（req.file が未設定になる）
+ * @returns {Function} Expressのミドルウェア
+ */
+const receiveFile = (maxBytes, fileFilter) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: 1 },
+        fileFilter: (req, file, callback) => callback(null, fileFilter(file))
+    });
+
+    return (req, res, next) => {
+        upload.single('file')(req, res, (error) => {
+            if (!error) return next();
+
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `ファイルが大きすぎます（${maxBytes / 1024 / 1024}MB以内）` });
+            }
+            res.status(400).json({ error: 'ファイルのアップロードに失敗しました' });
+        });
+    };
+};
+
+module.exports = {
+    receiveFile
+};
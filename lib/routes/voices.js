@@ -0,0 +1,49 @@
+// 音声一覧API
+// GET /api/voices で利用できる音声を返す（?language=ja&gender=female&type=Neural2 で絞り込み。type はカンマ区切りで複数指定可）
+const express = require('express');
+
+const GENDERS = ['FEMALE', 'MALE', 'NEUTRAL'];
+
+// 一覧はプロバイダー側でもほとんど変わらないため、ブラウザーに1時間キャッシュさせる
+const CACHE_MAX_AGE_SECONDS = 60 * 60;
+
+const parseListQuery = (value) => {
+    return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+};
+
+/**
+ * @param {Object} options
+ * @param {import('../voice-catalog').VoiceCatalog} options.catalog
+ * @returns {express.Router}
+ */
+const createVoicesRouter = ({ catalog }) => {
+    const router = express.Router();
+
+    router.get('/', async (req, res) => {
+        const language = parseListQuery(req.query.language);
+        if (language.some(code => !/^[a-z]{2,3}(-[A-Za-z]{2,4})?$/i.test(code))) {
+            return res.status(400).json({ error: 'language には言語コード（ja、en-US など）を指定してください' });
+        }
+
+        const gender = typeof req.query.gender === 'string' && req.query.gender ? req.query.gender.toUpperCase() : undefined;
+        if (gender && !GENDERS.includes(gender)) {
+            return res.status(400).json({ error: 'gender は female・male・neutral のいずれかを指定してください' });
+        }
+
+        try {
+            const voices = await catalog.list({ language, gender, type: parseListQuery(req.query.type) });
+
+            res.set('Cache-Control', `public, max-age=${CACHE_MAX_AGE_SECONDS}`);
+            res.json({ voices, updatedAt: catalog.updatedAt });
+        } catch (error) {
+            console.error('Voices Error:', error);
+            res.status(500).json({ error: '音声リストの取得に失敗しました' });
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    createVoicesRouter
+};
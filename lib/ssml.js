@@ -0,0 +1,329 @@
+// SSML入力の検証と分割ユーティリティ
+const { byteLength, splitSentences, DEFAULT_MAX_CHUNK_BYTES } = require('./text-chunker');
+
+// Google Cloud Text-to-Speechが対応するSSML要素と属性
+// https://cloud.google.com/text-to-speech/docs/ssml
+const SSML_ELEMENTS = {
+    'speak': ['xmlns', 'version', 'xml:lang'],
+    'break': ['time', 'strength'],
+    'say-as': ['interpret-as', 'format', 'detail', 'language'],
+    'audio': ['src', 'clipBegin', 'clipEnd', 'speed', 'repeatCount', 'repeatDur', 'soundLevel'],
+    'desc': [],
+    'p': [],
+    's': [],
+    'sub': ['alias'],
+    'mark': ['name'],
+    'prosody': ['rate', 'pitch', 'volume'],
+    'emphasis': ['level'],
+    'par': [],
+    'seq': [],
+    'media': ['xml:id', 'begin', 'end', 'repeatCount', 'repeatDur', 'soundLevel', 'fadeInDur', 'fadeOutDur'],
+    'phoneme': ['alphabet', 'ph'],
+    'voice': ['name', 'gender', 'variant', 'language', 'languages', 'required', 'ordering'],
+    'lang': ['xml:lang']
+};
+
+// 属性値の簡易チェック
+const ATTRIBUTE_RULES = {
+    'break': {
+        time: /^\d+(\.\d+)?(ms|s)$/,
+        strength: /^(none|x-weak|weak|medium|strong|x-strong)$/
+    },
+    'emphasis': {
+        level: /^(strong|moderate|none|reduced)$/
+    },
+    'phoneme': {
+        alphabet: /^(ipa|x-sampa|yomigana|pinyin|jyutping)$/
+    }
+};
+
+// 必須属性
+const REQUIRED_ATTRIBUTES = {
+    'say-as': ['interpret-as'],
+    'sub': ['alias'],
+    'phoneme': ['ph'],
+    'mark': ['name'],
+    'audio': ['src']
+};
+
+// 途中で分割すると読み方が変わってしまう要素
+const UNSPLITTABLE_ELEMENTS = ['say-as', 'sub', 'phoneme', 'audio', 'par', 'seq', 'media', 'desc'];
+
+const TAG_PATTERN = /<(\/?)([A-Za-z][\w:.-]*)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const ATTRIBUTE_PATTERN = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITY_PATTERN = /&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/;
+
+class SsmlError extends Error {
+    constructor(message, index, source) {
+        const before = source.substring(0, index).split('\n');
+        const line = before.length;
+        const column = before[before.length - 1].length + 1;
+        super(`${message}（${line}行目 ${column}文字目）`);
+        this.name = 'SsmlError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+// SSMLをタグとテキストのトークン列に分解
+const tokenizeSsml = (ssml) => {
+    const tokens = [];
+    let index = 0;
+
+    while (index < ssml.length) {
+        if (ssml.startsWith('<!--', index)) {
+            const end = ssml.indexOf('-->', index + 4);
+            if (end === -1) throw new SsmlError('コメントが閉じられていません', index, ssml);
+            index = end + 3;
+            continue;
+        }
+
+        if (ssml.startsWith('<?', index)) {
+            const end = ssml.indexOf('?>', index + 2);
+            if (end === -1) throw new SsmlError('XML宣言が閉じられていません', index, ssml);
+            index = end + 2;
+            continue;
+        }
+
+        if (ssml[index] === '<') {
+            TAG_PATTERN.lastIndex = index;
+            const match = TAG_PATTERN.exec(ssml);
+            if (!match) throw new SsmlError('タグの形式が正しくありません', index, ssml);
+
+            const [raw, closing, name, attributeText, selfClosing] = match;
+            const attributes = {};
+            for (const [, key, doubleQuoted, singleQuoted] of attributeText.matchAll(ATTRIBUTE_PATTERN)) {
+                attributes[key] = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+            }
+
+            tokens.push({
+                type: closing ? 'close' : (selfClosing ? 'empty' : 'open'),
+                name,
+                attributes,
+                raw,
+                index
+            });
+            index += raw.length;
+            continue;
+        }
+
+        const next = ssml.indexOf('<', index);
+        const end = next === -1 ? ssml.length : next;
+        tokens.push({ type: 'text', raw: ssml.substring(index, end), index });
+        index = end;
+    }
+
+    return tokens;
+};
+
+// <speak>で囲まれているかどうか
+const hasSpeakRoot = (ssml) => /^\s*(<\?xml[^>]*\?>\s*)?<speak[\s>]/.test(ssml);
+
+const checkElement = (token, ssml) => {
+    const allowedAttributes = SSML_ELEMENTS[token.name];
+    if (!allowedAttributes) {
+        throw new SsmlError(`未対応のSSML要素 <${token.name}> です`, token.index, ssml);
+    }
+
+    for (const [key, value] of Object.entries(token.attributes)) {
+        if (!allowedAttributes.includes(key)) {
+            throw new SsmlError(`<${token.name}> に未対応の属性 ${key} が指定されています`, token.index, ssml);
+        }
+
+        const rule = ATTRIBUTE_RULES[token.name] && ATTRIBUTE_RULES[token.name][key];
+        if (rule && !rule.test(value)) {
+            throw new SsmlError(`<${token.name}> の ${key} 属性の値 "${value}" が正しくありません`, token.index, ssml);
+        }
+    }
+
+    for (const key of REQUIRED_ATTRIBUTES[token.name] || []) {
+        if (!(key in token.attributes)) {
+            throw new SsmlError(`<${token.name}> には ${key} 属性が必要です`, token.index, ssml);
+        }
+    }
+};
+
+/**
+ * SSMLをGoogle対応の要素のみで構成されているか検証する
+ * <speak>が省略されている場合は補って返す
+ * @param {string} ssml
+ * @returns {{valid: boolean, ssml?: string, error?: string, line?: number, column?: number}}
+ */
+const validateSsml = (ssml) => {
+    if (!ssml || typeof ssml !== 'string' || !ssml.trim()) {
+        return { valid: false, error: 'SSMLが必要です' };
+    }
+
+    try {
+        const implicitRoot = !hasSpeakRoot(ssml);
+        const tokens = tokenizeSsml(ssml);
+        const stack = implicitRoot ? [{ name: 'speak', index: 0 }] : [];
+        let rootClosed = false;
+
+        for (const token of tokens) {
+            if (token.type === 'text') {
+                if (!token.raw.trim()) continue;
+
+                if (stack.length === 0) {
+                    throw new SsmlError('テキストは<speak>要素の内側に記述してください', token.index, ssml);
+                }
+
+                const entityMatch = ENTITY_PATTERN.exec(token.raw);
+                if (entityMatch) {
+                    throw new SsmlError('「&」は &amp; と記述してください', token.index + entityMatch.index, ssml);
+                }
+                continue;
+            }
+
+            if (token.type === 'close') {
+                const top = stack.pop();
+                if (top && top.raw && top.name !== token.name) {
+                    throw new SsmlError(`閉じタグ </${token.name}> の前に <${top.name}> を閉じてください`, token.index, ssml);
+                }
+                if (!top || top.name !== token.name || (implicitRoot && token.name === 'speak' && stack.length === 0)) {
+                    throw new SsmlError(`閉じタグ </${token.name}> に対応する開始タグがありません`, token.index, ssml);
+                }
+                if (stack.length === 0) rootClosed = true;
+                continue;
+            }
+
+            checkElement(token, ssml);
+
+            if (token.name === 'speak' && (stack.length > 0 || rootClosed)) {
+                throw new SsmlError('<speak> は入れ子にできません', token.index, ssml);
+            }
+            if (token.name !== 'speak' && stack.length === 0) {
+                throw new SsmlError('ルート要素は<speak>である必要があります', token.index, ssml);
+            }
+
+            if (token.type === 'open') {
+                stack.push(token);
+            }
+        }
+
+        const unclosed = implicitRoot ? stack.slice(1) : stack;
+        if (unclosed.length > 0) {
+            const token = unclosed[unclosed.length - 1];
+            throw new SsmlError(`<${token.name}> が閉じられていません`, token.index, ssml);
+        }
+
+        // タグだけのSSMLは合成するテキストがないため、合成を始める前に断る
+        const normalized = implicitRoot ? `<speak>${ssml.trim()}</speak>` : ssml.trim();
+        if (!ssmlToPlainText(normalized)) {
+            return { valid: false, error: 'SSMLに読み上げるテキストがありません' };
+        }
+
+        return { valid: true, ssml: normalized };
+    } catch (error) {
+        if (!(error instanceof SsmlError)) throw error;
+        return { valid: false, error: error.message, line: error.line, column: error.column };
+    }
+};
+
+// SSMLの特殊文字をエスケープ
+const escapeSsml = (text) => {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * SSMLからタグを除き、読み上げる文章だけを取り出す（検証済みのSSMLを想定）
+ * @param {string} ssml
+ * @returns {string}
+ */
+const ssmlToPlainText = (ssml) => {
+    return tokenizeSsml(ssml)
+        .map(token => (token.type === 'text' ? token.raw : (token.name === 'break' || token.name === 'p' ? '\n' : '')))
+        .join('')
+        .replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => XML_ENTITIES[name])
+        .replace(/&#(x[0-9a-fA-F]+|\d+);/g, (match, code) => String.fromCodePoint(
+            code[0] === 'x' ? parseInt(code.substring(1), 16) : parseInt(code, 10)))
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+};
+
+// テキスト部分を文単位、上限を超える文は文字（実体参照）単位に分解
+const splitTextUnits = (raw, maxBytes) => {
+    const units = [];
+    for (const sentence of splitSentences(raw)) {
+        if (byteLength(sentence) > maxBytes) {
+            units.push(...(sentence.match(/&[^;\s]+;|[\s\S]/gu) || []));
+        } else {
+            units.push(sentence);
+        }
+    }
+    return units;
+};
+
+/**
+ * 検証済みSSMLを文境界でAPIのバイト上限以内に分割する
+ * 分割位置で開いている要素は一度閉じ、次のチャンクの先頭で開き直す
+ * @param {string} ssml - validateSsml() で正規化したSSML
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes]
+ * @returns {string[]} <speak>で囲まれたSSMLチャンク
+ */
+const splitSsmlIntoChunks = (ssml, { maxBytes = DEFAULT_MAX_CHUNK_BYTES } = {}) => {
+    if (byteLength(ssml) <= maxBytes) return [ssml];
+
+    const tokens = tokenizeSsml(ssml);
+    const rootIndex = tokens.findIndex(token => token.name === 'speak' && token.type === 'open');
+    const speakOpen = tokens[rootIndex].raw;
+    const body = tokens.slice(rootIndex + 1, tokens.findIndex(token => token.name === 'speak' && token.type === 'close'));
+
+    const chunks = [];
+    const stack = [];
+    let chunkStack = [];
+    let content = '';
+
+    const opening = (openTags) => speakOpen + openTags.map(token => token.raw).join('');
+    const closing = (openTags) => openTags.slice().reverse().map(token => `</${token.name}>`).join('') + '</speak>';
+    const canSplit = () => !stack.some(token => UNSPLITTABLE_ELEMENTS.includes(token.name));
+
+    const append = (raw, reserve = 0) => {
+        const size = byteLength(opening(chunkStack) + content + raw + closing(stack)) + reserve;
+        if (size > maxBytes && content.trim() && canSplit()) {
+            chunks.push(opening(chunkStack) + content + closing(stack));
+            chunkStack = stack.slice();
+            content = '';
+        }
+        content += raw;
+    };
+
+    for (const token of body) {
+        if (token.type === 'text') {
+            splitTextUnits(token.raw, maxBytes).forEach(unit => append(unit));
+        } else if (token.type === 'open') {
+            append(token.raw, byteLength(`</${token.name}>`));
+            stack.push(token);
+        } else if (token.type === 'close') {
+            stack.pop();
+            content += token.raw;
+        } else {
+            append(token.raw);
+        }
+    }
+
+    if (content.trim()) {
+        chunks.push(opening(chunkStack) + content + closing(stack));
+    }
+
+    return chunks;
+};
+
+module.exports = {
+    SSML_ELEMENTS,
+    SsmlError,
+    tokenizeSsml,
+    validateSsml,
+    escapeSsml,
+    ssmlToPlainText,
+    splitSsmlIntoChunks
+};
@@ -0,0 +1,135 @@
+// Substackのデータエクスポート（posts.csv と記事ごとのHTMLを含むZIP）の読み込み
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readZip, ZipError } = require('./zip');
+const { parseCsv } = require('./csv');
+const { extractSubstackArticle } = require('./substack');
+
+// 読み込んだエクスポートの既定の保持期間（24時間）
+const DEFAULT_IMPORT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const baseName = (name) => name.split('/').pop();
+
+/**
+ * エクスポートのZIPから記事一覧と本文を取り出す
+ * @param {Buffer} buffer - ZIPファイルの内容
+ * @returns {Object[]} 公開日の新しい順の記事（id, title, subtitle, author, publishedAt, isPublished, audience, type, text, textLength, headings）
+ */
+const readSubstackExport = (buffer) => {
+    const entries = readZip(buffer).filter(entry => !entry.isDirectory);
+
+    const csvEntry = entries.find(entry => baseName(entry.name) === 'posts.csv');
+    if (!csvEntry) {
+        throw new ZipError('posts.csv が見つかりません。Substackのエクスポートファイルを指定してください');
+    }
+
+    // posts/<post_id>.html を記事IDで引けるようにする
+    const htmlEntries = new Map(entries
+        .filter(entry => /\.html?$/i.test(entry.name) && entry.name.split('/').includes('posts'))
+        .map(entry => [baseName(entry.name).replace(/\.html?$/i, ''), entry]));
+
+    const rows = parseCsv(csvEntry.read().toString('utf8'));
+    const posts = [];
+
+    for (const row of rows) {
+        const id = (row.post_id || '').trim();
+        if (!id) continue;
+
+        const entry = htmlEntries.get(id);
+        const article = entry
+            ? extractSubstackArticle(entry.read().toString('utf8'))
+            : { title: '', subtitle: '', author: '', blocks: [], text: '' };
+
+        // 一覧の情報はposts.csvを優先し、本文はHTMLから組み立て直す
+        const title = (row.title || '').trim() || article.title;
+        const subtitle = (row.subtitle || '').trim() || article.subtitle;
+        const text = article.blocks.length > 0
+            ? [title, subtitle, ...article.blocks.map(block => block.text)].filter(Boolean).join('\n\n')
+            : '';
+
+        posts.push({
+            id,
+            title: title || id,
+            subtitle,
+            author: article.author,
+            publishedAt: row.post_date || article.publishedAt || null,
+            isPublished: row.is_published === 'true',
+            audience: row.audience || null,
+            type: row.type || null,
+            text,
+            textLength: text.length,
+            // チャプターの区切りに使う本文中の見出し
+            headings: article.blocks.filter(block => block.type === 'heading').map(block => block.text)
+        });
+    }
+
+    return posts.sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || ''));
+};
+
+// 読み込んだエクスポートを選択・ジョブ登録まで保持する（DATA_DIR/imports に保存）
+class SubstackExportStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.dataDir
+     * @param {number} [options.ttlMs]
+     */
+    constructor({ dataDir, ttlMs = DEFAULT_IMPORT_TTL_MS }) {
+        this.importsDir = path.join(dataDir, 'imports');
+        this.ttlMs = ttlMs;
+    }
+
+    importFile(id) {
+        return path.join(this.importsDir, `${id}.json`);
+    }
+
+    async save(posts) {
+        await fs.promises.mkdir(this.importsDir, { recursive: true });
+        await this.purgeExpired();
+
+        const record = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), posts };
+        const file = this.importFile(record.id);
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(record));
+        await fs.promises.rename(`${file}.tmp`, file);
+        return record;
+    }
+
+    async get(id) {
+        if (!/^[0-9a-f-]{36}$/.test(id)) return null;
+
+        try {
+            return JSON.parse(await fs.promises.readFile(this.importFile(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // 保持期間を過ぎた読み込み結果を削除
+    async purgeExpired() {
+        const threshold = Date.now() - this.ttlMs;
+        const names = await fs.promises.readdir(this.importsDir).catch(() => []);
+
+        for (const name of names) {
+            const file = path.join(this.importsDir, name);
+            const stat = await fs.promises.stat(file).catch(() => null);
+            if (stat && stat.mtimeMs < threshold) {
+                await fs.promises.rm(file, { force: true });
+            }
+        }
+    }
+
+    // 本文を含まない一覧用の表現
+    toPublic(record) {
+        return {
+            id: record.id,
+            createdAt: record.createdAt,
+            posts: record.posts.map(({ text, headings, ...post }) => post)
+        };
+    }
+}
+
+module.exports = {
+    readSubstackExport,
+    SubstackExportStore
+};
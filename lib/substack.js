@@ -0,0 +1,214 @@
+// Substack記事のHTMLから読み上げ用のテキストを取り出す
+// 記事ページ全体（ブラウザで保存したHTML）と、エクスポートに含まれる本文のみのHTMLの両方に対応する
+const { parseHtml, hasClass, findAll, findFirst, getText } = require('./html');
+
+// 読み上げに不要な要素（購読ウィジェット・共有ボタン・脚注の戻りリンク・画像キャプションなど）
+const DROPPED_CLASSES = [
+    'subscription-widget-wrap', 'subscription-widget', 'subscribe-widget', 'subscribe-footer',
+    'button-wrapper', 'share-dialog', 'post-ufi', 'post-footer', 'paywall', 'paywall-jump',
+    'footnote-anchor', 'footnote-number', 'image-caption', 'captioned-button-wrap',
+    'embedded-post-wrap', 'digest-post-embed', 'native-video-embed', 'youtube-wrap', 'tweet'
+];
+
+const DROPPED_COMPONENTS = [
+    'SubscribeWidgetToDOM', 'ButtonCreateButton', 'CaptionedButtonToDOM', 'ShareButton', 'DigestPostEmbed'
+];
+
+const DROPPED_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'svg', 'button', 'form', 'input', 'select', 'iframe',
+    'figcaption', 'nav', 'img', 'picture', 'video', 'audio'
+]);
+
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+// テキストを1段落として扱う要素
+const PARAGRAPH_TAGS = new Set(['p', 'pre', 'dt', 'dd']);
+
+const isDropped = (node) => {
+    return DROPPED_TAGS.has(node.tag) ||
+        DROPPED_CLASSES.some(className => hasClass(node, className)) ||
+        DROPPED_COMPONENTS.includes(node.attributes['data-component-name']);
+};
+
+const getMeta = (root, key) => {
+    const meta = findFirst(root, node => node.tag === 'meta' &&
+        (node.attributes.name === key || node.attributes.property === key));
+    return meta && meta.attributes.content ? meta.attributes.content.trim() : '';
+};
+
+// 記事の元URL（正規URLを優先）
+const getCanonicalUrl = (root, linkedData) => {
+    const link = findFirst(root, node => node.tag === 'link' && node.attributes.rel === 'canonical');
+    const url = (link && link.attributes.href) || linkedData.url || getMeta(root, 'og:url');
+    return typeof url === 'string' && /^https?:\/\//.test(url.trim()) ? url.trim() : null;
+};
+
+// 掲載誌（Substackのパブリケーション）名
+const getPublication = (root, linkedData) => {
+    const publisher = linkedData.publisher && linkedData.publisher.name;
+    return (typeof publisher === 'string' && publisher.trim()) || getMeta(root, 'og:site_name');
+};
+
+const getRawText = (node) => node.children.map(child => (child.type === 'text' ? child.text : '')).join('');
+
+// JSON-LD（NewsArticle）の情報
+const getLinkedData = (root) => {
+    for (const script of findAll(root, node => node.tag === 'script' && node.attributes.type === 'application/ld+json')) {
+        try {
+            const data = JSON.parse(getRawText(script));
+            const article = [].concat(data).find(item => item && /Article/.test(item['@type']));
+            if (article) return article;
+        } catch (error) {
+            // 壊れたJSON-LDは無視する
+        }
+    }
+    return {};
+};
+
+const firstText = (root, predicate) => {
+    const node = findFirst(root, predicate);
+    return node ? getText(node, isDropped) : '';
+};
+
+const getAuthor = (root, linkedData) => {
+    const authors = [].concat(linkedData.author || [])
+        .map(author => (typeof author === 'string' ? author : author && author.name))
+        .filter(Boolean);
+    if (authors.length > 0) return authors.join('、');
+
+    return getMeta(root, 'author') ||
+        firstText(root, node => hasClass(node, 'byline-names'));
+};
+
+// 本文にあたる要素（見つからない場合は<body>または文書全体）
+const findBody = (root) => {
+    return findFirst(root, node => hasClass(node, 'body') && hasClass(node, 'markup')) ||
+        findFirst(root, node => hasClass(node, 'available-content')) ||
+        findFirst(root, node => node.tag === 'article') ||
+        findFirst(root, node => node.tag === 'body') ||
+        root;
+};
+
+/**
+ * 本文を見出しと段落のブロック列に変換する
+ * @param {Object} body
+ * @returns {Array<{type: string, text: string, level?: number}>}
+ */
+const extractBlocks = (body) => {
+    const blocks = [];
+    const pendingInline = [];
+
+    // ブロック要素の間に直接書かれたテキストは1段落にまとめる
+    const flushInline = () => {
+        const text = pendingInline.join('').replace(/\s+/g, ' ').trim();
+        pendingInline.length = 0;
+        if (text) blocks.push({ type: 'paragraph', text });
+    };
+
+    const walk = (node) => {
+        for (const child of node.children) {
+            if (child.type === 'text') {
+                pendingInline.push(child.text);
+                continue;
+            }
+            if (isDropped(child)) continue;
+
+            if (HEADING_TAGS.has(child.tag)) {
+                flushInline();
+                const text = getText(child, isDropped).replace(/\n/g, ' ');
+                if (text) blocks.push({ type: 'heading', level: parseInt(child.tag.substring(1), 10), text });
+            } else if (PARAGRAPH_TAGS.has(child.tag) || (child.tag === 'li' && !findFirst(child, isBlockContainer))) {
+                flushInline();
+                const text = getText(child, isDropped);
+                if (text) blocks.push({ type: 'paragraph', text });
+            } else if (child.tag === 'br' || child.tag === 'hr') {
+                flushInline();
+            } else if (isBlockContainer(child) || child.tag === 'li') {
+                flushInline();
+                walk(child);
+                flushInline();
+            } else {
+                // インライン要素はテキストとして扱う
+                pendingInline.push(getText(child, isDropped));
+            }
+        }
+    };
+
+    walk(body);
+    flushInline();
+    return blocks;
+};
+
+const isBlockContainer = (node) => {
+    return ['div', 'section', 'article', 'main', 'blockquote', 'ul', 'ol', 'li', 'figure', 'table', 'tbody',
+        'thead', 'tr', 'td', 'th', 'dl', 'header', 'footer', 'aside', 'body', 'html', 'p', 'pre'].includes(node.tag) ||
+        HEADING_TAGS.has(node.tag);
+};
+
+/**
+ * 抽出結果を合成用のテキストにまとめる（タイトル・サブタイトル・著者・本文の順）
+ * @param {Object} article - extractSubstackArticle() の戻り値
+ * @returns {string}
+ */
+const formatArticleText = ({ title, subtitle, author, blocks }) => {
+    const lines = [];
+    if (title) lines.push(title);
+    if (subtitle) lines.push(subtitle);
+    if (author) lines.push(`著者：${author}`);
+
+    // 段落の間は空行にして、読み上げで間が空くようにする
+    for (const block of blocks) {
+        lines.push(block.text);
+    }
+
+    return lines.join('\n\n');
+};
+
+/**
+ * SubstackのHTMLから記事情報と本文を取り出す
+ * @param {string} html
+ * @returns {{title: string, subtitle: string, author: string, publication: string, publishedAt: string|null, url: string|null, blocks: Object[], text: string}}
+ */
+const extractSubstackArticle = (html) => {
+    const root = parseHtml(html);
+    const linkedData = getLinkedData(root);
+    const body = findBody(root);
+
+    let title = firstText(root, node => node.tag === 'h1' && hasClass(node, 'post-title')) ||
+        linkedData.headline ||
+        getMeta(root, 'og:title') ||
+        firstText(root, node => node.tag === 'title');
+
+    const subtitle = firstText(root, node => hasClass(node, 'subtitle')) ||
+        linkedData.description ||
+        getMeta(root, 'description') ||
+        '';
+
+    // 本文の範囲を特定できない場合、先頭にタイトル・サブタイトルが含まれるため重複させない
+    const blocks = extractBlocks(body);
+    while (blocks.length > 0 && [title, subtitle].includes(blocks[0].text)) {
+        blocks.shift();
+    }
+
+    // 本文のみのHTMLでは先頭の大見出しをタイトルとして扱う
+    if (!title && blocks.length > 0 && blocks[0].type === 'heading' && blocks[0].level === 1) {
+        title = blocks.shift().text;
+    }
+
+    const article = {
+        title: title.trim(),
+        subtitle: subtitle.trim(),
+        author: getAuthor(root, linkedData).trim(),
+        publication: getPublication(root, linkedData).trim(),
+        publishedAt: linkedData.datePublished || getMeta(root, 'article:published_time') || null,
+        url: getCanonicalUrl(root, linkedData),
+        blocks
+    };
+
+    return { ...article, text: formatArticleText(article) };
+};
+
+module.exports = {
+    extractSubstackArticle,
+    formatArticleText
+};
@@ -0,0 +1,218 @@
+// 字幕ファイル（SRT・WebVTT）の作成
+// 読み上げ位置の対応表があれば文・単語の再生時刻を使い、なければチャンクの再生時間を文の長さの比で割り振る
+const { splitSentences } = require('./text-chunker');
+
+const SUBTITLE_FORMATS = {
+    srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+    vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' }
+};
+
+// 1行の最大文字数（日本語の字幕を想定）と受け付ける範囲
+const DEFAULT_MAX_LINE_LENGTH = 20;
+const MAX_LINE_LENGTH_RANGE = { min: 8, max: 80 };
+
+// 1つの字幕の最大表示時間（秒）と受け付ける範囲
+const DEFAULT_MAX_CUE_DURATION = 7;
+const MAX_CUE_DURATION_RANGE = { min: 1, max: 30 };
+
+// 1つの字幕の最大行数
+const MAX_LINES = 2;
+
+const wordSegmenter = new Intl.Segmenter('ja', { granularity: 'word' });
+
+// 読み上げ時間の比率の目安（日本語は英数字1文字のおよそ2倍かかる）
+const CJK_PATTERN = /[\u3000-\u30ff\u3400-\u9fff\uff00-\uffef]/;
+
+const speechWeight = (text) => {
+    return Array.from(text.replace(/\s+/g, ' ')).reduce((sum, char) => sum + (CJK_PATTERN.test(char) ? 2 : 1), 0);
+};
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * 字幕の分割条件を検証する
+ * @param {Object} query - { maxLineLength, maxDuration }（クエリ文字列）
+ * @returns {{valid: boolean, error?: string, options?: {maxLineLength: number, maxDuration: number}}}
+ */
+const parseSubtitleOptions = (query = {}) => {
+    const maxLineLength = query.maxLineLength === undefined ? DEFAULT_MAX_LINE_LENGTH : Number(query.maxLineLength);
+    if (!Number.isInteger(maxLineLength) ||
+        maxLineLength < MAX_LINE_LENGTH_RANGE.min || maxLineLength > MAX_LINE_LENGTH_RANGE.max) {
+        return { valid: false, error: `maxLineLength は${MAX_LINE_LENGTH_RANGE.min}から${MAX_LINE_LENGTH_RANGE.max}の整数で指定してください` };
+    }
+
+    const maxDuration = query.maxDuration === undefined ? DEFAULT_MAX_CUE_DURATION : Number(query.maxDuration);
+    if (isNaN(maxDuration) || maxDuration < MAX_CUE_DURATION_RANGE.min || maxDuration > MAX_CUE_DURATION_RANGE.max) {
+        return { valid: false, error: `maxDuration は${MAX_CUE_DURATION_RANGE.min}から${MAX_CUE_DURATION_RANGE.max}秒の範囲で指定してください` };
+    }
+
+    return { valid: true, options: { maxLineLength, maxDuration } };
+};
+
+/**
+ * チャンクの再生時間を、含まれる文の長さの比で割り振る（タイムポイントがない場合）
+ * @param {{text: string, startTime: number, endTime: number}[]} segments - timeSegments() の戻り値
+ * @returns {{text: string, sentences: Object[], words: Object[]}} 読み上げ位置の対応表と同じ形式
+ */
+const estimateSentenceTimings = (segments) => {
+    const sentences = [];
+    let text = '';
+
+    for (const segment of segments) {
+        const parts = splitSentences(segment.text);
+        const totalWeight = parts.reduce((sum, part) => sum + speechWeight(part.trim()), 0) || 1;
+        const segmentDuration = segment.endTime - segment.startTime;
+        let offset = text.length;
+        let time = segment.startTime;
+
+        for (const part of parts) {
+            const body = part.trim();
+            if (body) {
+                const start = offset + part.length - part.trimStart().length;
+                const duration = segmentDuration * speechWeight(body) / totalWeight;
+                sentences.push({ start, end: start + body.length, startTime: round(time), endTime: round(time + duration) });
+                time += duration;
+            }
+            offset += part.length;
+        }
+
+        text += `${segment.text}\n`;
+    }
+
+    return { text, sentences, words: [] };
+};
+
+// 字幕を優先して区切る読点・カンマ
+const CLAUSE_DELIMITER_PATTERN = /[、，,;；:：]/;
+
+/**
+ * 文字列を単語の境界で、count個程度・1つあたりmaxChars文字以内に分ける
+ * 読点の後を優先して区切り、句読点の前では区切らない。maxCharsを超える単語は文字単位で区切る
+ * @returns {{start: number, end: number}[]}
+ */
+const splitAtWords = (text, maxChars, count) => {
+    const target = text.length / count;
+    const pieces = [];
+    let start = 0;
+    let clauseEnd = -1;
+
+    for (const { segment, index, isWordLike } of wordSegmenter.segment(text)) {
+        const breakable = isWordLike || !segment.trim();
+        if (breakable && index > start && (index + segment.length - start > maxChars || index - start >= target)) {
+            // 目安の半分以上の長さになる読点があればそこで区切る
+            const end = clauseEnd - start >= target / 2 ? clauseEnd : index;
+            pieces.push({ start, end });
+            start = end;
+        }
+        while (isWordLike && index + segment.length - start > maxChars) {
+            pieces.push({ start, end: start + maxChars });
+            start += maxChars;
+        }
+        if (CLAUSE_DELIMITER_PATTERN.test(segment)) {
+            clauseEnd = index + segment.length;
+        }
+    }
+
+    if (start < text.length) {
+        pieces.push({ start, end: text.length });
+    }
+
+    return pieces.filter(piece => text.substring(piece.start, piece.end).trim());
+};
+
+/**
+ * 文ごとに字幕を作り、長い文は文字数と表示時間の上限に収まるよう分割する
+ * @param {{text: string, sentences: Object[], words?: Object[]}} timed - 読み上げ位置の対応表
+ * @param {Object} [options]
+ * @param {number} [options.maxLineLength]
+ * @param {number} [options.maxDuration]
+ * @returns {{startTime: number, endTime: number, lines: string[]}[]}
+ */
+const buildCues = ({ text, sentences, words = [] }, { maxLineLength = DEFAULT_MAX_LINE_LENGTH, maxDuration = DEFAULT_MAX_CUE_DURATION } = {}) => {
+    const maxChars = maxLineLength * MAX_LINES;
+    const cues = [];
+
+    for (const sentence of sentences) {
+        const body = text.substring(sentence.start, sentence.end).replace(/\s+/g, ' ');
+        if (!body.trim()) continue;
+
+        const duration = sentence.endTime - sentence.startTime;
+        const sentenceWords = words.filter(word => word.start >= sentence.start && word.start < sentence.end);
+        const bodyWeight = speechWeight(body) || 1;
+
+        // 単語の再生時刻があればそれを使い、なければ文の再生時間を長さの比で割り振る
+        const timeAt = (offset) => {
+            const word = sentenceWords.find(candidate => candidate.start >= sentence.start + offset);
+            if (word) return word.startTime;
+            return sentence.startTime + duration * speechWeight(body.substring(0, offset)) / bodyWeight;
+        };
+
+        const count = Math.max(Math.ceil(body.length / maxChars), Math.ceil(duration / maxDuration), 1);
+        const pieces = splitAtWords(body, maxChars, count);
+
+        pieces.forEach((piece, index) => {
+            const pieceText = body.substring(piece.start, piece.end).trim();
+            const startTime = round(Math.max(timeAt(piece.start), cues.length > 0 ? cues[cues.length - 1].endTime : 0));
+            const endTime = round(index + 1 < pieces.length ? timeAt(pieces[index + 1].start) : sentence.endTime);
+
+            cues.push({
+                startTime,
+                endTime: Math.max(startTime, endTime),
+                lines: splitAtWords(pieceText, maxLineLength, Math.ceil(pieceText.length / maxLineLength))
+                    .map(line => pieceText.substring(line.start, line.end).trim())
+            });
+        });
+    }
+
+    return cues;
+};
+
+// 00:01:02,345（SRT）・00:01:02.345（WebVTT）
+const formatTimestamp = (seconds, separator) => {
+    const ms = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+};
+
+const toSrt = (cues) => {
+    return cues.map((cue, index) => [
+        index + 1,
+        `${formatTimestamp(cue.startTime, ',')} --> ${formatTimestamp(cue.endTime, ',')}`,
+        ...cue.lines
+    ].join('\n') + '\n').join('\n');
+};
+
+// WebVTTの字幕テキストでは & < > をエスケープする
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const toWebVtt = (cues) => {
+    return ['WEBVTT\n', ...cues.map(cue => [
+        `${formatTimestamp(cue.startTime, '.')} --> ${formatTimestamp(cue.endTime, '.')}`,
+        ...cue.lines.map(escapeVtt)
+    ].join('\n') + '\n')].join('\n');
+};
+
+/**
+ * 字幕ファイルを作成する
+ * @param {Object} timing
+ * @param {Object} [timing.alignment] - 読み上げ位置の対応表（timepoints指定時）
+ * @param {Object[]} [timing.segments] - チャンクごとの本文と再生時刻
+ * @param {string} format - 'srt' または 'vtt'
+ * @param {Object} [options] - parseSubtitleOptions() の options
+ * @returns {string}
+ */
+const buildSubtitles = ({ alignment, segments }, format, options) => {
+    const timed = alignment && alignment.sentences.length > 0 ? alignment : estimateSentenceTimings(segments || []);
+    const cues = buildCues(timed, options);
+    return format === 'vtt' ? toWebVtt(cues) : toSrt(cues);
+};
+
+module.exports = {
+    SUBTITLE_FORMATS,
+    DEFAULT_MAX_LINE_LENGTH,
+    DEFAULT_MAX_CUE_DURATION,
+    parseSubtitleOptions,
+    estimateSentenceTimings,
+    buildCues,
+    buildSubtitles
+};
@@ -0,0 +1,238 @@
+// 音声合成リクエストのパラメータ検証（ジョブAPIなど複数のエンドポイントで共有）
+const { MAX_TEXT_LENGTH } = require('./text-chunker');
+const { validateSsml } = require('./ssml');
+const { getAudioFormat } = require('./audio-format');
+const { validateAudioConfig, buildAudioConfig } = require('./audio-config');
+const { findChapters } = require('./chapters');
+const { TIMEPOINT_GRANULARITIES } = require('./alignment');
+const { parseMarkdownInput } = require('./markdown');
+const { parseDialogueInput } = require('./dialogue');
+const { parseLanguageSwitch } = require('./language-switch');
+const { parseNormalization, normalizeText, normalizeHeadings } = require('./text-normalizer');
+const { parsePostProcessing, checkFfmpegRequirement } = require('./audio-processing');
+const { parseTemplateSelection } = require('./episode-templates');
+
+const DEFAULT_VOICE = 'ja-JP-Neural2-B';
+
+// 受け付ける入力形式（markdownは読み上げ用のSSMLに変換し、dialogueはセリフごとに話者の音声で合成する）
+const INPUT_TYPES = ['text', 'ssml', 'markdown', 'dialogue'];
+const INPUT_TYPE_ERROR = '入力形式は text、ssml、markdown、dialogue のいずれかを指定してください';
+
+// プレーンテキストからタグ類を除去
+const sanitizePlainText = (text) => {
+    return text
+        .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
+        .replace(/<[^>]*>/g, '')
+        .trim();
+};
+
+/**
+ * 読み上げ位置の対応表の細かさを検証する（<mark>を挿入できるテキスト入力のみ）
+ * @param {string} [value] - 'sentence'・'word'、または未指定・'none'
+ * @param {string} inputType
+ * @returns {{valid: boolean, error?: string, timepoints?: string|null}}
+ */
+const parseTimepoints = (value, inputType) => {
+    if (value === undefined || value === null || value === '' || value === 'none') {
+        return { valid: true, timepoints: null };
+    }
+    if (!TIMEPOINT_GRANULARITIES.includes(value)) {
+        return { valid: false, error: 'timepoints は sentence または word を指定してください' };
+    }
+    if (inputType !== 'text') {
+        return { valid: false, error: 'timepoints はテキスト入力のみ対応しています' };
+    }
+    return { valid: true, timepoints: value };
+};
+
+/**
+ * リクエストボディを検証し、合成に必要なパラメータに正規化する
+ * @param {Object} body - { text, inputType, voice, speed, format, pitch, volumeGainDb, sampleRateHertz, effectsProfile, headings, title, timepoints, markdown, dialogue, languageSwitch, normalization, postProcessing, template }
+ * @param {Object} [options]
+ * @param {string[]} [options.allowedVoices] - 指定時はこの音声のみ許可
+ * @param {import('./episode-templates').EpisodeTemplateStore} [options.templates] - template で指定するエピソードテンプレート
+ * @returns {{valid: boolean, error?: string, status?: number, line?: number, column?: number, params?: Object}}
+ *   status はエラーの応答に使うHTTPステータス（未指定は400）
+ */
+const parseSynthesisParams = (body = {}, { allowedVoices, templates = null } = {}) => {
+    const {
+        text,
+        inputType = 'text',
+        voice = DEFAULT_VOICE,
+        speed = 1.0,
+        format = 'mp3',
+        pitch,
+        volumeGainDb,
+        sampleRateHertz,
+        effectsProfile,
+        timepoints
+    } = body;
+
+    if (!text || typeof text !== 'string') {
+        return { valid: false, error: 'テキストが必要です' };
+    }
+
+    if (text.length > MAX_TEXT_LENGTH) {
+        return { valid: false, error: `テキストが長すぎます（${MAX_TEXT_LENGTH}文字以内）` };
+    }
+
+    if (!INPUT_TYPES.includes(inputType)) {
+        return { valid: false, error: INPUT_TYPE_ERROR };
+    }
+
+    // 数字・日付・URLなどを読み上げやすく書き換える（SSMLで出力する場合は以降SSMLとして扱う）
+    const normalizationValidation = parseNormalization(body.normalization, { inputType, voice });
+    if (!normalizationValidation.valid) return normalizationValidation;
+    const { normalization } = normalizationValidation;
+    const synthesisInputType = inputType === 'markdown' || (normalization && normalization.mode === 'ssml') ? 'ssml' : inputType;
+
+    let input;
+    let chapters = [];
+    let dialogue = null;
+    if (inputType === 'ssml') {
+        const ssmlValidation = validateSsml(text);
+        if (!ssmlValidation.valid) return ssmlValidation;
+        input = ssmlValidation.ssml;
+    } else if (inputType === 'markdown') {
+        // 見出しの位置（変換後のSSMLでの位置）をチャプターとして記録する
+        const markdownValidation = parseMarkdownInput(text, body.markdown, { voice, allowedVoices, introTitle: body.title });
+        if (!markdownValidation.valid) return markdownValidation;
+        ({ ssml: input, chapters } = markdownValidation);
+    } else if (inputType === 'dialogue') {
+        // 台本は話者名を付けたセリフの一覧を本文として保存する
+        const dialogueValidation = parseDialogueInput(sanitizePlainText(text), body.dialogue, { voice, allowedVoices });
+        if (!dialogueValidation.valid) return dialogueValidation;
+        ({ dialogue, transcript: input } = dialogueValidation);
+    } else {
+        input = sanitizePlainText(text);
+        if (!input) {
+            return { valid: false, error: '有効なテキストを入力してください' };
+        }
+        if (normalization) {
+            input = normalizeText(input, normalization).output;
+        }
+
+        // 見出しの位置をチャプターとして記録する（SSMLに正規化した場合は記録しない）
+        if (synthesisInputType === 'text') {
+            ({ text: input, chapters } = findChapters(input, { headings: normalizeHeadings(body.headings, normalization), introTitle: body.title }));
+        }
+    }
+
+    if (typeof voice !== 'string' || !/^[a-z]{2,3}-[A-Z]{2}-[\w-]+$/.test(voice) ||
+        (allowedVoices && !allowedVoices.includes(voice))) {
+        return { valid: false, error: '無効な音声タイプです' };
+    }
+
+    const numSpeed = parseFloat(speed);
+    if (isNaN(numSpeed) || numSpeed < 0.25 || numSpeed > 4.0) {
+        return { valid: false, error: '速度は0.25から4.0の範囲で指定してください' };
+    }
+
+    const audioFormat = getAudioFormat(format);
+    if (!audioFormat) {
+        return { valid: false, error: '出力形式は mp3, ogg, wav, mulaw のいずれかを指定してください' };
+    }
+
+    const timepointsValidation = parseTimepoints(timepoints, synthesisInputType);
+    if (!timepointsValidation.valid) return timepointsValidation;
+
+    const languageSwitchValidation = parseLanguageSwitch(body.languageSwitch, { voice, inputType: synthesisInputType, timepoints, allowedVoices });
+    if (!languageSwitchValidation.valid) return languageSwitchValidation;
+
+    const audioConfigParams = { speed: numSpeed, pitch, volumeGainDb, sampleRateHertz, effectsProfile };
+    const audioConfigValidation = validateAudioConfig(audioConfigParams, audioFormat.name);
+    if (!audioConfigValidation.valid) return audioConfigValidation;
+
+    const postProcessingValidation = parsePostProcessing(body.postProcessing);
+    if (!postProcessingValidation.valid) return postProcessingValidation;
+
+    const templateValidation = parseTemplateSelection(body.template, templates);
+    if (!templateValidation.valid) return templateValidation;
+
+    // ffmpegが必要な処理は、見つからなければ合成を始める前に断る
+    const ffmpegValidation = checkFfmpegRequirement(audioFormat.audioEncoding, {
+        postProcessing: postProcessingValidation.postProcessing,
+        template: templateValidation.template
+    });
+    if (!ffmpegValidation.valid) return ffmpegValidation;
+
+    return {
+        valid: true,
+        params: {
+            input,
+            inputType: synthesisInputType,
+            voice,
+            format: audioFormat.name,
+            audioConfig: buildAudioConfig(audioFormat, audioConfigParams),
+            chapters,
+            timepoints: timepointsValidation.timepoints,
+            dialogue,
+            languageSwitch: languageSwitchValidation.languageSwitch,
+            postProcessing: postProcessingValidation.postProcessing,
+            template: templateValidation.template
+        }
+    };
+};
+
+// 音声に付ける記事の情報と最大文字数
+const METADATA_FIELDS = {
+    title: 200,
+    subtitle: 500,
+    author: 200,
+    publication: 200,
+    publishedAt: 40,
+    url: 2000
+};
+
+/**
+ * リクエストから記事の情報（ID3タグ・ポッドキャストの既定値）を取り出す
+ * @param {Object} body - title, subtitle, author, publication, publishedAt, url
+ * @returns {{valid: boolean, error?: string, metadata?: Object}}
+ */
+const parseMetadata = (body) => {
+    const metadata = {};
+    for (const [field, maxLength] of Object.entries(METADATA_FIELDS)) {
+        const value = body[field];
+        if (typeof value === 'string' && value.trim()) {
+            metadata[field] = value.trim().substring(0, maxLength);
+        }
+    }
+
+    if (metadata.publishedAt) {
+        const publishedAt = new Date(metadata.publishedAt);
+        if (isNaN(publishedAt.getTime())) {
+            return { valid: false, error: '公開日時の形式が正しくありません' };
+        }
+        metadata.publishedAt = publishedAt.toISOString();
+    }
+
+    if (metadata.url && !/^https?:\/\//.test(metadata.url)) {
+        return { valid: false, error: 'URLは http:// または https:// で始まる形式で指定してください' };
+    }
+
+    return { valid: true, metadata };
+};
+
+/**
+ * 正規化済みパラメータからinput以外のGoogle APIリクエストを組み立てる
+ * @param {Object} params - parseSynthesisParams() の params
+ * @returns {{voice: Object, audioConfig: Object}}
+ */
+const buildSynthesisRequest = (params) => ({
+    voice: {
+        languageCode: params.voice.substring(0, 5), // 例: "ja-JP"
+        name: params.voice
+    },
+    audioConfig: params.audioConfig
+});
+
+module.exports = {
+    DEFAULT_VOICE,
+    INPUT_TYPES,
+    INPUT_TYPE_ERROR,
+    sanitizePlainText,
+    parseSynthesisParams,
+    parseTimepoints,
+    parseMetadata,
+    buildSynthesisRequest
+};
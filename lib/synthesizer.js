@@ -0,0 +1,354 @@
+// 長文テキストの分割合成ユーティリティ
+const { splitTextIntoChunks, byteLength, GOOGLE_MAX_INPUT_BYTES, DEFAULT_MAX_CHUNK_BYTES } = require('./text-chunker');
+const { splitSsmlIntoChunks, escapeSsml } = require('./ssml');
+const { concatAudio } = require('./audio-format');
+const { splitAtChapters, timeChapters } = require('./chapters');
+const { buildMarkedSsml, buildAlignment, timeSegments } = require('./alignment');
+const { applyLexicon, selectLexiconEntries } = require('./lexicon');
+const { buildDialogueLineSsml, selectDialogueLexicon } = require('./dialogue');
+const { segmentLanguages, selectLanguageSwitchLexicon } = require('./language-switch');
+const { toProcessingRequest, postProcessAudio, shiftTimings } = require('./audio-processing');
+
+// <mark>の挿入や読みの辞書の適用で上限を超えるチャンクは分割し直す（これより小さくはしない）
+const MIN_CHUNK_BYTES = 200;
+
+// 入力形式に応じてAPIのバイト上限以内のチャンクに分割
+const splitInput = (text, inputType = 'text', maxBytes = DEFAULT_MAX_CHUNK_BYTES) => {
+    return inputType === 'ssml'
+        ? splitSsmlIntoChunks(text, { maxBytes })
+        : splitTextIntoChunks(text, { maxBytes });
+};
+
+/**
+ * チャンクをAPIに送る入力に変換する（タイムポイントの<mark>の挿入と読みの辞書の適用）
+ * @param {string} chunk
+ * @param {string} [inputType]
+ * @param {Object} [options]
+ * @param {string} [options.timepoints] - 'sentence' または 'word'（プレーンテキストのチャンクのみ）
+ * @param {Object[]} [options.lexicon] - selectLexiconEntries() で選んだ読みの辞書の項目
+ * @returns {{text: string}|{ssml: string}}
+ */
+const buildChunkInput = (chunk, inputType = 'text', { timepoints = null, lexicon = [] } = {}) => {
+    const input = timepoints
+        ? { ssml: buildMarkedSsml(chunk, timepoints).ssml }
+        : (inputType === 'ssml' ? { ssml: chunk } : { text: chunk });
+    return applyLexicon(input, lexicon);
+};
+
+/**
+ * 変換後の入力もAPIの上限に収まるようにチャンクに分割する
+ * @param {string} text
+ * @param {Function} split - (text, maxBytes) => string[]
+ * @param {Function} measure - チャンクを変換した入力のバイト数
+ * @param {number} maxBytes - 最初に試すチャンクの大きさ
+ * @returns {string[]}
+ */
+const splitToFit = (text, split, measure, maxBytes) => {
+    return split(text, maxBytes).flatMap(chunk => {
+        const inputBytes = measure(chunk);
+        if (inputBytes <= GOOGLE_MAX_INPUT_BYTES || maxBytes <= MIN_CHUNK_BYTES) return [chunk];
+
+        // 変換で増えた割合に合わせて小さくする（少し余裕を持たせる）
+        const scaled = Math.floor(byteLength(chunk) * GOOGLE_MAX_INPUT_BYTES / inputBytes * 0.95);
+        return splitToFit(chunk, split, measure, Math.max(MIN_CHUNK_BYTES, Math.min(scaled, maxBytes - 1)));
+    });
+};
+
+/**
+ * チャプターの開始位置でも区切ってチャンクに分割する（タイムポイントはテキスト入力のみ）
+ * SSMLのチャプターは最上位の要素の境界（Markdownの見出し）にあり、区間ごとに<speak>で囲み直して分割する
+ * @param {string} text
+ * @param {string} [inputType]
+ * @param {{offset: number}[]} [chapters] - text の先頭からの文字数
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes]
+ * @param {string} [options.timepoints] - 'sentence' または 'word'（<mark>を入れる分だけチャンクを小さくする）
+ * @param {Object[]} [options.lexicon] - 読みの辞書の項目（<sub>・<phoneme>を入れる分だけチャンクを小さくする）
+ * @returns {{chunks: string[], chapterStarts: number[]}}
+ */
+const splitInputAtChapters = (text, inputType = 'text', chapters = [], { maxBytes = DEFAULT_MAX_CHUNK_BYTES, timepoints = null, lexicon = [] } = {}) => {
+    const measure = (chunk) => {
+        const input = buildChunkInput(chunk, inputType, { timepoints, lexicon });
+        return byteLength(input.ssml !== undefined ? input.ssml : input.text);
+    };
+
+    const splitSsml = (ssml) => splitToFit(ssml, (part, bytes) => splitInput(part, inputType, bytes), measure, maxBytes);
+    if (inputType === 'ssml' && chapters.length === 0) {
+        return { chunks: splitSsml(text), chapterStarts: [] };
+    }
+
+    const splitSection = inputType === 'ssml'
+        ? (section) => {
+            const body = section.replace(/^<speak>/, '').replace(/<\/speak>$/, '');
+            return body.trim() ? splitSsml(`<speak>${body}</speak>`) : [];
+        }
+        : (section) => splitToFit(section, (part, bytes) => splitTextIntoChunks(part, { maxBytes: bytes }), measure, maxBytes);
+    return chapters.length > 0
+        ? splitAtChapters(text, chapters, splitSection)
+        : { chunks: splitSection(text), chapterStarts: [] };
+};
+
+// 別の音声（と速度・ピッチ）で合成するリクエスト（未指定の項目は全体の設定を使う）
+const buildVoiceRequest = (baseRequest, { voice, speed = null, pitch = null }) => ({
+    ...baseRequest,
+    voice: {
+        languageCode: voice.substring(0, 5),
+        name: voice
+    },
+    audioConfig: {
+        ...baseRequest.audioConfig,
+        speakingRate: speed !== null ? speed : baseRequest.audioConfig.speakingRate,
+        pitch: pitch !== null ? pitch : baseRequest.audioConfig.pitch
+    }
+});
+
+/**
+ * 台本をセリフごとにチャンクに分割し、チャンクを合成するリクエストもあわせて返す
+ * 読みの辞書はセリフの言語に合う項目を分割前に適用する
+ * @param {{lines: Object[], gapMs: number}} dialogue - parseDialogueInput() の dialogue
+ * @param {Object} baseRequest - input以外のリクエスト設定
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes]
+ * @param {Object[]} [options.lexicon] - selectDialogueLexicon() で選んだ読みの辞書の項目
+ * @returns {{chunks: string[], requests: Object[], chapterStarts: number[]}}
+ */
+const splitDialogue = (dialogue, baseRequest, { maxBytes = DEFAULT_MAX_CHUNK_BYTES, lexicon = [] } = {}) => {
+    const chunks = [];
+    const requests = [];
+
+    dialogue.lines.forEach((line, index) => {
+        const request = buildVoiceRequest(baseRequest, line);
+        const gapMs = index < dialogue.lines.length - 1 ? dialogue.gapMs : 0;
+        const { ssml } = applyLexicon(
+            { ssml: buildDialogueLineSsml(line, gapMs) },
+            selectLexiconEntries(lexicon, request.voice.languageCode, line.text)
+        );
+
+        for (const chunk of splitInput(ssml, 'ssml', maxBytes)) {
+            chunks.push(chunk);
+            requests.push(request);
+        }
+    });
+
+    return { chunks, requests, chapterStarts: [] };
+};
+
+/**
+ * テキストのチャンクをさらに日本語・英語の区間に分け、区間の言語の音声で合成するリクエストもあわせて返す
+ * 読みの辞書は区間の言語に合う項目を適用したSSMLにする
+ * @param {{chunks: string[], chapterStarts: number[]}} split - splitInputAtChapters() の戻り値
+ * @param {Object} baseRequest - input以外のリクエスト設定
+ * @param {Object} languageSwitch - parseLanguageSwitch() の languageSwitch
+ * @param {Object[]} [lexicon] - selectLanguageSwitchLexicon() で選んだ読みの辞書の項目
+ * @returns {{chunks: string[], requests: Object[], chapterStarts: number[]}}
+ */
+const splitLanguageRuns = ({ chunks, chapterStarts }, baseRequest, languageSwitch, lexicon = []) => {
+    const requests = {};
+    for (const [language, voice] of Object.entries(languageSwitch.voices)) {
+        requests[language] = buildVoiceRequest(baseRequest, { voice });
+    }
+
+    const result = { chunks: [], requests: [], chapterStarts: [] };
+    const firstRuns = [];
+    for (const chunk of chunks) {
+        firstRuns.push(result.chunks.length);
+        for (const run of segmentLanguages(chunk, languageSwitch)) {
+            const request = requests[run.language];
+            const { ssml } = applyLexicon(
+                { ssml: `<speak>${escapeSsml(run.text)}</speak>` },
+                selectLexiconEntries(lexicon, request.voice.languageCode, run.text)
+            );
+            result.chunks.push(ssml);
+            result.requests.push(request);
+        }
+    }
+
+    // チャプターは開始チャンクの最初の区間から始める
+    result.chapterStarts = chapterStarts.map(index => firstRuns[index]);
+    return result;
+};
+
+/**
+ * 合成に使う読みの辞書の項目を選ぶ（台本・言語の自動切り替えでは使うすべての音声の言語から選ぶ）
+ * @param {Object[]} entries - Lexicon#list() の項目
+ * @param {Object} options
+ * @param {string} options.languageCode - リクエスト全体の音声の言語
+ * @param {string} options.input
+ * @param {Object} [options.dialogue]
+ * @param {Object} [options.languageSwitch]
+ * @returns {Object[]}
+ */
+const selectSynthesisLexicon = (entries, { languageCode, input, dialogue = null, languageSwitch = null }) => {
+    if (dialogue) return selectDialogueLexicon(entries, dialogue);
+    if (languageSwitch) return selectLanguageSwitchLexicon(entries, languageSwitch, input);
+    return selectLexiconEntries(entries, languageCode, input);
+};
+
+/**
+ * 1チャンクを合成する（キャッシュがあれば再利用）
+ * @param {Object} provider - synthesize() を持つ音声合成プロバイダー（lib/providers）
+ * @param {Object} baseRequest - input以外のリクエスト設定
+ * @param {string} chunk
+ * @param {string} [inputType]
+ * @param {import('./audio-cache').AudioCache} [cache]
+ * @param {Object[]} [lexicon] - 読みの辞書の項目
+ * @returns {Promise<{audioContent: Buffer, cacheHit: boolean}>}
+ */
+const synthesizeChunk = async (provider, baseRequest, chunk, inputType = 'text', cache = null, lexicon = []) => {
+    const request = { ...baseRequest, input: buildChunkInput(chunk, inputType, { lexicon }) };
+
+    // プロバイダーごとに音声が異なるためキーに含める
+    const cacheKey = cache ? cache.keyFor({ ...request, provider: provider.name }) : null;
+    if (cache) {
+        const cached = await cache.get(cacheKey);
+        if (cached) return { audioContent: cached, cacheHit: true };
+    }
+
+    const audioContent = await provider.synthesize(request);
+
+    if (cache) {
+        // キャッシュの書き込み失敗は合成結果に影響させない
+        await cache.set(cacheKey, audioContent).catch(error => {
+            console.warn('音声キャッシュの保存に失敗:', error.message);
+        });
+    }
+
+    return { audioContent, cacheHit: false };
+};
+
+/**
+ * 文・単語の境界に<mark>を入れて1チャンクを合成し、タイムポイントも返す
+ * @param {Object} provider - synthesizeWithTimepoints() を持つ音声合成プロバイダー
+ * @param {Object} baseRequest - input以外のリクエスト設定
+ * @param {string} chunk - プレーンテキスト
+ * @param {string} granularity - 'sentence' または 'word'
+ * @param {import('./audio-cache').AudioCache} [cache]
+ * @param {Object[]} [lexicon] - 読みの辞書の項目
+ * @returns {Promise<{audioContent: Buffer, timepoints: Object[], cacheHit: boolean}>}
+ */
+const synthesizeChunkWithTimepoints = async (provider, baseRequest, chunk, granularity, cache = null, lexicon = []) => {
+    if (typeof provider.synthesizeWithTimepoints !== 'function') {
+        throw new Error(`音声合成プロバイダー ${provider.name} はタイムポイントに対応していません`);
+    }
+
+    const request = { ...baseRequest, input: buildChunkInput(chunk, 'text', { timepoints: granularity, lexicon }) };
+
+    // タイムポイントは音声とは別のキーでキャッシュし、両方そろった場合のみ再利用する
+    const audioKey = cache ? cache.keyFor({ ...request, provider: provider.name }) : null;
+    const timepointsKey = cache ? cache.keyFor({ ...request, provider: `${provider.name}:timepoints` }) : null;
+    if (cache) {
+        const [cachedAudio, cachedTimepoints] = await Promise.all([cache.get(audioKey), cache.get(timepointsKey)]);
+        if (cachedAudio && cachedTimepoints) {
+            return { audioContent: cachedAudio, timepoints: JSON.parse(cachedTimepoints.toString('utf8')), cacheHit: true };
+        }
+    }
+
+    const { audioContent, timepoints } = await provider.synthesizeWithTimepoints(request);
+
+    if (cache) {
+        await Promise.all([
+            cache.set(audioKey, audioContent),
+            cache.set(timepointsKey, Buffer.from(JSON.stringify(timepoints)))
+        ]).catch(error => {
+            console.warn('音声キャッシュの保存に失敗:', error.message);
+        });
+    }
+
+    return { audioContent, timepoints, cacheHit: false };
+};
+
+/**
+ * テキストを文境界で分割し、チャンクごとに順番に合成して1つの音声にまとめる
+ * @param {Object} provider - synthesize() を持つ音声合成プロバイダー（lib/providers）
+ * @param {Object} outputRequest - input以外のリクエスト設定（voice, audioConfig など。audioConfigは出力する形式）
+ * @param {string} text - 合成するテキスト（inputTypeが'ssml'の場合は検証済みSSML）
+ * @param {Object} [options]
+ * @param {string} [options.inputType] - 'text' または 'ssml'
+ * @param {number} [options.maxChunkBytes] - 1チャンクあたりの最大バイト数
+ * @param {import('./audio-cache').AudioCache} [options.cache] - 合成済みチャンクのキャッシュ
+ * @param {{title: string, offset: number}[]} [options.chapters] - findChapters() で求めたチャプター
+ * @param {string} [options.timepoints] - 'sentence' または 'word' を指定すると読み上げ位置の対応表も返す
+ * @param {Object[]} [options.lexicon] - selectLexiconEntries() で選んだ読みの辞書の項目
+ * @param {{lines: Object[], gapMs: number}} [options.dialogue] - 指定するとtextの代わりに台本をセリフごとに話者の音声で合成する
+ * @param {Object} [options.languageSwitch] - 指定すると日本語・英語の区間ごとに言語に合う音声で合成する
+ * @param {Object} [options.postProcessing] - parsePostProcessing() の postProcessing（LINEAR16で合成して無音の除去・ラウドネスの正規化をしてからエンコードする）
+ * @param {Object} [options.template] - EpisodeTemplateStore#resolve() のテンプレート（イントロ・アウトロ・BGMをミックスする）
+ * @param {Function} [options.onChunk] - チャンク完了ごとに (index, total) で呼ばれる
+ * @returns {Promise<{audioContent: Buffer, chunkCount: number, cacheHits: number, chapters: Object[], alignment: Object|null, segments: Object[], postProcessing: Object|null}>}
+ */
+const synthesizeLongText = async (provider, outputRequest, text, options = {}) => {
+    const { inputType = 'text', maxChunkBytes = DEFAULT_MAX_CHUNK_BYTES, cache = null, chapters = [], timepoints = null, lexicon = [], dialogue = null, languageSwitch = null, postProcessing = null, template = null, onChunk } = options;
+    const baseRequest = toProcessingRequest(outputRequest, postProcessing || template);
+    let split = dialogue
+        ? splitDialogue(dialogue, baseRequest, { maxBytes: maxChunkBytes, lexicon })
+        : splitInputAtChapters(text, inputType, chapters, { maxBytes: maxChunkBytes, timepoints, lexicon });
+    if (languageSwitch) {
+        split = splitLanguageRuns(split, baseRequest, languageSwitch, lexicon);
+    }
+    const { chunks, chapterStarts, requests = null } = split;
+
+    // 話者・言語ごとのリクエストがあるチャンクは読みの辞書を適用済みのSSML
+    const chunkInputType = requests ? 'ssml' : inputType;
+    const chunkLexicon = requests ? [] : lexicon;
+
+    if (chunks.length === 0) {
+        throw new Error('合成するテキストがありません');
+    }
+
+    const audioParts = [];
+    const chunkTimepoints = [];
+    let cacheHits = 0;
+
+    // 順序を保証するため、チャンクは直列に合成する
+    for (let i = 0; i < chunks.length; i++) {
+        const result = timepoints
+            ? await synthesizeChunkWithTimepoints(provider, baseRequest, chunks[i], timepoints, cache, lexicon)
+            : await synthesizeChunk(provider, requests ? requests[i] : baseRequest, chunks[i], chunkInputType, cache, chunkLexicon);
+        audioParts.push(result.audioContent);
+        chunkTimepoints.push(result.timepoints);
+        if (result.cacheHit) cacheHits++;
+
+        if (onChunk) onChunk(i + 1, chunks.length);
+    }
+
+    const synthesized = {
+        audioContent: concatAudio(audioParts, baseRequest.audioConfig),
+        chunkCount: chunks.length,
+        cacheHits,
+        chapters: chapterStarts.length > 0
+            ? timeChapters(chapters, chapterStarts, audioParts, baseRequest.audioConfig.audioEncoding)
+            : [],
+        alignment: timepoints
+            ? buildAlignment({
+                text,
+                granularity: timepoints,
+                chunks,
+                timepoints: chunkTimepoints,
+                audioParts,
+                audioEncoding: baseRequest.audioConfig.audioEncoding
+            })
+            : null,
+        segments: timeSegments(chunks, chunkInputType, audioParts, baseRequest.audioConfig.audioEncoding),
+        postProcessing: null
+    };
+    if (!postProcessing && !template) return synthesized;
+
+    const { audioContent, report } = await postProcessAudio(synthesized.audioContent, postProcessing, outputRequest.audioConfig, { template });
+    return {
+        ...synthesized,
+        ...shiftTimings(synthesized, report),
+        audioContent,
+        postProcessing: report
+    };
+};
+
+module.exports = {
+    splitInput,
+    splitInputAtChapters,
+    splitDialogue,
+    splitLanguageRuns,
+    selectSynthesisLexicon,
+    synthesizeChunk,
+    synthesizeChunkWithTimepoints,
+    synthesizeLongText
+};
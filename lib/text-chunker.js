@@ -0,0 +1,139 @@
+// 長文テキストをGoogle Cloud Text-to-Speechのリクエスト上限内に分割するユーティリティ
+
+// Google Cloud Text-to-Speechの1リクエストあたりの入力上限（UTF-8バイト数）
+const GOOGLE_MAX_INPUT_BYTES = 5000;
+
+// 余裕を持たせた1チャンクあたりの既定バイト数
+const DEFAULT_MAX_CHUNK_BYTES = 4800;
+
+// 1回の合成で受け付ける最大文字数（記事全文を想定）
+const MAX_TEXT_LENGTH = 100000;
+
+// 文末とみなす文字（閉じ括弧「」」も発話の区切りとして扱う）
+const SENTENCE_TERMINATORS = '。！？!?」』';
+
+// 文末記号の直後に続く閉じ括弧類
+const TRAILING_CLOSERS = '」』）)】〕"\'';
+
+// 文が長すぎる場合の副次的な区切り文字
+const CLAUSE_DELIMITERS = '、，,；;：: 　';
+
+const byteLength = (text) => Buffer.byteLength(text, 'utf8');
+
+// テキストを文単位に分割（区切り文字は前の文に含める）
+const splitSentences = (text) => {
+    const sentences = [];
+    const chars = Array.from(text);
+    let current = '';
+
+    for (let i = 0; i < chars.length; i++) {
+        const char = chars[i];
+        current += char;
+
+        if (char === '\n') {
+            // 改行は段落・行の区切りとして扱う
+            while (i + 1 < chars.length && chars[i + 1] === '\n') {
+                current += chars[++i];
+            }
+            sentences.push(current);
+            current = '';
+            continue;
+        }
+
+        if (SENTENCE_TERMINATORS.includes(char)) {
+            // 「！？」や「。」」のような連続した記号をまとめて取り込む
+            while (i + 1 < chars.length &&
+                (SENTENCE_TERMINATORS.includes(chars[i + 1]) || TRAILING_CLOSERS.includes(chars[i + 1]))) {
+                current += chars[++i];
+            }
+            sentences.push(current);
+            current = '';
+        }
+    }
+
+    if (current) {
+        sentences.push(current);
+    }
+
+    return sentences;
+};
+
+// 上限を超える1文を読点・空白、最終的には文字単位で分割
+const splitOversizedSentence = (sentence, maxBytes) => {
+    const pieces = [];
+    let current = '';
+    let lastDelimiterIndex = -1;
+
+    for (const char of Array.from(sentence)) {
+        if (byteLength(current + char) > maxBytes) {
+            if (lastDelimiterIndex > 0) {
+                // 直近の読点・空白で区切る
+                const head = Array.from(current).slice(0, lastDelimiterIndex + 1).join('');
+                pieces.push(head);
+                current = current.substring(head.length);
+            } else {
+                pieces.push(current);
+                current = '';
+            }
+            lastDelimiterIndex = -1;
+        }
+
+        current += char;
+
+        if (CLAUSE_DELIMITERS.includes(char)) {
+            lastDelimiterIndex = Array.from(current).length - 1;
+        }
+    }
+
+    if (current) {
+        pieces.push(current);
+    }
+
+    return pieces;
+};
+
+// テキストを文境界でチャンクに分割
+const splitTextIntoChunks = (text, { maxBytes = DEFAULT_MAX_CHUNK_BYTES } = {}) => {
+    if (typeof text !== 'string' || !text.trim()) return [];
+
+    if (maxBytes > GOOGLE_MAX_INPUT_BYTES) {
+        throw new Error(`チャンクサイズは${GOOGLE_MAX_INPUT_BYTES}バイト以下で指定してください`);
+    }
+
+    const chunks = [];
+    let current = '';
+
+    const flush = () => {
+        const trimmed = current.trim();
+        if (trimmed) chunks.push(trimmed);
+        current = '';
+    };
+
+    for (const sentence of splitSentences(text)) {
+        if (byteLength(sentence) > maxBytes) {
+            flush();
+            for (const piece of splitOversizedSentence(sentence, maxBytes)) {
+                current = piece;
+                flush();
+            }
+            continue;
+        }
+
+        if (byteLength(current + sentence) > maxBytes) {
+            flush();
+        }
+        current += sentence;
+    }
+
+    flush();
+    return chunks;
+};
+
+module.exports = {
+    GOOGLE_MAX_INPUT_BYTES,
+    DEFAULT_MAX_CHUNK_BYTES,
+    MAX_TEXT_LENGTH,
+    byteLength,
+    splitSentences,
+    splitTextIntoChunks
+};
@@ -0,0 +1,253 @@
+// 合成前のテキストの正規化（数字と単位・日付・時刻・通貨・URL・メールアドレス・絵文字・全角半角）
+// 書き換えたテキスト、または日付・時刻を<say-as>で指定したSSMLを出力する
+const { escapeSsml } = require('./ssml');
+
+// 適用する順に並べる（URL・メールアドレスを先に読み替え、中の数字や記号を日付・単位として扱わないようにする）
+const NORMALIZATION_RULES = ['width', 'url', 'email', 'date', 'time', 'currency', 'unit', 'emoji'];
+const NORMALIZATION_MODES = ['text', 'ssml'];
+
+// プレビューで返す書き換えの最大件数
+const MAX_PREVIEW_CHANGES = 500;
+
+// 全角英数字・記号は半角に、半角カタカナは全角にそろえる
+const WIDTH_PATTERN = /[０-９Ａ-Ｚａ-ｚ＄％＋－．，：／＠＃＆]+|[｡-ﾟ]+/g;
+
+// URL・メールアドレスの記号の読み
+const SYMBOL_READINGS = {
+    '.': 'ドット',
+    '@': 'アット',
+    '_': 'アンダーバー',
+    '-': 'ハイフン'
+};
+
+const CURRENCY_NAMES = {
+    '$': 'ドル',
+    '¥': '円',
+    '￥': '円',
+    '€': 'ユーロ',
+    '£': 'ポンド',
+    USD: 'ドル',
+    JPY: '円',
+    EUR: 'ユーロ',
+    GBP: 'ポンド'
+};
+
+const UNIT_NAMES = {
+    'km/h': 'キロメートル毎時',
+    kWh: 'キロワット時',
+    mAh: 'ミリアンペア時',
+    GHz: 'ギガヘルツ',
+    MHz: 'メガヘルツ',
+    kHz: 'キロヘルツ',
+    Hz: 'ヘルツ',
+    TB: 'テラバイト',
+    GB: 'ギガバイト',
+    MB: 'メガバイト',
+    KB: 'キロバイト',
+    kB: 'キロバイト',
+    kg: 'キログラム',
+    mg: 'ミリグラム',
+    g: 'グラム',
+    km: 'キロメートル',
+    cm: 'センチメートル',
+    mm: 'ミリメートル',
+    'm²': '平方メートル',
+    m: 'メートル',
+    mL: 'ミリリットル',
+    ml: 'ミリリットル',
+    L: 'リットル',
+    kW: 'キロワット',
+    W: 'ワット',
+    '°C': '度',
+    '℃': '度',
+    '%': 'パーセント',
+    '㎡': '平方メートル',
+    '㎏': 'キログラム',
+    '㎎': 'ミリグラム',
+    '㎞': 'キロメートル',
+    '㎝': 'センチメートル',
+    '㎜': 'ミリメートル'
+};
+
+const escapePattern = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// 長い単位から照合する（m² を m より先に）
+const UNIT_PATTERN = new RegExp(
+    `(\\d[\\d,]*(?:\\.\\d+)?)\\s?(${Object.keys(UNIT_NAMES).sort((a, b) => b.length - a.length).map(escapePattern).join('|')})(?![A-Za-z])`,
+    'g'
+);
+
+const spellAddress = (value) => {
+    return value.replace(/[.@_-]/g, symbol => ` ${SYMBOL_READINGS[symbol]} `).replace(/\s+/g, ' ').trim();
+};
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+/**
+ * 規則ごとの照合パターンと書き換え（text は書き換えたテキスト、ssml は<say-as>で指定する場合のSSML）
+ * text が null を返した一致は書き換えない
+ */
+const RULES = {
+    url: {
+        pattern: /https?:\/\/[^\s<>"'()（）「」]+[^\s<>"'()（）「」.,!?。、]/g,
+        text: (match) => {
+            try {
+                return `${spellAddress(new URL(match[0]).hostname.replace(/^www\./, ''))} のリンク`;
+            } catch (error) {
+                return 'リンク';
+            }
+        }
+    },
+    email: {
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+/g,
+        text: (match) => spellAddress(match[0])
+    },
+    date: {
+        pattern: /(?<!\d)(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})(?!\d)/g,
+        text: (match) => {
+            const [year, month, day] = match.slice(1).map(value => parseInt(value, 10));
+            if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+            return `${year}年${month}月${day}日`;
+        },
+        ssml: (match) => {
+            const [year, month, day] = match.slice(1).map(value => parseInt(value, 10));
+            return `<say-as interpret-as="date" format="yyyymmdd" detail="1">${year}-${pad2(month)}-${pad2(day)}</say-as>`;
+        }
+    },
+    time: {
+        pattern: /(?<![\d:])([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?(?![\d:])/g,
+        text: (match) => {
+            const [hours, minutes, seconds] = match.slice(1).map(value => (value === undefined ? 0 : parseInt(value, 10)));
+            return `${hours}時${minutes || seconds ? `${minutes}分` : ''}${seconds ? `${seconds}秒` : ''}`;
+        },
+        ssml: (match) => `<say-as interpret-as="time" format="hms24">${match[0]}</say-as>`
+    },
+    currency: {
+        pattern: /([$¥￥€£])\s?(\d[\d,]*(?:\.\d+)?)|(\d[\d,]*(?:\.\d+)?)\s?(USD|JPY|EUR|GBP)(?![A-Za-z])/g,
+        text: (match) => (match[1] ? `${match[2]}${CURRENCY_NAMES[match[1]]}` : `${match[3]}${CURRENCY_NAMES[match[4]]}`)
+    },
+    unit: {
+        pattern: UNIT_PATTERN,
+        text: (match) => `${match[1]}${UNIT_NAMES[match[2]]}`
+    },
+    emoji: {
+        // 肌の色・異体字セレクター・ZWJで結合した絵文字や国旗もまとめて読まない
+        pattern: /[\p{Extended_Pictographic}\p{Regional_Indicator}][\p{Emoji_Modifier}\p{Variation_Selector}\p{Join_Control}\p{Extended_Pictographic}\p{Regional_Indicator}]*/gu,
+        text: () => ''
+    }
+};
+
+/**
+ * 正規化の指定を検証する（true は既定の設定ですべての規則を適用する）
+ * @param {boolean|Object} [value] - { mode: 'text' | 'ssml', rules: string[] }
+ * @param {Object} [options]
+ * @param {string} [options.inputType]
+ * @param {string} [options.voice] - 日本語の読みに書き換えるため日本語の音声のみ
+ * @returns {{valid: boolean, error?: string, normalization?: {mode: string, rules: string[]}|null}}
+ */
+const parseNormalization = (value, { inputType = 'text', voice } = {}) => {
+    if (value === undefined || value === null || value === false || value === '') {
+        return { valid: true, normalization: null };
+    }
+    if (value !== true && (typeof value !== 'object' || Array.isArray(value))) {
+        return { valid: false, error: 'normalization には true または { mode, rules } を指定してください' };
+    }
+    if (inputType !== 'text') {
+        return { valid: false, error: '読みの正規化はテキスト入力のみ対応しています' };
+    }
+    if (typeof voice === 'string' && !voice.startsWith('ja-')) {
+        return { valid: false, error: '読みの正規化は日本語の音声のみ対応しています' };
+    }
+
+    const { mode = 'text', rules = NORMALIZATION_RULES } = value === true ? {} : value;
+    if (!NORMALIZATION_MODES.includes(mode)) {
+        return { valid: false, error: 'normalization.mode は text または ssml を指定してください' };
+    }
+
+    const ruleList = typeof rules === 'string' ? rules.split(',').map(rule => rule.trim()).filter(Boolean) : rules;
+    if (!Array.isArray(ruleList) || ruleList.some(rule => !NORMALIZATION_RULES.includes(rule))) {
+        return { valid: false, error: `normalization.rules は ${NORMALIZATION_RULES.join(', ')} から選んでください` };
+    }
+
+    return {
+        valid: true,
+        normalization: { mode, rules: NORMALIZATION_RULES.filter(rule => ruleList.includes(rule)) }
+    };
+};
+
+// 書き換え済みの部分（done）は後の規則の対象にしない
+const applyRule = (segments, name, mode, changes) => {
+    const rule = RULES[name];
+    return segments.flatMap(segment => {
+        if (segment.done) return [segment];
+
+        const parts = [];
+        let last = 0;
+        for (const match of segment.text.matchAll(rule.pattern)) {
+            const text = rule.text(match);
+            if (text === null) continue;
+
+            const ssml = mode === 'ssml' && rule.ssml ? rule.ssml(match) : null;
+            parts.push({ text: segment.text.substring(last, match.index), done: false });
+            parts.push({ text, ssml, done: true });
+            changes.push({ rule: name, original: match[0], replacement: ssml || text });
+            last = match.index + match[0].length;
+        }
+        parts.push({ text: segment.text.substring(last), done: false });
+
+        return parts.filter(part => part.text || part.ssml);
+    });
+};
+
+/**
+ * テキストを正規化する
+ * @param {string} text - タグを除いたテキスト
+ * @param {{mode: string, rules: string[]}} normalization - parseNormalization() の normalization
+ * @returns {{output: string, changes: {rule: string, original: string, replacement: string}[]}}
+ */
+const normalizeText = (text, { mode = 'text', rules = NORMALIZATION_RULES } = {}) => {
+    const changes = [];
+
+    let source = text;
+    if (rules.includes('width')) {
+        source = source.replace(WIDTH_PATTERN, run => {
+            const replacement = run.normalize('NFKC');
+            if (replacement !== run) changes.push({ rule: 'width', original: run, replacement });
+            return replacement;
+        });
+    }
+
+    let segments = [{ text: source, done: false }];
+    for (const name of rules) {
+        if (RULES[name]) segments = applyRule(segments, name, mode, changes);
+    }
+
+    return {
+        output: mode === 'ssml'
+            ? `<speak>${segments.map(segment => segment.ssml || escapeSsml(segment.text)).join('')}</speak>`
+            : segments.map(segment => segment.text).join(''),
+        changes
+    };
+};
+
+/**
+ * チャプターとして照合する見出しも本文と同じように書き換える
+ * @param {string[]} [headings]
+ * @param {{rules: string[]}|null} normalization
+ * @returns {string[]|undefined}
+ */
+const normalizeHeadings = (headings, normalization) => {
+    if (!normalization || !Array.isArray(headings)) return headings;
+    return headings.map(heading => (typeof heading === 'string'
+        ? normalizeText(heading, { ...normalization, mode: 'text' }).output
+        : heading));
+};
+
+module.exports = {
+    NORMALIZATION_RULES,
+    NORMALIZATION_MODES,
+    MAX_PREVIEW_CHANGES,
+    parseNormalization,
+    normalizeText,
+    normalizeHeadings
+};
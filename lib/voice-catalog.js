@@ -0,0 +1,236 @@
+// 音声カタログ（プロバイダーの音声一覧をキャッシュし、管理者の設定で許可する音声を決める）
+
+// 音声一覧を取得し直す間隔（24時間）と、取得に失敗したときに再試行するまでの間隔
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const RETRY_INTERVAL_MS = 5 * 60 * 1000;
+
+// 既定で一覧に含める言語
+const DEFAULT_LANGUAGES = ['ja-JP', 'en-US'];
+
+// プロバイダーから一覧を取得できない場合に使う音声
+const FALLBACK_VOICES = [
+    { name: 'ja-JP-Neural2-B', languageCodes: ['ja-JP'], ssmlGender: 'FEMALE', naturalSampleRateHertz: 24000 },
+    { name: 'ja-JP-Neural2-C', languageCodes: ['ja-JP'], ssmlGender: 'MALE', naturalSampleRateHertz: 24000 },
+    { name: 'ja-JP-Neural2-D', languageCodes: ['ja-JP'], ssmlGender: 'MALE', naturalSampleRateHertz: 24000 },
+    { name: 'en-US-Neural2-D', languageCodes: ['en-US'], ssmlGender: 'MALE', naturalSampleRateHertz: 24000 },
+    { name: 'en-US-Neural2-F', languageCodes: ['en-US'], ssmlGender: 'FEMALE', naturalSampleRateHertz: 24000 }
+];
+
+// 音声名に含まれる種類の表記ゆれをそろえる（例: Wavenet → WaveNet）
+const VOICE_TYPE_NAMES = {
+    standard: 'Standard',
+    wavenet: 'WaveNet',
+    neural2: 'Neural2',
+    studio: 'Studio',
+    news: 'News',
+    polyglot: 'Polyglot',
+    journey: 'Journey',
+    casual: 'Casual'
+};
+
+const GENDER_LABELS = {
+    FEMALE: '女性',
+    MALE: '男性',
+    NEUTRAL: '中性'
+};
+
+const languageNames = (() => {
+    try {
+        return new Intl.DisplayNames(['ja'], { type: 'language' });
+    } catch (error) {
+        return null;
+    }
+})();
+
+const getLanguageName = (languageCode) => {
+    try {
+        return (languageNames && languageNames.of(languageCode)) || languageCode;
+    } catch (error) {
+        return languageCode;
+    }
+};
+
+// カンマ区切りの環境変数を配列にする
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * 環境変数から音声カタログの設定を読み込む
+ * @param {Object} [env]
+ * @returns {{languages: string[]|null, types: string[], allowedVoices: string[], blockedVoices: string[]}}
+ */
+const loadVoiceCatalogConfig = (env = process.env) => {
+    const languages = parseList(env.TTS_VOICE_LANGUAGES);
+    return {
+        // '*' はすべての言語
+        languages: languages.includes('*') ? null : (languages.length > 0 ? languages : DEFAULT_LANGUAGES),
+        types: parseList(env.TTS_VOICE_TYPES),
+        allowedVoices: parseList(env.TTS_ALLOWED_VOICES),
+        blockedVoices: parseList(env.TTS_BLOCKED_VOICES)
+    };
+};
+
+/**
+ * プロバイダーの音声情報に言語名・性別・種類などの表示用の情報を加える
+ * @param {Object} voice - { name, languageCodes, ssmlGender, naturalSampleRateHertz }
+ * @returns {Object}
+ */
+const describeVoice = (voice) => {
+    // 例: ja-JP-Neural2-B、en-US-Chirp3-HD-Achernar（種類がない名前は Standard とみなす）
+    const parts = voice.name.split('-');
+    const variant = parts.length > 2 ? parts[parts.length - 1] : '';
+    const rawType = parts.slice(2, -1).join('-') || 'Standard';
+    const type = VOICE_TYPE_NAMES[rawType.toLowerCase()] || rawType;
+
+    const languageCode = (voice.languageCodes && voice.languageCodes[0]) || parts.slice(0, 2).join('-');
+    const languageName = getLanguageName(languageCode);
+    const gender = GENDER_LABELS[voice.ssmlGender] ? voice.ssmlGender : null;
+    const genderLabel = gender ? GENDER_LABELS[gender] : '';
+
+    return {
+        name: voice.name,
+        languageCode,
+        languageCodes: voice.languageCodes || [languageCode],
+        languageName,
+        gender,
+        genderLabel,
+        type,
+        variant,
+        naturalSampleRateHertz: voice.naturalSampleRateHertz || null,
+        label: [languageName, genderLabel, `(${type} ${variant})`].filter(Boolean).join(' ')
+    };
+};
+
+// 言語コードの前方一致（'en' は en-US・en-GB に一致する）
+const matchesLanguage = (voice, language) => {
+    const prefix = language.toLowerCase();
+    return voice.languageCodes.some(code => {
+        const value = code.toLowerCase();
+        return value === prefix || value.startsWith(`${prefix}-`);
+    });
+};
+
+/**
+ * 音声の一覧を条件で絞り込む
+ * @param {Object[]} voices - describeVoice() の戻り値の配列
+ * @param {Object} [filters]
+ * @param {string|string[]} [filters.language] - 言語コード（'ja'、'en-US' など）
+ * @param {string} [filters.gender] - FEMALE・MALE・NEUTRAL
+ * @param {string|string[]} [filters.type] - Standard・WaveNet・Neural2・Studio など
+ * @returns {Object[]}
+ */
+const filterVoices = (voices, { language, gender, type } = {}) => {
+    const languages = [].concat(language || []);
+    const types = [].concat(type || []).map(value => value.toLowerCase());
+    return voices.filter(voice => (languages.length === 0 || languages.some(code => matchesLanguage(voice, code)))
+        && (!gender || voice.gender === gender.toUpperCase())
+        && (types.length === 0 || types.includes(voice.type.toLowerCase())));
+};
+
+class VoiceCatalog {
+    /**
+     * @param {Object} options
+     * @param {Object} options.provider - listVoices() を持つ音声合成プロバイダー
+     * @param {Object} [options.config] - loadVoiceCatalogConfig() の戻り値
+     * @param {number} [options.ttlMs] - 音声一覧を取得し直す間隔
+     */
+    constructor({ provider, config = loadVoiceCatalogConfig({}), ttlMs = DEFAULT_TTL_MS }) {
+        this.provider = provider;
+        this.config = config;
+        this.ttlMs = ttlMs;
+        this.voices = FALLBACK_VOICES.map(describeVoice);
+        this.updatedAt = null;
+        this.expiresAt = 0;
+        this.refreshing = null;
+        // 一覧を更新しても同じ配列を使い続け、ルーターなどに渡した参照から常に最新の許可リストを参照できるようにする
+        this.allowedVoices = [];
+        this.updateAllowedVoices();
+    }
+
+    async init() {
+        await this.refresh();
+    }
+
+    // プロバイダーから一覧を取得する（失敗した場合は取得済みの一覧を使い続ける）
+    async refresh() {
+        if (this.refreshing) return this.refreshing;
+
+        this.refreshing = (async () => {
+            try {
+                const voices = await this.provider.listVoices();
+                this.voices = voices.map(describeVoice).sort((a, b) => a.name.localeCompare(b.name));
+                this.updatedAt = new Date().toISOString();
+                this.expiresAt = Date.now() + this.ttlMs;
+            } catch (error) {
+                console.warn('音声一覧の取得に失敗しました:', error.message);
+                this.expiresAt = Date.now() + RETRY_INTERVAL_MS;
+            }
+            this.updateAllowedVoices();
+        })().finally(() => {
+            this.refreshing = null;
+        });
+
+        return this.refreshing;
+    }
+
+    // 期限切れなら取得し直す（isAllowed() はリクエストを待たせないよう裏で更新する）
+    async ensureFresh() {
+        if (Date.now() >= this.expiresAt) {
+            await this.refresh();
+        }
+    }
+
+    /**
+     * 期限切れの音声一覧を取得し直してから次に進むミドルウェア
+     * allowedVoices で音声を検証するルートの前に置き、期限切れの許可リストで検証しないようにする
+     * @returns {Function}
+     */
+    refreshMiddleware() {
+        return (req, res, next) => {
+            this.ensureFresh().then(() => next(), next);
+        };
+    }
+
+    // 管理者の設定（言語・種類・許可・除外）に合う音声
+    configured() {
+        const { languages, types, allowedVoices, blockedVoices } = this.config;
+        return filterVoices(this.voices, { language: languages || undefined, type: types })
+            .filter(voice => (allowedVoices.length === 0 || allowedVoices.includes(voice.name)) && !blockedVoices.includes(voice.name));
+    }
+
+    updateAllowedVoices() {
+        const names = this.configured().map(voice => voice.name);
+        this.allowedVoices.splice(0, this.allowedVoices.length, ...names);
+    }
+
+    /**
+     * 一覧に表示・許可する音声を条件で絞り込む
+     * @param {Object} [filters] - filterVoices() を参照
+     * @returns {Promise<Object[]>}
+     */
+    async list(filters = {}) {
+        await this.ensureFresh();
+        return filterVoices(this.configured(), filters);
+    }
+
+    /**
+     * 許可された音声か
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isAllowed(name) {
+        if (Date.now() >= this.expiresAt) {
+            this.refresh().catch(() => {});
+        }
+        return this.allowedVoices.includes(name);
+    }
+}
+
+module.exports = {
+    DEFAULT_LANGUAGES,
+    FALLBACK_VOICES,
+    VOICE_TYPE_NAMES,
+    loadVoiceCatalogConfig,
+    describeVoice,
+    filterVoices,
+    VoiceCatalog
+};
@@ -0,0 +1,119 @@
+// ZIPアーカイブの読み取り（Substackエクスポート用。格納・Deflateのみ対応）
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// 展開後サイズの既定の上限（1ファイルあたり50MB）
+const DEFAULT_MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+
+class ZipError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipError';
+    }
+}
+
+// 末尾のコメント（最大65535バイト）を考慮してEnd of Central Directoryを探す
+const findEndOfCentralDirectory = (buffer) => {
+    const minOffset = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw new ZipError('ZIPファイルではないか、ファイルが壊れています');
+};
+
+/**
+ * ZIPのエントリー一覧を読み込む
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {number} [options.maxEntryBytes] - 展開後の1ファイルあたりの上限
+ * @returns {Array<{name: string, size: number, isDirectory: boolean, read: Function}>}
+ */
+const readZip = (buffer, { maxEntryBytes = DEFAULT_MAX_ENTRY_BYTES } = {}) => {
+    if (buffer.length < 22) {
+        throw new ZipError('ZIPファイルではないか、ファイルが壊れています');
+    }
+
+    const eocd = findEndOfCentralDirectory(buffer);
+    const entryCount = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+
+    if (offset === 0xffffffff || entryCount === 0xffff) {
+        throw new ZipError('ZIP64形式のアーカイブには対応していません');
+    }
+
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+            throw new ZipError('ZIPファイルの目次が壊れています');
+        }
+
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        entries.push({
+            name,
+            size,
+            isDirectory: name.endsWith('/'),
+            // 必要なファイルだけ展開できるよう読み込みは遅延させる
+            read: () => {
+                if (flags & 0x1) {
+                    throw new ZipError(`暗号化されたファイルには対応していません: ${name}`);
+                }
+                if (size > maxEntryBytes) {
+                    throw new ZipError(`ファイルが大きすぎます: ${name}`);
+                }
+                if (localHeaderOffset + 30 > buffer.length || buffer.readUInt32LE(localHeaderOffset) !== LOCAL_FILE_HEADER) {
+                    throw new ZipError(`ZIPファイルが壊れています: ${name}`);
+                }
+
+                const dataStart = localHeaderOffset + 30 +
+                    buffer.readUInt16LE(localHeaderOffset + 26) +
+                    buffer.readUInt16LE(localHeaderOffset + 28);
+                if (dataStart + compressedSize > buffer.length) {
+                    throw new ZipError(`ZIPファイルが壊れています: ${name}`);
+                }
+                const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+                if (method === METHOD_STORED) {
+                    if (data.length > maxEntryBytes) {
+                        throw new ZipError(`ファイルが大きすぎます: ${name}`);
+                    }
+                    return data;
+                }
+                if (method === METHOD_DEFLATE) {
+                    // 目次のサイズと異なり上限を超えて展開される場合や、圧縮データが壊れている場合もZipErrorにする
+                    try {
+                        return zlib.inflateRawSync(data, { maxOutputLength: maxEntryBytes });
+                    } catch (error) {
+                        throw new ZipError(error.code === 'ERR_BUFFER_TOO_LARGE'
+                            ? `ファイルが大きすぎます: ${name}`
+                            : `ZIPファイルが壊れています: ${name}`);
+                    }
+                }
+                throw new ZipError(`未対応の圧縮方式です（${method}）: ${name}`);
+            }
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+};
+
+module.exports = {
+    ZipError,
+    readZip
+};
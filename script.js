@@ -1,33 +1,234 @@
+// 1回の音声生成で扱う最大文字数（記事全文を想定）
+const MAX_TEXT_LENGTH = 100000;
+
+// Google Cloud Text-to-Speechの1リクエストあたりの上限（5000バイト）に余裕を持たせた値
+const MAX_CHUNK_BYTES = 4800;
+
+// 出力形式ごとのGoogleエンコーディング・MIMEタイプ・拡張子
+const AUDIO_FORMATS = {
+    mp3: { audioEncoding: 'MP3', mimeType: 'audio/mpeg', extension: 'mp3', sampleRateHertz: 24000 },
+    ogg: { audioEncoding: 'OGG_OPUS', mimeType: 'audio/ogg', extension: 'ogg', sampleRateHertz: 48000 },
+    wav: { audioEncoding: 'LINEAR16', mimeType: 'audio/wav', extension: 'wav', sampleRateHertz: 24000 },
+    mulaw: { audioEncoding: 'MULAW', mimeType: 'audio/wav', extension: 'wav', sampleRateHertz: 8000 }
+};
+
+// 再生デバイスの短縮名とGoogleのeffectsProfileIdの対応
+const EFFECTS_PROFILES = {
+    headphones: 'headphone-class-device',
+    phone: 'handset-class-device',
+    wearable: 'wearable-class-device',
+    'small-speaker': 'small-bluetooth-speaker-class-device',
+    'medium-speaker': 'medium-bluetooth-speaker-class-device',
+    home: 'large-home-entertainment-class-device',
+    car: 'large-automotive-class-device',
+    telephony: 'telephony-class-application'
+};
+
+// ジョブの進捗を確認する間隔
+const JOB_POLL_INTERVAL_MS = 1500;
+
+// カバー画像の最大サイズ（サーバーの上限と同じ2MB）
+const MAX_COVER_ART_BYTES = 2 * 1024 * 1024;
+
+// ライブラリの1ページあたりの件数
+const LIBRARY_PAGE_SIZE = 10;
+
+// 入力が止まってから見積もりを更新するまでの時間
+const ESTIMATE_DELAY_MS = 800;
+
+// 聴き比べる文の最大文字数（サーバーの上限と同じ）
+const MAX_AUDITION_TEXT_LENGTH = 300;
+
+// 聴き比べで選んだ既定の音声と速度の保存先（localStorage）
+const DEFAULT_PRESET_STORAGE_KEY = 'tts-default-preset';
+
+// 接続方法（server・direct）の保存先（localStorage）
+const CONNECTION_MODE_STORAGE_KEY = 'tts-connection-mode';
+
+// サーバーで変換・合成する入力形式（APIキーで直接生成する場合は使えない）
+const SERVER_ONLY_INPUT_TYPES = {
+    markdown: 'Markdown入力',
+    dialogue: '台本の読み上げ'
+};
+
+// 音量と無音の調整のプリセット（サーバーの postProcessing。targetLufs が null の場合は音量を変えない）
+const POST_PROCESSING_PRESETS = {
+    podcast: { trimSilence: true, targetLufs: -16 },
+    broadcast: { trimSilence: true, targetLufs: -23 },
+    trim: { trimSilence: true, targetLufs: null }
+};
+
+// 台本の行頭の「話者名:」（サーバーの lib/dialogue.js と同じ規則。数字だけの名前は時刻などとみなす）
+const DIALOGUE_SPEAKER_PATTERN = /^\s*([^\s:：][^:：]{0,29}?)\s*[:：]\s*(.*)$/;
+const MAX_DIALOGUE_SPEAKERS = 10;
+
 class TextToSpeechApp {
     constructor() {
         this.initializeElements();
         this.bindEvents();
         this.currentAudioBlob = null;
+        this.currentAudioFormat = 'mp3';
+        this.currentJobId = null;
+        this.publishableJobId = null;
+        this.currentChapters = [];
+        this.currentAlignment = null;
+        this.subtitleBaseUrl = null;
+        this.transcriptSpans = { sentences: [], words: [] };
+        this.importedArticle = null;
+        this.exportImport = null;
+        this.coverArtDataUrl = null;
+        this.libraryPage = 1;
+        this.librarySearchTimer = null;
+        this.lexiconPreviewUrl = null;
+        this.dialogueSpeakers = new Map();
+        this.dialogueSpeakerKey = null;
+        this.auditionUrls = [];
+        this.estimateTimer = null;
+        this.estimateRequestId = 0;
         this.apiKey = 'YOUR_API_KEY_HERE'; // 後で実際のAPIキーに置き換える
+        this.defaultPreset = this.loadDefaultPreset();
+        // 保存した音声がHTMLの選択肢にない場合は、音声一覧を取得してから適用する
+        this.defaultPresetPending = !this.applyDefaultPreset();
+        this.updatePairedVoices();
+        this.updateNormalizationAvailability();
+        this.updateAuditionVoices();
+        this.loadVoices();
+        this.loadLibrary();
+        this.loadLexicon();
+        this.loadTemplates();
     }
     
     initializeElements() {
+        this.connectionModeSelect = document.getElementById('connectionModeSelect');
+        this.connectionModeNote = document.getElementById('connectionModeNote');
+        this.directApiSettings = document.getElementById('directApiSettings');
         this.apiKeyInput = document.getElementById('apiKeyInput');
         this.toggleApiKey = document.getElementById('toggleApiKey');
         this.saveApiKey = document.getElementById('saveApiKey');
         this.clearApiKey = document.getElementById('clearApiKey');
         this.saveStatus = document.getElementById('saveStatus');
+        this.inputTypeSelect = document.getElementById('inputTypeSelect');
+        this.markdownOptions = document.getElementById('markdownOptions');
+        this.markdownHeadingEmphasis = document.getElementById('markdownHeadingEmphasis');
+        this.markdownCodeSelect = document.getElementById('markdownCodeSelect');
+        this.markdownCodeAnnouncement = document.getElementById('markdownCodeAnnouncement');
+        this.markdownTableSelect = document.getElementById('markdownTableSelect');
+        this.markdownTableAnnouncement = document.getElementById('markdownTableAnnouncement');
+        this.markdownQuoteVoiceSelect = document.getElementById('markdownQuoteVoiceSelect');
+        this.dialogueOptions = document.getElementById('dialogueOptions');
+        this.dialogueSpeakerList = document.getElementById('dialogueSpeakerList');
+        this.dialogueStatus = document.getElementById('dialogueStatus');
+        this.dialogueGapRange = document.getElementById('dialogueGapRange');
+        this.dialogueGapValue = document.getElementById('dialogueGapValue');
+        this.normalizationGroup = document.getElementById('normalizationGroup');
+        this.normalizationSelect = document.getElementById('normalizationSelect');
+        this.normalizationOptions = document.getElementById('normalizationOptions');
+        this.normalizationPreviewBtn = document.getElementById('normalizationPreviewBtn');
+        this.normalizationStatus = document.getElementById('normalizationStatus');
+        this.normalizationPreview = document.getElementById('normalizationPreview');
+        this.importFileInput = document.getElementById('importFileInput');
+        this.importBtn = document.getElementById('importBtn');
+        this.importStatus = document.getElementById('importStatus');
+        this.exportFileInput = document.getElementById('exportFileInput');
+        this.exportImportBtn = document.getElementById('exportImportBtn');
+        this.exportStatus = document.getElementById('exportStatus');
+        this.exportPosts = document.getElementById('exportPosts');
+        this.exportSelectAll = document.getElementById('exportSelectAll');
+        this.exportPostList = document.getElementById('exportPostList');
+        this.exportQueueBtn = document.getElementById('exportQueueBtn');
         this.textInput = document.getElementById('textInput');
         this.charCount = document.getElementById('charCount');
+        this.estimateInfo = document.getElementById('estimateInfo');
         this.voiceSelect = document.getElementById('voiceSelect');
+        this.languageSwitchSelect = document.getElementById('languageSwitchSelect');
+        this.languageSwitchOptions = document.getElementById('languageSwitchOptions');
+        this.pairedVoiceSelect = document.getElementById('pairedVoiceSelect');
+        this.minRunLengthInput = document.getElementById('minRunLengthInput');
         this.speedRange = document.getElementById('speedRange');
         this.speedValue = document.getElementById('speedValue');
+        this.pitchRange = document.getElementById('pitchRange');
+        this.pitchValue = document.getElementById('pitchValue');
+        this.volumeRange = document.getElementById('volumeRange');
+        this.volumeValue = document.getElementById('volumeValue');
+        this.effectsProfileSelect = document.getElementById('effectsProfileSelect');
+        this.sampleRateSelect = document.getElementById('sampleRateSelect');
+        this.formatSelect = document.getElementById('formatSelect');
+        this.postProcessingSelect = document.getElementById('postProcessingSelect');
+        this.templateSelect = document.getElementById('templateSelect');
+        this.tagTitleInput = document.getElementById('tagTitleInput');
+        this.tagAuthorInput = document.getElementById('tagAuthorInput');
+        this.tagPublicationInput = document.getElementById('tagPublicationInput');
+        this.coverArtInput = document.getElementById('coverArtInput');
+        this.coverArtBtn = document.getElementById('coverArtBtn');
+        this.coverArtClearBtn = document.getElementById('coverArtClearBtn');
+        this.coverArtStatus = document.getElementById('coverArtStatus');
         this.previewToggle = document.getElementById('previewToggle');
         this.generateBtn = document.getElementById('generateBtn');
         this.loadingDiv = document.getElementById('loadingDiv');
+        this.cancelBtn = document.getElementById('cancelBtn');
         this.resultDiv = document.getElementById('resultDiv');
         this.errorDiv = document.getElementById('errorDiv');
         this.audioPlayer = document.getElementById('audioPlayer');
+        this.chapterList = document.getElementById('chapterList');
+        this.transcript = document.getElementById('transcript');
+        this.timepointsSelect = document.getElementById('timepointsSelect');
         this.downloadBtn = document.getElementById('downloadBtn');
+        this.subtitleSrtBtn = document.getElementById('subtitleSrtBtn');
+        this.subtitleVttBtn = document.getElementById('subtitleVttBtn');
         this.copyLinkBtn = document.getElementById('copyLinkBtn');
+        this.publishBtn = document.getElementById('publishBtn');
+        this.publishStatus = document.getElementById('publishStatus');
+        this.librarySearch = document.getElementById('librarySearch');
+        this.libraryRefreshBtn = document.getElementById('libraryRefreshBtn');
+        this.libraryStatus = document.getElementById('libraryStatus');
+        this.libraryPlayer = document.getElementById('libraryPlayer');
+        this.libraryList = document.getElementById('libraryList');
+        this.libraryPrevBtn = document.getElementById('libraryPrevBtn');
+        this.libraryNextBtn = document.getElementById('libraryNextBtn');
+        this.libraryPageInfo = document.getElementById('libraryPageInfo');
+        this.lexiconSurfaceInput = document.getElementById('lexiconSurfaceInput');
+        this.lexiconReadingInput = document.getElementById('lexiconReadingInput');
+        this.lexiconAlphabetSelect = document.getElementById('lexiconAlphabetSelect');
+        this.lexiconLanguageSelect = document.getElementById('lexiconLanguageSelect');
+        this.lexiconPreviewBtn = document.getElementById('lexiconPreviewBtn');
+        this.lexiconAddBtn = document.getElementById('lexiconAddBtn');
+        this.lexiconFileInput = document.getElementById('lexiconFileInput');
+        this.lexiconImportBtn = document.getElementById('lexiconImportBtn');
+        this.lexiconStatus = document.getElementById('lexiconStatus');
+        this.lexiconPlayer = document.getElementById('lexiconPlayer');
+        this.lexiconList = document.getElementById('lexiconList');
+        this.adminTokenInput = document.getElementById('adminTokenInput');
+        this.templateAssetInput = document.getElementById('templateAssetInput');
+        this.templateAssetUploadBtn = document.getElementById('templateAssetUploadBtn');
+        this.templateAssetList = document.getElementById('templateAssetList');
+        this.templateNameInput = document.getElementById('templateNameInput');
+        this.templateIntroSelect = document.getElementById('templateIntroSelect');
+        this.templateOutroSelect = document.getElementById('templateOutroSelect');
+        this.templateBedSelect = document.getElementById('templateBedSelect');
+        this.templateBedVolumeInput = document.getElementById('templateBedVolumeInput');
+        this.templateDuckInput = document.getElementById('templateDuckInput');
+        this.templateFadeInInput = document.getElementById('templateFadeInInput');
+        this.templateFadeOutInput = document.getElementById('templateFadeOutInput');
+        this.templateGapInput = document.getElementById('templateGapInput');
+        this.templateAddBtn = document.getElementById('templateAddBtn');
+        this.templateStatus = document.getElementById('templateStatus');
+        this.templatePlayer = document.getElementById('templatePlayer');
+        this.templateList = document.getElementById('templateList');
+        this.auditionTextInput = document.getElementById('auditionTextInput');
+        this.auditionVoiceSelect = document.getElementById('auditionVoiceSelect');
+        this.auditionSpeedsInput = document.getElementById('auditionSpeedsInput');
+        this.auditionBtn = document.getElementById('auditionBtn');
+        this.auditionStatus = document.getElementById('auditionStatus');
+        this.auditionGrid = document.getElementById('auditionGrid');
     }
     
     bindEvents() {
+        // 接続方法の切り替え
+        this.connectionModeSelect.addEventListener('change', () => {
+            this.updateConnectionMode();
+            this.saveConnectionMode();
+        });
+        
         // APIキー表示切り替え
         this.toggleApiKey.addEventListener('click', () => {
             const isPassword = this.apiKeyInput.type === 'password';
@@ -45,220 +246,2198 @@ class TextToSpeechApp {
             this.clearApiKeyFromStorage();
         });
         
-        // ページ読み込み時にAPIキーを復元
-        this.loadApiKeyFromStorage();
+        // ページ読み込み時にAPIキーと接続方法を復元
+        this.loadApiKeyFromStorage();
+        this.loadConnectionMode();
+        
+        // 文字カウンター
+        this.textInput.addEventListener('input', () => {
+            this.updateCharCount();
+            if (this.inputTypeSelect.value === 'dialogue') {
+                this.renderDialogueSpeakers();
+            }
+        });
+        
+        // 見積もりは音声・速度・入力形式などを変えたときにも更新する
+        for (const element of [this.inputTypeSelect, this.voiceSelect, this.speedRange, this.languageSwitchSelect, this.timepointsSelect, this.normalizationSelect, this.normalizationOptions, this.templateSelect]) {
+            element.addEventListener('change', () => {
+                this.scheduleEstimate();
+            });
+        }
+        
+        // Substack記事の読み込み
+        this.importBtn.addEventListener('click', () => {
+            this.importFileInput.click();
+        });
+        
+        this.importFileInput.addEventListener('change', () => {
+            const file = this.importFileInput.files[0];
+            if (file) this.importSubstackFile(file);
+            this.importFileInput.value = '';
+        });
+        
+        // MP3タグのカバー画像
+        this.coverArtBtn.addEventListener('click', () => {
+            this.coverArtInput.click();
+        });
+        
+        this.coverArtInput.addEventListener('change', () => {
+            const file = this.coverArtInput.files[0];
+            if (file) this.loadCoverArt(file);
+            this.coverArtInput.value = '';
+        });
+        
+        this.coverArtClearBtn.addEventListener('click', () => {
+            this.coverArtDataUrl = null;
+            this.coverArtStatus.textContent = '';
+            this.coverArtClearBtn.style.display = 'none';
+        });
+        
+        // Substackエクスポートの一括音声化
+        this.exportImportBtn.addEventListener('click', () => {
+            this.exportFileInput.click();
+        });
+        
+        this.exportFileInput.addEventListener('change', () => {
+            const file = this.exportFileInput.files[0];
+            if (file) this.importSubstackExport(file);
+            this.exportFileInput.value = '';
+        });
+        
+        this.exportSelectAll.addEventListener('change', () => {
+            this.exportPostList.querySelectorAll('input[type="checkbox"]:not(:disabled)').forEach(checkbox => {
+                checkbox.checked = this.exportSelectAll.checked && checkbox.dataset.published === 'true';
+            });
+        });
+        
+        this.exportQueueBtn.addEventListener('click', () => {
+            this.queueExportPosts();
+        });
+        
+        // ライブラリの検索は入力が落ち着いてから実行
+        this.librarySearch.addEventListener('input', () => {
+            clearTimeout(this.librarySearchTimer);
+            this.librarySearchTimer = setTimeout(() => this.loadLibrary(1), 300);
+        });
+        
+        this.libraryRefreshBtn.addEventListener('click', () => {
+            this.loadLibrary();
+        });
+        
+        this.libraryPrevBtn.addEventListener('click', () => {
+            this.loadLibrary(this.libraryPage - 1);
+        });
+        
+        this.libraryNextBtn.addEventListener('click', () => {
+            this.loadLibrary(this.libraryPage + 1);
+        });
+        
+        // 読みの辞書
+        this.lexiconPreviewBtn.addEventListener('click', () => {
+            this.previewLexiconEntry(this.getLexiconFormEntry());
+        });
+        
+        this.lexiconAddBtn.addEventListener('click', () => {
+            this.addLexiconEntry();
+        });
+        
+        this.lexiconImportBtn.addEventListener('click', () => {
+            this.lexiconFileInput.click();
+        });
+        
+        this.lexiconFileInput.addEventListener('change', () => {
+            const file = this.lexiconFileInput.files[0];
+            if (file) this.importLexiconCsv(file);
+            this.lexiconFileInput.value = '';
+        });
+        
+        // エピソードテンプレート
+        this.templateAssetUploadBtn.addEventListener('click', () => {
+            this.templateAssetInput.click();
+        });
+        
+        this.templateAssetInput.addEventListener('change', () => {
+            const file = this.templateAssetInput.files[0];
+            if (file) this.uploadTemplateAsset(file);
+            this.templateAssetInput.value = '';
+        });
+        
+        this.templateAddBtn.addEventListener('click', () => {
+            this.addTemplate();
+        });
+        
+        // 音声の聴き比べ
+        this.auditionBtn.addEventListener('click', () => {
+            this.runAudition();
+        });
+        
+        // 入力形式の切り替え
+        this.inputTypeSelect.addEventListener('change', () => {
+            const inputType = this.inputTypeSelect.value;
+            if (inputType === 'ssml') {
+                this.textInput.placeholder = '<speak>こんにちは。<break time="500ms"/>本日の記事です。</speak>';
+            } else if (inputType === 'markdown') {
+                this.textInput.placeholder = '# 見出し\n\n本文です。\n\n- 項目1\n- 項目2';
+            } else if (inputType === 'dialogue') {
+                this.textInput.placeholder = 'Host: 今日はゲストをお迎えしています。\nゲスト: よろしくお願いします。';
+            } else {
+                this.textInput.placeholder = '読み上げたいテキストを入力してください...';
+            }
+            this.markdownOptions.style.display = inputType === 'markdown' ? 'block' : 'none';
+            this.dialogueOptions.style.display = inputType === 'dialogue' ? 'block' : 'none';
+            this.normalizationGroup.style.display = inputType === 'text' ? 'block' : 'none';
+            if (inputType === 'dialogue') {
+                this.renderDialogueSpeakers();
+            }
+        });
+        
+        this.dialogueGapRange.addEventListener('input', () => {
+            this.dialogueGapValue.textContent = `${this.dialogueGapRange.value}ms`;
+        });
+        
+        // 言語の自動切り替え（組み合わせる音声は主な音声と別の言語から選ぶ）
+        this.voiceSelect.addEventListener('change', () => {
+            this.updatePairedVoices();
+        });
+        
+        this.languageSwitchSelect.addEventListener('change', () => {
+            this.languageSwitchOptions.style.display = this.languageSwitchSelect.value === 'on' ? 'grid' : 'none';
+        });
+        
+        // 読みの正規化（日本語の音声のみ）
+        this.voiceSelect.addEventListener('change', () => {
+            this.updateNormalizationAvailability();
+        });
+        
+        this.normalizationSelect.addEventListener('change', () => {
+            this.normalizationOptions.style.display = this.normalizationSelect.value === 'off' ? 'none' : 'grid';
+            this.normalizationPreview.style.display = 'none';
+            this.normalizationStatus.textContent = '';
+        });
+        
+        this.normalizationPreviewBtn.addEventListener('click', () => {
+            this.previewNormalization();
+        });
+        
+        this.speedRange.addEventListener('input', () => {
+            this.speedValue.textContent = `${this.speedRange.value}x`;
+        });
+        
+        this.pitchRange.addEventListener('input', () => {
+            this.pitchValue.textContent = this.pitchRange.value;
+        });
+        
+        this.volumeRange.addEventListener('input', () => {
+            this.volumeValue.textContent = `${this.volumeRange.value} dB`;
+        });
+        
+        this.generateBtn.addEventListener('click', () => {
+            this.generateSpeech();
+        });
+        
+        this.cancelBtn.addEventListener('click', () => {
+            this.cancelCurrentJob();
+        });
+        
+        this.downloadBtn.addEventListener('click', () => {
+            this.downloadAudio();
+        });
+        
+        this.copyLinkBtn.addEventListener('click', () => {
+            this.copyAudioLink();
+        });
+        
+        this.subtitleSrtBtn.addEventListener('click', () => {
+            this.downloadSubtitles('srt');
+        });
+        
+        this.subtitleVttBtn.addEventListener('click', () => {
+            this.downloadSubtitles('vtt');
+        });
+        
+        this.publishBtn.addEventListener('click', () => {
+            this.publishEpisode();
+        });
+        
+        // 再生位置に合わせて現在のチャプターと読み上げ中の文を強調
+        this.audioPlayer.addEventListener('timeupdate', () => {
+            this.highlightChapter();
+            this.highlightTranscript();
+        });
+        
+        // エンターキー + Ctrlで生成
+        this.textInput.addEventListener('keydown', (e) => {
+            if (e.ctrlKey && e.key === 'Enter') {
+                this.generateSpeech();
+            }
+        });
+    }
+    
+    updateCharCount() {
+        const count = this.textInput.value.length;
+        this.charCount.textContent = count;
+        
+        // 文字数制限の色分け
+        if (count > MAX_TEXT_LENGTH * 0.9) {
+            this.charCount.style.color = '#dc3545';
+        } else if (count > MAX_TEXT_LENGTH * 0.8) {
+            this.charCount.style.color = '#ffc107';
+        } else {
+            this.charCount.style.color = '#6c757d';
+        }
+        
+        this.scheduleEstimate();
+    }
+    
+    // 入力が落ち着いてからサーバーで料金・長さを見積もる
+    scheduleEstimate() {
+        clearTimeout(this.estimateTimer);
+        if (!this.textInput.value.trim()) {
+            this.estimateRequestId++;
+            this.estimateInfo.textContent = '';
+            return;
+        }
+        
+        this.estimateTimer = setTimeout(() => {
+            this.updateEstimate();
+        }, ESTIMATE_DELAY_MS);
+    }
+    
+    async updateEstimate() {
+        const requestId = ++this.estimateRequestId;
+        const inputType = this.inputTypeSelect.value;
+        const rawText = this.textInput.value.trim();
+        const text = inputType !== 'text' ? rawText : this.sanitizeText(rawText);
+        
+        try {
+            // 見積もりは状態を変更しないため、CSRFトークンなしで送る
+            const response = await fetch('/api/estimate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.getSynthesisBody(text, inputType))
+            });
+            const data = await response.json().catch(() => ({}));
+            // 入力中に新しい見積もりを始めていたら古い結果は表示しない
+            if (requestId !== this.estimateRequestId) return;
+            
+            if (!response.ok) {
+                this.estimateInfo.textContent = '見積もり不可';
+                this.estimateInfo.title = data.error || '';
+                return;
+            }
+            
+            this.estimateInfo.textContent = [
+                `課金 ${data.billableCharacters.toLocaleString()}文字`,
+                data.costUsd === null ? '料金不明' : `約$${data.costUsd.toFixed(data.costUsd < 0.01 ? 4 : 2)}`,
+                `約${this.formatDuration(data.durationSeconds)}`,
+                `${data.chunkCount}チャンク`
+            ].join('・');
+            this.estimateInfo.title = data.tiers
+                .map(tier => `${tier.type}: ${tier.characters.toLocaleString()}文字${tier.usd === null ? '' : ` $${tier.usd.toFixed(4)}`}`)
+                .join('\n');
+        } catch (error) {
+            // サーバーを使わない場合など、見積もれなくても入力は続けられる
+            if (requestId === this.estimateRequestId) this.estimateInfo.textContent = '';
+        }
+    }
+    
+    // ファイルをサーバーへアップロードしてJSONの結果を受け取る
+    async uploadFile(url, file, extraHeaders = {}) {
+        const formData = new FormData();
+        formData.append('file', file);
+        
+        // multipartの境界はブラウザに設定させるためContent-Typeは付けない
+        const headers = { ...(await this.getServerHeaders()), ...extraHeaders };
+        delete headers['Content-Type'];
+        
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: headers,
+            body: formData
+        });
+        const data = await response.json().catch(() => ({}));
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'ファイルの読み込みに失敗しました');
+        }
+        
+        return data;
+    }
+    
+    // SubstackのHTMLファイルをサーバーで解析し、本文をテキスト欄に入れる
+    async importSubstackFile(file) {
+        this.importBtn.disabled = true;
+        this.importStatus.textContent = '読み込み中...';
+        this.importStatus.className = 'save-status';
+        
+        try {
+            const data = await this.uploadFile('/api/import/substack', file);
+            
+            this.importedArticle = data.article;
+            this.tagTitleInput.value = data.article.title || '';
+            this.tagAuthorInput.value = data.article.author || '';
+            this.tagPublicationInput.value = data.article.publication || '';
+            this.inputTypeSelect.value = 'text';
+            this.inputTypeSelect.dispatchEvent(new Event('change'));
+            this.textInput.value = data.text;
+            this.updateCharCount();
+            
+            this.importStatus.textContent = data.warning
+                ? `⚠️ ${data.warning}`
+                : `✅ 「${data.article.title || file.name}」を読み込みました`;
+            this.importStatus.className = `save-status ${data.warning ? 'error' : 'success'}`;
+        } catch (error) {
+            console.error('記事の読み込みエラー:', error);
+            this.importStatus.textContent = `❌ ${error.message}`;
+            this.importStatus.className = 'save-status error';
+        } finally {
+            this.importBtn.disabled = false;
+        }
+    }
+    
+    // カバー画像をdata URLとして読み込む（サーバーでID3タグに埋め込む）
+    loadCoverArt(file) {
+        if (!['image/jpeg', 'image/png'].includes(file.type)) {
+            this.coverArtStatus.textContent = '❌ JPEGまたはPNG画像を選択してください';
+            this.coverArtStatus.className = 'save-status error';
+            return;
+        }
+        if (file.size > MAX_COVER_ART_BYTES) {
+            this.coverArtStatus.textContent = '❌ 2MB以内の画像を選択してください';
+            this.coverArtStatus.className = 'save-status error';
+            return;
+        }
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.coverArtDataUrl = reader.result;
+            this.coverArtStatus.textContent = `✅ ${file.name}`;
+            this.coverArtStatus.className = 'save-status success';
+            this.coverArtClearBtn.style.display = 'inline-block';
+        };
+        reader.onerror = () => {
+            this.coverArtStatus.textContent = '❌ 画像の読み込みに失敗しました';
+            this.coverArtStatus.className = 'save-status error';
+        };
+        reader.readAsDataURL(file);
+    }
+    
+    // MP3タグの入力欄と読み込んだ記事の情報（ジョブのメタデータとして送信）
+    getTagMetadata() {
+        const article = this.importedArticle || {};
+        return {
+            title: this.tagTitleInput.value.trim() || undefined,
+            author: this.tagAuthorInput.value.trim() || undefined,
+            publication: this.tagPublicationInput.value.trim() || undefined,
+            subtitle: article.subtitle || undefined,
+            publishedAt: article.publishedAt || undefined,
+            url: article.url || undefined,
+            coverArt: this.coverArtDataUrl || undefined
+        };
+    }
+    
+    // 読み込んだ記事の見出し（サーバーでチャプターの区切りに使う）
+    getArticleHeadings() {
+        if (!this.importedArticle) return undefined;
+        return this.importedArticle.blocks
+            .filter(block => block.type === 'heading')
+            .map(block => block.text);
+    }
+    
+    // エクスポートZIPを読み込み、記事の一覧を表示する
+    async importSubstackExport(file) {
+        this.exportImportBtn.disabled = true;
+        this.exportStatus.textContent = '読み込み中...';
+        this.exportStatus.className = 'save-status';
+        
+        try {
+            const data = await this.uploadFile('/api/import/substack-export', file);
+            this.exportImport = data.import;
+            this.renderExportPosts(data.import.posts);
+            
+            this.exportStatus.textContent = `✅ ${data.import.posts.length}件の記事を読み込みました`;
+            this.exportStatus.className = 'save-status success';
+        } catch (error) {
+            console.error('エクスポートの読み込みエラー:', error);
+            this.exportStatus.textContent = `❌ ${error.message}`;
+            this.exportStatus.className = 'save-status error';
+        } finally {
+            this.exportImportBtn.disabled = false;
+        }
+    }
+    
+    renderExportPosts(posts) {
+        this.exportPostList.textContent = '';
+        
+        for (const post of posts) {
+            const item = document.createElement('li');
+            item.className = 'export-post';
+            item.dataset.postId = post.id;
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = post.id;
+            checkbox.dataset.published = String(post.isPublished);
+            checkbox.disabled = post.textLength === 0 || post.textLength > MAX_TEXT_LENGTH;
+            
+            const title = document.createElement('span');
+            title.className = 'export-post-title';
+            title.textContent = post.isPublished ? post.title : `${post.title}（下書き）`;
+            
+            const meta = document.createElement('span');
+            meta.className = 'export-post-meta';
+            const date = post.publishedAt ? new Date(post.publishedAt).toLocaleDateString('ja-JP') : '未公開';
+            meta.textContent = post.textLength > 0 ? `${date} ・ ${post.textLength.toLocaleString()}文字` : `${date} ・ 本文なし`;
+            
+            const status = document.createElement('span');
+            status.className = 'export-post-status';
+            
+            item.append(checkbox, title, meta, status);
+            this.exportPostList.appendChild(item);
+        }
+        
+        this.exportSelectAll.checked = false;
+        this.exportPosts.style.display = 'block';
+    }
+    
+    // 選択した記事を現在の音声設定でまとめてジョブに登録する
+    async queueExportPosts() {
+        if (!this.exportImport) return;
+        
+        const postIds = [...this.exportPostList.querySelectorAll('input[type="checkbox"]:checked')]
+            .map(checkbox => checkbox.value);
+        if (postIds.length === 0) {
+            this.exportStatus.textContent = '❌ 音声化する記事を選択してください';
+            this.exportStatus.className = 'save-status error';
+            return;
+        }
+        
+        this.exportQueueBtn.disabled = true;
+        
+        try {
+            const response = await fetch(`/api/import/substack-export/${this.exportImport.id}/jobs`, {
+                method: 'POST',
+                headers: await this.getServerHeaders(),
+                body: JSON.stringify({
+                    postIds: postIds,
+                    voice: this.voiceSelect.value,
+                    speed: parseFloat(this.speedRange.value),
+                    format: this.formatSelect.value,
+                    postProcessing: this.getPostProcessing(),
+                    template: this.templateSelect.value || undefined,
+                    publication: this.tagPublicationInput.value.trim() || undefined,
+                    coverArt: this.coverArtDataUrl || undefined,
+                    ...this.getAudioSettings()
+                })
+            });
+            const data = await response.json().catch(() => ({}));
+            
+            if (!response.ok) {
+                throw new Error(data.error || 'ジョブの登録に失敗しました');
+            }
+            
+            for (const { postId, error } of data.skipped) {
+                this.setExportPostStatus(postId, `❌ ${error}`);
+            }
+            for (const { postId, job } of data.jobs) {
+                this.setExportPostStatus(postId, '順番待ち');
+                this.watchExportJob(postId, job.id);
+            }
+            
+            this.exportStatus.textContent = `✅ ${data.jobs.length}件をジョブに登録しました`;
+            this.exportStatus.className = 'save-status success';
+        } catch (error) {
+            console.error('ジョブの登録エラー:', error);
+            this.exportStatus.textContent = `❌ ${error.message}`;
+            this.exportStatus.className = 'save-status error';
+        } finally {
+            this.exportQueueBtn.disabled = false;
+        }
+    }
+    
+    setExportPostStatus(postId, message, audioUrl = null) {
+        const item = [...this.exportPostList.children].find(element => element.dataset.postId === postId);
+        if (!item) return;
+        
+        const status = item.querySelector('.export-post-status');
+        status.textContent = message;
+        
+        if (audioUrl) {
+            const link = document.createElement('a');
+            link.href = audioUrl;
+            link.textContent = ' ダウンロード';
+            link.download = '';
+            status.appendChild(link);
+        }
+    }
+    
+    // 一括登録したジョブの進捗を一覧に表示する
+    async watchExportJob(postId, jobId) {
+        try {
+            for (;;) {
+                await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS * 2));
+                
+                const response = await fetch(`/api/jobs/${jobId}`);
+                if (!response.ok) {
+                    throw new Error('ジョブの状態を取得できませんでした');
+                }
+                
+                const { job } = await response.json();
+                if (job.state === 'queued') {
+                    this.setExportPostStatus(postId, '順番待ち');
+                } else if (job.state === 'running') {
+                    this.setExportPostStatus(postId, `生成中 ${job.progress.percent}%`);
+                } else if (job.state === 'completed') {
+                    this.setExportPostStatus(postId, '✅ 完了', `/api/jobs/${jobId}/audio`);
+                    this.loadLibrary();
+                    return;
+                } else {
+                    this.setExportPostStatus(postId, `❌ ${job.error || 'キャンセルされました'}`);
+                    return;
+                }
+            }
+        } catch (error) {
+            this.setExportPostStatus(postId, `❌ ${error.message}`);
+        }
+    }
+    
+    // サーバーに保存された過去の音声を読み込む
+    async loadLibrary(page = this.libraryPage) {
+        const params = new URLSearchParams({ page: String(Math.max(1, page)), perPage: String(LIBRARY_PAGE_SIZE) });
+        const query = this.librarySearch.value.trim();
+        if (query) params.set('q', query);
+        
+        try {
+            const response = await fetch(`/api/library?${params}`);
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || 'ライブラリの取得に失敗しました');
+            }
+            
+            // 削除などで最終ページが空になった場合は前のページを表示
+            if (data.items.length === 0 && data.page > 1) {
+                return this.loadLibrary(data.totalPages || 1);
+            }
+            
+            this.libraryPage = data.page;
+            this.renderLibrary(data);
+        } catch (error) {
+            console.error('ライブラリの取得エラー:', error);
+            this.libraryStatus.textContent = `❌ ${error.message}`;
+            this.libraryStatus.className = 'save-status error';
+        }
+    }
+    
+    renderLibrary({ items, total, page, totalPages }) {
+        this.libraryList.textContent = '';
+        this.libraryStatus.textContent = total > 0 ? `${total}件` : '保存された音声はまだありません';
+        this.libraryStatus.className = 'save-status';
+        
+        for (const entry of items) {
+            const item = document.createElement('li');
+            item.className = 'library-item';
+            
+            const info = document.createElement('div');
+            info.className = 'library-item-info';
+            
+            const title = document.createElement('span');
+            title.className = 'library-item-title';
+            title.textContent = entry.title || entry.excerpt || '（無題）';
+            
+            const meta = document.createElement('span');
+            meta.className = 'library-item-meta';
+            meta.textContent = [
+                new Date(entry.createdAt).toLocaleString('ja-JP'),
+                entry.voice,
+                `${entry.speed}x`,
+                this.formatDuration(entry.duration),
+                this.formatFileSize(entry.size),
+                entry.format.toUpperCase()
+            ].join(' ・ ');
+            
+            info.append(title, meta);
+            
+            const actions = document.createElement('div');
+            actions.className = 'library-item-actions';
+            
+            const playBtn = document.createElement('button');
+            playBtn.type = 'button';
+            playBtn.textContent = '▶ 再生';
+            playBtn.addEventListener('click', () => {
+                this.libraryPlayer.src = `/api/library/${entry.id}/audio`;
+                this.libraryPlayer.style.display = 'block';
+                this.libraryPlayer.play().catch(() => {});
+            });
+            
+            const downloadLink = document.createElement('a');
+            downloadLink.href = `/api/library/${entry.id}/audio?download=1`;
+            downloadLink.textContent = '⬇ ダウンロード';
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'library-delete-btn';
+            deleteBtn.textContent = '🗑 削除';
+            deleteBtn.addEventListener('click', () => {
+                this.deleteLibraryItem(entry);
+            });
+            
+            actions.append(playBtn, downloadLink);
+            
+            // 字幕は合成時の再生時刻を保存している音声のみ
+            if (entry.subtitles) {
+                const subtitleLink = document.createElement('a');
+                subtitleLink.href = `/api/library/${entry.id}/subtitles.srt`;
+                subtitleLink.textContent = '💬 字幕';
+                actions.appendChild(subtitleLink);
+            }
+            
+            actions.appendChild(deleteBtn);
+            item.append(info, actions);
+            this.libraryList.appendChild(item);
+        }
+        
+        this.libraryPageInfo.textContent = totalPages > 1 ? `${page} / ${totalPages}` : '';
+        this.libraryPrevBtn.disabled = page <= 1;
+        this.libraryNextBtn.disabled = page >= totalPages;
+    }
+    
+    async deleteLibraryItem(entry) {
+        if (!window.confirm(`「${entry.title || entry.excerpt}」を削除しますか？`)) return;
+        
+        try {
+            const response = await fetch(`/api/library/${entry.id}`, {
+                method: 'DELETE',
+                headers: await this.getServerHeaders()
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || '削除に失敗しました');
+            }
+            
+            if (this.libraryPlayer.src.includes(entry.id)) {
+                this.libraryPlayer.removeAttribute('src');
+                this.libraryPlayer.style.display = 'none';
+            }
+            this.loadLibrary();
+        } catch (error) {
+            this.libraryStatus.textContent = `❌ ${error.message}`;
+            this.libraryStatus.className = 'save-status error';
+        }
+    }
+    
+    setLexiconStatus(message, type = '') {
+        this.lexiconStatus.textContent = message;
+        this.lexiconStatus.className = type ? `save-status ${type}` : 'save-status';
+    }
+    
+    async loadLexicon() {
+        try {
+            const response = await fetch('/api/lexicon');
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || '読みの辞書の取得に失敗しました');
+            }
+            
+            this.renderLexicon(data.entries);
+        } catch (error) {
+            console.error('読みの辞書の取得エラー:', error);
+            this.setLexiconStatus(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    renderLexicon(entries) {
+        this.lexiconList.textContent = '';
+        // 追加・読み込みの結果を表示している間は件数で上書きしない
+        if (this.lexiconStatus.className === 'save-status') {
+            this.setLexiconStatus(entries.length > 0 ? `${entries.length}件` : '登録された読みはまだありません');
+        }
+        
+        for (const entry of entries) {
+            const item = document.createElement('li');
+            item.className = 'library-item';
+            
+            const info = document.createElement('div');
+            info.className = 'library-item-info';
+            
+            const title = document.createElement('span');
+            title.className = 'library-item-title';
+            title.textContent = `${entry.surface} → ${entry.reading}`;
+            
+            const meta = document.createElement('span');
+            meta.className = 'library-item-meta';
+            meta.textContent = [
+                entry.alphabet === 'ipa' ? 'IPA' : 'かな',
+                entry.language || 'すべての言語'
+            ].join(' ・ ');
+            
+            info.append(title, meta);
+            
+            const actions = document.createElement('div');
+            actions.className = 'library-item-actions';
+            
+            const previewBtn = document.createElement('button');
+            previewBtn.type = 'button';
+            previewBtn.textContent = '▶ 試聴';
+            previewBtn.addEventListener('click', () => {
+                this.previewLexiconEntry(entry);
+            });
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'library-delete-btn';
+            deleteBtn.textContent = '🗑 削除';
+            deleteBtn.addEventListener('click', () => {
+                this.deleteLexiconEntry(entry);
+            });
+            
+            actions.append(previewBtn, deleteBtn);
+            item.append(info, actions);
+            this.lexiconList.appendChild(item);
+        }
+    }
+    
+    getLexiconFormEntry() {
+        return {
+            surface: this.lexiconSurfaceInput.value.trim(),
+            reading: this.lexiconReadingInput.value.trim(),
+            alphabet: this.lexiconAlphabetSelect.value,
+            language: this.lexiconLanguageSelect.value || null
+        };
+    }
+    
+    async addLexiconEntry() {
+        this.lexiconAddBtn.disabled = true;
+        
+        try {
+            const response = await fetch('/api/lexicon', {
+                method: 'POST',
+                headers: await this.getServerHeaders(),
+                body: JSON.stringify(this.getLexiconFormEntry())
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || '読みの追加に失敗しました');
+            }
+            
+            this.lexiconSurfaceInput.value = '';
+            this.lexiconReadingInput.value = '';
+            this.setLexiconStatus(`✅ 「${data.entry.surface}」を追加しました`, 'success');
+            this.loadLexicon();
+        } catch (error) {
+            this.setLexiconStatus(`❌ ${error.message}`, 'error');
+        } finally {
+            this.lexiconAddBtn.disabled = false;
+        }
+    }
+    
+    // 現在の音声設定で、項目を適用した読み上げを再生する
+    async previewLexiconEntry(entry) {
+        try {
+            const response = await fetch('/api/lexicon/preview', {
+                method: 'POST',
+                headers: await this.getServerHeaders(),
+                body: JSON.stringify({
+                    ...entry,
+                    voice: this.voiceSelect.value,
+                    speed: parseFloat(this.speedRange.value)
+                })
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || '試聴用の音声の生成に失敗しました');
+            }
+            
+            if (this.lexiconPreviewUrl) URL.revokeObjectURL(this.lexiconPreviewUrl);
+            this.lexiconPreviewUrl = URL.createObjectURL(await response.blob());
+            this.lexiconPlayer.src = this.lexiconPreviewUrl;
+            this.lexiconPlayer.play().catch(() => {});
+        } catch (error) {
+            this.setLexiconStatus(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    async deleteLexiconEntry(entry) {
+        if (!window.confirm(`「${entry.surface}」の読みを削除しますか？`)) return;
+        
+        try {
+            const response = await fetch(`/api/lexicon/${entry.id}`, {
+                method: 'DELETE',
+                headers: await this.getServerHeaders()
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || '削除に失敗しました');
+            }
+            
+            this.setLexiconStatus('');
+            this.loadLexicon();
+        } catch (error) {
+            this.setLexiconStatus(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    // CSVの項目を既存の辞書に追加する（同じ表記・言語の項目は上書き）
+    async importLexiconCsv(file) {
+        this.lexiconImportBtn.disabled = true;
+        this.setLexiconStatus('読み込み中...');
+        
+        try {
+            const data = await this.uploadFile('/api/lexicon/import', file);
+            const skipped = data.skipped.length > 0
+                ? `、${data.skipped.length}行をスキップ（${data.skipped.slice(0, 3).map(row => `${row.line}行目: ${row.error}`).join(' / ')}）`
+                : '';
+            this.setLexiconStatus(`✅ ${data.added}件を追加、${data.updated}件を更新しました${skipped}`, data.skipped.length > 0 ? 'error' : 'success');
+            this.loadLexicon();
+        } catch (error) {
+            this.setLexiconStatus(`❌ ${error.message}`, 'error');
+        } finally {
+            this.lexiconImportBtn.disabled = false;
+        }
+    }
+    
+    setTemplateStatus(message, type = '') {
+        this.templateStatus.textContent = message;
+        this.templateStatus.className = type ? `save-status ${type}` : 'save-status';
+    }
+    
+    // テンプレートの変更に付ける管理者トークン（サーバーで TTS_ADMIN_TOKEN を設定している場合のみ必要）
+    getAdminHeaders() {
+        const token = this.adminTokenInput.value.trim();
+        return token ? { 'X-Admin-Token': token } : {};
+    }
+    
+    async loadTemplates() {
+        try {
+            const response = await fetch('/api/templates');
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || 'エピソードテンプレートの取得に失敗しました');
+            }
+            
+            this.renderTemplateAssets(data.assets);
+            this.renderTemplates(data.templates);
+        } catch (error) {
+            console.error('エピソードテンプレートの取得エラー:', error);
+            this.setTemplateStatus(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    renderTemplateAssets(assets) {
+        this.templateAssetList.textContent = '';
+        
+        // テンプレートの作成フォームの素材の選択肢（選択中の素材は残す）
+        for (const select of [this.templateIntroSelect, this.templateOutroSelect, this.templateBedSelect]) {
+            const selected = select.value;
+            select.textContent = '';
+            select.appendChild(new Option('なし', ''));
+            for (const asset of assets) {
+                select.appendChild(new Option(`${asset.name}（${this.formatDuration(asset.duration)}）`, asset.id));
+            }
+            select.value = assets.some(asset => asset.id === selected) ? selected : '';
+        }
+        
+        for (const asset of assets) {
+            const item = document.createElement('li');
+            item.className = 'library-item';
+            
+            const info = document.createElement('div');
+            info.className = 'library-item-info';
+            
+            const title = document.createElement('span');
+            title.className = 'library-item-title';
+            title.textContent = asset.name;
+            
+            const meta = document.createElement('span');
+            meta.className = 'library-item-meta';
+            meta.textContent = [
+                asset.format.toUpperCase(),
+                this.formatDuration(asset.duration),
+                this.formatFileSize(asset.size)
+            ].join(' ・ ');
+            
+            info.append(title, meta);
+            
+            const actions = document.createElement('div');
+            actions.className = 'library-item-actions';
+            
+            const playBtn = document.createElement('button');
+            playBtn.type = 'button';
+            playBtn.textContent = '▶ 再生';
+            playBtn.addEventListener('click', () => {
+                this.templatePlayer.src = `/api/templates/assets/${asset.id}`;
+                this.templatePlayer.style.display = 'block';
+                this.templatePlayer.play().catch(() => {});
+            });
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'library-delete-btn';
+            deleteBtn.textContent = '🗑 削除';
+            deleteBtn.addEventListener('click', () => {
+                this.deleteTemplateItem(`/api/templates/assets/${asset.id}`, `素材「${asset.name}」`);
+            });
+            
+            actions.append(playBtn, deleteBtn);
+            item.append(info, actions);
+            this.templateAssetList.appendChild(item);
+        }
+    }
+    
+    renderTemplates(templates) {
+        this.templateList.textContent = '';
+        
+        // 生成設定の選択肢（選択中のテンプレートが削除された場合は「使わない」に戻す）
+        const selected = this.templateSelect.value;
+        this.templateSelect.textContent = '';
+        this.templateSelect.appendChild(new Option('使わない', ''));
+        for (const template of templates) {
+            this.templateSelect.appendChild(new Option(template.name, template.id));
+        }
+        this.templateSelect.value = templates.some(template => template.id === selected) ? selected : '';
+        
+        if (this.templateStatus.className === 'save-status') {
+            this.setTemplateStatus(templates.length > 0 ? `${templates.length}件` : '登録されたテンプレートはまだありません');
+        }
+        
+        for (const template of templates) {
+            const item = document.createElement('li');
+            item.className = 'library-item';
+            
+            const info = document.createElement('div');
+            info.className = 'library-item-info';
+            
+            const title = document.createElement('span');
+            title.className = 'library-item-title';
+            title.textContent = template.name;
+            
+            const meta = document.createElement('span');
+            meta.className = 'library-item-meta';
+            meta.textContent = [
+                template.introAssetId ? 'イントロ' : null,
+                template.outroAssetId ? 'アウトロ' : null,
+                template.bedAssetId ? `BGM ${template.bedVolumeDb}dB（話している間 ${template.duckDb}dB）` : null,
+                `フェード ${template.fadeInMs}/${template.fadeOutMs}ms`
+            ].filter(Boolean).join(' ・ ');
+            
+            info.append(title, meta);
+            
+            const actions = document.createElement('div');
+            actions.className = 'library-item-actions';
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'library-delete-btn';
+            deleteBtn.textContent = '🗑 削除';
+            deleteBtn.addEventListener('click', () => {
+                this.deleteTemplateItem(`/api/templates/${template.id}`, `テンプレート「${template.name}」`);
+            });
+            
+            actions.appendChild(deleteBtn);
+            item.append(info, actions);
+            this.templateList.appendChild(item);
+        }
+    }
+    
+    async uploadTemplateAsset(file) {
+        this.templateAssetUploadBtn.disabled = true;
+        this.setTemplateStatus('アップロード中...');
+        
+        try {
+            const data = await this.uploadFile('/api/templates/assets', file, this.getAdminHeaders());
+            this.setTemplateStatus(`✅ 素材「${data.asset.name}」を追加しました`, 'success');
+            this.loadTemplates();
+        } catch (error) {
+            this.setTemplateStatus(`❌ ${error.message}`, 'error');
+        } finally {
+            this.templateAssetUploadBtn.disabled = false;
+        }
+    }
+    
+    async addTemplate() {
+        this.templateAddBtn.disabled = true;
+        
+        try {
+            const response = await fetch('/api/templates', {
+                method: 'POST',
+                headers: { ...(await this.getServerHeaders()), ...this.getAdminHeaders() },
+                body: JSON.stringify({
+                    name: this.templateNameInput.value.trim(),
+                    introAssetId: this.templateIntroSelect.value || null,
+                    outroAssetId: this.templateOutroSelect.value || null,
+                    bedAssetId: this.templateBedSelect.value || null,
+                    bedVolumeDb: this.templateBedVolumeInput.value,
+                    duckDb: this.templateDuckInput.value,
+                    fadeInMs: this.templateFadeInInput.value,
+                    fadeOutMs: this.templateFadeOutInput.value,
+                    gapMs: this.templateGapInput.value
+                })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || 'テンプレートの追加に失敗しました');
+            }
+            
+            this.templateNameInput.value = '';
+            this.setTemplateStatus(`✅ テンプレート「${data.template.name}」を追加しました`, 'success');
+            this.loadTemplates();
+        } catch (error) {
+            this.setTemplateStatus(`❌ ${error.message}`, 'error');
+        } finally {
+            this.templateAddBtn.disabled = false;
+        }
+    }
+    
+    async deleteTemplateItem(url, label) {
+        if (!window.confirm(`${label}を削除しますか？`)) return;
+        
+        try {
+            const response = await fetch(url, {
+                method: 'DELETE',
+                headers: { ...(await this.getServerHeaders()), ...this.getAdminHeaders() }
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || '削除に失敗しました');
+            }
+            
+            this.setTemplateStatus('');
+            this.loadTemplates();
+        } catch (error) {
+            this.setTemplateStatus(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const minutes = Math.floor(total / 60);
+        return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+    }
+    
+    formatFileSize(bytes) {
+        return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)}MB` : `${Math.ceil(bytes / 1024)}KB`;
+    }
+    
+    hideAllSections() {
+        this.loadingDiv.style.display = 'none';
+        this.resultDiv.style.display = 'none';
+        this.errorDiv.style.display = 'none';
+    }
+    
+    showError(message) {
+        this.hideAllSections();
+        this.errorDiv.textContent = message;
+        this.errorDiv.style.display = 'block';
+        this.generateBtn.disabled = false;
+    }
+    
+    showLoading(message = '音声を生成中...') {
+        this.hideAllSections();
+        this.loadingDiv.querySelector('p').textContent = message;
+        this.loadingDiv.style.display = 'block';
+        this.generateBtn.disabled = true;
+    }
+    
+    updateLoadingMessage(message) {
+        this.loadingDiv.querySelector('p').textContent = message;
+    }
+    
+    showResult(audioBlob, format = 'mp3') {
+        this.hideAllSections();
+        this.currentAudioBlob = audioBlob;
+        this.currentAudioFormat = format;
+        
+        const audioUrl = URL.createObjectURL(audioBlob);
+        this.audioPlayer.src = audioUrl;
+        this.renderChapters();
+        this.renderTranscript();
+        
+        // 字幕はサーバーで生成した音声のみ（合成時の再生時刻を使う）
+        const subtitleDisplay = this.subtitleBaseUrl ? 'inline-block' : 'none';
+        this.subtitleSrtBtn.style.display = subtitleDisplay;
+        this.subtitleVttBtn.style.display = subtitleDisplay;
+        
+        // サーバーで全文を生成したMP3のみポッドキャストとして公開できる
+        this.publishBtn.style.display = this.publishableJobId && format === 'mp3' ? 'inline-block' : 'none';
+        this.publishBtn.disabled = false;
+        this.publishStatus.textContent = '';
+        
+        this.resultDiv.style.display = 'block';
+        this.generateBtn.disabled = false;
+    }
+    
+    // チャプター一覧（クリックでその位置から再生）
+    renderChapters() {
+        this.chapterList.textContent = '';
+        
+        for (const chapter of this.currentChapters) {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            
+            const time = document.createElement('span');
+            time.className = 'chapter-time';
+            time.textContent = this.formatDuration(chapter.startTime);
+            
+            const title = document.createElement('span');
+            title.textContent = chapter.title;
+            
+            button.append(time, title);
+            button.addEventListener('click', () => {
+                this.audioPlayer.currentTime = chapter.startTime;
+                this.audioPlayer.play().catch(() => {});
+            });
+            
+            item.appendChild(button);
+            this.chapterList.appendChild(item);
+        }
+        
+        this.chapterList.style.display = this.currentChapters.length > 0 ? 'block' : 'none';
+    }
+    
+    highlightChapter() {
+        if (this.currentChapters.length === 0) return;
+        
+        const currentTime = this.audioPlayer.currentTime;
+        const items = this.chapterList.children;
+        this.currentChapters.forEach((chapter, index) => {
+            const isActive = currentTime >= chapter.startTime && currentTime < chapter.endTime;
+            items[index].classList.toggle('active', isActive);
+        });
+    }
+    
+    // 読み上げ位置の対応表から本文を文（・単語）ごとのspanに分けて表示（クリックでその位置から再生）
+    renderTranscript() {
+        this.transcript.textContent = '';
+        this.transcriptSpans = { sentences: [], words: [] };
+        
+        const alignment = this.currentAlignment;
+        if (!alignment || alignment.sentences.length === 0) {
+            this.transcript.style.display = 'none';
+            return;
+        }
+        
+        const createSpan = (className, entry, text) => {
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = text;
+            span.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.audioPlayer.currentTime = entry.startTime;
+                this.audioPlayer.play().catch(() => {});
+            });
+            return span;
+        };
+        
+        const { text, sentences, words } = alignment;
+        let position = 0;
+        let wordIndex = 0;
+        
+        for (const sentence of sentences) {
+            this.transcript.append(text.substring(position, sentence.start));
+            const sentenceSpan = createSpan('transcript-sentence', sentence, '');
+            
+            // 文に含まれる単語はさらにspanで囲む
+            let sentencePosition = sentence.start;
+            while (wordIndex < words.length && words[wordIndex].start < sentence.end) {
+                const word = words[wordIndex++];
+                if (word.start < sentencePosition) continue;
+                sentenceSpan.append(text.substring(sentencePosition, word.start));
+                const wordSpan = createSpan('transcript-word', word, text.substring(word.start, word.end));
+                sentenceSpan.appendChild(wordSpan);
+                this.transcriptSpans.words.push({ entry: word, span: wordSpan });
+                sentencePosition = word.end;
+            }
+            sentenceSpan.append(text.substring(sentencePosition, sentence.end));
+            
+            this.transcript.appendChild(sentenceSpan);
+            this.transcriptSpans.sentences.push({ entry: sentence, span: sentenceSpan });
+            position = sentence.end;
+        }
+        this.transcript.append(text.substring(position));
+        
+        this.transcript.scrollTop = 0;
+        this.transcript.style.display = 'block';
+    }
+    
+    highlightTranscript() {
+        const currentTime = this.audioPlayer.currentTime;
+        
+        for (const type of ['sentences', 'words']) {
+            for (const { entry, span } of this.transcriptSpans[type]) {
+                const isActive = currentTime >= entry.startTime && currentTime < entry.endTime;
+                if (isActive && type === 'sentences' && !span.classList.contains('active')) {
+                    // 読み上げ中の文が見えるように本文の表示位置を合わせる
+                    span.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+                }
+                span.classList.toggle('active', isActive);
+            }
+        }
+    }
+    
+    // APIキーを取得（入力されている場合は優先）
+    getCurrentApiKey() {
+        const inputApiKey = this.apiKeyInput.value.trim();
+        return inputApiKey || this.apiKey;
+    }
+    
+    // 入力値のサニタイゼーション
+    sanitizeText(text) {
+        if (typeof text !== 'string') return '';
+        
+        return text
+            .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '') // スクリプトタグ除去
+            .replace(/<[^>]*>/g, '') // HTMLタグ除去
+            .replace(/javascript:/gi, '') // JavaScriptプロトコル除去
+            .replace(/on\w+\s*=\s*["'][^"']*["']/gi, '') // イベントハンドラー除去
+            .trim()
+            .substring(0, MAX_TEXT_LENGTH); // 文字数制限
+    }
+    
+    // テキストを文境界（。！？」）でAPIのバイト上限以内のチャンクに分割
+    splitTextIntoChunks(text, maxBytes = MAX_CHUNK_BYTES) {
+        const encoder = new TextEncoder();
+        const byteLength = (value) => encoder.encode(value).length;
+        const sentences = text.match(/[^。！？!?」』\n]*(?:[。！？!?」』]+[」』）)]*|\n+|$)/g) || [];
+        const chunks = [];
+        let current = '';
+        
+        const flush = () => {
+            if (current.trim()) chunks.push(current.trim());
+            current = '';
+        };
+        
+        sentences.filter(sentence => sentence).forEach(sentence => {
+            if (byteLength(current + sentence) <= maxBytes) {
+                current += sentence;
+                return;
+            }
+            
+            flush();
+            
+            // 1文で上限を超える場合は文字単位で分割
+            for (const char of Array.from(sentence)) {
+                if (byteLength(current + char) > maxBytes) flush();
+                current += char;
+            }
+        });
+        
+        flush();
+        return chunks;
+    }
+    
+    // APIキーの検証
+    validateApiKey(apiKey) {
+        if (!apiKey || typeof apiKey !== 'string') {
+            return { valid: false, error: 'APIキーが必要です' };
+        }
+
+        if (apiKey === 'YOUR_API_KEY_HERE') {
+            return { valid: false, error: '実際のAPIキーを入力してください' };
+        }
+
+        if (!apiKey.startsWith('AIza')) {
+            return { valid: false, error: 'Google Cloud APIキーの形式が正しくありません' };
+        }
+
+        if (apiKey.length < 35 || apiKey.length > 45) {
+            return { valid: false, error: 'APIキーの長さが正しくありません' };
+        }
+
+        // 危険な文字のチェック
+        if (!/^[A-Za-z0-9_-]+$/.test(apiKey)) {
+            return { valid: false, error: 'APIキーに無効な文字が含まれています' };
+        }
+
+        return { valid: true };
+    }
+    
+    async generateSpeech() {
+        const rawText = this.textInput.value.trim();
+        if (!rawText) {
+            this.showError('テキストを入力してください。');
+            return;
+        }
+        
+        // 接続方法で「APIキーで直接接続」を選んだ場合のみブラウザーから直接Google Cloudに送る
+        const useServer = this.isServerMode();
+        const currentApiKey = useServer ? null : this.getCurrentApiKey();
+        
+        // APIキーの検証
+        if (!useServer) {
+            const apiKeyValidation = this.validateApiKey(currentApiKey);
+            if (!apiKeyValidation.valid) {
+                this.showError(apiKeyValidation.error);
+                return;
+            }
+        }
+        
+        // SSMLはタグを残したまま送信し、検証はサーバー（またはGoogle）に任せる
+        // Markdown・台本も記号や行が構造を表すため、そのままサーバーに送る
+        const inputType = this.inputTypeSelect.value;
+        const keepsStructure = inputType !== 'text';
+        
+        if (SERVER_ONLY_INPUT_TYPES[inputType] && !useServer) {
+            this.showError(`${SERVER_ONLY_INPUT_TYPES[inputType]}はサーバー経由でのみ利用できます。`);
+            return;
+        }
+        
+        if (this.getLanguageSwitch() && !useServer) {
+            this.showError('言語の自動切り替えはサーバー経由でのみ利用できます。');
+            return;
+        }
+        
+        if (this.getNormalization() && !useServer) {
+            this.showError('読みの正規化はサーバー経由でのみ利用できます。');
+            return;
+        }
+        
+        if (this.getPostProcessing() && !useServer) {
+            this.showError('音量と無音の調整はサーバー経由でのみ利用できます。');
+            return;
+        }
+        
+        if (this.templateSelect.value && !useServer) {
+            this.showError('エピソードテンプレートはサーバー経由でのみ利用できます。');
+            return;
+        }
+        
+        // 入力値をサニタイズ
+        const text = keepsStructure ? rawText : this.sanitizeText(rawText);
+        if (!text) {
+            this.showError('有効なテキストを入力してください。');
+            return;
+        }
+        
+        let processedText = text;
+        const isPreviewMode = this.previewToggle.value === 'preview';
+        
+        // プレビューモードの場合、先頭500文字のみを使用（SSML・Markdown・台本は構造が壊れるため全文）
+        if (isPreviewMode && !keepsStructure) {
+            processedText = text.substring(0, 500);
+            if (text.length > 500) {
+                processedText += '...（プレビューモードです。全文を音声化するには「全文」を選択してください）';
+            }
+        }
+        
+        if (processedText.length > MAX_TEXT_LENGTH) {
+            this.showError(`テキストが長すぎます。${MAX_TEXT_LENGTH}文字以内で入力してください。`);
+            return;
+        }
+        
+        const format = this.formatSelect.value;
+        
+        this.showLoading();
+        this.publishableJobId = null;
+        this.currentChapters = [];
+        this.currentAlignment = null;
+        this.subtitleBaseUrl = null;
+        
+        try {
+            const audioBlob = useServer
+                ? await this.callServerTTSAPI(processedText, inputType, !isPreviewMode)
+                : await this.synthesizeInChunks(processedText, currentApiKey, inputType);
+            
+            this.showResult(audioBlob, format);
+            if (useServer) {
+                this.loadLibrary(1);
+            }
+            
+        } catch (error) {
+            console.error('音声生成エラー:', error);
+            
+            // エラーメッセージを日本語化
+            let errorMessage = '音声生成に失敗しました';
+            
+            if (error.message.includes('API key not valid')) {
+                errorMessage = 'APIキーが無効です。正しいAPIキーを入力してください。';
+            } else if (error.message.includes('quota')) {
+                errorMessage = 'API使用量制限に達しています。しばらく待ってから再試行してください。';
+            } else if (error.message.includes('string did not match the expected pattern')) {
+                errorMessage = 'APIキーの形式が正しくありません。Google Cloud コンソールで生成されたAPIキーを使用してください。';
+            } else if (error.message.includes('SERVICE_DISABLED')) {
+                errorMessage = 'Text-to-Speech APIが有効化されていません。Google Cloudコンソールで有効化してください。';
+            } else if (error.message.includes('PERMISSION_DENIED')) {
+                errorMessage = 'APIキーの権限が不足しています。Text-to-Speech APIへのアクセス権限を確認してください。';
+            } else if (error.message.includes('blocked')) {
+                errorMessage = 'CORSエラー：ブラウザから直接APIを呼び出せません。サーバー経由での実装を検討してください。';
+            }
+            
+            this.showError(`${errorMessage}: ${error.message}`);
+        }
+    }
+    
+    // Markdownの読み上げ設定（空欄の案内文はサーバーの既定値を使う）
+    getMarkdownOptions() {
+        const options = {
+            headingEmphasis: this.markdownHeadingEmphasis.checked,
+            codeBlocks: this.markdownCodeSelect.value,
+            tables: this.markdownTableSelect.value
+        };
+        
+        const codeAnnouncement = this.markdownCodeAnnouncement.value.trim();
+        if (codeAnnouncement) options.codeAnnouncement = codeAnnouncement;
+        const tableAnnouncement = this.markdownTableAnnouncement.value.trim();
+        if (tableAnnouncement) options.tableAnnouncement = tableAnnouncement;
+        if (this.markdownQuoteVoiceSelect.value) options.quoteVoice = this.markdownQuoteVoiceSelect.value;
+        
+        return options;
+    }
+    
+    // サーバーの音声一覧で音声の選択肢を作り直す（取得できない場合はHTMLに書かれた選択肢を使う）
+    async loadVoices() {
+        try {
+            const response = await fetch('/api/voices');
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || '音声リストの取得に失敗しました');
+            }
+            if (!Array.isArray(data.voices) || data.voices.length === 0) return;
+            
+            this.renderVoices(data.voices);
+        } catch (error) {
+            console.error('音声リストの取得エラー:', error);
+        }
+    }
+    
+    // 言語ごとにまとめて表示する（選択中の音声は一覧にあればそのまま残す）
+    renderVoices(voices) {
+        const previous = this.voiceSelect.value;
+        const previousQuote = this.markdownQuoteVoiceSelect.value;
+        
+        this.voiceSelect.textContent = '';
+        this.markdownQuoteVoiceSelect.textContent = '';
+        this.markdownQuoteVoiceSelect.appendChild(new Option('引用: 同じ音声で読む', ''));
+        
+        const groups = new Map();
+        for (const voice of voices) {
+            if (!groups.has(voice.languageName)) {
+                const group = document.createElement('optgroup');
+                group.label = voice.languageName;
+                groups.set(voice.languageName, group);
+                this.voiceSelect.appendChild(group);
+            }
+            
+            const option = new Option(voice.label, voice.name);
+            if (voice.gender) option.dataset.gender = voice.gender;
+            groups.get(voice.languageName).appendChild(option);
+            this.markdownQuoteVoiceSelect.appendChild(new Option(`引用: ${voice.label}`, voice.name));
+        }
+        
+        const names = voices.map(voice => voice.name);
+        this.voiceSelect.value = names.includes(previous)
+            ? previous
+            : (names.find(name => name.startsWith('ja-')) || names[0]);
+        this.markdownQuoteVoiceSelect.value = names.includes(previousQuote) ? previousQuote : '';
+        
+        if (this.defaultPresetPending) {
+            this.defaultPresetPending = !this.applyDefaultPreset();
+        }
+        this.updatePairedVoices();
+        this.updateNormalizationAvailability();
+        this.updateAuditionVoices();
+        if (this.inputTypeSelect.value === 'dialogue') {
+            this.dialogueSpeakerKey = null;
+            this.renderDialogueSpeakers();
+        }
+    }
+    
+    // 聴き比べの音声の候補（選択中の音声は残し、未選択なら現在の音声を選ぶ）
+    updateAuditionVoices() {
+        const selected = [...this.auditionVoiceSelect.selectedOptions].map(option => option.value);
+        if (selected.length === 0) selected.push(this.voiceSelect.value);
+        
+        this.auditionVoiceSelect.textContent = '';
+        for (const option of this.voiceSelect.options) {
+            const auditionOption = new Option(option.textContent, option.value);
+            auditionOption.selected = selected.includes(option.value);
+            this.auditionVoiceSelect.appendChild(auditionOption);
+        }
+    }
+    
+    setAuditionStatus(message, type = '') {
+        this.auditionStatus.textContent = message;
+        this.auditionStatus.className = type ? `save-status ${type}` : 'save-status';
+    }
+    
+    // 選んだ音声・速度の組み合わせをまとめて合成する
+    async runAudition() {
+        const text = this.auditionTextInput.value.trim() || this.textInput.value.trim().substring(0, MAX_AUDITION_TEXT_LENGTH);
+        const voices = [...this.auditionVoiceSelect.selectedOptions].map(option => option.value);
+        const speeds = this.auditionSpeedsInput.value.split(/[,、\s]+/).filter(Boolean).map(Number);
+        
+        if (!text) {
+            this.setAuditionStatus('❌ 聴き比べる文を入力してください', 'error');
+            return;
+        }
+        if (voices.length === 0) {
+            this.setAuditionStatus('❌ 聴き比べる音声を選んでください', 'error');
+            return;
+        }
+        if (speeds.length === 0 || speeds.some(speed => isNaN(speed))) {
+            this.setAuditionStatus('❌ 速度は数値をカンマ区切りで入力してください（例: 1.0, 1.25）', 'error');
+            return;
+        }
+        
+        this.auditionBtn.disabled = true;
+        this.setAuditionStatus(`${voices.length * speeds.length}件の音声を生成中...`);
+        
+        try {
+            const response = await fetch('/api/audition', {
+                method: 'POST',
+                headers: await this.getServerHeaders(),
+                body: JSON.stringify({
+                    text,
+                    voices,
+                    speeds,
+                    ...this.getAudioSettings()
+                })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || '聴き比べ用の音声の生成に失敗しました');
+            }
+            
+            this.renderAudition(data.samples);
+            const totalCost = data.samples
+                .filter(sample => !sample.cached && sample.costUsd !== null)
+                .reduce((sum, sample) => sum + sample.costUsd, 0);
+            this.setAuditionStatus(`✅ ${data.samples.length}件（今回の料金の目安: $${totalCost.toFixed(4)}）`, 'success');
+        } catch (error) {
+            this.setAuditionStatus(`❌ ${error.message}`, 'error');
+        } finally {
+            this.auditionBtn.disabled = false;
+        }
+    }
+    
+    // サンプルごとにラベル・料金・プレーヤー・☆（既定に設定）を並べる
+    renderAudition(samples) {
+        for (const url of this.auditionUrls) URL.revokeObjectURL(url);
+        this.auditionUrls = [];
+        this.auditionGrid.textContent = '';
+        
+        const labels = new Map([...this.voiceSelect.options].map(option => [option.value, option.textContent]));
+        for (const sample of samples) {
+            const card = document.createElement('div');
+            card.className = 'audition-card';
+            card.dataset.voice = sample.voice;
+            card.dataset.speed = sample.speed;
+            
+            const header = document.createElement('div');
+            header.className = 'audition-card-header';
+            
+            const title = document.createElement('span');
+            title.className = 'audition-card-title';
+            title.textContent = `${labels.get(sample.voice) || sample.voice}・${sample.speed}x`;
+            
+            const starBtn = document.createElement('button');
+            starBtn.type = 'button';
+            starBtn.className = 'audition-star-btn';
+            starBtn.addEventListener('click', () => {
+                this.saveDefaultPreset({ voice: sample.voice, speed: sample.speed });
+            });
+            header.append(title, starBtn);
+            
+            const meta = document.createElement('span');
+            meta.className = 'audition-card-meta';
+            meta.textContent = [
+                sample.voice,
+                `${sample.durationSeconds.toFixed(1)}秒`,
+                `${sample.characters}文字`,
+                sample.costUsd === null ? '料金不明' : `$${sample.costUsd.toFixed(4)}`,
+                sample.cached ? 'キャッシュ' : ''
+            ].filter(Boolean).join('・');
+            
+            const bytes = Uint8Array.from(atob(sample.audioContent), char => char.charCodeAt(0));
+            const url = URL.createObjectURL(new Blob([bytes], { type: sample.contentType }));
+            this.auditionUrls.push(url);
+            
+            const player = document.createElement('audio');
+            player.controls = true;
+            player.preload = 'metadata';
+            player.src = url;
+            
+            card.append(header, meta, player);
+            this.auditionGrid.appendChild(card);
+        }
+        
+        this.updateAuditionFavorites();
+    }
+    
+    // 既定の音声・速度と一致するサンプルに★を付ける
+    updateAuditionFavorites() {
+        const preset = this.defaultPreset;
+        for (const card of this.auditionGrid.children) {
+            const favorite = !!preset && card.dataset.voice === preset.voice && parseFloat(card.dataset.speed) === preset.speed;
+            card.classList.toggle('favorite', favorite);
+            const starBtn = card.querySelector('.audition-star-btn');
+            starBtn.textContent = favorite ? '★' : '☆';
+            starBtn.title = favorite ? '既定の設定です' : '既定の設定にする';
+        }
+    }
+    
+    loadDefaultPreset() {
+        try {
+            const preset = JSON.parse(localStorage.getItem(DEFAULT_PRESET_STORAGE_KEY));
+            return preset && typeof preset.voice === 'string' && typeof preset.speed === 'number' ? preset : null;
+        } catch (error) {
+            console.error('既定の設定の読み込みに失敗:', error);
+            return null;
+        }
+    }
+    
+    saveDefaultPreset(preset) {
+        try {
+            localStorage.setItem(DEFAULT_PRESET_STORAGE_KEY, JSON.stringify(preset));
+        } catch (error) {
+            console.error('既定の設定の保存に失敗:', error);
+            this.setAuditionStatus('❌ 既定の設定の保存に失敗しました', 'error');
+            return;
+        }
+        
+        this.defaultPreset = preset;
+        this.defaultPresetPending = !this.applyDefaultPreset();
+        this.updateAuditionFavorites();
+        this.setAuditionStatus(`★ ${preset.voice}（${preset.speed}x）を既定の設定にしました`, 'success');
+    }
+    
+    // 既定の音声・速度を音声設定に反映する（音声が選択肢にない場合は false）
+    applyDefaultPreset() {
+        const preset = this.defaultPreset;
+        if (!preset || ![...this.voiceSelect.options].some(option => option.value === preset.voice)) return false;
         
-        // 文字カウンター
-        this.textInput.addEventListener('input', () => {
-            const count = this.textInput.value.length;
-            this.charCount.textContent = count;
-            
-            // 文字数制限の色分け
-            if (count > 4500) {
-                this.charCount.style.color = '#dc3545';
-            } else if (count > 4000) {
-                this.charCount.style.color = '#ffc107';
-            } else {
-                this.charCount.style.color = '#6c757d';
+        this.voiceSelect.value = preset.voice;
+        this.speedRange.value = preset.speed;
+        this.speedValue.textContent = `${this.speedRange.value}x`;
+        this.updatePairedVoices();
+        this.updateNormalizationAvailability();
+        return true;
+    }
+    
+    // 主な音声と別の言語（日本語⇔英語）の音声を組み合わせる音声の候補にする
+    updatePairedVoices() {
+        const language = this.voiceSelect.value.substring(0, 2);
+        const pairedLanguage = { ja: 'en', en: 'ja' }[language];
+        const previous = this.pairedVoiceSelect.value;
+        
+        this.pairedVoiceSelect.textContent = '';
+        for (const option of this.voiceSelect.options) {
+            if (pairedLanguage && option.value.startsWith(`${pairedLanguage}-`)) {
+                this.pairedVoiceSelect.appendChild(new Option(option.textContent, option.value));
             }
-        });
+        }
+        if ([...this.pairedVoiceSelect.options].some(option => option.value === previous)) {
+            this.pairedVoiceSelect.value = previous;
+        }
         
-        this.speedRange.addEventListener('input', () => {
-            this.speedValue.textContent = `${this.speedRange.value}x`;
-        });
+        const supported = this.pairedVoiceSelect.options.length > 0;
+        this.languageSwitchSelect.disabled = !supported;
+        if (!supported) {
+            this.languageSwitchSelect.value = 'off';
+            this.languageSwitchOptions.style.display = 'none';
+        }
+    }
+    
+    // 言語の自動切り替えの設定（テキスト入力で有効にしている場合のみ）
+    getLanguageSwitch() {
+        if (this.languageSwitchSelect.value !== 'on' || this.inputTypeSelect.value !== 'text') return undefined;
         
-        this.generateBtn.addEventListener('click', () => {
-            this.generateSpeech();
-        });
+        return {
+            pairedVoice: this.pairedVoiceSelect.value,
+            minRunLength: parseInt(this.minRunLengthInput.value, 10) || undefined
+        };
+    }
+    
+    // 読みの正規化は日本語の読みに書き換えるため、日本語の音声でのみ選べるようにする
+    updateNormalizationAvailability() {
+        const supported = this.voiceSelect.value.startsWith('ja-');
+        this.normalizationSelect.disabled = !supported;
+        if (!supported) {
+            this.normalizationSelect.value = 'off';
+            this.normalizationOptions.style.display = 'none';
+        }
+    }
+    
+    // 読みの正規化の設定（テキスト入力で有効にしている場合のみ）
+    getNormalization() {
+        if (this.normalizationSelect.value === 'off' || this.normalizationSelect.disabled || this.inputTypeSelect.value !== 'text') return undefined;
         
-        this.downloadBtn.addEventListener('click', () => {
-            this.downloadAudio();
-        });
+        return {
+            mode: this.normalizationSelect.value,
+            rules: [...this.normalizationOptions.querySelectorAll('input[name="normalizationRule"]:checked')].map(input => input.value)
+        };
+    }
+    
+    // 合成する前に、正規化後のテキストと書き換えた箇所をサーバーで確認する
+    async previewNormalization() {
+        const text = this.sanitizeText(this.textInput.value.trim());
+        const normalization = this.getNormalization();
+        if (!text) {
+            this.normalizationStatus.textContent = '❌ テキストを入力してください';
+            this.normalizationStatus.className = 'save-status error';
+            return;
+        }
+        if (!normalization) return;
         
-        this.copyLinkBtn.addEventListener('click', () => {
-            this.copyAudioLink();
-        });
+        this.normalizationPreviewBtn.disabled = true;
+        this.normalizationStatus.textContent = '正規化中...';
+        this.normalizationStatus.className = 'save-status';
         
-        // エンターキー + Ctrlで生成
-        this.textInput.addEventListener('keydown', (e) => {
-            if (e.ctrlKey && e.key === 'Enter') {
-                this.generateSpeech();
+        try {
+            // プレビューは状態を変更しないため、CSRFトークンなしで送る
+            const response = await fetch('/api/normalize', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text, voice: this.voiceSelect.value, normalization })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || '読みの正規化に失敗しました');
             }
-        });
+            
+            const changes = data.changes.map(change => `${change.original} → ${change.replacement || '（削除）'}`);
+            if (data.changeCount > data.changes.length) {
+                changes.push(`ほか${data.changeCount - data.changes.length}件`);
+            }
+            this.normalizationPreview.textContent = changes.length > 0
+                ? `${data.output}\n\n--- 書き換えた箇所 ---\n${changes.join('\n')}`
+                : data.output;
+            this.normalizationPreview.style.display = 'block';
+            this.normalizationStatus.textContent = `✅ ${data.changeCount}件を書き換え（課金 ${data.characters.before.toLocaleString()} → ${data.characters.after.toLocaleString()}文字）`;
+            this.normalizationStatus.className = 'save-status success';
+        } catch (error) {
+            this.normalizationStatus.textContent = `❌ ${error.message}`;
+            this.normalizationStatus.className = 'save-status error';
+        } finally {
+            this.normalizationPreviewBtn.disabled = false;
+        }
     }
     
-    hideAllSections() {
-        this.loadingDiv.style.display = 'none';
-        this.resultDiv.style.display = 'none';
-        this.errorDiv.style.display = 'none';
+    // 台本に登場する話者名（登場順）
+    detectDialogueSpeakers(script) {
+        const speakers = [];
+        for (const row of script.split('\n')) {
+            const match = row.trim().match(DIALOGUE_SPEAKER_PATTERN);
+            if (!match || /^[\d\s]+$/.test(match[1])) continue;
+            
+            const name = match[1].trim();
+            if (!speakers.includes(name)) speakers.push(name);
+        }
+        return speakers;
     }
     
-    showError(message) {
-        this.hideAllSections();
-        this.errorDiv.textContent = message;
-        this.errorDiv.style.display = 'block';
-        this.generateBtn.disabled = false;
+    // 話者の設定（初めての話者には全体の音声と同じ言語の音声を順番に割り当てる）
+    getDialogueSpeakerSettings(name, index) {
+        if (!this.dialogueSpeakers.has(name)) {
+            const language = this.voiceSelect.value.substring(0, 5);
+            const voices = [...this.voiceSelect.options]
+                .map(option => option.value)
+                .filter(voice => voice.startsWith(language));
+            this.dialogueSpeakers.set(name, {
+                voice: voices.length > 0 ? voices[index % voices.length] : this.voiceSelect.value,
+                speed: parseFloat(this.speedRange.value),
+                pitch: parseFloat(this.pitchRange.value)
+            });
+        }
+        return this.dialogueSpeakers.get(name);
     }
     
-    showLoading() {
-        this.hideAllSections();
-        this.loadingDiv.style.display = 'block';
-        this.generateBtn.disabled = true;
+    // 検出した話者ごとに音声・速度・ピッチを選べるようにする（入力中のフォーカスを保つため話者が変わったときだけ作り直す）
+    renderDialogueSpeakers() {
+        const speakers = this.detectDialogueSpeakers(this.textInput.value);
+        const key = speakers.join('\n');
+        if (key === this.dialogueSpeakerKey) return;
+        this.dialogueSpeakerKey = key;
+        
+        this.dialogueSpeakerList.textContent = '';
+        if (speakers.length === 0) {
+            this.dialogueStatus.textContent = '台本に「話者名: セリフ」の行を入力すると話者が表示されます';
+            this.dialogueStatus.className = 'save-status';
+            return;
+        }
+        
+        if (speakers.length > MAX_DIALOGUE_SPEAKERS) {
+            this.dialogueStatus.textContent = `話者は${MAX_DIALOGUE_SPEAKERS}人までです（${speakers.length}人の話者が見つかりました）`;
+            this.dialogueStatus.className = 'save-status error';
+        } else {
+            this.dialogueStatus.textContent = `${speakers.length}人の話者`;
+            this.dialogueStatus.className = 'save-status';
+        }
+        
+        speakers.forEach((name, index) => {
+            const settings = this.getDialogueSpeakerSettings(name, index);
+            
+            const row = document.createElement('div');
+            row.className = 'dialogue-speaker';
+            
+            const nameLabel = document.createElement('span');
+            nameLabel.className = 'dialogue-speaker-name';
+            nameLabel.textContent = name;
+            
+            const voiceSelect = document.createElement('select');
+            voiceSelect.className = 'setting-select';
+            for (const option of this.voiceSelect.options) {
+                voiceSelect.appendChild(new Option(option.textContent, option.value));
+            }
+            voiceSelect.value = settings.voice;
+            voiceSelect.addEventListener('change', () => {
+                settings.voice = voiceSelect.value;
+            });
+            
+            const speedLabel = document.createElement('label');
+            speedLabel.textContent = '速度 ';
+            const speedInput = document.createElement('input');
+            speedInput.type = 'number';
+            speedInput.className = 'setting-input';
+            speedInput.min = '0.25';
+            speedInput.max = '4';
+            speedInput.step = '0.05';
+            speedInput.value = settings.speed;
+            speedInput.addEventListener('change', () => {
+                settings.speed = parseFloat(speedInput.value);
+            });
+            speedLabel.appendChild(speedInput);
+            
+            const pitchLabel = document.createElement('label');
+            pitchLabel.textContent = 'ピッチ ';
+            const pitchInput = document.createElement('input');
+            pitchInput.type = 'number';
+            pitchInput.className = 'setting-input';
+            pitchInput.min = '-20';
+            pitchInput.max = '20';
+            pitchInput.step = '1';
+            pitchInput.value = settings.pitch;
+            pitchInput.addEventListener('change', () => {
+                settings.pitch = parseFloat(pitchInput.value);
+            });
+            pitchLabel.appendChild(pitchInput);
+            
+            row.append(nameLabel, voiceSelect, speedLabel, pitchLabel);
+            this.dialogueSpeakerList.appendChild(row);
+        });
     }
     
-    showResult(audioBlob) {
-        this.hideAllSections();
-        this.currentAudioBlob = audioBlob;
+    // 台本の話者ごとの音声設定とセリフの間
+    getDialogueOptions() {
+        const speakers = {};
+        this.detectDialogueSpeakers(this.textInput.value).forEach((name, index) => {
+            speakers[name] = this.getDialogueSpeakerSettings(name, index);
+        });
         
-        const audioUrl = URL.createObjectURL(audioBlob);
-        this.audioPlayer.src = audioUrl;
-        this.resultDiv.style.display = 'block';
-        this.generateBtn.disabled = false;
+        return {
+            gapMs: parseInt(this.dialogueGapRange.value, 10),
+            speakers
+        };
     }
     
-    // APIキーを取得（入力されている場合は優先）
-    getCurrentApiKey() {
-        const inputApiKey = this.apiKeyInput.value.trim();
-        return inputApiKey || this.apiKey;
+    // 音量と無音の調整の設定（調整しない場合は undefined）
+    getPostProcessing() {
+        return POST_PROCESSING_PRESETS[this.postProcessingSelect.value];
     }
     
-    // 入力値のサニタイゼーション
-    sanitizeText(text) {
-        if (typeof text !== 'string') return '';
+    // ピッチ・音量・サンプルレート・デバイスプロファイルの設定値
+    getAudioSettings() {
+        const settings = {
+            pitch: parseFloat(this.pitchRange.value),
+            volumeGainDb: parseFloat(this.volumeRange.value),
+            effectsProfile: this.effectsProfileSelect.value
+        };
         
-        return text
-            .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '') // スクリプトタグ除去
-            .replace(/<[^>]*>/g, '') // HTMLタグ除去
-            .replace(/javascript:/gi, '') // JavaScriptプロトコル除去
-            .replace(/on\w+\s*=\s*["'][^"']*["']/gi, '') // イベントハンドラー除去
-            .trim()
-            .substring(0, 5000); // 文字数制限
+        if (this.sampleRateSelect.value) {
+            settings.sampleRateHertz = parseInt(this.sampleRateSelect.value, 10);
+        }
+        
+        return settings;
     }
     
-    // APIキーの検証
-    validateApiKey(apiKey) {
-        if (!apiKey || typeof apiKey !== 'string') {
-            return { valid: false, error: 'APIキーが必要です' };
-        }
-
-        if (apiKey === 'YOUR_API_KEY_HERE') {
-            return { valid: false, error: '実際のAPIキーを入力してください' };
-        }
-
-        if (!apiKey.startsWith('AIza')) {
-            return { valid: false, error: 'Google Cloud APIキーの形式が正しくありません' };
+    // サーバーAPI用のヘッダー（secure-server.js ではCSRFトークンが必要）
+    async getServerHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        
+        try {
+            const tokenResponse = await fetch('/api/csrf-token');
+            if (tokenResponse.ok) {
+                const { csrfToken } = await tokenResponse.json();
+                headers['X-CSRF-Token'] = csrfToken;
+            }
+        } catch (error) {
+            console.warn('CSRFトークンの取得に失敗:', error);
         }
-
-        if (apiKey.length < 35 || apiKey.length > 45) {
-            return { valid: false, error: 'APIキーの長さが正しくありません' };
+        
+        return headers;
+    }
+    
+    // サーバーで合成するリクエストのボディ（見積もりにも同じ内容を送る）
+    getSynthesisBody(text, inputType) {
+        // SSMLで出力する正規化では、テキスト入力のみの機能は使えない
+        const normalization = this.getNormalization();
+        const plainText = inputType === 'text' && !(normalization && normalization.mode === 'ssml');
+        
+        return {
+            text: text,
+            inputType: inputType,
+            voice: this.voiceSelect.value,
+            speed: parseFloat(this.speedRange.value),
+            format: this.formatSelect.value,
+            headings: this.getArticleHeadings(),
+            // 読み上げ位置はテキスト入力のみ対応（言語の自動切り替えとは併用できない）
+            timepoints: plainText && !this.getLanguageSwitch() ? this.timepointsSelect.value : 'none',
+            languageSwitch: plainText ? this.getLanguageSwitch() : undefined,
+            normalization: normalization,
+            postProcessing: this.getPostProcessing(),
+            template: this.templateSelect.value || undefined,
+            markdown: inputType === 'markdown' ? this.getMarkdownOptions() : undefined,
+            dialogue: inputType === 'dialogue' ? this.getDialogueOptions() : undefined,
+            ...this.getTagMetadata(),
+            ...this.getAudioSettings()
+        };
+    }
+    
+    // サーバー経由の音声生成（ジョブとして登録し、完了までポーリング）
+    async callServerTTSAPI(text, inputType = 'text', publishable = false) {
+        const response = await fetch('/api/jobs', {
+            method: 'POST',
+            headers: await this.getServerHeaders(),
+            body: JSON.stringify(this.getSynthesisBody(text, inputType))
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || 'サーバーエラーが発生しました');
         }
-
-        // 危険な文字のチェック
-        if (!/^[A-Za-z0-9_-]+$/.test(apiKey)) {
-            return { valid: false, error: 'APIキーに無効な文字が含まれています' };
+        
+        const { job } = await response.json();
+        this.currentJobId = job.id;
+        this.cancelBtn.style.display = 'inline-block';
+        
+        try {
+            const finishedJob = await this.waitForJob(job.id);
+            
+            if (finishedJob.state === 'cancelled') {
+                throw new Error('音声生成をキャンセルしました');
+            }
+            if (finishedJob.state !== 'completed') {
+                throw new Error(finishedJob.error || 'ジョブが失敗しました');
+            }
+            
+            const audioResponse = await fetch(`/api/jobs/${job.id}/audio`);
+            if (!audioResponse.ok) {
+                throw new Error('音声データの取得に失敗しました');
+            }
+            
+            if (publishable) {
+                this.publishableJobId = job.id;
+            }
+            this.currentChapters = finishedJob.chapters || [];
+            // ジョブは24時間で削除されるため、保存済みならライブラリから字幕を取得する
+            this.subtitleBaseUrl = finishedJob.libraryId
+                ? `/api/library/${finishedJob.libraryId}`
+                : `/api/jobs/${job.id}`;
+            if (finishedJob.timepoints) {
+                // 取得できなくても音声の再生には影響させない
+                const alignmentResponse = await fetch(`/api/jobs/${job.id}/alignment.json`);
+                this.currentAlignment = alignmentResponse.ok ? await alignmentResponse.json() : null;
+            }
+            return audioResponse.blob();
+        } finally {
+            this.currentJobId = null;
+            this.cancelBtn.style.display = 'none';
         }
-
-        return { valid: true };
     }
     
-    async generateSpeech() {
-        const rawText = this.textInput.value.trim();
-        if (!rawText) {
-            this.showError('テキストを入力してください。');
-            return;
+    // ジョブが終了するまで進捗を表示しながら待機
+    async waitForJob(jobId) {
+        for (;;) {
+            await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+            
+            const response = await fetch(`/api/jobs/${jobId}`);
+            if (!response.ok) {
+                throw new Error('ジョブの状態を取得できませんでした');
+            }
+            
+            const { job } = await response.json();
+            const { completedChunks, totalChunks } = job.progress;
+            
+            if (job.state === 'queued') {
+                this.updateLoadingMessage('順番待ちです...');
+            } else if (job.state === 'running' && totalChunks > 1) {
+                this.updateLoadingMessage(`音声を生成中... (${completedChunks}/${totalChunks})`);
+            }
+            
+            if (!['queued', 'running'].includes(job.state)) {
+                return job;
+            }
         }
+    }
+    
+    // 生成した音声をポッドキャストのエピソードとして公開
+    async publishEpisode() {
+        if (!this.publishableJobId) return;
         
-        // APIキーの検証
-        const currentApiKey = this.getCurrentApiKey();
-        const apiKeyValidation = this.validateApiKey(currentApiKey);
-        if (!apiKeyValidation.valid) {
-            this.showError(apiKeyValidation.error);
-            return;
+        // タイトルが未入力の場合は入力してもらう
+        let title = this.tagTitleInput.value.trim();
+        if (!title) {
+            title = (window.prompt('エピソードのタイトルを入力してください') || '').trim();
+            if (!title) return;
         }
         
-        // 入力値をサニタイズ
-        const text = this.sanitizeText(rawText);
-        if (!text) {
-            this.showError('有効なテキストを入力してください。');
-            return;
-        }
+        this.publishBtn.disabled = true;
+        this.publishStatus.textContent = '📡 公開しています...';
         
-        let processedText = text;
-        const isPreviewMode = this.previewToggle.value === 'preview';
+        try {
+            const response = await fetch('/api/episodes', {
+                method: 'POST',
+                headers: await this.getServerHeaders(),
+                body: JSON.stringify({ jobId: this.publishableJobId, title })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || 'エピソードの公開に失敗しました');
+            }
+            
+            this.publishableJobId = null;
+            this.publishBtn.style.display = 'none';
+            
+            const feedLink = document.createElement('a');
+            feedLink.href = '/feed.xml';
+            feedLink.target = '_blank';
+            feedLink.rel = 'noopener';
+            feedLink.textContent = 'RSSフィード';
+            this.publishStatus.textContent = `✅ 「${data.episode.title}」を公開しました：`;
+            this.publishStatus.appendChild(feedLink);
+        } catch (error) {
+            this.publishBtn.disabled = false;
+            this.publishStatus.textContent = `❌ ${error.message}`;
+        }
+    }
+    
+    // 実行中のジョブをキャンセル
+    async cancelCurrentJob() {
+        if (!this.currentJobId) return;
         
-        // プレビューモードの場合、先頭500文字のみを使用
-        if (isPreviewMode) {
-            processedText = text.substring(0, 500);
-            if (text.length > 500) {
-                processedText += '...（プレビューモードです。全文を音声化するには「全文」を選択してください）';
+        try {
+            await fetch(`/api/jobs/${this.currentJobId}`, {
+                method: 'DELETE',
+                headers: await this.getServerHeaders()
+            });
+        } catch (error) {
+            console.error('ジョブのキャンセルに失敗:', error);
+        }
+    }
+    
+    // Google Cloudへ直接接続する場合はブラウザ側で分割して順番に合成
+    async synthesizeInChunks(text, apiKey, inputType = 'text') {
+        let chunks;
+        if (inputType === 'ssml') {
+            // SSMLの分割はサーバー側でのみ対応
+            if (new TextEncoder().encode(text).length > MAX_CHUNK_BYTES) {
+                throw new Error('長いSSMLは接続方法を「サーバー経由」にして生成してください');
             }
+            chunks = [text];
+        } else {
+            chunks = this.splitTextIntoChunks(text);
         }
         
-        if (processedText.length > 5000) {
-            this.showError('テキストが長すぎます。5000文字以内で入力してください。');
-            return;
+        const format = { ...AUDIO_FORMATS[this.formatSelect.value] };
+        const { sampleRateHertz } = this.getAudioSettings();
+        if (sampleRateHertz) format.sampleRateHertz = sampleRateHertz;
+        
+        // Oggのストリームをそのまま連結すると最初のチャンクで再生が止まるため、1つのストリームへのまとめ直しはサーバー側でのみ対応
+        if (chunks.length > 1 && format.audioEncoding === 'OGG_OPUS') {
+            throw new Error('長い文章をOGGで生成するにはMP3・WAVを選ぶか、接続方法を「サーバー経由」にしてください');
         }
         
-        this.showLoading();
+        const audioParts = [];
         
-        try {
-            // Google Cloud Text-to-Speech APIリクエスト
-            const response = await this.callGoogleTTSAPI(processedText, currentApiKey);
+        for (let i = 0; i < chunks.length; i++) {
+            if (chunks.length > 1) {
+                this.updateLoadingMessage(`音声を生成中... (${i + 1}/${chunks.length})`);
+            }
             
-            if (response.audioContent) {
-                // Base64をBlobに変換
-                const audioBlob = this.base64ToBlob(response.audioContent, 'audio/mpeg');
-                this.showResult(audioBlob);
-            } else {
+            const response = await this.callGoogleTTSAPI(chunks[i], apiKey, inputType);
+            if (!response.audioContent) {
                 throw new Error('音声データが生成されませんでした');
             }
             
-        } catch (error) {
-            console.error('音声生成エラー:', error);
-            
-            // エラーメッセージを日本語化
-            let errorMessage = '音声生成に失敗しました';
+            audioParts.push(this.base64ToBytes(response.audioContent));
+        }
+        
+        // WAV形式はチャンクごとのヘッダーを外して付け直す
+        if (format.audioEncoding === 'LINEAR16' || format.audioEncoding === 'MULAW') {
+            return this.mergeWavParts(audioParts, format);
+        }
+        
+        // MP3フレームはそのまま連結して1つの音声にできる
+        return new Blob(audioParts, { type: format.mimeType });
+    }
+    
+    // WAVチャンクのサンプルデータを連結し、正しい長さのWAVヘッダーを付ける
+    mergeWavParts(parts, format) {
+        const samples = parts.map(bytes => {
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const isWav = bytes.length > 12 && String.fromCharCode(...bytes.subarray(0, 4)) === 'RIFF';
+            if (!isWav) return bytes;
             
-            if (error.message.includes('API key not valid')) {
-                errorMessage = 'APIキーが無効です。正しいAPIキーを入力してください。';
-            } else if (error.message.includes('quota')) {
-                errorMessage = 'API使用量制限に達しています。しばらく待ってから再試行してください。';
-            } else if (error.message.includes('string did not match the expected pattern')) {
-                errorMessage = 'APIキーの形式が正しくありません。Google Cloud コンソールで生成されたAPIキーを使用してください。';
-            } else if (error.message.includes('SERVICE_DISABLED')) {
-                errorMessage = 'Text-to-Speech APIが有効化されていません。Google Cloudコンソールで有効化してください。';
-            } else if (error.message.includes('PERMISSION_DENIED')) {
-                errorMessage = 'APIキーの権限が不足しています。Text-to-Speech APIへのアクセス権限を確認してください。';
-            } else if (error.message.includes('blocked')) {
-                errorMessage = 'CORSエラー：ブラウザから直接APIを呼び出せません。サーバー経由での実装を検討してください。';
+            let offset = 12;
+            while (offset + 8 <= bytes.length) {
+                const chunkId = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+                const chunkSize = view.getUint32(offset + 4, true);
+                if (chunkId === 'data') {
+                    return bytes.subarray(offset + 8, Math.min(offset + 8 + chunkSize, bytes.length));
+                }
+                offset += 8 + chunkSize + (chunkSize % 2);
             }
-            
-            this.showError(`${errorMessage}: ${error.message}`);
-        }
+            return new Uint8Array(0);
+        });
+        
+        const dataLength = samples.reduce((total, part) => total + part.length, 0);
+        const isMulaw = format.audioEncoding === 'MULAW';
+        const bitsPerSample = isMulaw ? 8 : 16;
+        const header = new DataView(new ArrayBuffer(44));
+        const writeString = (offset, value) => {
+            for (let i = 0; i < value.length; i++) header.setUint8(offset + i, value.charCodeAt(i));
+        };
+        
+        writeString(0, 'RIFF');
+        header.setUint32(4, 36 + dataLength, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        header.setUint32(16, 16, true);
+        header.setUint16(20, isMulaw ? 7 : 1, true);
+        header.setUint16(22, 1, true);
+        header.setUint32(24, format.sampleRateHertz, true);
+        header.setUint32(28, format.sampleRateHertz * bitsPerSample / 8, true);
+        header.setUint16(32, bitsPerSample / 8, true);
+        header.setUint16(34, bitsPerSample, true);
+        writeString(36, 'data');
+        header.setUint32(40, dataLength, true);
+        
+        return new Blob([header.buffer, ...samples], { type: format.mimeType });
     }
     
     // Google Cloud Text-to-Speech API呼び出し
-    async callGoogleTTSAPI(text, apiKey) {
+    async callGoogleTTSAPI(text, apiKey, inputType = 'text') {
         const voice = this.voiceSelect.value;
         const speed = parseFloat(this.speedRange.value);
         const languageCode = voice.substring(0, 5); // 例: "ja-JP"
+        const format = AUDIO_FORMATS[this.formatSelect.value];
+        const settings = this.getAudioSettings();
+        
+        const effectsProfileId = EFFECTS_PROFILES[settings.effectsProfile];
         
         const requestBody = {
-            input: {
-                text: text
-            },
+            input: inputType === 'ssml' ? { ssml: text } : { text: text },
             voice: {
                 languageCode: languageCode,
                 name: voice,
-                ssmlGender: voice.includes('B') || voice.includes('F') ? 'FEMALE' : 'MALE'
+                ssmlGender: this.voiceSelect.selectedOptions[0].dataset.gender || (voice.includes('B') || voice.includes('F') ? 'FEMALE' : 'MALE')
             },
             audioConfig: {
-                audioEncoding: 'MP3',
+                audioEncoding: format.audioEncoding,
                 speakingRate: speed,
-                pitch: 0,
-                volumeGainDb: 0,
-                sampleRateHertz: 24000,
-                effectsProfileId: ['large-home-entertainment-class-device']
+                pitch: settings.pitch,
+                volumeGainDb: settings.volumeGainDb,
+                sampleRateHertz: settings.sampleRateHertz || format.sampleRateHertz,
+                effectsProfileId: effectsProfileId ? [effectsProfileId] : []
             }
         };
         
@@ -301,17 +2480,21 @@ class TextToSpeechApp {
         return data;
     }
     
-    // Base64をBlobに変換
-    base64ToBlob(base64, mimeType) {
+    // Base64をバイト列に変換
+    base64ToBytes(base64) {
         const byteCharacters = atob(base64);
-        const byteNumbers = new Array(byteCharacters.length);
+        const byteArray = new Uint8Array(byteCharacters.length);
         
         for (let i = 0; i < byteCharacters.length; i++) {
-            byteNumbers[i] = byteCharacters.charCodeAt(i);
+            byteArray[i] = byteCharacters.charCodeAt(i);
         }
         
-        const byteArray = new Uint8Array(byteNumbers);
-        return new Blob([byteArray], { type: mimeType });
+        return byteArray;
+    }
+    
+    // Base64をBlobに変換
+    base64ToBlob(base64, mimeType) {
+        return new Blob([this.base64ToBytes(base64)], { type: mimeType });
     }
     
     downloadAudio() {
@@ -320,13 +2503,26 @@ class TextToSpeechApp {
         const url = URL.createObjectURL(this.currentAudioBlob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `japanese-tts-audio-${Date.now()}.mp3`;
+        const { extension } = AUDIO_FORMATS[this.currentAudioFormat] || AUDIO_FORMATS.mp3;
+        a.download = `japanese-tts-audio-${Date.now()}.${extension}`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
     }
     
+    // 字幕ファイルのダウンロード（ファイル名はサーバーが指定する）
+    downloadSubtitles(format) {
+        if (!this.subtitleBaseUrl) return;
+        
+        const a = document.createElement('a');
+        a.href = `${this.subtitleBaseUrl}/subtitles.${format}`;
+        a.download = '';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+    }
+    
     async copyAudioLink() {
         if (!this.currentAudioBlob) return;
         
@@ -349,6 +2545,42 @@ class TextToSpeechApp {
         }
     }
     
+    // 接続方法（サーバー経由・APIキーで直接接続）
+    isServerMode() {
+        return this.connectionModeSelect.value !== 'direct';
+    }
+    
+    updateConnectionMode() {
+        const useServer = this.isServerMode();
+        this.directApiSettings.style.display = useServer ? 'none' : 'block';
+        this.connectionModeNote.textContent = useServer
+            ? '※ テキストはこのサーバーに送信され、サーバーからGoogle Cloudに接続します。'
+            : '※ テキストはブラウザーから直接Google Cloudに送信されます。Markdown・台本・読みの正規化・テンプレートなどサーバー経由の機能は使えません。';
+    }
+    
+    // 保存した接続方法がない場合は、以前の動作に合わせてAPIキーを保存済みなら直接接続にする
+    loadConnectionMode() {
+        let mode = null;
+        try {
+            mode = localStorage.getItem(CONNECTION_MODE_STORAGE_KEY);
+        } catch (error) {
+            console.error('接続方法の読み込みに失敗:', error);
+        }
+        if (mode !== 'server' && mode !== 'direct') {
+            mode = this.apiKeyInput.value ? 'direct' : 'server';
+        }
+        this.connectionModeSelect.value = mode;
+        this.updateConnectionMode();
+    }
+    
+    saveConnectionMode() {
+        try {
+            localStorage.setItem(CONNECTION_MODE_STORAGE_KEY, this.connectionModeSelect.value);
+        } catch (error) {
+            console.error('接続方法の保存に失敗:', error);
+        }
+    }
+    
     // APIキー管理メソッド（セキュリティ機能なしの簡易版）
     loadApiKeyFromStorage() {
         try {
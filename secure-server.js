@@ -2,11 +2,37 @@ const express = require('express');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const cors = require('cors');
-const textToSpeech = require('@google-cloud/text-to-speech');
 const path = require('path');
+const { synthesizeLongText, selectSynthesisLexicon } = require('./lib/synthesizer');
+const { parseSynthesisParams, parseMetadata, buildSynthesisRequest } = require('./lib/synthesis-params');
+const { parseCoverArt, tagAudio } = require('./lib/id3');
+const { getAudioFormat } = require('./lib/audio-format');
+const { createProviderFromEnv } = require('./lib/providers');
+const { JobQueue } = require('./lib/job-queue');
+const { AudioCache, getCacheStatus } = require('./lib/audio-cache');
+const { createJobsRouter } = require('./lib/routes/jobs');
+const { createImportRouter } = require('./lib/routes/import');
+const { EpisodeCatalog } = require('./lib/episode-catalog');
+const { EpisodeTemplateStore } = require('./lib/episode-templates');
+const { AudioLibrary } = require('./lib/library');
+const { Lexicon } = require('./lib/lexicon');
+const { createLibraryRouter } = require('./lib/routes/library');
+const { createLexiconRouter } = require('./lib/routes/lexicon');
+const { loadPodcastConfig } = require('./lib/podcast-feed');
+const { createEpisodesRouter, createFeedRouter } = require('./lib/routes/podcast');
+const { VoiceCatalog, loadVoiceCatalogConfig } = require('./lib/voice-catalog');
+const { createVoicesRouter } = require('./lib/routes/voices');
+const { createAuditionRouter } = require('./lib/routes/audition');
+const { createEstimateRouter } = require('./lib/routes/estimate');
+const { createNormalizeRouter } = require('./lib/routes/normalize');
+const { createTemplatesRouter } = require('./lib/routes/templates');
+const { loadPricingConfig } = require('./lib/pricing');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.TTS_DATA_DIR || path.join(__dirname, 'data');
+// 合成済み音声キャッシュの容量上限（MB、0で無効）
+const CACHE_MAX_MB = parseInt(process.env.TTS_CACHE_MAX_MB || '500', 10);
 
 // セキュリティミドルウェア
 app.use(helmet({
@@ -44,6 +70,8 @@ const apiLimiter = rateLimit({
     },
     standardHeaders: true,
     legacyHeaders: false,
+    // ジョブの進捗確認（ポーリング）は制限の対象外
+    skip: (req) => req.method === 'GET' && req.path.startsWith('/jobs/')
 });
 
 const generalLimiter = rateLimit({
@@ -63,6 +91,9 @@ app.use(express.json({
     type: ['application/json', 'text/plain']
 }));
 
+// 保存データは静的配信しない
+app.use('/data', (req, res) => res.status(404).end());
+
 // 静的ファイル配信
 app.use(express.static(path.join(__dirname, '.'), {
     maxAge: process.env.NODE_ENV === 'production' ? '1d' : 0,
@@ -70,54 +101,43 @@ app.use(express.static(path.join(__dirname, '.'), {
     lastModified: true
 }));
 
-// Google Cloud Text-to-Speech クライアント初期化
-const ttsClient = new textToSpeech.TextToSpeechClient();
+// 音声合成プロバイダー初期化（TTS_PROVIDER=mock でGoogle Cloudなしに動作）
+const ttsProvider = createProviderFromEnv();
+
+// 同じテキスト・音声設定の再合成を避けるためのキャッシュ
+const audioCache = CACHE_MAX_MB > 0
+    ? new AudioCache({
+        dir: process.env.TTS_CACHE_DIR || path.join(DATA_DIR, 'cache'),
+        maxBytes: CACHE_MAX_MB * 1024 * 1024
+    })
+    : null;
+
+// 生成した音声のライブラリ（DATA_DIRに永続化）
+const audioLibrary = new AudioLibrary({ dataDir: DATA_DIR });
+
+// 合成前に適用する読みの辞書（DATA_DIRに永続化）
+const lexicon = new Lexicon({ dataDir: DATA_DIR });
+
+// 非同期合成ジョブのキュー（DATA_DIRに永続化）
+const jobQueue = new JobQueue({ provider: ttsProvider, dataDir: DATA_DIR, cache: audioCache, library: audioLibrary, lexicon });
+
+// ポッドキャストとして公開したエピソード
+const episodeCatalog = new EpisodeCatalog({ dataDir: DATA_DIR });
+
+// ポッドキャストのイントロ・アウトロ・BGMのテンプレート
+const episodeTemplates = new EpisodeTemplateStore({ dataDir: DATA_DIR });
+
+// 許可する音声（プロバイダーの音声一覧を管理者の設定で絞り込む。一覧の更新後も同じ配列を参照できる）
+// 検証の前に期限切れの一覧を取得し直す
+const voiceCatalog = new VoiceCatalog({ provider: ttsProvider, config: loadVoiceCatalogConfig() });
+const allowedVoices = voiceCatalog.allowedVoices;
+const refreshVoices = voiceCatalog.refreshMiddleware();
+
+// 料金の見積もりに使う音声の種類ごとの単価
+const pricing = loadPricingConfig();
 
-// 入力値検証ユーティリティ
+// 入力値検証ユーティリティ（合成パラメータは parseSynthesisParams() で検証する）
 const validateInput = {
-    text: (text) => {
-        if (!text || typeof text !== 'string') {
-            return { valid: false, error: 'テキストが必要です' };
-        }
-        
-        const sanitized = text
-            .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-            .replace(/<[^>]*>/g, '')
-            .trim();
-        
-        if (sanitized.length === 0) {
-            return { valid: false, error: '有効なテキストを入力してください' };
-        }
-        
-        if (sanitized.length > 5000) {
-            return { valid: false, error: 'テキストが長すぎます（5000文字以内）' };
-        }
-        
-        return { valid: true, sanitized };
-    },
-    
-    voice: (voice) => {
-        const allowedVoices = [
-            'ja-JP-Neural2-B', 'ja-JP-Neural2-C', 'ja-JP-Neural2-D',
-            'en-US-Neural2-F', 'en-US-Neural2-D'
-        ];
-        
-        if (!allowedVoices.includes(voice)) {
-            return { valid: false, error: '無効な音声タイプです' };
-        }
-        
-        return { valid: true };
-    },
-    
-    speed: (speed) => {
-        const numSpeed = parseFloat(speed);
-        if (isNaN(numSpeed) || numSpeed < 0.25 || numSpeed > 4.0) {
-            return { valid: false, error: '速度は0.25から4.0の範囲で指定してください' };
-        }
-        
-        return { valid: true };
-    },
-    
     apiKey: (apiKey) => {
         if (!apiKey) return { valid: true }; // 任意
         
@@ -157,6 +177,20 @@ app.get('/api/csrf-token', (req, res) => {
     res.json({ csrfToken: token });
 });
 
+// CSRFトークン検証ミドルウェア（GET以外、トークンは1回限り）
+const requireCSRFToken = (req, res, next) => {
+    if (req.method === 'GET') return next();
+    
+    const receivedToken = req.headers['x-csrf-token'] || (req.body && req.body.csrfToken);
+    if (!receivedToken || !csrfTokens.has(receivedToken)) {
+        return res.status(403).json({ error: 'CSRF検証に失敗しました' });
+    }
+    
+    // 使用済みトークンを削除
+    csrfTokens.delete(receivedToken);
+    next();
+};
+
 // エラーハンドリング関数
 const handleError = (res, error, message = 'サーバーエラーが発生しました', statusCode = 500) => {
     console.error('Error:', error);
@@ -176,100 +210,129 @@ const handleError = (res, error, message = 'サーバーエラーが発生しま
 };
 
 // 音声合成APIエンドポイント（セキュリティ強化版）
-app.post('/api/synthesize', async (req, res) => {
+app.post('/api/synthesize', requireCSRFToken, refreshVoices, async (req, res) => {
     try {
-        const { text, voice = 'ja-JP-Neural2-B', speed = 1.0, apiKey, csrfToken } = req.body;
-        
-        // CSRF対策（簡易版）
-        const receivedToken = req.headers['x-csrf-token'] || csrfToken;
-        if (!receivedToken || !csrfTokens.has(receivedToken)) {
-            return res.status(403).json({ error: 'CSRF検証に失敗しました' });
-        }
-        
-        // 使用済みトークンを削除
-        csrfTokens.delete(receivedToken);
+        const { apiKey } = req.body;
         
-        // 入力値検証
-        const textValidation = validateInput.text(text);
-        if (!textValidation.valid) {
-            return res.status(400).json({ error: textValidation.error });
-        }
-        
-        const voiceValidation = validateInput.voice(voice);
-        if (!voiceValidation.valid) {
-            return res.status(400).json({ error: voiceValidation.error });
-        }
-        
-        const speedValidation = validateInput.speed(speed);
-        if (!speedValidation.valid) {
-            return res.status(400).json({ error: speedValidation.error });
+        // 入力値検証（ジョブAPIと同じ検証を通し、音声は許可リストに限る）
+        const validation = parseSynthesisParams(req.body, { allowedVoices, templates: episodeTemplates });
+        if (!validation.valid) {
+            return res.status(validation.status || 400).json({
+                error: validation.error,
+                line: validation.line,
+                column: validation.column
+            });
         }
+        const { params } = validation;
+        const { input, inputType, voice, dialogue, languageSwitch } = params;
+        const audioFormat = getAudioFormat(params.format);
         
         const apiKeyValidation = validateInput.apiKey(apiKey);
         if (!apiKeyValidation.valid) {
             return res.status(400).json({ error: apiKeyValidation.error });
         }
         
-        // 言語コードを音声名から抽出
-        const languageCode = voice.substring(0, 5);
+        // MP3のID3タグに書き込む記事の情報とカバーアート
+        const metadataValidation = parseMetadata(req.body);
+        if (!metadataValidation.valid) {
+            return res.status(400).json({ error: metadataValidation.error });
+        }
+        const { metadata } = metadataValidation;
         
-        // Google Cloud Text-to-Speech APIリクエスト設定
-        const request = {
-            input: { text: textValidation.sanitized },
-            voice: {
-                languageCode: languageCode,
-                name: voice
-            },
-            audioConfig: {
-                audioEncoding: 'MP3',
-                speakingRate: parseFloat(speed),
-                pitch: 0,
-                volumeGainDb: 0,
-                sampleRateHertz: 24000,
-                effectsProfileId: ['large-home-entertainment-class-device']
+        let coverArt = null;
+        if (req.body.coverArt) {
+            const coverArtValidation = parseCoverArt(req.body.coverArt);
+            if (!coverArtValidation.valid) {
+                return res.status(400).json({ error: coverArtValidation.error });
             }
-        };
+            coverArt = coverArtValidation.coverArt;
+        }
+        
+        // Google Cloud Text-to-Speech APIリクエスト設定（inputはチャンクごとに設定）
+        const request = buildSynthesisRequest(params);
+        const { languageCode } = request.voice;
         
         // ログ記録（セキュリティ配慮）
         console.log('TTS Request:', {
             timestamp: new Date().toISOString(),
-            textLength: textValidation.sanitized.length,
+            textLength: input.length,
+            inputType: inputType,
             voice: voice,
-            speed: speed,
+            speed: request.audioConfig.speakingRate,
+            format: audioFormat.name,
+            audioConfig: request.audioConfig,
             hasCustomApiKey: !!apiKey,
             clientIP: req.ip || req.connection.remoteAddress
         });
         
-        let client = ttsClient;
+        const provider = ttsProvider;
         
         // APIキーが提供された場合の処理は一旦無効化（セキュリティ上の理由）
         // 本番環境では適切な認証システムを実装してください
         
-        // Google Cloud APIを呼び出し
-        const [response] = await client.synthesizeSpeech(request);
+        // プロバイダーを呼び出し（長文は文境界で分割して順番に合成）
+        const synthesized = await synthesizeLongText(provider, request, input, {
+            inputType,
+            cache: audioCache,
+            chapters: params.chapters,
+            timepoints: params.timepoints,
+            dialogue,
+            languageSwitch,
+            postProcessing: params.postProcessing,
+            template: params.template,
+            lexicon: selectSynthesisLexicon(lexicon.list(), { languageCode, input, dialogue, languageSwitch })
+        });
+        const { chunkCount, cacheHits } = synthesized;
         
-        if (!response.audioContent) {
-            throw new Error('音声データの生成に失敗しました');
-        }
+        // MP3の場合はID3タグを書き込む
+        const audioContent = tagAudio(synthesized.audioContent, audioFormat.name, { input, inputType, voice, metadata, coverArt, chapters: synthesized.chapters });
+        
+        // 生成した音声をライブラリに保存（保存に失敗しても音声は返す）
+        const libraryItem = await audioLibrary.add({
+            audio: audioContent,
+            input,
+            inputType,
+            voice,
+            format: audioFormat.name,
+            audioConfig: request.audioConfig,
+            metadata,
+            chapters: synthesized.chapters,
+            alignment: synthesized.alignment,
+            segments: synthesized.segments
+        }).catch(error => {
+            console.warn('ライブラリへの保存に失敗しました:', error.message);
+            return null;
+        });
         
         // 成功ログ
         console.log('TTS Success:', {
             timestamp: new Date().toISOString(),
-            audioSize: response.audioContent.length,
+            audioSize: audioContent.length,
+            chunkCount: chunkCount,
             clientIP: req.ip || req.connection.remoteAddress
         });
         
         // セキュリティヘッダー追加
         res.set({
-            'Content-Type': 'audio/mpeg',
-            'Content-Length': response.audioContent.length,
+            'Content-Type': audioFormat.contentType,
+            'Content-Length': audioContent.length,
+            'Content-Disposition': `inline; filename="tts-audio.${audioFormat.extension}"`,
             'Cache-Control': 'private, no-cache, no-store, must-revalidate',
+            'X-TTS-Chunk-Count': chunkCount,
+            'X-TTS-Cache': getCacheStatus(cacheHits, chunkCount),
+            'X-TTS-Cache-Hits': cacheHits,
             'X-Content-Type-Options': 'nosniff',
             'X-Frame-Options': 'DENY',
             'X-XSS-Protection': '1; mode=block'
         });
+        if (synthesized.postProcessing && synthesized.postProcessing.outputLufs !== null) {
+            res.set('X-TTS-Loudness-LUFS', synthesized.postProcessing.outputLufs);
+        }
+        if (libraryItem) {
+            res.set('X-TTS-Library-Id', libraryItem.id);
+        }
         
-        res.send(response.audioContent);
+        res.send(audioContent);
         
     } catch (error) {
         console.error('Synthesis Error:', {
@@ -291,6 +354,37 @@ app.post('/api/synthesize', async (req, res) => {
     }
 });
 
+// 非同期合成ジョブAPI（登録・キャンセルはCSRF検証あり）
+app.use('/api/jobs', requireCSRFToken, refreshVoices, createJobsRouter({ queue: jobQueue, allowedVoices, templates: episodeTemplates }));
+
+// 記事の読み込みAPI
+app.use('/api/import', requireCSRFToken, refreshVoices, createImportRouter({ queue: jobQueue, dataDir: DATA_DIR, allowedVoices, templates: episodeTemplates }));
+
+// 生成済み音声のライブラリAPI
+app.use('/api/library', requireCSRFToken, createLibraryRouter({ library: audioLibrary }));
+
+// 読みの辞書API（追加・更新・削除・読み込み・試聴はCSRF検証あり）
+app.use('/api/lexicon', requireCSRFToken, refreshVoices, createLexiconRouter({ lexicon, provider: ttsProvider, cache: audioCache, allowedVoices }));
+
+// 音声の聴き比べAPI（CSRF検証あり）
+app.use('/api/audition', requireCSRFToken, refreshVoices, createAuditionRouter({ provider: ttsProvider, cache: audioCache, lexicon, pricing, allowedVoices }));
+
+// 合成前の見積もりAPI（入力中に繰り返し呼ばれ、状態を変更しないためCSRF検証なし）
+app.use('/api/estimate', refreshVoices, createEstimateRouter({ lexicon, pricing, allowedVoices, templates: episodeTemplates }));
+
+// 読みの正規化のプレビューAPI（状態を変更しないためCSRF検証なし）
+app.use('/api/normalize', createNormalizeRouter());
+
+// エピソードテンプレートAPI（変更はCSRF検証あり、TTS_ADMIN_TOKEN 設定時は管理者トークンも必要）
+app.use('/api/templates', requireCSRFToken, createTemplatesRouter({ store: episodeTemplates, adminToken: process.env.TTS_ADMIN_TOKEN, queue: jobQueue }));
+
+// ポッドキャストのエピソード管理APIとRSSフィード
+app.use('/api/episodes', requireCSRFToken, createEpisodesRouter({ catalog: episodeCatalog, queue: jobQueue }));
+app.use(createFeedRouter({ catalog: episodeCatalog, channel: loadPodcastConfig() }));
+
+// 利用可能な音声の一覧API
+app.use('/api/voices', createVoicesRouter({ catalog: voiceCatalog }));
+
 // ヘルスチェックエンドポイント
 app.get('/api/health', (req, res) => {
     res.json({ 
@@ -328,6 +422,36 @@ app.use((error, req, res, next) => {
     handleError(res, error, '予期しないエラーが発生しました');
 });
 
+// キャッシュとライブラリを読み込んでから未完了のジョブを再開
+(audioCache ? audioCache.init() : Promise.resolve())
+    .catch(error => {
+        console.error('音声キャッシュの初期化に失敗しました:', error);
+    })
+    .then(() => audioLibrary.init())
+    .catch(error => {
+        console.error('ライブラリの初期化に失敗しました:', error);
+    })
+    .then(() => jobQueue.init())
+    .catch(error => {
+        console.error('ジョブキューの初期化に失敗しました:', error);
+    });
+
+episodeCatalog.init().catch(error => {
+    console.error('エピソード一覧の初期化に失敗しました:', error);
+});
+
+episodeTemplates.init().catch(error => {
+    console.error('エピソードテンプレートの初期化に失敗しました:', error);
+});
+
+lexicon.init().catch(error => {
+    console.error('読みの辞書の初期化に失敗しました:', error);
+});
+
+voiceCatalog.init().catch(error => {
+    console.error('音声一覧の初期化に失敗しました:', error);
+});
+
 // サーバー起動
 const server = app.listen(PORT, () => {
     console.log(`🚀 セキュアサーバーが起動しました: http://localhost:${PORT}`);
@@ -158,7 +158,7 @@ class InputSanitizer {
             .replace(/javascript:/gi, '') // JavaScriptプロトコル除去
             .replace(/on\w+\s*=\s*["'][^"']*["']/gi, '') // イベントハンドラー除去
             .trim()
-            .substring(0, 5000); // 文字数制限
+            .substring(0, 100000); // 文字数制限（長文はサーバー側で分割）
     }
 
     static validateApiKey(apiKey) {
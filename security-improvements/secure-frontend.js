@@ -251,8 +251,8 @@ class SecureTextToSpeechApp {
             return;
         }
         
-        if (sanitizedText.length > 5000) {
-            this.showError('テキストが長すぎます。5000文字以内で入力してください。');
+        if (sanitizedText.length > 100000) {
+            this.showError('テキストが長すぎます。100000文字以内で入力してください。');
             return;
         }
         
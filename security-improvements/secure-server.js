@@ -3,13 +3,40 @@ const cors = require('cors');
 const helmet = require('helmet'); // セキュリティヘッダー
 const rateLimit = require('express-rate-limit'); // レート制限
 const { body, validationResult } = require('express-validator'); // 入力検証
-const textToSpeech = require('@google-cloud/text-to-speech');
 const path = require('path');
 const crypto = require('crypto');
+const { MAX_TEXT_LENGTH } = require('../lib/text-chunker');
+const { synthesizeLongText, selectSynthesisLexicon } = require('../lib/synthesizer');
+const { parseSynthesisParams, parseMetadata, buildSynthesisRequest } = require('../lib/synthesis-params');
+const { parseCoverArt, tagAudio } = require('../lib/id3');
+const { getAudioFormat } = require('../lib/audio-format');
+const { createProviderFromEnv } = require('../lib/providers');
+const { JobQueue } = require('../lib/job-queue');
+const { AudioCache, getCacheStatus } = require('../lib/audio-cache');
+const { createJobsRouter } = require('../lib/routes/jobs');
+const { createImportRouter } = require('../lib/routes/import');
+const { EpisodeCatalog } = require('../lib/episode-catalog');
+const { EpisodeTemplateStore } = require('../lib/episode-templates');
+const { AudioLibrary } = require('../lib/library');
+const { Lexicon } = require('../lib/lexicon');
+const { createLibraryRouter } = require('../lib/routes/library');
+const { createLexiconRouter } = require('../lib/routes/lexicon');
+const { loadPodcastConfig } = require('../lib/podcast-feed');
+const { createEpisodesRouter, createFeedRouter } = require('../lib/routes/podcast');
+const { VoiceCatalog, loadVoiceCatalogConfig } = require('../lib/voice-catalog');
+const { createVoicesRouter } = require('../lib/routes/voices');
+const { createAuditionRouter } = require('../lib/routes/audition');
+const { createEstimateRouter } = require('../lib/routes/estimate');
+const { createNormalizeRouter } = require('../lib/routes/normalize');
+const { createTemplatesRouter } = require('../lib/routes/templates');
+const { loadPricingConfig } = require('../lib/pricing');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const DATA_DIR = process.env.TTS_DATA_DIR || path.join(__dirname, '..', 'data');
+// 合成済み音声キャッシュの容量上限（MB、0で無効）
+const CACHE_MAX_MB = parseInt(process.env.TTS_CACHE_MAX_MB || '500', 10);
 
 // セキュリティミドルウェア
 app.use(helmet({
@@ -46,8 +73,8 @@ const corsOptions = {
         ? ['https://your-domain.com', 'https://www.your-domain.com'] // 本番環境では特定のドメインのみ
         : ['http://localhost:3000', 'http://127.0.0.1:3000'], // 開発環境
     credentials: true,
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    methods: ['GET', 'POST', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Admin-Token'],
     maxAge: 86400 // 24時間
 };
 app.use(cors(corsOptions));
@@ -61,6 +88,8 @@ const apiLimiter = rateLimit({
     },
     standardHeaders: true,
     legacyHeaders: false,
+    // ジョブの進捗確認（ポーリング）は制限の対象外
+    skip: (req) => req.method === 'GET' && req.path.startsWith('/jobs/')
 });
 
 const synthesizeLimiter = rateLimit({
@@ -80,6 +109,9 @@ app.use(express.json({
     type: 'application/json'
 }));
 
+// 保存データは静的配信しない
+app.use('/data', (req, res) => res.status(404).end());
+
 // 静的ファイル配信（セキュリティヘッダー付き）
 app.use(express.static(path.join(__dirname, '.'), {
     maxAge: NODE_ENV === 'production' ? '1d' : '0',
@@ -91,21 +123,47 @@ app.use(express.static(path.join(__dirname, '.'), {
     }
 }));
 
-// Google Cloud Text-to-Speech クライアント初期化
-const ttsClient = new textToSpeech.TextToSpeechClient();
+// 音声合成プロバイダー初期化（TTS_PROVIDER=mock でGoogle Cloudなしに動作）
+const ttsProvider = createProviderFromEnv();
+
+// 同じテキスト・音声設定の再合成を避けるためのキャッシュ
+const audioCache = CACHE_MAX_MB > 0
+    ? new AudioCache({
+        dir: process.env.TTS_CACHE_DIR || path.join(DATA_DIR, 'cache'),
+        maxBytes: CACHE_MAX_MB * 1024 * 1024
+    })
+    : null;
+
+// 生成した音声のライブラリ（DATA_DIRに永続化）
+const audioLibrary = new AudioLibrary({ dataDir: DATA_DIR });
+
+// 合成前に適用する読みの辞書（DATA_DIRに永続化）
+const lexicon = new Lexicon({ dataDir: DATA_DIR });
+
+// 非同期合成ジョブのキュー（DATA_DIRに永続化）
+const jobQueue = new JobQueue({ provider: ttsProvider, dataDir: DATA_DIR, cache: audioCache, library: audioLibrary, lexicon });
+
+// ポッドキャストとして公開したエピソード
+const episodeCatalog = new EpisodeCatalog({ dataDir: DATA_DIR });
+
+// ポッドキャストのイントロ・アウトロ・BGMのテンプレート
+const episodeTemplates = new EpisodeTemplateStore({ dataDir: DATA_DIR });
+
+// 許可する音声（プロバイダーの音声一覧を管理者の設定で絞り込む。一覧の更新後も同じ配列を参照できる）
+// 検証の前に期限切れの一覧を取得し直す
+const voiceCatalog = new VoiceCatalog({ provider: ttsProvider, config: loadVoiceCatalogConfig() });
+const allowedVoices = voiceCatalog.allowedVoices;
+const refreshVoices = voiceCatalog.refreshMiddleware();
+
+// 料金の見積もりに使う音声の種類ごとの単価
+const pricing = loadPricingConfig();
 
 // 入力サニタイゼーション関数
+// 制御文字を除去する（改行とタブは見出し・台本の区切りに使うため残し、タグは parseSynthesisParams() で除去する）
 const sanitizeText = (text) => {
-    if (typeof text !== 'string') return '';
-    
-    // HTMLタグを除去
-    const withoutHtml = text.replace(/<[^>]*>/g, '');
-    
-    // 制御文字を除去
-    const withoutControl = withoutHtml.replace(/[\x00-\x1F\x7F-\x9F]/g, '');
+    if (typeof text !== 'string') return text;
     
-    // 長さ制限
-    return withoutControl.substring(0, 5000).trim();
+    return text.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g, '');
 };
 
 // APIキーの検証関数
@@ -123,19 +181,8 @@ const validateApiKey = (apiKey) => {
 const synthesizeValidation = [
     body('text')
         .isString()
-        .isLength({ min: 1, max: 5000 })
-        .withMessage('テキストは1-5000文字で入力してください'),
-    body('voice')
-        .optional()
-        .isIn([
-            'ja-JP-Neural2-B', 'ja-JP-Neural2-C', 'ja-JP-Neural2-D',
-            'en-US-Neural2-F', 'en-US-Neural2-D'
-        ])
-        .withMessage('無効な音声タイプです'),
-    body('speed')
-        .optional()
-        .isFloat({ min: 0.25, max: 4.0 })
-        .withMessage('速度は0.25から4.0の範囲で指定してください'),
+        .isLength({ min: 1, max: MAX_TEXT_LENGTH })
+        .withMessage(`テキストは1-${MAX_TEXT_LENGTH}文字で入力してください`),
     body('apiKey')
         .optional()
         .custom((value) => {
@@ -176,7 +223,7 @@ const generateCSRFToken = () => {
 };
 
 // 音声合成APIエンドポイント（改良版）
-app.post('/api/synthesize', synthesizeLimiter, synthesizeValidation, async (req, res) => {
+app.post('/api/synthesize', synthesizeLimiter, synthesizeValidation, refreshVoices, async (req, res) => {
     try {
         // バリデーション結果の確認
         const errors = validationResult(req);
@@ -187,44 +234,54 @@ app.post('/api/synthesize', synthesizeLimiter, synthesizeValidation, async (req,
             });
         }
 
-        const { text: rawText, voice = 'ja-JP-Neural2-B', speed = 1.0, apiKey } = req.body;
+        const { apiKey } = req.body;
         
-        // テキストのサニタイゼーション
-        const text = sanitizeText(rawText);
-        if (!text) {
-            return res.status(400).json({ error: 'テキストが必要です' });
+        // パラメータの検証（ジョブAPIと同じ検証を通し、音声は許可リストに限る）
+        const validation = parseSynthesisParams({ ...req.body, text: sanitizeText(req.body.text) }, { allowedVoices, templates: episodeTemplates });
+        if (!validation.valid) {
+            return res.status(validation.status || 400).json({
+                error: validation.error,
+                line: validation.line,
+                column: validation.column
+            });
         }
+        const { params } = validation;
+        const { input, inputType, voice, dialogue, languageSwitch } = params;
+        const audioFormat = getAudioFormat(params.format);
         
-        // 言語コードを音声名から抽出
-        const languageCode = voice.substring(0, 5);
+        // MP3のID3タグに書き込む記事の情報とカバーアート
+        const metadataValidation = parseMetadata(req.body);
+        if (!metadataValidation.valid) {
+            return res.status(400).json({ error: metadataValidation.error });
+        }
+        const { metadata } = metadataValidation;
         
-        // Google Cloud Text-to-Speech APIリクエスト設定
-        const request = {
-            input: { text: text },
-            voice: {
-                languageCode: languageCode,
-                name: voice
-            },
-            audioConfig: {
-                audioEncoding: 'MP3',
-                speakingRate: speed,
-                pitch: 0,
-                volumeGainDb: 0,
-                sampleRateHertz: 24000,
-                effectsProfileId: ['large-home-entertainment-class-device']
+        let coverArt = null;
+        if (req.body.coverArt) {
+            const coverArtValidation = parseCoverArt(req.body.coverArt);
+            if (!coverArtValidation.valid) {
+                return res.status(400).json({ error: coverArtValidation.error });
             }
-        };
+            coverArt = coverArtValidation.coverArt;
+        }
+        
+        // Google Cloud Text-to-Speech APIリクエスト設定（inputはチャンクごとに設定）
+        const request = buildSynthesisRequest(params);
+        const { languageCode } = request.voice;
         
         // ログ（APIキーはマスク）
         console.log(`[${new Date().toISOString()}] TTS Request:`, {
-            textLength: text.length,
+            textLength: input.length,
+            inputType: inputType,
             voice: voice,
-            speed: speed,
+            speed: request.audioConfig.speakingRate,
+            format: audioFormat.name,
+            audioConfig: request.audioConfig,
             hasCustomApiKey: !!apiKey,
             clientIP: req.ip || req.connection.remoteAddress
         });
         
-        let client = ttsClient;
+        const provider = ttsProvider;
         
         // カスタムAPIキーが提供された場合
         if (apiKey) {
@@ -237,24 +294,61 @@ app.post('/api/synthesize', synthesizeLimiter, synthesizeValidation, async (req,
             console.warn('カスタムAPIキーの実装が必要です');
         }
         
-        // Google Cloud APIを呼び出し
-        const [response] = await client.synthesizeSpeech(request);
+        // プロバイダーを呼び出し（長文は文境界で分割して順番に合成）
+        const synthesized = await synthesizeLongText(provider, request, input, {
+            inputType,
+            cache: audioCache,
+            chapters: params.chapters,
+            timepoints: params.timepoints,
+            dialogue,
+            languageSwitch,
+            postProcessing: params.postProcessing,
+            template: params.template,
+            lexicon: selectSynthesisLexicon(lexicon.list(), { languageCode, input, dialogue, languageSwitch })
+        });
+        const { chunkCount, cacheHits } = synthesized;
         
-        if (!response.audioContent) {
-            throw new Error('音声データの生成に失敗しました');
-        }
+        // MP3の場合はID3タグを書き込む
+        const audioContent = tagAudio(synthesized.audioContent, audioFormat.name, { input, inputType, voice, metadata, coverArt, chapters: synthesized.chapters });
+        
+        // 生成した音声をライブラリに保存（保存に失敗しても音声は返す）
+        const libraryItem = await audioLibrary.add({
+            audio: audioContent,
+            input,
+            inputType,
+            voice,
+            format: audioFormat.name,
+            audioConfig: request.audioConfig,
+            metadata,
+            chapters: synthesized.chapters,
+            alignment: synthesized.alignment,
+            segments: synthesized.segments
+        }).catch(error => {
+            console.warn('ライブラリへの保存に失敗しました:', error.message);
+            return null;
+        });
         
         // セキュリティヘッダーを設定
         res.set({
-            'Content-Type': 'audio/mpeg',
-            'Content-Length': response.audioContent.length,
+            'Content-Type': audioFormat.contentType,
+            'Content-Length': audioContent.length,
+            'Content-Disposition': `inline; filename="tts-audio.${audioFormat.extension}"`,
+            'X-TTS-Chunk-Count': chunkCount,
+            'X-TTS-Cache': getCacheStatus(cacheHits, chunkCount),
+            'X-TTS-Cache-Hits': cacheHits,
             'Cache-Control': 'no-cache, no-store, must-revalidate',
             'Pragma': 'no-cache',
             'Expires': '0',
             'X-Content-Type-Options': 'nosniff'
         });
+        if (synthesized.postProcessing && synthesized.postProcessing.outputLufs !== null) {
+            res.set('X-TTS-Loudness-LUFS', synthesized.postProcessing.outputLufs);
+        }
+        if (libraryItem) {
+            res.set('X-TTS-Library-Id', libraryItem.id);
+        }
         
-        res.send(response.audioContent);
+        res.send(audioContent);
         
     } catch (error) {
         console.error(`[${new Date().toISOString()}] Synthesis Error:`, error);
@@ -272,6 +366,39 @@ app.post('/api/synthesize', synthesizeLimiter, synthesizeValidation, async (req,
     }
 });
 
+// 非同期合成ジョブAPI
+app.use('/api/jobs', (req, res, next) => (req.method === 'POST' ? synthesizeLimiter(req, res, next) : next()),
+    refreshVoices, createJobsRouter({ queue: jobQueue, allowedVoices, templates: episodeTemplates }));
+
+// 記事の読み込みAPI
+app.use('/api/import', refreshVoices, createImportRouter({ queue: jobQueue, dataDir: DATA_DIR, allowedVoices, templates: episodeTemplates }));
+
+// 生成済み音声のライブラリAPI
+app.use('/api/library', createLibraryRouter({ library: audioLibrary }));
+
+// 読みの辞書API
+app.use('/api/lexicon/preview', synthesizeLimiter);
+app.use('/api/lexicon', refreshVoices, createLexiconRouter({ lexicon, provider: ttsProvider, cache: audioCache, allowedVoices }));
+
+// 音声の聴き比べAPI（複数の音声を合成するため合成と同じレート制限をかける）
+app.use('/api/audition', synthesizeLimiter, refreshVoices, createAuditionRouter({ provider: ttsProvider, cache: audioCache, lexicon, pricing, allowedVoices }));
+
+// 合成前の見積もりAPI
+app.use('/api/estimate', refreshVoices, createEstimateRouter({ lexicon, pricing, allowedVoices, templates: episodeTemplates }));
+
+// 読みの正規化のプレビューAPI
+app.use('/api/normalize', createNormalizeRouter());
+
+// エピソードテンプレートAPI（変更は TTS_ADMIN_TOKEN 設定時に管理者トークンが必要）
+app.use('/api/templates', createTemplatesRouter({ store: episodeTemplates, adminToken: process.env.TTS_ADMIN_TOKEN, queue: jobQueue }));
+
+// ポッドキャストのエピソード管理APIとRSSフィード
+app.use('/api/episodes', createEpisodesRouter({ catalog: episodeCatalog, queue: jobQueue }));
+app.use(createFeedRouter({ catalog: episodeCatalog, channel: loadPodcastConfig() }));
+
+// 利用可能な音声の一覧API
+app.use('/api/voices', createVoicesRouter({ catalog: voiceCatalog }));
+
 // ヘルスチェックエンドポイント（改良版）
 app.get('/api/health', (req, res) => {
     const healthCheck = {
@@ -309,6 +436,36 @@ app.use((error, req, res, next) => {
     handleError(res, error);
 });
 
+// キャッシュとライブラリを読み込んでから未完了のジョブを再開
+(audioCache ? audioCache.init() : Promise.resolve())
+    .catch(error => {
+        console.error('音声キャッシュの初期化に失敗しました:', error);
+    })
+    .then(() => audioLibrary.init())
+    .catch(error => {
+        console.error('ライブラリの初期化に失敗しました:', error);
+    })
+    .then(() => jobQueue.init())
+    .catch(error => {
+        console.error('ジョブキューの初期化に失敗しました:', error);
+    });
+
+episodeCatalog.init().catch(error => {
+    console.error('エピソード一覧の初期化に失敗しました:', error);
+});
+
+episodeTemplates.init().catch(error => {
+    console.error('エピソードテンプレートの初期化に失敗しました:', error);
+});
+
+lexicon.init().catch(error => {
+    console.error('読みの辞書の初期化に失敗しました:', error);
+});
+
+voiceCatalog.init().catch(error => {
+    console.error('音声一覧の初期化に失敗しました:', error);
+});
+
 // サーバー起動
 const server = app.listen(PORT, () => {
     console.log(`🚀 サーバーが起動しました: ${NODE_ENV === 'production' ? 'https' : 'http'}://localhost:${PORT}`);
@@ -1,17 +1,78 @@
 const express = require('express');
 const cors = require('cors');
-const textToSpeech = require('@google-cloud/text-to-speech');
 const path = require('path');
+const { synthesizeLongText, selectSynthesisLexicon } = require('./lib/synthesizer');
+const { parseSynthesisParams, parseMetadata, buildSynthesisRequest } = require('./lib/synthesis-params');
+const { parseCoverArt, tagAudio } = require('./lib/id3');
+const { getAudioFormat } = require('./lib/audio-format');
+const { createProviderFromEnv, GoogleProvider } = require('./lib/providers');
+const { JobQueue } = require('./lib/job-queue');
+const { AudioCache, getCacheStatus } = require('./lib/audio-cache');
+const { createJobsRouter } = require('./lib/routes/jobs');
+const { createImportRouter } = require('./lib/routes/import');
+const { EpisodeCatalog } = require('./lib/episode-catalog');
+const { EpisodeTemplateStore } = require('./lib/episode-templates');
+const { AudioLibrary } = require('./lib/library');
+const { Lexicon } = require('./lib/lexicon');
+const { createLibraryRouter } = require('./lib/routes/library');
+const { createLexiconRouter } = require('./lib/routes/lexicon');
+const { loadPodcastConfig } = require('./lib/podcast-feed');
+const { createEpisodesRouter, createFeedRouter } = require('./lib/routes/podcast');
+const { VoiceCatalog, loadVoiceCatalogConfig } = require('./lib/voice-catalog');
+const { createVoicesRouter } = require('./lib/routes/voices');
+const { createAuditionRouter } = require('./lib/routes/audition');
+const { createEstimateRouter } = require('./lib/routes/estimate');
+const { createNormalizeRouter } = require('./lib/routes/normalize');
+const { createTemplatesRouter } = require('./lib/routes/templates');
+const { loadPricingConfig } = require('./lib/pricing');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.TTS_DATA_DIR || path.join(__dirname, 'data');
+// 合成済み音声キャッシュの容量上限（MB、0で無効）
+const CACHE_MAX_MB = parseInt(process.env.TTS_CACHE_MAX_MB || '500', 10);
 
-// Google Cloud Text-to-Speech クライアント初期化
-const ttsClient = new textToSpeech.TextToSpeechClient();
+// 音声合成プロバイダー初期化（TTS_PROVIDER=mock でGoogle Cloudなしに動作）
+const ttsProvider = createProviderFromEnv();
+
+// 同じテキスト・音声設定の再合成を避けるためのキャッシュ
+const audioCache = CACHE_MAX_MB > 0
+    ? new AudioCache({
+        dir: process.env.TTS_CACHE_DIR || path.join(DATA_DIR, 'cache'),
+        maxBytes: CACHE_MAX_MB * 1024 * 1024
+    })
+    : null;
+
+// 生成した音声のライブラリ（DATA_DIRに永続化）
+const audioLibrary = new AudioLibrary({ dataDir: DATA_DIR });
+
+// 合成前に適用する読みの辞書（DATA_DIRに永続化）
+const lexicon = new Lexicon({ dataDir: DATA_DIR });
+
+// 非同期合成ジョブのキュー（DATA_DIRに永続化）
+const jobQueue = new JobQueue({ provider: ttsProvider, dataDir: DATA_DIR, cache: audioCache, library: audioLibrary, lexicon });
+
+// ポッドキャストとして公開したエピソード
+const episodeCatalog = new EpisodeCatalog({ dataDir: DATA_DIR });
+
+// ポッドキャストのイントロ・アウトロ・BGMのテンプレート
+const episodeTemplates = new EpisodeTemplateStore({ dataDir: DATA_DIR });
+
+// プロバイダーの音声一覧（キャッシュして /api/voices で返し、管理者の設定で許可する音声を絞り込む）
+// 許可リストは一覧の更新後も同じ配列を参照でき、検証の前に期限切れの一覧を取得し直す
+const voiceCatalog = new VoiceCatalog({ provider: ttsProvider, config: loadVoiceCatalogConfig() });
+const allowedVoices = voiceCatalog.allowedVoices;
+const refreshVoices = voiceCatalog.refreshMiddleware();
+
+// 料金の見積もりに使う音声の種類ごとの単価
+const pricing = loadPricingConfig();
 
 // ミドルウェア設定
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
+
+// 保存データは静的配信しない
+app.use('/data', (req, res) => res.status(404).end());
 app.use(express.static(path.join(__dirname, '.')));
 
 // エラーハンドリング関数
@@ -24,60 +85,65 @@ const handleError = (res, error, message = 'サーバーエラーが発生しま
 };
 
 // 音声合成APIエンドポイント
-app.post('/api/synthesize', async (req, res) => {
+app.post('/api/synthesize', refreshVoices, async (req, res) => {
     try {
-        const { text, voice = 'ja-JP-Neural2-B', speed = 1.0, apiKey } = req.body;
+        const { apiKey } = req.body;
         
-        // バリデーション
-        if (!text || typeof text !== 'string') {
-            return res.status(400).json({ error: 'テキストが必要です' });
+        // バリデーション（ジョブAPIと同じ検証を通す）
+        const validation = parseSynthesisParams(req.body, { allowedVoices, templates: episodeTemplates });
+        if (!validation.valid) {
+            return res.status(validation.status || 400).json({
+                error: validation.error,
+                line: validation.line,
+                column: validation.column
+            });
         }
+        const { params } = validation;
+        const { input, inputType, voice, dialogue, languageSwitch } = params;
+        const audioFormat = getAudioFormat(params.format);
         
-        if (text.length > 5000) {
-            return res.status(400).json({ error: 'テキストが長すぎます（5000文字以内）' });
+        // MP3のID3タグに書き込む記事の情報とカバーアート
+        const metadataValidation = parseMetadata(req.body);
+        if (!metadataValidation.valid) {
+            return res.status(400).json({ error: metadataValidation.error });
         }
+        const { metadata } = metadataValidation;
         
-        if (speed < 0.25 || speed > 4.0) {
-            return res.status(400).json({ error: '速度は0.25から4.0の範囲で指定してください' });
+        let coverArt = null;
+        if (req.body.coverArt) {
+            const coverArtValidation = parseCoverArt(req.body.coverArt);
+            if (!coverArtValidation.valid) {
+                return res.status(400).json({ error: coverArtValidation.error });
+            }
+            coverArt = coverArtValidation.coverArt;
         }
         
-        // 言語コードを音声名から抽出
-        const languageCode = voice.substring(0, 5); // 例: "ja-JP"
-        
-        // Google Cloud Text-to-Speech APIリクエスト設定
-        const request = {
-            input: { text: text },
-            voice: {
-                languageCode: languageCode,
-                name: voice
-            },
-            audioConfig: {
-                audioEncoding: 'MP3',
-                speakingRate: speed,
-                pitch: 0,
-                volumeGainDb: 0,
-                sampleRateHertz: 24000,
-                effectsProfileId: ['large-home-entertainment-class-device']
-            }
-        };
+        // Google Cloud Text-to-Speech APIリクエスト設定（inputはチャンクごとに設定）
+        const request = buildSynthesisRequest(params);
+        const { languageCode } = request.voice;
         
         console.log('TTS Request:', {
-            textLength: text.length,
+            textLength: input.length,
+            inputType: inputType,
             voice: voice,
-            speed: speed,
+            speed: request.audioConfig.speakingRate,
+            format: audioFormat.name,
+            audioConfig: request.audioConfig,
             usingCustomApiKey: !!apiKey
         });
         
-        let client = ttsClient;
+        let provider = ttsProvider;
         
-        // APIキーが提供された場合は専用クライアントを作成
-        if (apiKey) {
-            client = new textToSpeech.TextToSpeechClient({
-                credentials: {
-                    client_email: 'dummy@example.com',
-                    private_key: 'dummy'
-                },
-                keyFilename: undefined // APIキーを直接使用
+        // APIキーが提供された場合は専用クライアントを作成（Googleプロバイダーのみ）
+        if (apiKey && ttsProvider.name === 'google') {
+            provider = new GoogleProvider({
+                clientOptions: {
+                    credentials: {
+                        client_email: 'dummy@example.com',
+                        private_key: 'dummy'
+                    },
+                    keyFilename: undefined // APIキーを直接使用
+                }
             });
             
             // APIキーを使用してリクエストヘッダーに追加
@@ -87,21 +153,58 @@ app.post('/api/synthesize', async (req, res) => {
             };
         }
         
-        // Google Cloud APIを呼び出し
-        const [response] = await client.synthesizeSpeech(request);
+        // プロバイダーを呼び出し（長文は文境界で分割して順番に合成）
+        const synthesized = await synthesizeLongText(provider, request, input, {
+            inputType,
+            cache: audioCache,
+            chapters: params.chapters,
+            timepoints: params.timepoints,
+            dialogue,
+            languageSwitch,
+            postProcessing: params.postProcessing,
+            template: params.template,
+            lexicon: selectSynthesisLexicon(lexicon.list(), { languageCode, input, dialogue, languageSwitch })
+        });
+        const { chunkCount, cacheHits } = synthesized;
         
-        if (!response.audioContent) {
-            throw new Error('音声データの生成に失敗しました');
-        }
+        // MP3の場合はID3タグを書き込む
+        const audioContent = tagAudio(synthesized.audioContent, audioFormat.name, { input, inputType, voice, metadata, coverArt, chapters: synthesized.chapters });
         
-        // MP3データを返却
+        // 生成した音声をライブラリに保存（保存に失敗しても音声は返す）
+        const libraryItem = await audioLibrary.add({
+            audio: audioContent,
+            input,
+            inputType,
+            voice,
+            format: audioFormat.name,
+            audioConfig: request.audioConfig,
+            metadata,
+            chapters: synthesized.chapters,
+            alignment: synthesized.alignment,
+            segments: synthesized.segments
+        }).catch(error => {
+            console.warn('ライブラリへの保存に失敗しました:', error.message);
+            return null;
+        });
+        
+        // 音声データを返却
         res.set({
-            'Content-Type': 'audio/mpeg',
-            'Content-Length': response.audioContent.length,
-            'Cache-Control': 'no-cache'
+            'Content-Type': audioFormat.contentType,
+            'Content-Length': audioContent.length,
+            'Content-Disposition': `inline; filename="tts-audio.${audioFormat.extension}"`,
+            'Cache-Control': 'no-cache',
+            'X-TTS-Chunk-Count': chunkCount,
+            'X-TTS-Cache': getCacheStatus(cacheHits, chunkCount),
+            'X-TTS-Cache-Hits': cacheHits
         });
+        if (synthesized.postProcessing && synthesized.postProcessing.outputLufs !== null) {
+            res.set('X-TTS-Loudness-LUFS', synthesized.postProcessing.outputLufs);
+        }
+        if (libraryItem) {
+            res.set('X-TTS-Library-Id', libraryItem.id);
+        }
         
-        res.send(response.audioContent);
+        res.send(audioContent);
         
     } catch (error) {
         console.error('Synthesis Error:', error);
@@ -125,39 +228,44 @@ app.post('/api/synthesize', async (req, res) => {
     }
 });
 
-// 利用可能な音声リストを取得するエンドポイント
-app.get('/api/voices', async (req, res) => {
-    try {
-        const [response] = await ttsClient.listVoices({});
-        
-        // 日本語と英語の音声のみをフィルタ
-        const supportedVoices = response.voices
-            .filter(voice => 
-                voice.languageCodes.some(code => 
-                    code.startsWith('ja-JP') || code.startsWith('en-US')
-                )
-            )
-            .map(voice => ({
-                name: voice.name,
-                languageCodes: voice.languageCodes,
-                ssmlGender: voice.ssmlGender,
-                naturalSampleRateHertz: voice.naturalSampleRateHertz
-            }))
-            .sort((a, b) => a.name.localeCompare(b.name));
-        
-        res.json({ voices: supportedVoices });
-        
-    } catch (error) {
-        handleError(res, error, '音声リストの取得に失敗しました');
-    }
-});
+// 非同期合成ジョブAPI
+app.use('/api/jobs', refreshVoices, createJobsRouter({ queue: jobQueue, allowedVoices, templates: episodeTemplates }));
+
+// 記事の読み込みAPI
+app.use('/api/import', refreshVoices, createImportRouter({ queue: jobQueue, dataDir: DATA_DIR, allowedVoices, templates: episodeTemplates }));
+
+// 生成済み音声のライブラリAPI
+app.use('/api/library', createLibraryRouter({ library: audioLibrary }));
+
+// 読みの辞書API
+app.use('/api/lexicon', refreshVoices, createLexiconRouter({ lexicon, provider: ttsProvider, cache: audioCache, allowedVoices }));
+
+// 音声の聴き比べAPI
+app.use('/api/audition', refreshVoices, createAuditionRouter({ provider: ttsProvider, cache: audioCache, lexicon, pricing, allowedVoices }));
+
+// 合成前の見積もりAPI
+app.use('/api/estimate', refreshVoices, createEstimateRouter({ lexicon, pricing, allowedVoices, templates: episodeTemplates }));
+
+// 読みの正規化のプレビューAPI
+app.use('/api/normalize', createNormalizeRouter());
+
+// エピソードテンプレートAPI（変更は TTS_ADMIN_TOKEN 設定時に管理者トークンが必要）
+app.use('/api/templates', createTemplatesRouter({ store: episodeTemplates, adminToken: process.env.TTS_ADMIN_TOKEN, queue: jobQueue }));
+
+// ポッドキャストのエピソード管理APIとRSSフィード
+app.use('/api/episodes', createEpisodesRouter({ catalog: episodeCatalog, queue: jobQueue }));
+app.use(createFeedRouter({ catalog: episodeCatalog, channel: loadPodcastConfig() }));
+
+// 利用可能な音声の一覧API
+app.use('/api/voices', createVoicesRouter({ catalog: voiceCatalog }));
 
 // ヘルスチェックエンドポイント
 app.get('/api/health', (req, res) => {
     res.json({ 
         status: 'OK',
         timestamp: new Date().toISOString(),
-        version: require('./package.json').version
+        version: require('./package.json').version,
+        provider: ttsProvider.capabilities()
     });
 });
 
@@ -166,6 +274,36 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// キャッシュとライブラリを読み込んでから未完了のジョブを再開
+(audioCache ? audioCache.init() : Promise.resolve())
+    .catch(error => {
+        console.error('音声キャッシュの初期化に失敗しました:', error);
+    })
+    .then(() => audioLibrary.init())
+    .catch(error => {
+        console.error('ライブラリの初期化に失敗しました:', error);
+    })
+    .then(() => jobQueue.init())
+    .catch(error => {
+        console.error('ジョブキューの初期化に失敗しました:', error);
+    });
+
+episodeCatalog.init().catch(error => {
+    console.error('エピソード一覧の初期化に失敗しました:', error);
+});
+
+episodeTemplates.init().catch(error => {
+    console.error('エピソードテンプレートの初期化に失敗しました:', error);
+});
+
+lexicon.init().catch(error => {
+    console.error('読みの辞書の初期化に失敗しました:', error);
+});
+
+voiceCatalog.init().catch(error => {
+    console.error('音声一覧の初期化に失敗しました:', error);
+});
+
 // サーバー起動
 app.listen(PORT, () => {
     console.log(`🚀 サーバーが起動しました: http://localhost:${PORT}`);